@@ -14,7 +14,14 @@ export default [
         console: 'readonly',
         jQuery: 'readonly',
         $: 'readonly',
-        bootstrap: 'readonly'
+        bootstrap: 'readonly',
+        fetch: 'readonly',
+        localStorage: 'readonly',
+        navigator: 'readonly',
+        setInterval: 'readonly',
+        FormData: 'readonly',
+        URLSearchParams: 'readonly',
+        Option: 'readonly'
       }
     },
     rules: {
@@ -27,7 +34,7 @@ export default [
     }
   },
   {
-    files: ['scripts/**/*.js'],
+    files: ['scripts/**/*.js', 'test/**/*.js'],
     languageOptions: {
       ecmaVersion: 'latest',
       sourceType: 'script',
@@ -40,7 +47,61 @@ export default [
         process: 'readonly',
         console: 'readonly',
         Buffer: 'readonly',
-        global: 'readonly'
+        global: 'readonly',
+        fetch: 'readonly',
+        URL: 'readonly',
+        TextEncoder: 'readonly',
+        btoa: 'readonly'
+      }
+    },
+    rules: {
+      'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
+      'no-console': 'off',
+      'no-undef': 'error',
+      'no-redeclare': 'warn',
+      'eqeqeq': ['warn', 'always'],
+      'curly': ['warn', 'all']
+    }
+  },
+  {
+    files: ['src/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      globals: {
+        self: 'readonly',
+        caches: 'readonly',
+        fetch: 'readonly',
+        Response: 'readonly',
+        URL: 'readonly',
+        console: 'readonly'
+      }
+    },
+    rules: {
+      'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
+      'no-console': 'off',
+      'no-undef': 'error',
+      'no-redeclare': 'warn',
+      'eqeqeq': ['warn', 'always'],
+      'curly': ['warn', 'all']
+    }
+  },
+  {
+    files: ['worker/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: {
+        Request: 'readonly',
+        Response: 'readonly',
+        Headers: 'readonly',
+        URL: 'readonly',
+        crypto: 'readonly',
+        console: 'readonly',
+        fetch: 'readonly',
+        atob: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly'
       }
     },
     rules: {
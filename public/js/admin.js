@@ -0,0 +1,597 @@
+/**
+ * Staff Admin JavaScript
+ * Forms on admin.html for editing hours, closures, announcements and specials.
+ * Edits are saved to the Worker (worker/admin.js), which validates them with the same
+ * schema the site build uses and reports problems by field path (e.g. "closures[2].endDate").
+ */
+
+(function() {
+  'use strict';
+
+  var API_BASE = '/admin/api';
+
+  /**
+   * Templates used for the rows of each list, keyed by the value of the [data-add] button
+   */
+  var LIST_TEMPLATES = {
+    announcement: { list: 'announcements', template: 'admin-announcement-template' },
+    closure: { list: 'closures', template: 'admin-closure-template' },
+    pack: { list: 'packs', template: 'admin-pack-template' },
+    item: { list: 'items', template: 'admin-item-template' },
+    footnote: { list: 'footnotes', template: 'admin-footnote-template' }
+  };
+
+  /**
+   * Call the admin API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /admin/api (e.g., "/data/hours")
+   * @param {Object} [body] - JSON request body
+   * @returns {Promise<Object>} - { status, body }
+   */
+  function callAPI(method, path, body) {
+    return fetch(API_BASE + path, {
+      method: method,
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(function(response) {
+      return response.json().then(function(responseBody) {
+        return { status: response.status, body: responseBody };
+      });
+    });
+  }
+
+  /**
+   * Get a named field inside a form row
+   * @param {Element} root - Row element
+   * @param {string} name - Field name
+   * @returns {Element} - Field element
+   */
+  function field(root, name) {
+    return root.querySelector('[name="' + name + '"]');
+  }
+
+  /**
+   * Read a named field and remember its path in the data, so errors can be shown next to it
+   * @param {Element} root - Row element
+   * @param {string} name - Field name
+   * @param {string} path - Path of the value in business data (e.g., "hours[0].open")
+   * @returns {string} - Trimmed field value
+   */
+  function readField(root, name, path) {
+    var element = field(root, name);
+    element.setAttribute('data-path', path);
+    return element.value.trim();
+  }
+
+  /**
+   * Fill the English and French fields of text that can be given per locale
+   * @param {Element} root - Row element
+   * @param {string} name - Name of the English field; the French one has "Fr" added (e.g., "message" and "messageFr")
+   * @param {string|Object} [value] - Plain text, or text per locale as { en, fr }
+   */
+  function fillLocalized(root, name, value) {
+    var text = value && typeof value === 'object' ? value : { en: value };
+    field(root, name).value = text.en || '';
+    field(root, name + 'Fr').value = text.fr || '';
+  }
+
+  /**
+   * Read text that can be given per locale from its English and French fields
+   * @param {Element} root - Row element
+   * @param {string} name - Name of the English field; the French one has "Fr" added
+   * @param {string} path - Path of the value in business data (e.g., "closures[0].name")
+   * @returns {string|Object} - Plain text, or { en, fr } when there is a French version
+   */
+  function readLocalized(root, name, path) {
+    var fr = readField(root, name + 'Fr', path + '.fr');
+    if (!fr) {
+      return readField(root, name, path);
+    }
+    return { en: readField(root, name, path + '.en'), fr: fr };
+  }
+
+  /**
+   * Convert a number field's value, leaving empty fields for the server to report
+   * @param {string} value - Field value
+   * @returns {number|null} - Number, or null when the field is empty
+   */
+  function toNumber(value) {
+    return value === '' ? null : Number(value);
+  }
+
+  /**
+   * Add a row to a list from its template
+   * @param {Element} list - List element ([data-list])
+   * @param {string} type - Row type (a key of LIST_TEMPLATES)
+   * @returns {Element} - The new row
+   */
+  function addRow(list, type) {
+    var template = document.getElementById(LIST_TEMPLATES[type].template);
+    var row = template.content.firstElementChild.cloneNode(true);
+    list.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Get the rows of a list, leaving out rows of lists nested inside them
+   * @param {Element} list - List element ([data-list])
+   * @returns {Element[]} - Row elements
+   */
+  function getRows(list) {
+    return Array.prototype.filter.call(list.children, function(child) {
+      return child.classList.contains('admin-item');
+    });
+  }
+
+  /**
+   * Make an id for a new announcement. Visitors who close a banner are not shown its id again.
+   * @returns {string} - Id like "announcement-mgx2k1c0"
+   */
+  function newAnnouncementId() {
+    return 'announcement-' + Date.now().toString(36);
+  }
+
+  /**
+   * Show or hide the date, Easter or weekday fields of a closure row to match its "When" choice
+   * @param {Element} row - Closure row
+   */
+  function updateClosureWhen(row) {
+    var when = field(row, 'when').value;
+    row.querySelectorAll('[data-when]').forEach(function(element) {
+      element.hidden = element.getAttribute('data-when') !== when;
+    });
+    // Easter and weekday-of-the-month closures always repeat yearly
+    field(row, 'recurring').closest('.admin-check').hidden = when !== 'dates';
+  }
+
+  /**
+   * Editors for each section: fill() puts a value into the form, read() gets it back out
+   */
+  var EDITORS = {
+    announcements: {
+      fill: function(form, announcements) {
+        var list = form.querySelector('[data-list="announcements"]');
+        list.innerHTML = '';
+        announcements.forEach(function(announcement) {
+          var row = addRow(list, 'announcement');
+          var link = announcement.link || {};
+          var pages = announcement.pages || [];
+          field(row, 'id').value = announcement.id;
+          fillLocalized(row, 'message', announcement.message);
+          field(row, 'severity').value = announcement.severity || 'info';
+          field(row, 'startDate').value = announcement.startDate || '';
+          field(row, 'endDate').value = announcement.endDate || '';
+          field(row, 'linkUrl').value = link.url || '';
+          fillLocalized(row, 'linkText', link.text);
+          row.querySelectorAll('[name="pages"]').forEach(function(checkbox) {
+            checkbox.checked = pages.indexOf(checkbox.value) !== -1;
+          });
+        });
+      },
+      read: function(form) {
+        return getRows(form.querySelector('[data-list="announcements"]')).map(function(row, index) {
+          var path = 'announcements[' + index + ']';
+          var announcement = {
+            id: field(row, 'id').value,
+            message: readLocalized(row, 'message', path + '.message')
+          };
+          var severity = field(row, 'severity').value;
+          var startDate = readField(row, 'startDate', path + '.startDate');
+          var endDate = readField(row, 'endDate', path + '.endDate');
+          var linkUrl = readField(row, 'linkUrl', path + '.link.url');
+          var linkText = readLocalized(row, 'linkText', path + '.link.text');
+          var pages = Array.prototype.filter.call(row.querySelectorAll('[name="pages"]'), function(checkbox) {
+            return checkbox.checked;
+          }).map(function(checkbox) {
+            return checkbox.value;
+          });
+          row.setAttribute('data-path', path);
+
+          if (severity !== 'info') {
+            announcement.severity = severity;
+          }
+          if (startDate) {
+            announcement.startDate = startDate;
+          }
+          if (endDate) {
+            announcement.endDate = endDate;
+          }
+          if (linkUrl || linkText) {
+            announcement.link = { url: linkUrl, text: linkText };
+          }
+          if (pages.length > 0) {
+            announcement.pages = pages;
+          }
+          return announcement;
+        });
+      }
+    },
+
+    hours: {
+      fill: function(form, hours) {
+        var tbody = form.querySelector('tbody');
+        tbody.innerHTML = '';
+        hours.forEach(function(hour) {
+          var row = document.createElement('tr');
+          row.innerHTML = '<th scope="row"></th>' +
+            '<td><input type="checkbox" name="closed" class="form-check-input"></td>' +
+            '<td><input type="time" name="open" class="form-control"></td>' +
+            '<td><input type="time" name="close" class="form-control"></td>';
+          row.querySelector('th').textContent = hour.day;
+          field(row, 'closed').setAttribute('aria-label', 'Closed on ' + hour.day);
+          field(row, 'open').setAttribute('aria-label', hour.day + ' opening time');
+          field(row, 'close').setAttribute('aria-label', hour.day + ' closing time');
+          field(row, 'closed').checked = hour.closed;
+          field(row, 'open').value = hour.open || '';
+          field(row, 'close').value = hour.close || '';
+          field(row, 'open').disabled = hour.closed;
+          field(row, 'close').disabled = hour.closed;
+          tbody.appendChild(row);
+        });
+      },
+      read: function(form) {
+        return Array.prototype.map.call(form.querySelectorAll('tbody tr'), function(row, index) {
+          var path = 'hours[' + index + ']';
+          var closed = field(row, 'closed').checked;
+          var open = readField(row, 'open', path + '.open');
+          var close = readField(row, 'close', path + '.close');
+          return {
+            day: row.querySelector('th').textContent,
+            open: closed ? null : open || null,
+            close: closed ? null : close || null,
+            closed: closed
+          };
+        });
+      }
+    },
+
+    closures: {
+      fill: function(form, closures) {
+        var list = form.querySelector('[data-list="closures"]');
+        list.innerHTML = '';
+        closures.forEach(function(closure) {
+          var row = addRow(list, 'closure');
+          fillLocalized(row, 'name', closure.name);
+          fillLocalized(row, 'message', closure.message);
+          field(row, 'when').value = closure.easterOffset !== undefined ? 'easter' : closure.weekday !== undefined ? 'weekday' : 'dates';
+          field(row, 'startDate').value = closure.date || closure.startDate || '';
+          field(row, 'endDate').value = closure.date || closure.endDate || '';
+          field(row, 'easterOffset').value = closure.easterOffset !== undefined ? closure.easterOffset : '';
+          if (closure.weekday !== undefined) {
+            field(row, 'nth').value = closure.nth;
+            field(row, 'weekday').value = closure.weekday;
+            field(row, 'month').value = closure.month;
+          }
+          field(row, 'before').value = closure.before !== undefined ? closure.before : '';
+          field(row, 'recurring').checked = closure.recurring === 'yearly';
+          field(row, 'open').value = closure.open || '';
+          field(row, 'close').value = closure.close || '';
+          updateClosureWhen(row);
+        });
+      },
+      read: function(form) {
+        return getRows(form.querySelector('[data-list="closures"]')).map(function(row, index) {
+          var path = 'closures[' + index + ']';
+          var closure = { name: readLocalized(row, 'name', path + '.name') };
+          var message = readLocalized(row, 'message', path + '.message');
+          var open = readField(row, 'open', path + '.open');
+          var close = readField(row, 'close', path + '.close');
+          row.setAttribute('data-path', path);
+
+          if (message) {
+            closure.message = message;
+          }
+          if (field(row, 'when').value === 'easter') {
+            closure.easterOffset = toNumber(readField(row, 'easterOffset', path + '.easterOffset'));
+          } else if (field(row, 'when').value === 'weekday') {
+            var nth = readField(row, 'nth', path + '.nth');
+            var before = readField(row, 'before', path + '.before');
+            closure.month = toNumber(readField(row, 'month', path + '.month'));
+            closure.weekday = readField(row, 'weekday', path + '.weekday');
+            closure.nth = nth === 'last' ? nth : toNumber(nth);
+            if (before) {
+              closure.before = toNumber(before);
+            }
+          } else {
+            var startDate = field(row, 'startDate').value;
+            var endDate = field(row, 'endDate').value;
+            if (!endDate || endDate === startDate) {
+              closure.date = readField(row, 'startDate', path + '.date');
+            } else {
+              closure.startDate = readField(row, 'startDate', path + '.startDate');
+              closure.endDate = readField(row, 'endDate', path + '.endDate');
+            }
+            if (field(row, 'recurring').checked) {
+              closure.recurring = 'yearly';
+            }
+          }
+          if (open) {
+            closure.open = open;
+          }
+          if (close) {
+            closure.close = close;
+          }
+          return closure;
+        });
+      }
+    },
+
+    specials: {
+      fill: function(form, specials) {
+        var packList = form.querySelector('[data-list="packs"]');
+        var footnoteList = form.querySelector('[data-list="footnotes"]');
+        packList.innerHTML = '';
+        footnoteList.innerHTML = '';
+
+        specials.packs.forEach(function(pack) {
+          var row = addRow(packList, 'pack');
+          var itemList = row.querySelector('[data-list="items"]');
+          field(row, 'packName').value = pack.name;
+          field(row, 'packWeight').value = pack.weight;
+          field(row, 'packPrice').value = pack.price || '';
+          pack.items.forEach(function(item) {
+            var itemRow = addRow(itemList, 'item');
+            field(itemRow, 'weight').value = item.weight;
+            field(itemRow, 'cut').value = item.cut;
+            field(itemRow, 'footnote').value = item.footnote || '';
+          });
+        });
+
+        var footnotes = specials.footnotes || {};
+        Object.keys(footnotes).forEach(function(key) {
+          var row = addRow(footnoteList, 'footnote');
+          field(row, 'key').value = key;
+          field(row, 'text').value = footnotes[key];
+        });
+      },
+      read: function(form) {
+        var footnotes = {};
+        getRows(form.querySelector('[data-list="footnotes"]')).forEach(function(row) {
+          var key = field(row, 'key').value.trim();
+          footnotes[key] = readField(row, 'text', 'specials.footnotes["' + key + '"]');
+        });
+
+        var packs = getRows(form.querySelector('[data-list="packs"]')).map(function(row, index) {
+          var path = 'specials.packs[' + index + ']';
+          var pack = {
+            name: readField(row, 'packName', path + '.name'),
+            weight: toNumber(readField(row, 'packWeight', path + '.weight'))
+          };
+          var price = readField(row, 'packPrice', path + '.price');
+          if (price) {
+            pack.price = Number(price);
+          }
+          var itemList = row.querySelector('[data-list="items"]');
+          itemList.setAttribute('data-path', path + '.items');
+          pack.items = getRows(itemList).map(function(itemRow, itemIndex) {
+            var itemPath = path + '.items[' + itemIndex + ']';
+            var item = {
+              weight: toNumber(readField(itemRow, 'weight', itemPath + '.weight')),
+              cut: readField(itemRow, 'cut', itemPath + '.cut')
+            };
+            var footnote = readField(itemRow, 'footnote', itemPath + '.footnote');
+            if (footnote) {
+              item.footnote = footnote;
+            }
+            return item;
+          });
+          return pack;
+        });
+
+        return { footnotes: footnotes, packs: packs };
+      }
+    }
+  };
+
+  /**
+   * Show a message in a status element
+   * @param {Element} status - Status element
+   * @param {string} type - Bootstrap alert type ("success" or "danger")
+   * @param {string} message - Message text
+   */
+  function showStatus(status, type, message) {
+    status.classList.remove('alert-success', 'alert-danger');
+    status.classList.add('alert', 'alert-' + type);
+    status.textContent = message;
+  }
+
+  /**
+   * Highlight the fields with the given data paths, clearing any other highlights
+   * @param {HTMLFormElement} form - Section form
+   * @param {string[]} paths - Data paths of the invalid fields
+   */
+  function markInvalid(form, paths) {
+    form.querySelectorAll('[data-path]').forEach(function(element) {
+      element.classList.toggle('is-invalid', paths.indexOf(element.getAttribute('data-path')) !== -1);
+    });
+  }
+
+  /**
+   * Highlight the fields a save was rejected for and list the problems
+   * @param {HTMLFormElement} form - Section form
+   * @param {Object[]} errors - Errors from the Worker as { path, message }
+   */
+  function showErrors(form, errors) {
+    markInvalid(form, errors.map(function(error) {
+      return error.path;
+    }));
+
+    var status = form.querySelector('.admin-section-status');
+    showStatus(status, 'danger', 'Not saved. Please fix the following:');
+    var list = document.createElement('ul');
+    errors.forEach(function(error) {
+      var item = document.createElement('li');
+      item.textContent = error.path + ' ' + error.message;
+      list.appendChild(item);
+    });
+    status.appendChild(list);
+  }
+
+  /**
+   * Put a section's current value into its form
+   * @param {HTMLFormElement} form - Section form
+   * @param {Object} section - { value, edited } from the Worker
+   */
+  function fillSection(form, section) {
+    EDITORS[form.getAttribute('data-section')].fill(form, section.value);
+    form.querySelector('.admin-section-source').textContent = section.edited ?
+      'Edited on this page' : 'Same as business-data.js';
+    form.querySelector('.admin-revert').disabled = !section.edited;
+  }
+
+  /**
+   * Show when the data was last saved and published next to the publish button
+   * @param {Object} data - { updatedAt, publishedAt } from the Worker
+   */
+  function showPublishState(data) {
+    var status = document.querySelector('.admin-publish-status');
+    if (!data.updatedAt) {
+      status.textContent = 'No edits yet.';
+    } else if (data.publishedAt && data.publishedAt >= data.updatedAt) {
+      status.textContent = 'All changes published ' + new Date(data.publishedAt).toLocaleString() + '.';
+    } else {
+      status.textContent = 'Changes saved ' + new Date(data.updatedAt).toLocaleString() + ' are not published yet.';
+    }
+  }
+
+  /**
+   * Set up a section form: list buttons, save and undo
+   * @param {HTMLFormElement} form - Section form
+   * @param {Function} reload - Reloads all sections from the Worker
+   */
+  function initSectionForm(form, reload) {
+    var name = form.getAttribute('data-section');
+    var status = form.querySelector('.admin-section-status');
+
+    form.addEventListener('click', function(event) {
+      var addButton = event.target.closest('[data-add]');
+      var removeButton = event.target.closest('[data-remove]');
+      if (addButton) {
+        var type = addButton.getAttribute('data-add');
+        var container = type === 'item' ? addButton.closest('.admin-item') : form;
+        var row = addRow(container.querySelector('[data-list="' + LIST_TEMPLATES[type].list + '"]'), type);
+        if (type === 'pack') {
+          addRow(row.querySelector('[data-list="items"]'), 'item');
+        }
+        if (type === 'closure') {
+          updateClosureWhen(row);
+        }
+        if (type === 'announcement') {
+          field(row, 'id').value = newAnnouncementId();
+        }
+      } else if (removeButton) {
+        removeButton.closest('.admin-item').remove();
+      }
+    });
+
+    form.addEventListener('change', function(event) {
+      if (event.target.name === 'when') {
+        updateClosureWhen(event.target.closest('.admin-item'));
+      } else if (event.target.name === 'closed') {
+        var row = event.target.closest('tr');
+        field(row, 'open').disabled = event.target.checked;
+        field(row, 'close').disabled = event.target.checked;
+      }
+    });
+
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      callAPI('PUT', '/data/' + name, { value: EDITORS[name].read(form) })
+        .then(function(response) {
+          if (response.body.ok) {
+            markInvalid(form, []);
+            showStatus(status, 'success', 'Saved. Press "Publish changes" to update the site.');
+            return reload();
+          }
+          if (response.body.errors) {
+            showErrors(form, response.body.errors);
+          } else {
+            showStatus(status, 'danger', response.body.error || 'Something went wrong.');
+          }
+        })
+        .catch(function(error) {
+          console.error('Error saving ' + name + ':', error);
+          showStatus(status, 'danger', 'Sorry, your changes couldn\'t be saved. Please try again.');
+        });
+    });
+
+    form.querySelector('.admin-revert').addEventListener('click', function() {
+      if (!window.confirm('Undo all edits to this section and go back to business-data.js?')) {
+        return;
+      }
+      callAPI('DELETE', '/data/' + name)
+        .then(function() {
+          showStatus(status, 'success', 'Edits undone. Press "Publish changes" to update the site.');
+          return reload();
+        })
+        .catch(function(error) {
+          console.error('Error undoing ' + name + ':', error);
+          showStatus(status, 'danger', 'Sorry, something went wrong. Please try again.');
+        });
+    });
+  }
+
+  /**
+   * Initialize the admin page
+   */
+  function init() {
+    var forms = document.querySelectorAll('.admin-section');
+    var publishButton = document.getElementById('admin-publish');
+    var publishStatus = document.querySelector('.admin-publish-status');
+    if (!forms.length || typeof fetch === 'undefined') {
+      return;
+    }
+
+    var reload = function() {
+      return callAPI('GET', '/data').then(function(response) {
+        forms.forEach(function(form) {
+          fillSection(form, response.body.sections[form.getAttribute('data-section')]);
+        });
+        showPublishState(response.body);
+      });
+    };
+
+    forms.forEach(function(form) {
+      initSectionForm(form, reload);
+    });
+
+    publishButton.addEventListener('click', function() {
+      publishButton.disabled = true;
+      callAPI('POST', '/publish')
+        .then(function(response) {
+          if (response.body.ok) {
+            showPublishState(response.body);
+            publishStatus.textContent += ' The site is rebuilding and will update in a few minutes.';
+          } else {
+            publishStatus.textContent = response.body.error || 'Publishing failed.';
+          }
+        })
+        .catch(function(error) {
+          console.error('Error publishing:', error);
+          publishStatus.textContent = 'Publishing failed. Please try again.';
+        })
+        .then(function() {
+          publishButton.disabled = false;
+        });
+    });
+
+    reload()
+      .then(function() {
+        forms.forEach(function(form) {
+          form.querySelector('fieldset').disabled = false;
+        });
+        publishButton.disabled = false;
+      })
+      .catch(function(error) {
+        console.error('Error loading admin data:', error);
+        publishStatus.textContent = 'Sorry, the current settings couldn\'t be loaded. Please reload the page.';
+      });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -30,12 +30,12 @@
 
   /**
    * Initialize carousel with custom settings
-   * @param {string} carouselId - ID of the carousel element
+   * @param {Element|string} element - Carousel element, or a selector for it
    * @param {Object} options - Carousel options (interval, wrap, etc.)
    */
-  function initCarousel(carouselId, options) {
+  function initCarousel(element, options) {
     try {
-      var carouselElement = document.querySelector(carouselId);
+      var carouselElement = typeof element === 'string' ? document.querySelector(element) : element;
       if (carouselElement && typeof bootstrap !== 'undefined' && bootstrap.Carousel) {
         var defaultOptions = {
           interval: 5000,
@@ -58,7 +58,7 @@
   function updateCopyrightYear() {
     try {
       var copyrightElements = document.querySelectorAll('.copyright-year');
-      var currentYear = new Date().getFullYear();
+      var currentYear = getShopNow(SHOP_TIMEZONE).date.slice(0, 4);
       copyrightElements.forEach(function(element) {
         element.textContent = currentYear;
       });
@@ -67,6 +67,1116 @@
     }
   }
 
+  /**
+   * Shop timezone - hours and closures are always evaluated in this timezone.
+   * The build puts it on the <html> element from business-data.js.
+   */
+  var SHOP_TIMEZONE = document.documentElement.getAttribute('data-timezone') || 'America/Toronto';
+
+  // Weekday names as in data/hours.json
+  var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  /**
+   * Language of the page: the build sets <html lang> to "en-CA" or "fr-CA" (scripts/i18n.js)
+   */
+  var LOCALE = document.documentElement.lang.slice(0, 2) === 'fr' ? 'fr' : 'en';
+
+  /**
+   * Messages and date names shown by this script, by language. {name} placeholders are filled in by translate().
+   */
+  var STRINGS = {
+    en: {
+      days: DAY_NAMES,
+      months: ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'],
+      today: 'today',
+      tomorrow: 'tomorrow',
+      openNow: 'Open now · closes {time}',
+      closedOpens: 'Closed · opens {day} {time}',
+      closed: 'Closed',
+      callUs: 'Please try again or give us a call.',
+      somethingWentWrong: 'Something went wrong.',
+      chooseService: 'Choose delivered meals or a catered event',
+      enterEventDate: 'Enter the event date',
+      eventDatePast: 'The event date is in the past',
+      enterGuests: 'Enter a number of guests between 1 and 1000',
+      enterName: 'Enter your name',
+      enterEmail: 'Enter a valid email address',
+      enterPhone: 'Enter a valid phone number',
+      enterContactPhone: 'Enter a phone number we can reach you at',
+      quoteSent: 'Thanks! Your quote request has been sent. We\'ll be in touch soon.',
+      quoteFailed: 'Sorry, we couldn\'t send your request.',
+      choosePack: 'Choose a pack',
+      addCut: 'Add at least one cut to your pack',
+      chooseCutWeight: 'Choose a cut and a weight in lbs for each line',
+      choosePickupDay: 'Choose a pickup day',
+      choosePickupTime: 'Choose a pickup time',
+      chooseTime: 'Choose a time…',
+      chooseDayFirst: 'Choose a day first',
+      full: '(full)',
+      orderingUnavailable: 'Sorry, online ordering isn\'t available right now. Please give us a call to order.',
+      orderFailed: 'Sorry, we couldn\'t place your order.',
+      pickupAt: '{date} at {time}',
+      itemWeight: '{weight} lb {cut}',
+      chooseQuantities: 'Choose how many of each item you would like',
+      soldOut: '(sold out)',
+      onlyLeft: '(only {count} left)',
+      productsShown: '{count} of {total} products',
+      noProducts: 'No products match your search.',
+      agreeToEmails: 'Tick the box to agree to receive our emails',
+      newsletterSent: 'Thanks! Check your inbox for the link to confirm your subscription.',
+      newsletterFailed: 'Sorry, we couldn\'t sign you up.'
+    },
+    fr: {
+      days: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+      months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+        'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+      today: 'aujourd’hui',
+      tomorrow: 'demain',
+      openNow: 'Ouvert · ferme à {time}',
+      closedOpens: 'Fermé · ouvre {day} à {time}',
+      closed: 'Fermé',
+      callUs: 'Veuillez réessayer ou nous téléphoner.',
+      somethingWentWrong: 'Une erreur s’est produite.',
+      chooseService: 'Choisissez les repas livrés ou un événement avec traiteur',
+      enterEventDate: 'Entrez la date de l’événement',
+      eventDatePast: 'La date de l’événement est passée',
+      enterGuests: 'Entrez un nombre d’invités entre 1 et 1000',
+      enterName: 'Entrez votre nom',
+      enterEmail: 'Entrez une adresse courriel valide',
+      enterPhone: 'Entrez un numéro de téléphone valide',
+      enterContactPhone: 'Entrez un numéro de téléphone où vous joindre',
+      quoteSent: 'Merci! Votre demande de soumission a été envoyée. Nous vous répondrons bientôt.',
+      quoteFailed: 'Désolé, nous n’avons pas pu envoyer votre demande.',
+      choosePack: 'Choisissez un forfait',
+      addCut: 'Ajoutez au moins une coupe à votre forfait',
+      chooseCutWeight: 'Choisissez une coupe et un poids en livres pour chaque ligne',
+      choosePickupDay: 'Choisissez un jour de cueillette',
+      choosePickupTime: 'Choisissez une heure de cueillette',
+      chooseTime: 'Choisissez une heure…',
+      chooseDayFirst: 'Choisissez d’abord un jour',
+      full: '(complet)',
+      orderingUnavailable: 'Désolé, la commande en ligne n’est pas disponible pour le moment. Veuillez nous téléphoner pour commander.',
+      orderFailed: 'Désolé, nous n’avons pas pu passer votre commande.',
+      pickupAt: '{date} à {time}',
+      itemWeight: '{weight} lb de {cut}',
+      chooseQuantities: 'Choisissez combien de chaque article vous voulez',
+      soldOut: '(épuisé)',
+      onlyLeft: '(plus que {count})',
+      productsShown: '{count} sur {total} produits',
+      noProducts: 'Aucun produit ne correspond à votre recherche.',
+      agreeToEmails: 'Cochez la case pour accepter de recevoir nos courriels',
+      newsletterSent: 'Merci! Vérifiez votre boîte de réception pour le lien qui confirme votre abonnement.',
+      newsletterFailed: 'Désolé, nous n’avons pas pu vous abonner.'
+    }
+  };
+
+  /**
+   * Get a message in the page's language
+   * @param {string} key - Message name (a key of STRINGS.en)
+   * @param {Object} [values] - Values for its {name} placeholders
+   * @returns {string} - Message
+   */
+  function translate(key, values) {
+    return STRINGS[LOCALE][key].replace(/\{(\w+)\}/g, function(match, name) {
+      return values && name in values ? values[name] : match;
+    });
+  }
+
+  /**
+   * Get the current date and time in the shop's timezone, whatever timezone the visitor is in
+   * @param {string} timeZone - IANA timezone name (e.g., "America/Toronto")
+   * @returns {Object} - { date: "YYYY-MM-DD", time: "HH:MM" }
+   */
+  function getShopNow(timeZone) {
+    var parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date()).forEach(function(part) {
+      parts[part.type] = part.value;
+    });
+    return {
+      date: parts.year + '-' + parts.month + '-' + parts.day,
+      time: parts.hour + ':' + parts.minute
+    };
+  }
+
+  /**
+   * Add a number of days to a calendar date
+   * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+   * @param {number} days - Number of days to add
+   * @returns {string} - Resulting date in ISO format (YYYY-MM-DD)
+   */
+  function addDays(dateStr, days) {
+    var parts = dateStr.split('-');
+    var date = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]) + days));
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the weekday name for a calendar date (e.g., "Tuesday")
+   * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+   * @returns {string} - Weekday name
+   */
+  function getDayName(dateStr) {
+    var parts = dateStr.split('-');
+    return DAY_NAMES[new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]))).getUTCDay()];
+  }
+
+  /**
+   * Format a 24-hour time in the page's language. Mirrors formatTime() in scripts/i18n.js.
+   * @param {string} time24 - Time in 24-hour format (e.g., "17:00")
+   * @returns {string} - Formatted time (e.g., "5:00 pm" in English, "17 h" in French)
+   */
+  function formatTime(time24) {
+    var parts = time24.split(':');
+    var hour = parseInt(parts[0], 10);
+    if (LOCALE === 'fr') {
+      return hour + ' h' + (parts[1] === '00' ? '' : ' ' + parts[1]);
+    }
+    return (hour % 12 || 12) + ':' + parts[1] + ' ' + (hour >= 12 ? 'pm' : 'am');
+  }
+
+  /**
+   * Format a number in the page's language (French uses a decimal comma)
+   * @param {number} number - Number to format
+   * @returns {string} - Formatted number (e.g., "2.5" in English, "2,5" in French)
+   */
+  function formatNumber(number) {
+    return LOCALE === 'fr' ? String(number).replace('.', ',') : String(number);
+  }
+
+  /**
+   * Get the weekday name of a calendar date in the page's language
+   * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+   * @returns {string} - Weekday name (e.g., "Tuesday" or "mardi")
+   */
+  function getDayLabel(dateStr) {
+    return STRINGS[LOCALE].days[DAY_NAMES.indexOf(getDayName(dateStr))];
+  }
+
+  /**
+   * Get the effective hours for a date, applying closures and special hours over the regular hours.
+   * Mirrors getDayHours() in scripts/update-business-data.js.
+   * @param {Object} data - Hours data from data/hours.json
+   * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+   * @returns {Object} - { closed, open, close, closure } where closure is the matching entry or null
+   */
+  function getDayHours(data, dateStr) {
+    var dayName = getDayName(dateStr);
+    var regular = data.hours.filter(function(hour) {
+      return hour.day === dayName;
+    })[0];
+    var matches = data.closures.filter(function(closure) {
+      return closure.startDate <= dateStr && closure.endDate >= dateStr;
+    });
+    var closure = matches.filter(function(entry) {
+      return !entry.close;
+    })[0] || matches[0] || null;
+
+    if (!closure) {
+      return { closed: regular.closed, open: regular.open, close: regular.close, closure: null };
+    }
+    var open = closure.open || (regular.closed ? null : regular.open);
+    if (!closure.close || !open) {
+      return { closed: true, open: null, close: null, closure: closure };
+    }
+    return { closed: false, open: open, close: closure.close, closure: closure };
+  }
+
+  /**
+   * Describe a day relative to today (e.g., "today", "tomorrow", "Tuesday", "Tuesday, February 3")
+   * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+   * @param {string} today - Today's date in ISO format (YYYY-MM-DD)
+   * @returns {string} - Day description
+   */
+  function describeDay(dateStr, today) {
+    if (dateStr === today) {
+      return translate('today');
+    }
+    if (dateStr === addDays(today, 1)) {
+      return translate('tomorrow');
+    }
+    if (dateStr <= addDays(today, 6)) {
+      return getDayLabel(dateStr);
+    }
+    return formatLongDate(dateStr);
+  }
+
+  /**
+   * Format a calendar date with its weekday (e.g., "Tuesday, February 3" in English, "mardi 3 février" in French)
+   * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+   * @returns {string} - Formatted date
+   */
+  function formatLongDate(dateStr) {
+    var parts = dateStr.split('-');
+    var day = Number(parts[2]);
+    var month = STRINGS[LOCALE].months[Number(parts[1]) - 1];
+    if (LOCALE === 'fr') {
+      return getDayLabel(dateStr) + ' ' + (day === 1 ? '1er' : day) + ' ' + month;
+    }
+    return getDayLabel(dateStr) + ', ' + month + ' ' + day;
+  }
+
+  /**
+   * Work out whether the shop is open right now and what to tell the visitor
+   * @param {Object} data - Hours data from data/hours.json
+   * @param {Object} now - Current shop date and time from getShopNow()
+   * @returns {Object} - { open: boolean, text: string }
+   */
+  function getOpenStatus(data, now) {
+    var today = getDayHours(data, now.date);
+
+    if (!today.closed && now.time >= today.open && now.time < today.close) {
+      return { open: true, text: translate('openNow', { time: formatTime(today.close) }) };
+    }
+    if (today.closed && today.closure) {
+      return { open: false, text: today.closure.message };
+    }
+
+    for (var i = 0; i <= 366; i++) {
+      var date = addDays(now.date, i);
+      var hours = i === 0 ? today : getDayHours(data, date);
+      if (!hours.closed && (i > 0 || now.time < hours.open)) {
+        return { open: false, text: translate('closedOpens', { day: describeDay(date, now.date), time: formatTime(hours.open) }) };
+      }
+    }
+    return { open: false, text: translate('closed') };
+  }
+
+  /**
+   * Show a live "Open now" / "Closed" badge in the address bar, refreshed every minute
+   */
+  function initStatusBadge() {
+    var addressBar = document.querySelector('.address-bar');
+    if (!addressBar || typeof fetch === 'undefined') {
+      return;
+    }
+
+    fetch('data/hours.json')
+      .then(function(response) {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(function(data) {
+        var badge = document.createElement('span');
+        badge.className = 'status-badge';
+        badge.setAttribute('role', 'status');
+        addressBar.appendChild(badge);
+
+        var render = function() {
+          var status = getOpenStatus(data, getShopNow(data.timezone || SHOP_TIMEZONE));
+          badge.textContent = status.text;
+          badge.classList.toggle('status-badge-open', status.open);
+          badge.classList.toggle('status-badge-closed', !status.open);
+        };
+        render();
+        setInterval(render, 60000);
+      })
+      .catch(function(error) {
+        console.error('Error loading hours for status badge:', error);
+      });
+  }
+
+  /**
+   * Hide closure notices whose closure has already ended.
+   * The HTML is only regenerated when the update script runs, so a notice can outlive its closure.
+   */
+  function hideExpiredClosureNotices() {
+    try {
+      var today = getShopNow(SHOP_TIMEZONE).date;
+      document.querySelectorAll('[data-closure-end]').forEach(function(element) {
+        if (element.getAttribute('data-closure-end') < today) {
+          element.hidden = true;
+        }
+      });
+      document.querySelectorAll('[data-closed-until]').forEach(function(table) {
+        if (table.getAttribute('data-closed-until') < today) {
+          table.classList.remove('is-closed');
+          if (table.caption) {
+            table.caption.hidden = true;
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error hiding expired closure notices:', error);
+    }
+  }
+
+  var DISMISSED_ANNOUNCEMENTS_KEY = 'dismissedAnnouncements';
+
+  /**
+   * Get the ids of the announcements this visitor has dismissed
+   * @returns {string[]} - Announcement ids
+   */
+  function getDismissedAnnouncements() {
+    try {
+      var ids = JSON.parse(localStorage.getItem(DISMISSED_ANNOUNCEMENTS_KEY) || '[]');
+      return Array.isArray(ids) ? ids : [];
+    } catch (error) {
+      // Storage is blocked or holds something else: nothing has been dismissed
+      console.error('Error reading dismissed announcements:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Show the announcement banners that are on today and haven't been dismissed, and let
+   * visitors dismiss them. The banners are only rebuilt when the site is, so their dates are
+   * checked here too.
+   */
+  function initAnnouncements() {
+    try {
+      var today = getShopNow(SHOP_TIMEZONE).date;
+      var dismissed = getDismissedAnnouncements();
+      document.querySelectorAll('[data-announcement-id]').forEach(function(banner) {
+        var id = banner.getAttribute('data-announcement-id');
+        var start = banner.getAttribute('data-start');
+        var end = banner.getAttribute('data-end');
+        banner.hidden = (start && start > today) || (end && end < today) || dismissed.indexOf(id) !== -1;
+
+        var button = banner.querySelector('.announcement-dismiss');
+        if (!button) {
+          return;
+        }
+        button.hidden = false;
+        button.addEventListener('click', function() {
+          banner.hidden = true;
+          var ids = getDismissedAnnouncements();
+          if (ids.indexOf(id) === -1) {
+            ids.push(id);
+          }
+          try {
+            localStorage.setItem(DISMISSED_ANNOUNCEMENTS_KEY, JSON.stringify(ids));
+          } catch (error) {
+            // Storage is full or blocked: the banner stays hidden until the next page
+            console.error('Error saving dismissed announcement:', error);
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Error initializing announcements:', error);
+    }
+  }
+
+  /**
+   * Load the Google Maps embed into the map placeholder only when the visitor asks for it,
+   * so nothing is loaded from Google before then (contact page)
+   */
+  function initMapFacade() {
+    try {
+      document.querySelectorAll('.map-facade[data-map-src]').forEach(function(facade) {
+        var button = facade.querySelector('.map-facade-load');
+        var note = facade.querySelector('.map-facade-note');
+        if (!button) {
+          return;
+        }
+        button.hidden = false;
+        if (note) {
+          note.hidden = false;
+        }
+
+        button.addEventListener('click', function() {
+          var iframe = document.createElement('iframe');
+          iframe.src = facade.getAttribute('data-map-src');
+          iframe.title = facade.getAttribute('data-map-title');
+          iframe.setAttribute('allowfullscreen', '');
+          iframe.setAttribute('referrerpolicy', 'no-referrer-when-downgrade');
+          facade.replaceChildren(iframe);
+          facade.classList.add('map-facade-loaded');
+          iframe.focus();
+        });
+      });
+    } catch (error) {
+      console.error('Error initializing map:', error);
+    }
+  }
+
+  /**
+   * Filter the products catalog by species and by cut name as the visitor types (products page).
+   * Without this script every product is listed and the filter form stays hidden.
+   */
+  function initProductFilter() {
+    try {
+      var form = document.querySelector('.product-filter');
+      if (!form) {
+        return;
+      }
+      var species = form.querySelector('#product-species');
+      var search = form.querySelector('#product-search');
+      var count = document.querySelector('.product-count');
+      var products = document.querySelectorAll('.product');
+
+      var update = function() {
+        var words = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+        var shown = 0;
+        products.forEach(function(product) {
+          var names = product.getAttribute('data-names');
+          var matches = (!species.value || product.getAttribute('data-species') === species.value) &&
+            words.every(function(word) {
+              return names.indexOf(word) !== -1;
+            });
+          product.hidden = !matches;
+          shown += matches ? 1 : 0;
+        });
+        count.textContent = shown === 0 ? translate('noProducts') : translate('productsShown', { count: shown, total: products.length });
+      };
+
+      form.hidden = false;
+      form.addEventListener('input', update);
+      form.addEventListener('submit', function(event) {
+        event.preventDefault();
+      });
+      update();
+    } catch (error) {
+      console.error('Error initializing product filter:', error);
+    }
+  }
+
+  /**
+   * Validate the quote request form. Mirrors validateQuote() in worker/quote.js,
+   * which has the final say.
+   * @param {Object} values - Form values by field name
+   * @param {string} today - Today's date in the shop's timezone (YYYY-MM-DD)
+   * @returns {Object} - Error messages by field name (empty when valid)
+   */
+  function validateQuoteForm(values, today) {
+    var errors = {};
+    if (!values.serviceType) {
+      errors.serviceType = translate('chooseService');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values.eventDate)) {
+      errors.eventDate = translate('enterEventDate');
+    } else if (values.eventDate < today) {
+      errors.eventDate = translate('eventDatePast');
+    }
+    var guests = Number(values.guestCount);
+    if (!/^\d+$/.test(values.guestCount) || guests < 1 || guests > 1000) {
+      errors.guestCount = translate('enterGuests');
+    }
+    if (!values.name) {
+      errors.name = translate('enterName');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+      errors.email = translate('enterEmail');
+    }
+    if (values.phone && !/^[0-9+().\-\s]{7,20}$/.test(values.phone)) {
+      errors.phone = translate('enterPhone');
+    }
+    return errors;
+  }
+
+  /**
+   * Show a message above a form
+   * @param {Element} status - Status element
+   * @param {string} type - Bootstrap alert type ("success" or "danger")
+   * @param {string} message - Message text
+   */
+  function showFormStatus(status, type, message) {
+    status.classList.remove('alert-success', 'alert-danger');
+    status.classList.add('alert', 'alert-' + type);
+    status.textContent = message;
+  }
+
+  /**
+   * Show field errors next to their fields ([data-error-for] elements) and focus the first invalid field
+   * @param {HTMLFormElement} form - Form
+   * @param {Object} errors - Error messages by field name
+   */
+  function showFormErrors(form, errors) {
+    form.querySelectorAll('[data-error-for]').forEach(function(feedback) {
+      var name = feedback.getAttribute('data-error-for');
+      var field = form.elements[name];
+      feedback.textContent = errors[name] || '';
+      // Some errors (e.g. custom pack items) belong to a group of fields rather than one field
+      if (field && field.classList) {
+        field.classList.toggle('is-invalid', Boolean(errors[name]));
+        field.setAttribute('aria-invalid', errors[name] ? 'true' : 'false');
+      }
+    });
+    var firstInvalid = form.querySelector('.is-invalid');
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+  }
+
+  /**
+   * Initialize the quote request form - validate, then submit to the Worker without leaving the page
+   */
+  function initQuoteForm() {
+    var form = document.getElementById('quote-form');
+    if (!form || typeof fetch === 'undefined') {
+      return;
+    }
+    var status = document.querySelector('.quote-form-status');
+    var submitButton = form.querySelector('[type="submit"]');
+    var callUs = translate('callUs');
+
+    // Result of a plain (non-JavaScript) form post, redirected back here by the Worker
+    var result = new URLSearchParams(window.location.search).get('quote');
+    if (result === 'sent') {
+      showFormStatus(status, 'success', translate('quoteSent'));
+    } else if (result === 'error') {
+      showFormStatus(status, 'danger', translate('quoteFailed') + ' ' + callUs);
+    }
+
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      // The server answers in the page's language
+      var values = { lang: LOCALE };
+      new FormData(form).forEach(function(value, name) {
+        values[name] = String(value).trim();
+      });
+
+      var errors = validateQuoteForm(values, getShopNow(SHOP_TIMEZONE).date);
+      showFormErrors(form, errors);
+      if (Object.keys(errors).length > 0) {
+        return;
+      }
+
+      submitButton.disabled = true;
+      fetch(form.action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(values)
+      })
+        .then(function(response) {
+          return response.json().then(function(body) {
+            return { status: response.status, body: body };
+          });
+        })
+        .then(function(response) {
+          if (response.body.ok) {
+            form.reset();
+            showFormStatus(status, 'success', translate('quoteSent'));
+          } else if (response.body.errors) {
+            showFormErrors(form, response.body.errors);
+          } else {
+            showFormStatus(status, 'danger', (response.body.error || translate('somethingWentWrong')) + ' ' + callUs);
+          }
+        })
+        .catch(function(error) {
+          console.error('Error sending quote request:', error);
+          showFormStatus(status, 'danger', translate('quoteFailed') + ' ' + callUs);
+        })
+        .then(function() {
+          submitButton.disabled = false;
+        });
+    });
+  }
+
+  /**
+   * Initialize the newsletter signup in the footer - check the email address and consent,
+   * then submit to the Worker (worker/newsletter.js), which emails a link to confirm
+   */
+  function initNewsletterForm() {
+    var form = document.getElementById('newsletter');
+    if (!form || typeof fetch === 'undefined') {
+      return;
+    }
+    var status = form.querySelector('.newsletter-form-status');
+    var submitButton = form.querySelector('[type="submit"]');
+
+    // Result of a plain (non-JavaScript) form post, redirected back here by the Worker
+    var result = new URLSearchParams(window.location.search).get('newsletter');
+    if (result === 'sent') {
+      showFormStatus(status, 'success', translate('newsletterSent'));
+    } else if (result === 'error') {
+      showFormStatus(status, 'danger', translate('newsletterFailed') + ' ' + translate('callUs'));
+    }
+
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      var values = {
+        email: form.elements.email.value.trim(),
+        consent: form.elements.consent.checked ? 'yes' : '',
+        lang: form.elements.lang.value,
+        website: form.elements.website.value
+      };
+
+      var errors = {};
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        errors.email = translate('enterEmail');
+      }
+      if (!values.consent) {
+        errors.consent = translate('agreeToEmails');
+      }
+      showFormErrors(form, errors);
+      if (Object.keys(errors).length > 0) {
+        return;
+      }
+
+      submitButton.disabled = true;
+      fetch(form.action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(values)
+      })
+        .then(function(response) {
+          return response.json();
+        })
+        .then(function(body) {
+          if (body.ok) {
+            form.reset();
+            showFormStatus(status, 'success', translate('newsletterSent'));
+          } else if (body.errors) {
+            showFormErrors(form, body.errors);
+          } else {
+            showFormStatus(status, 'danger', translate('newsletterFailed') + ' ' + translate('callUs'));
+          }
+        })
+        .catch(function(error) {
+          console.error('Error signing up for the newsletter:', error);
+          showFormStatus(status, 'danger', translate('newsletterFailed') + ' ' + translate('callUs'));
+        })
+        .then(function() {
+          submitButton.disabled = false;
+        });
+    });
+  }
+
+  /**
+   * Show what happened on the newsletter page, where links in our emails lead
+   * (?status=confirmed, unsubscribe, unsubscribed or invalid, set by worker/newsletter.js)
+   */
+  function initNewsletterStatus() {
+    var blocks = document.querySelectorAll('[data-newsletter-status]');
+    var params = new URLSearchParams(window.location.search);
+    var result = params.get('status');
+    var shown = false;
+    blocks.forEach(function(block) {
+      block.hidden = block.getAttribute('data-newsletter-status') !== result;
+      shown = shown || !block.hidden;
+    });
+    var fallback = document.querySelector('.newsletter-status-fallback');
+    if (fallback && shown) {
+      fallback.hidden = true;
+    }
+    // The unsubscribe button posts the token from the link in the email
+    var token = document.querySelector('.newsletter-unsubscribe-form [name="token"]');
+    if (token) {
+      token.value = params.get('token') || '';
+    }
+  }
+
+  /**
+   * Validate the order form. Mirrors validateOrder() in worker/orders.js,
+   * which has the final say (including whether the pickup slot is still free).
+   * @param {Object} values - Form values by field name; items is an array of { cut, weight } for custom packs
+   * @returns {Object} - Error messages by field name (empty when valid)
+   */
+  function validateOrderForm(values) {
+    var errors = {};
+    if (!values.pack) {
+      errors.pack = translate('choosePack');
+    } else if (values.pack === 'custom') {
+      var invalidItem = values.items.some(function(item) {
+        return !item.cut || !/^\d+$/.test(item.weight) || Number(item.weight) < 1;
+      });
+      if (values.items.length === 0) {
+        errors.items = translate('addCut');
+      } else if (invalidItem) {
+        errors.items = translate('chooseCutWeight');
+      }
+    }
+    if (!values.pickupDate) {
+      errors.pickupDate = translate('choosePickupDay');
+    }
+    if (!values.pickupTime) {
+      errors.pickupTime = translate('choosePickupTime');
+    }
+    if (!values.name) {
+      errors.name = translate('enterName');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+      errors.email = translate('enterEmail');
+    }
+    if (!/^[0-9+().\-\s]{7,20}$/.test(values.phone)) {
+      errors.phone = translate('enterContactPhone');
+    }
+    return errors;
+  }
+
+  /**
+   * Initialize the freezer-pack order form - pack choice, custom pack builder and pickup slot booking
+   */
+  function initOrderForm() {
+    var form = document.getElementById('order-form');
+    if (!form || typeof fetch === 'undefined') {
+      return;
+    }
+    var status = document.querySelector('.order-form-status');
+    var fieldset = form.querySelector('fieldset');
+    var submitButton = form.querySelector('[type="submit"]');
+    var custom = form.querySelector('.order-custom');
+    var customItems = form.querySelector('.order-custom-items');
+    var itemTemplate = document.getElementById('order-item-template');
+    var callUs = translate('callUs');
+    var days = [];
+
+    var addItem = function() {
+      customItems.appendChild(itemTemplate.content.cloneNode(true));
+    };
+
+    var showCustom = function() {
+      custom.hidden = form.elements.pack.value !== 'custom';
+      if (!custom.hidden && !customItems.children.length) {
+        addItem();
+      }
+    };
+
+    var fillTimes = function() {
+      var select = form.elements.pickupTime;
+      var day = days.filter(function(entry) {
+        return entry.date === form.elements.pickupDate.value;
+      })[0];
+      select.innerHTML = '';
+      select.appendChild(new Option(translate(day ? 'chooseTime' : 'chooseDayFirst'), ''));
+      (day ? day.times : []).forEach(function(slot) {
+        var option = new Option(formatTime(slot.time) + (slot.available ? '' : ' ' + translate('full')), slot.time);
+        option.disabled = !slot.available;
+        select.appendChild(option);
+      });
+    };
+
+    var loadSlots = function() {
+      return fetch('/api/order/slots', { headers: { 'Accept': 'application/json' } })
+        .then(function(response) {
+          if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+          }
+          return response.json();
+        })
+        .then(function(body) {
+          var select = form.elements.pickupDate;
+          var selected = select.value;
+          days = body.days;
+          select.length = 1;
+          days.forEach(function(day) {
+            var full = !day.times.some(function(slot) {
+              return slot.available;
+            });
+            var option = new Option(formatLongDate(day.date) + (full ? ' ' + translate('full') : ''), day.date);
+            option.disabled = full;
+            select.appendChild(option);
+          });
+          select.value = selected;
+          fillTimes();
+        });
+    };
+
+    // Packs link here from the specials page as order.html?pack=<name>
+    var requestedPack = new URLSearchParams(window.location.search).get('pack');
+    if (requestedPack) {
+      form.elements.pack.value = requestedPack;
+    }
+    showCustom();
+
+    form.elements.pack.addEventListener('change', showCustom);
+    form.elements.pickupDate.addEventListener('change', fillTimes);
+    form.querySelector('.order-add-item').addEventListener('click', addItem);
+    customItems.addEventListener('click', function(event) {
+      var removeButton = event.target.closest('.order-remove-item');
+      if (removeButton) {
+        removeButton.closest('.order-item').remove();
+      }
+    });
+
+    loadSlots()
+      .then(function() {
+        fieldset.disabled = false;
+      })
+      .catch(function(error) {
+        console.error('Error loading pickup times:', error);
+        showFormStatus(status, 'danger', translate('orderingUnavailable'));
+      });
+
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      var values = { items: [], lang: LOCALE };
+      ['pack', 'pickupDate', 'pickupTime', 'name', 'email', 'phone', 'notes', 'website'].forEach(function(name) {
+        values[name] = form.elements[name].value.trim();
+      });
+      if (values.pack === 'custom') {
+        customItems.querySelectorAll('.order-item').forEach(function(row) {
+          values.items.push({
+            cut: row.querySelector('[name="cut"]').value,
+            weight: row.querySelector('[name="weight"]').value.trim()
+          });
+        });
+      }
+
+      var errors = validateOrderForm(values);
+      showFormErrors(form, errors);
+      if (Object.keys(errors).length > 0) {
+        return;
+      }
+
+      submitButton.disabled = true;
+      fetch(form.action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(values)
+      })
+        .then(function(response) {
+          return response.json().then(function(body) {
+            return { status: response.status, body: body };
+          });
+        })
+        .then(function(response) {
+          if (response.body.ok) {
+            window.location.href = 'order-confirmation.html?ref=' + encodeURIComponent(response.body.reference);
+            return;
+          }
+          if (response.body.errors) {
+            showFormErrors(form, response.body.errors);
+            // The chosen slot may have filled up in the meantime
+            if (response.status === 409) {
+              loadSlots().catch(function(error) {
+                console.error('Error loading pickup times:', error);
+              });
+            }
+          } else {
+            showFormStatus(status, 'danger', (response.body.error || translate('somethingWentWrong')) + ' ' + callUs);
+          }
+          submitButton.disabled = false;
+        })
+        .catch(function(error) {
+          console.error('Error placing order:', error);
+          showFormStatus(status, 'danger', translate('orderFailed') + ' ' + callUs);
+          submitButton.disabled = false;
+        });
+    });
+  }
+
+  /**
+   * Fill in the order confirmation page from the order reference in the URL (order-confirmation.html?ref=...)
+   */
+  function initOrderConfirmation() {
+    var confirmation = document.querySelector('.order-confirmation');
+    var reference = new URLSearchParams(window.location.search).get('ref');
+    if (!confirmation || !reference || typeof fetch === 'undefined') {
+      return;
+    }
+
+    fetch('/api/order/' + encodeURIComponent(reference), { headers: { 'Accept': 'application/json' } })
+      .then(function(response) {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(function(body) {
+        var order = body.order;
+        var field = function(name) {
+          return confirmation.querySelector('[data-order="' + name + '"]');
+        };
+        field('reference').textContent = order.reference;
+        field('pack').textContent = order.pack;
+        field('weight').textContent = formatNumber(order.weight);
+        field('pickup').textContent = translate('pickupAt', { date: formatLongDate(order.pickupDate), time: formatTime(order.pickupTime) });
+        order.items.forEach(function(item) {
+          var listItem = document.createElement('li');
+          listItem.textContent = translate('itemWeight', { weight: formatNumber(item.weight), cut: item.cut });
+          field('items').appendChild(listItem);
+        });
+        confirmation.hidden = false;
+        document.querySelector('.order-confirmation-fallback').hidden = true;
+      })
+      .catch(function(error) {
+        console.error('Error loading order:', error);
+      });
+  }
+
+  /**
+   * Show each campaign call-to-action only while its campaign takes orders (homepage).
+   * They are only rebuilt when the site is, so their dates are checked here too.
+   */
+  function initCampaignCallouts() {
+    try {
+      var today = getShopNow(SHOP_TIMEZONE).date;
+      document.querySelectorAll('.campaign-callout').forEach(function(callout) {
+        var start = callout.getAttribute('data-start');
+        callout.hidden = (start && start > today) || callout.getAttribute('data-end') < today;
+      });
+    } catch (error) {
+      console.error('Error showing campaign calls-to-action:', error);
+    }
+  }
+
+  /**
+   * Validate the campaign order form. Mirrors validateCampaignOrder() in worker/campaigns.js,
+   * which has the final say (including whether there are enough of each item left).
+   * @param {Object} values - Form values by field name; items is an array of { item, size, quantity }
+   * @returns {Object} - Error messages by field name (empty when valid)
+   */
+  function validateCampaignForm(values) {
+    var errors = {};
+    if (values.items.length === 0) {
+      errors.items = translate('chooseQuantities');
+    }
+    if (!values.pickupDate) {
+      errors.pickupDate = translate('choosePickupDay');
+    }
+    if (!values.name) {
+      errors.name = translate('enterName');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+      errors.email = translate('enterEmail');
+    }
+    if (!/^[0-9+().\-\s]{7,20}$/.test(values.phone)) {
+      errors.phone = translate('enterContactPhone');
+    }
+    return errors;
+  }
+
+  /**
+   * Initialize a pre-order campaign form - whether it takes orders, what is left, and placing the order
+   */
+  function initCampaignForm() {
+    var form = document.getElementById('campaign-form');
+    if (!form || typeof fetch === 'undefined') {
+      return;
+    }
+    var status = document.querySelector('.campaign-form-status');
+    var fieldset = form.querySelector('fieldset');
+    var submitButton = form.querySelector('[type="submit"]');
+    var quantities = form.querySelectorAll('.campaign-quantity');
+    var callUs = translate('callUs');
+
+    var loadCampaign = function() {
+      return fetch(form.getAttribute('data-campaign-api'), { headers: { 'Accept': 'application/json' } })
+        .then(function(response) {
+          if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+          }
+          return response.json();
+        })
+        .then(function(body) {
+          var campaign = body.campaign;
+          document.querySelectorAll('[data-campaign-state]').forEach(function(notice) {
+            notice.hidden = notice.getAttribute('data-campaign-state') !== campaign.state;
+          });
+          form.hidden = campaign.state !== 'open';
+          campaign.items.forEach(function(item) {
+            var remaining = form.querySelector('[data-remaining-for="' + item.name.replace(/"/g, '\\"') + '"]');
+            if (remaining) {
+              remaining.textContent = item.remaining === 0 ? translate('soldOut') : item.remaining <= 10 ? translate('onlyLeft', { count: item.remaining }) : '';
+            }
+            quantities.forEach(function(input) {
+              if (input.getAttribute('data-item') === item.name) {
+                input.max = item.remaining;
+                input.disabled = item.remaining === 0;
+              }
+            });
+          });
+          return campaign.state === 'open';
+        });
+    };
+
+    loadCampaign()
+      .then(function(open) {
+        fieldset.disabled = !open;
+      })
+      .catch(function(error) {
+        console.error('Error loading campaign:', error);
+        showFormStatus(status, 'danger', translate('orderingUnavailable'));
+      });
+
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      var values = { items: [], lang: LOCALE };
+      ['pickupDate', 'name', 'email', 'phone', 'notes', 'website'].forEach(function(name) {
+        values[name] = form.elements[name].value.trim();
+      });
+      quantities.forEach(function(input) {
+        var quantity = parseInt(input.value, 10);
+        if (quantity > 0) {
+          values.items.push({ item: input.getAttribute('data-item'), size: input.getAttribute('data-size'), quantity: quantity });
+        }
+      });
+
+      var errors = validateCampaignForm(values);
+      showFormErrors(form, errors);
+      if (Object.keys(errors).length > 0) {
+        return;
+      }
+
+      submitButton.disabled = true;
+      fetch(form.action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(values)
+      })
+        .then(function(response) {
+          return response.json().then(function(body) {
+            return { status: response.status, body: body };
+          });
+        })
+        .then(function(response) {
+          if (response.body.ok) {
+            var confirmation = document.querySelector('.campaign-confirmation');
+            var field = function(name) {
+              return confirmation.querySelector('[data-campaign-order="' + name + '"]');
+            };
+            field('reference').textContent = response.body.reference;
+            field('pickup').textContent = formatLongDate(values.pickupDate);
+            values.items.forEach(function(line) {
+              var listItem = document.createElement('li');
+              listItem.textContent = line.quantity + ' × ' + line.item + ' (' + line.size + ')';
+              field('items').appendChild(listItem);
+            });
+            form.hidden = true;
+            status.hidden = true;
+            confirmation.hidden = false;
+            confirmation.scrollIntoView();
+            return;
+          }
+          if (response.body.errors) {
+            showFormErrors(form, response.body.errors);
+          } else {
+            showFormStatus(status, 'danger', (response.body.error || translate('somethingWentWrong')) + ' ' + callUs);
+          }
+          // Items may have sold out, or the campaign closed, in the meantime
+          if (response.status === 409) {
+            loadCampaign().catch(function(error) {
+              console.error('Error loading campaign:', error);
+            });
+          }
+          submitButton.disabled = false;
+        })
+        .catch(function(error) {
+          console.error('Error placing campaign order:', error);
+          showFormStatus(status, 'danger', translate('orderFailed') + ' ' + callUs);
+          submitButton.disabled = false;
+        });
+    });
+  }
+
+  /**
+   * Register the service worker (dist/sw.js) that keeps the site working offline
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      return;
+    }
+    // Registering after the page has loaded keeps the precaching from slowing down the first visit
+    // From the site root, so the French pages in /fr/ register the same worker
+    window.addEventListener('load', function() {
+      navigator.serviceWorker.register('/sw.js').catch(function(error) {
+        console.error('Error registering service worker:', error);
+      });
+    });
+  }
+
   /**
    * Initialize all site functionality when DOM is ready
    */
@@ -77,11 +1187,43 @@
     // Initialize mobile navigation
     initMobileNav();
 
-    // Initialize carousel if present (only on index page)
-    var carouselElement = document.querySelector('#carousel-example-generic');
-    if (carouselElement) {
-      initCarousel('#carousel-example-generic');
-    }
+    // Hide closure notices that have ended since the last update
+    hideExpiredClosureNotices();
+
+    // Show today's announcements and let visitors dismiss them
+    initAnnouncements();
+
+    // Show live open/closed status in the address bar
+    initStatusBadge();
+
+    // Load the map only when asked (contact page)
+    initMapFacade();
+
+    // Filter the products catalog (products page)
+    initProductFilter();
+
+    // Initialize quote request form (services page)
+    initQuoteForm();
+
+    // Initialize the newsletter signup (footer) and the page its email links lead to
+    initNewsletterForm();
+    initNewsletterStatus();
+
+    // Initialize freezer-pack order form and its confirmation page
+    initOrderForm();
+    initOrderConfirmation();
+
+    // Show campaign calls-to-action on their dates (homepage) and initialize campaign order forms
+    initCampaignCallouts();
+    initCampaignForm();
+
+    // Keep the site working offline
+    registerServiceWorker();
+
+    // Initialize the carousels (photos and testimonials on the index page); quotes stay up longer than photos
+    document.querySelectorAll('.carousel').forEach(function(carouselElement) {
+      initCarousel(carouselElement, carouselElement.classList.contains('testimonials') ? { interval: 8000 } : null);
+    });
   }
 
   // Initialize when DOM is ready
@@ -0,0 +1,712 @@
+#!/usr/bin/env node
+
+/**
+ * Audit the Built Site
+ *
+ * Loads every page in dist/ into a DOM (linkedom, no browser needed) and checks the things
+ * htmlhint and stylelint can't: heading order, image alt text and dimensions, carousel
+ * indicators, link text, lang attributes, landmarks and the colour contrast of the address
+ * bar and closure card. Also adds up each page's weight (scripts, stylesheets and images).
+ *
+ * Results are written to audit-report.json. Problems already in the report are known and
+ * only listed; a new problem or a page over its weight budget is a regression and fails
+ * the audit, so fix it (or run with --update to accept it into the report).
+ *
+ * Usage: npm run audit
+ *        npm run audit -- --update
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { parseHTML } = require('linkedom');
+
+const build = require('./update-business-data.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const REPORT_FILE = path.join(ROOT_DIR, 'audit-report.json');
+
+/**
+ * Most bytes a page may load, by kind of file. Images are counted by their <img> src, the
+ * JPEG/PNG fallback that browsers without AVIF or WebP support load (the worst case).
+ */
+const PAGE_WEIGHT_BUDGETS = {
+  scripts: 250 * 1024,
+  stylesheets: 260 * 1024,
+  images: 1536 * 1024,
+  total: 2048 * 1024
+};
+
+/**
+ * WCAG 2.1 AA minimum contrast ratio for normal sized text
+ */
+const MIN_CONTRAST_RATIO = 4.5;
+
+/**
+ * Elements whose text is checked for contrast on every page
+ */
+const CONTRAST_SELECTORS = ['.address-bar'];
+
+/**
+ * Stylesheet the contrast check reads colours from (Bootstrap's are set with CSS variables)
+ */
+const STYLESHEET = 'css/main.css';
+
+/**
+ * Text colour and page colour when nothing sets them (Bootstrap's body colour on white)
+ */
+const DEFAULT_COLOR = '#212529';
+const DEFAULT_BACKGROUND = '#ffffff';
+
+/**
+ * Link text that says nothing about where the link goes, in English and French
+ */
+const VAGUE_LINK_TEXT = ['click here', 'here', 'read more', 'more', 'learn more', 'link', 'ici', 'cliquez ici', 'en savoir plus', 'lire la suite', 'plus'];
+
+/**
+ * Landmarks every page should have, with the elements and roles that make them
+ */
+const LANDMARKS = {
+  main: 'main, [role="main"]',
+  navigation: 'nav, [role="navigation"]',
+  contentinfo: 'body > footer, [role="contentinfo"]'
+};
+
+/**
+ * Named colours used in the stylesheets
+ */
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  transparent: 'rgb(0 0 0 / 0)'
+};
+
+/**
+ * Parse a CSS colour
+ * @param {string} value - Hex (#rgb, #rrggbb), rgb()/rgba() or named colour
+ * @returns {Object|null} - { r, g, b, a } with channels 0-255 and alpha 0-1, or null if not a colour
+ */
+function parseColor(value) {
+  const color = NAMED_COLORS[value.trim().toLowerCase()] || value.trim().toLowerCase();
+
+  let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (match) {
+    const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  match = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*([\d.]+)(%?))?\s*\)$/);
+  if (match) {
+    let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (match[5]) {
+      alpha = alpha / 100;
+    }
+    return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: alpha };
+  }
+
+  return null;
+}
+
+/**
+ * Format a colour as hex for messages
+ * @param {Object} color - { r, g, b }
+ * @returns {string} - Hex colour (e.g., "#856404")
+ */
+function formatColor(color) {
+  return '#' + [color.r, color.g, color.b].map(function(channel) {
+    return Math.round(channel).toString(16).padStart(2, '0');
+  }).join('');
+}
+
+/**
+ * Paint a colour over another, for semi-transparent backgrounds
+ * @param {Object} top - { r, g, b, a }
+ * @param {Object} bottom - Opaque { r, g, b, a }
+ * @returns {Object} - Opaque { r, g, b, a }
+ */
+function blendColors(top, bottom) {
+  const mix = function(channel) {
+    return top[channel] * top.a + bottom[channel] * (1 - top.a);
+  };
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * Relative luminance of a colour, as defined by WCAG
+ * @param {Object} color - { r, g, b }
+ * @returns {number} - Luminance from 0 (black) to 1 (white)
+ */
+function getLuminance(color) {
+  const linear = [color.r, color.g, color.b].map(function(channel) {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+}
+
+/**
+ * Contrast ratio between two colours, as defined by WCAG
+ * @param {Object} foreground - { r, g, b }
+ * @param {Object} background - { r, g, b }
+ * @returns {number} - Ratio from 1 to 21
+ */
+function getContrastRatio(foreground, background) {
+  const luminances = [getLuminance(foreground), getLuminance(background)].sort(function(a, b) {
+    return b - a;
+  });
+  return (luminances[0] + 0.05) / (luminances[1] + 0.05);
+}
+
+/**
+ * Parse a style declaration block into properties
+ * @param {string} declarations - Declarations (e.g., "color: #fff; margin: 0")
+ * @returns {Object} - Values by lowercase property name
+ */
+function parseDeclarations(declarations) {
+  const properties = {};
+  declarations.split(';').forEach(function(declaration) {
+    const colon = declaration.indexOf(':');
+    if (colon > 0) {
+      properties[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).replace(/!important/, '').trim();
+    }
+  });
+  return properties;
+}
+
+/**
+ * Parse a stylesheet into rules. Rules in media queries are kept as if the query matched (the
+ * audit looks at the desktop layout), and selectors with pseudo-classes are left out.
+ * @param {string} css - Stylesheet contents
+ * @returns {Object[]} - { selector, properties } in source order
+ */
+function parseStylesheet(css) {
+  const rules = [];
+  const pattern = /([^{}]+)\{([^{}]*)\}/g;
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const properties = parseDeclarations(match[2]);
+    match[1].split(',').forEach(function(selector) {
+      selector = selector.trim();
+      if (selector && !/[:@]/.test(selector)) {
+        rules.push({ selector: selector, properties: properties });
+      }
+    });
+  }
+  return rules;
+}
+
+/**
+ * Get a property an element sets itself, from its style attribute or the stylesheet.
+ * The style attribute wins, then the last matching rule (specificity is not compared).
+ * @param {Element} element - Element
+ * @param {string} property - Property name
+ * @param {Object[]} rules - Rules from parseStylesheet()
+ * @returns {string|null} - Value, or null if nothing sets it
+ */
+function getOwnStyle(element, property, rules) {
+  const inline = parseDeclarations(element.getAttribute('style') || '');
+  if (inline[property]) {
+    return inline[property];
+  }
+  let value = null;
+  rules.forEach(function(rule) {
+    if (rule.properties[property] && element.matches(rule.selector)) {
+      value = rule.properties[property];
+    }
+  });
+  return value;
+}
+
+/**
+ * Get the colour an element's text is drawn in, inherited from its ancestors
+ * @param {Element} element - Element
+ * @param {Object[]} rules - Rules from parseStylesheet()
+ * @returns {Object} - { r, g, b, a }
+ */
+function getTextColor(element, rules) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const color = parseColor(getOwnStyle(node, 'color', rules) || '');
+    if (color) {
+      return color;
+    }
+  }
+  return parseColor(DEFAULT_COLOR);
+}
+
+/**
+ * Get the colour behind an element's text, painting each ancestor's background over the next
+ * @param {Element} element - Element
+ * @param {Object[]} rules - Rules from parseStylesheet()
+ * @param {Object} pageBackground - Colour behind the body (e.g., the background photo's average colour)
+ * @returns {Object} - Opaque { r, g, b, a }
+ */
+function getBackgroundColor(element, rules, pageBackground) {
+  const layers = [];
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const value = getOwnStyle(node, 'background-color', rules) || getOwnStyle(node, 'background', rules) || '';
+    const color = parseColor(value.replace(/url\([^)]*\)/g, '').trim().split(/\s+(?![^(]*\))/)[0] || '');
+    if (color) {
+      layers.push(color);
+      if (color.a === 1) {
+        break;
+      }
+    }
+  }
+  return layers.reduceRight(function(background, layer) {
+    return blendColors(layer, background);
+  }, pageBackground);
+}
+
+/**
+ * Get the average colour of the image behind the page, from the stylesheet's body background
+ * @param {Object[]} rules - Rules from parseStylesheet()
+ * @param {string} dir - Directory the stylesheet's URLs are relative to the parent of (dist/)
+ * @returns {Promise<Object>} - Opaque { r, g, b, a }, white if there is no background image
+ */
+async function getPageBackground(rules, dir) {
+  let image = null;
+  rules.forEach(function(rule) {
+    const match = rule.selector === 'body' && (rule.properties.background || '').match(/url\(["']?\.\.\/([^"')]+)["']?\)/);
+    if (match) {
+      image = match[1];
+    }
+  });
+  if (!image || !fs.existsSync(path.join(dir, image))) {
+    return parseColor(DEFAULT_BACKGROUND);
+  }
+  const stats = await sharp(path.join(dir, image)).stats();
+  return { r: stats.channels[0].mean, g: stats.channels[1].mean, b: stats.channels[2].mean, a: 1 };
+}
+
+/**
+ * Get an element's accessible name, roughly as a screen reader would read it
+ * @param {Element} element - Element (e.g., a link)
+ * @returns {string} - Name, or an empty string if it has none
+ */
+function getAccessibleName(element) {
+  const document = element.ownerDocument;
+  const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean).map(function(id) {
+    const label = document.getElementById(id);
+    return label ? label.textContent : '';
+  }).join(' ').trim();
+  if (labelledBy) {
+    return labelledBy;
+  }
+  if ((element.getAttribute('aria-label') || '').trim()) {
+    return element.getAttribute('aria-label').trim();
+  }
+  const images = Array.from(element.querySelectorAll('img[alt]')).map(function(image) {
+    return image.getAttribute('alt');
+  });
+  return (element.textContent + ' ' + images.join(' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe an element for messages (e.g., "<img src=\"img/slide-1.jpg\">")
+ * @param {Element} element - Element
+ * @returns {string} - Short description
+ */
+function describeElement(element) {
+  const tag = element.tagName.toLowerCase();
+  const attribute = ['src', 'href', 'id', 'class'].find(function(name) {
+    return element.hasAttribute(name);
+  });
+  return '<' + tag + (attribute ? ' ' + attribute + '="' + element.getAttribute(attribute) + '"' : '') + '>';
+}
+
+/**
+ * Check that headings don't skip levels and that there is one <h1>
+ * @param {Document} document - Page
+ * @returns {string[]} - Problems
+ */
+function checkHeadings(document) {
+  const problems = [];
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+  let previousLevel = 0;
+  headings.forEach(function(heading) {
+    const level = Number(heading.tagName.charAt(1));
+    if (level > previousLevel + 1) {
+      const text = heading.textContent.replace(/\s+/g, ' ').trim();
+      problems.push('<h' + level + '> "' + text + '" follows ' + (previousLevel ? '<h' + previousLevel + '>' : 'no heading') + ', skipping a level');
+    }
+    previousLevel = level;
+  });
+  const h1Count = headings.filter(function(heading) {
+    return heading.tagName === 'H1';
+  }).length;
+  if (h1Count !== 1) {
+    problems.push('Page has ' + h1Count + ' <h1> elements, it should have one');
+  }
+  return problems;
+}
+
+/**
+ * Check that images have alt text and width and height attributes (so the layout doesn't
+ * jump as they load)
+ * @param {Document} document - Page
+ * @returns {string[]} - Problems
+ */
+function checkImages(document) {
+  const problems = [];
+  document.querySelectorAll('img').forEach(function(image) {
+    if (!image.hasAttribute('alt')) {
+      problems.push(describeElement(image) + ' has no alt attribute (use alt="" for decoration)');
+    }
+    if (!image.hasAttribute('width') || !image.hasAttribute('height')) {
+      problems.push(describeElement(image) + ' has no width and height');
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check that carousel indicators are buttons, as Bootstrap 5 expects, so they can be focused
+ * @param {Document} document - Page
+ * @returns {string[]} - Problems
+ */
+function checkCarouselIndicators(document) {
+  const problems = [];
+  document.querySelectorAll('.carousel-indicators [data-bs-slide-to]').forEach(function(indicator) {
+    if (indicator.tagName !== 'BUTTON') {
+      problems.push('Carousel indicator ' + describeElement(indicator) + ' for ' + indicator.getAttribute('data-bs-target') + ' is not a <button>');
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check that links have text, and that it says where they go
+ * @param {Document} document - Page
+ * @returns {string[]} - Problems
+ */
+function checkLinks(document) {
+  const problems = [];
+  document.querySelectorAll('a[href]').forEach(function(link) {
+    const name = getAccessibleName(link);
+    if (!name) {
+      problems.push('Link to ' + link.getAttribute('href') + ' has no text');
+    } else if (VAGUE_LINK_TEXT.indexOf(name.toLowerCase().replace(/[.…!]+$/, '')) !== -1) {
+      problems.push('Link to ' + link.getAttribute('href') + ' says "' + name + '", which doesn\'t say where it goes');
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check that the page's language is set, and that lang attributes aren't empty
+ * @param {Document} document - Page
+ * @returns {string[]} - Problems
+ */
+function checkLang(document) {
+  const problems = [];
+  if (!(document.documentElement.getAttribute('lang') || '').trim()) {
+    problems.push('<html> has no lang attribute');
+  }
+  document.querySelectorAll('body [lang]').forEach(function(element) {
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(element.getAttribute('lang'))) {
+      problems.push(describeElement(element) + ' has an invalid lang attribute "' + element.getAttribute('lang') + '"');
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check that the page has its main, navigation and footer landmarks
+ * @param {Document} document - Page
+ * @returns {string[]} - Problems
+ */
+function checkLandmarks(document) {
+  const problems = [];
+  Object.keys(LANDMARKS).forEach(function(landmark) {
+    const count = document.querySelectorAll(LANDMARKS[landmark]).length;
+    if (count === 0) {
+      problems.push('Page has no ' + landmark + ' landmark (' + LANDMARKS[landmark] + ')');
+    } else if (landmark === 'main' && count > 1) {
+      problems.push('Page has ' + count + ' main landmarks, it should have one');
+    }
+  });
+  return problems;
+}
+
+/**
+ * Check the contrast of the text in an element and its descendants
+ * @param {Element} element - Element to check
+ * @param {Object[]} rules - Rules from parseStylesheet()
+ * @param {Object} pageBackground - Colour behind the body
+ * @returns {string[]} - Problems
+ */
+function checkContrast(element, rules, pageBackground) {
+  const problems = [];
+  const elements = [element].concat(Array.from(element.querySelectorAll('*')));
+  elements.forEach(function(node) {
+    const hasText = Array.from(node.childNodes).some(function(child) {
+      return child.nodeType === 3 && child.textContent.trim();
+    });
+    if (!hasText) {
+      return;
+    }
+    const foreground = getTextColor(node, rules);
+    const background = getBackgroundColor(node, rules, pageBackground);
+    const ratio = getContrastRatio(blendColors(foreground, background), background);
+    if (ratio < MIN_CONTRAST_RATIO) {
+      const where = node === element ? describeElement(node) : describeElement(node) + ' in ' + describeElement(element);
+      problems.push(where + ' has a contrast of ' + ratio.toFixed(2) + ':1 (' +
+        formatColor(foreground) + ' on ' + formatColor(background) + '), it should be at least ' + MIN_CONTRAST_RATIO + ':1');
+    }
+  });
+  return problems;
+}
+
+/**
+ * Audit a page
+ * @param {Document} document - Page
+ * @param {Object[]} rules - Rules from parseStylesheet()
+ * @param {Object} pageBackground - Colour behind the body
+ * @returns {Object[]} - { rule, message } for each problem
+ */
+function auditDocument(document, rules, pageBackground) {
+  const checks = {
+    headings: checkHeadings,
+    images: checkImages,
+    'carousel-indicators': checkCarouselIndicators,
+    links: checkLinks,
+    lang: checkLang,
+    landmarks: checkLandmarks,
+    contrast: function() {
+      let problems = [];
+      CONTRAST_SELECTORS.forEach(function(selector) {
+        document.querySelectorAll(selector).forEach(function(element) {
+          problems = problems.concat(checkContrast(element, rules, pageBackground));
+        });
+      });
+      return problems;
+    }
+  };
+  let issues = [];
+  Object.keys(checks).forEach(function(rule) {
+    issues = issues.concat(checks[rule](document).map(function(message) {
+      return { rule: rule, message: message };
+    }));
+  });
+  return issues;
+}
+
+/**
+ * Add up the bytes a page loads, by kind of file
+ * @param {Document} document - Page
+ * @param {string} page - Page path relative to dist/ (e.g., "fr/index.html")
+ * @param {string} dir - dist/
+ * @returns {Object} - { scripts, stylesheets, images, total } in bytes
+ */
+function getPageWeight(document, page, dir) {
+  const sources = {
+    scripts: 'script[src]',
+    stylesheets: 'link[rel="stylesheet"][href]',
+    images: 'img[src]'
+  };
+  const weight = {};
+  Object.keys(sources).forEach(function(kind) {
+    const seen = {};
+    weight[kind] = 0;
+    document.querySelectorAll(sources[kind]).forEach(function(element) {
+      const url = element.getAttribute(kind === 'stylesheets' ? 'href' : 'src');
+      if (/^(https?:)?\/\//.test(url) || url.startsWith('data:')) {
+        return;
+      }
+      const file = url.startsWith('/') ? path.join(dir, url) : path.join(dir, path.dirname(page), url);
+      if (!seen[file] && fs.existsSync(file)) {
+        seen[file] = true;
+        weight[kind] += fs.statSync(file).size;
+      }
+    });
+  });
+  weight.total = weight.scripts + weight.stylesheets + weight.images;
+  return weight;
+}
+
+/**
+ * Check a page's weight against the budgets
+ * @param {Object} weight - From getPageWeight()
+ * @returns {string[]} - Problems
+ */
+function checkBudgets(weight) {
+  return Object.keys(PAGE_WEIGHT_BUDGETS).filter(function(kind) {
+    return weight[kind] > PAGE_WEIGHT_BUDGETS[kind];
+  }).map(function(kind) {
+    return kind + ' are ' + formatKB(weight[kind]) + ', over the ' + formatKB(PAGE_WEIGHT_BUDGETS[kind]) + ' budget';
+  });
+}
+
+/**
+ * Format a byte count (e.g., "231.4 KB")
+ * @param {number} bytes - Bytes
+ * @returns {string} - Formatted size
+ */
+function formatKB(bytes) {
+  return (bytes / 1024).toFixed(1) + ' KB';
+}
+
+/**
+ * Render the closure card as it looks during the next closure, since it is only on the
+ * pages while the shop is closed
+ * @returns {string|null} - Business hours HTML with the closure card, or null if none is coming up
+ */
+function renderClosureCard() {
+  const today = build.getTodayISO();
+  const closure = build.getClosureOccurrences(today, build.addDays(today, 366)).find(function(occurrence) {
+    return !occurrence.close;
+  });
+  if (!closure) {
+    return null;
+  }
+  build.configure({ today: closure.startDate });
+  try {
+    return build.generateBusinessHoursHTML();
+  } finally {
+    build.configure({ today: null });
+  }
+}
+
+/**
+ * Find the problems that aren't in the previous report
+ * @param {Object} previous - Previous report ({ pages: { [page]: { issues } } }), or null if there is none
+ * @param {Object} current - New report
+ * @returns {Object[]} - { page, rule, message } for each new problem
+ */
+function findRegressions(previous, current) {
+  const known = {};
+  Object.keys((previous && previous.pages) || {}).forEach(function(page) {
+    previous.pages[page].issues.forEach(function(issue) {
+      known[page + '\n' + issue.rule + '\n' + issue.message] = true;
+    });
+  });
+  const regressions = [];
+  Object.keys(current.pages).forEach(function(page) {
+    current.pages[page].issues.forEach(function(issue) {
+      if (!known[page + '\n' + issue.rule + '\n' + issue.message]) {
+        regressions.push({ page: page, rule: issue.rule, message: issue.message });
+      }
+    });
+  });
+  return regressions;
+}
+
+/**
+ * Audit the built site
+ * @param {string} dir - dist/
+ * @returns {Promise<Object>} - Report: { budgets, pages: { [page]: { weight, issues } } }
+ */
+async function auditSite(dir) {
+  const rules = parseStylesheet(fs.readFileSync(path.join(dir, STYLESHEET), 'utf8'));
+  const pageBackground = await getPageBackground(rules, dir);
+  const report = { budgets: PAGE_WEIGHT_BUDGETS, pages: {} };
+
+  const pages = listPages(dir);
+  pages.forEach(function(page) {
+    const { document } = parseHTML(fs.readFileSync(path.join(dir, page), 'utf8'));
+    const weight = getPageWeight(document, page, dir);
+    const issues = auditDocument(document, rules, pageBackground).concat(checkBudgets(weight).map(function(message) {
+      return { rule: 'budget', message: message };
+    }));
+    report.pages[page] = { weight: weight, issues: issues };
+  });
+
+  const closureCard = renderClosureCard();
+  if (closureCard) {
+    const { document } = parseHTML('<!DOCTYPE html><html><body>' + closureCard + '</body></html>');
+    report.pages['(closure card)'] = {
+      issues: checkContrast(document.querySelector('.closure-card'), rules, pageBackground).map(function(message) {
+        return { rule: 'contrast', message: message };
+      })
+    };
+  }
+
+  return report;
+}
+
+/**
+ * List the HTML pages in a directory and its subdirectories
+ * @param {string} dir - Directory
+ * @param {string} [prefix] - Path of dir relative to the top directory
+ * @returns {string[]} - Page paths relative to the top directory, sorted
+ */
+function listPages(dir, prefix) {
+  prefix = prefix || '';
+  let pages = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(function(entry) {
+    if (entry.isDirectory()) {
+      pages = pages.concat(listPages(path.join(dir, entry.name), prefix + entry.name + '/'));
+    } else if (entry.name.endsWith('.html')) {
+      pages.push(prefix + entry.name);
+    }
+  });
+  return pages.sort();
+}
+
+/**
+ * Main function - audits dist/, prints the problems and updates the report
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const update = process.argv.includes('--update');
+  if (!fs.existsSync(DIST_DIR)) {
+    throw new Error('dist/ not found. Run npm run build first.');
+  }
+
+  const report = await auditSite(DIST_DIR);
+  const previous = fs.existsSync(REPORT_FILE) ? JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8')) : null;
+  // The first audit has nothing to compare with, so everything it finds becomes the baseline
+  const regressions = previous ? findRegressions(previous, report) : [];
+
+  let known = 0;
+  Object.keys(report.pages).forEach(function(page) {
+    const entry = report.pages[page];
+    const weight = entry.weight ? ' (' + formatKB(entry.weight.total) + ')' : '';
+    console.log((entry.issues.length > 0 ? '⚠ ' : '✓ ') + page + weight);
+    entry.issues.forEach(function(issue) {
+      console.log('    ' + issue.rule + ': ' + issue.message);
+    });
+    known += entry.issues.length;
+  });
+  known -= regressions.length;
+
+  if (regressions.length > 0 && !update) {
+    console.error('\n✗ ' + regressions.length + ' new problem(s) since audit-report.json:\n');
+    regressions.forEach(function(regression) {
+      console.error('  ' + regression.page + ' ' + regression.rule + ': ' + regression.message);
+    });
+    console.error('\nFix them, or run npm run audit -- --update to accept them.');
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  console.log('\n✓ No new problems (' + known + ' known, ' + (update ? regressions.length + ' accepted' : '0 new') + '), wrote audit-report.json');
+}
+
+module.exports = {
+  PAGE_WEIGHT_BUDGETS,
+  parseColor,
+  getContrastRatio,
+  parseStylesheet,
+  checkContrast,
+  auditDocument,
+  getPageWeight,
+  checkBudgets,
+  findRegressions
+};
+
+// Run the script
+if (require.main === module) {
+  main().catch(function(error) {
+    console.error('✗ Audit failed: ' + error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,855 @@
+/**
+ * Business Data Schema
+ *
+ * Validation rules for business-data.js. The site build refuses to build from invalid
+ * data, `npm run validate-business-data` checks it on its own, and the Worker
+ * (worker/admin.js) checks the sections staff can edit from the admin page (hours,
+ * closures, announcements and specials) before an edit is saved, so the admin page can
+ * never store data the build would choke on.
+ *
+ * Every validator returns a list of errors, each { path, message } where path points at
+ * the offending field (e.g. "closures[2].endDate"). An empty list means the data is valid.
+ *
+ * Text that visitors read can be given per locale, e.g. { en: "Closed", fr: "Fermé" }
+ * (see scripts/i18n.js); English is required and the translations are optional.
+ *
+ * This file is bundled into the Worker, so it must not use Node APIs.
+ */
+
+const { DEFAULT_LOCALE, LOCALES } = require('./i18n.js');
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+// E.164: "+", country code and number, digits only (e.g. "+16138388800")
+const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+// Canadian postal code (e.g. "K0A 2Z0")
+const POSTAL_CODE_REGEX = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/;
+const COUNTRY_CODE_REGEX = /^[A-Z]{2}$/;
+// Announcement and campaign ids: lowercase letters, digits and dashes (e.g. "thanksgiving-turkeys")
+const ID_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+// A page file of the site (e.g. "order.html")
+const PAGE_REGEX = /^[\w-]+\.html$/;
+// A link to a page of the site (e.g. "order.html?pack=Executive%20Pack") or an https:// address
+const LINK_REGEX = /^(https:\/\/[^\s"<>]+|[\w-]+\.html([?#][^\s"<>]*)?)$/;
+// CSS hex colour (e.g. "#212529")
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+const SEVERITIES = ['info', 'warning', 'urgent'];
+const SPECIES = ['beef', 'veal', 'pork', 'lamb', 'chicken', 'turkey', 'duck'];
+const AVAILABILITIES = ['always', 'seasonal', 'order'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_QUOTE_LENGTH = 600;
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a string is a real calendar date in ISO format
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for dates like "2026-07-01"
+ */
+function isDate(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) {
+    return false;
+  }
+  const date = new Date(value + 'T00:00:00Z');
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Whether a value is a time in 24-hour format
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for times like "09:30"
+ */
+function isTime(value) {
+  return typeof value === 'string' && TIME_REGEX.test(value);
+}
+
+/**
+ * Whether a value is an IANA timezone name this JavaScript runtime knows
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for timezones like "America/Toronto"
+ */
+function isTimezone(value) {
+  if (typeof value !== 'string' || value === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a required, non-empty string field
+ * @param {Array} errors - Error list to add to
+ * @param {string} path - Field path
+ * @param {*} value - Field value
+ * @param {number} maxLength - Longest allowed value
+ * @returns {void}
+ */
+function checkText(errors, path, value, maxLength) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push({ path: path, message: 'is required' });
+  } else if (value.length > maxLength) {
+    errors.push({ path: path, message: 'must be ' + maxLength + ' characters or fewer' });
+  }
+}
+
+/**
+ * Check a required text field that can be given per locale, as plain text or e.g. { en: "Closed", fr: "Fermé" }
+ * @param {Array} errors - Error list to add to
+ * @param {string} path - Field path
+ * @param {*} value - Field value
+ * @param {number} maxLength - Longest allowed text in each locale
+ * @returns {void}
+ */
+function checkLocalizedText(errors, path, value, maxLength) {
+  if (!isObject(value)) {
+    checkText(errors, path, value, maxLength);
+    return;
+  }
+  Object.keys(value).forEach(function(locale) {
+    if (!Object.prototype.hasOwnProperty.call(LOCALES, locale)) {
+      errors.push({ path: path + '.' + locale, message: 'is not a locale (expected one of: ' + Object.keys(LOCALES).join(', ') + ')' });
+    } else if (locale === DEFAULT_LOCALE || value[locale] !== undefined) {
+      checkText(errors, path + '.' + locale, value[locale], maxLength);
+    }
+  });
+  if (value[DEFAULT_LOCALE] === undefined) {
+    errors.push({ path: path + '.' + DEFAULT_LOCALE, message: 'is required' });
+  }
+}
+
+/**
+ * Check a positive whole number field
+ * @param {Array} errors - Error list to add to
+ * @param {string} path - Field path
+ * @param {*} value - Field value
+ * @returns {void}
+ */
+function checkPositiveInteger(errors, path, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ path: path, message: 'must be a whole number of 1 or more' });
+  }
+}
+
+/**
+ * Validate the weekly business hours
+ * @param {*} hours - Value of businessData.hours
+ * @param {string} [path] - Path of the section (default "hours")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateHours(hours, path) {
+  path = path || 'hours';
+  const errors = [];
+  if (!Array.isArray(hours) || hours.length !== DAY_NAMES.length) {
+    return [{ path: path, message: 'must list all seven days of the week' }];
+  }
+
+  const seen = {};
+  hours.forEach(function(hour, index) {
+    const itemPath = path + '[' + index + ']';
+    if (!isObject(hour)) {
+      errors.push({ path: itemPath, message: 'must be an object' });
+      return;
+    }
+    if (DAY_NAMES.indexOf(hour.day) === -1) {
+      errors.push({ path: itemPath + '.day', message: 'must be a day of the week, e.g. "Monday"' });
+    } else if (seen[hour.day]) {
+      errors.push({ path: itemPath + '.day', message: 'is listed more than once' });
+    }
+    seen[hour.day] = true;
+    if (typeof hour.closed !== 'boolean') {
+      errors.push({ path: itemPath + '.closed', message: 'must be true or false' });
+    } else if (hour.closed) {
+      if (hour.open !== null || hour.close !== null) {
+        errors.push({ path: itemPath, message: 'must have no opening or closing time when closed' });
+      }
+    } else if (!isTime(hour.open)) {
+      errors.push({ path: itemPath + '.open', message: 'must be a time like "09:30"' });
+    } else if (!isTime(hour.close)) {
+      errors.push({ path: itemPath + '.close', message: 'must be a time like "17:00"' });
+    } else if (hour.close <= hour.open) {
+      errors.push({ path: itemPath + '.close', message: 'must be after the opening time' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate the closures and special hours
+ * @param {*} closures - Value of businessData.closures
+ * @param {string} [path] - Path of the section (default "closures")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateClosures(closures, path) {
+  path = path || 'closures';
+  const errors = [];
+  if (!Array.isArray(closures)) {
+    return [{ path: path, message: 'must be a list' }];
+  }
+
+  closures.forEach(function(closure, index) {
+    const itemPath = path + '[' + index + ']';
+    if (!isObject(closure)) {
+      errors.push({ path: itemPath, message: 'must be an object' });
+      return;
+    }
+
+    checkLocalizedText(errors, itemPath + '.name', closure.name, MAX_NAME_LENGTH);
+    if (closure.message !== undefined) {
+      checkLocalizedText(errors, itemPath + '.message', closure.message, MAX_MESSAGE_LENGTH);
+    }
+
+    const hasDate = closure.date !== undefined;
+    const hasRange = closure.startDate !== undefined || closure.endDate !== undefined;
+    const hasEaster = closure.easterOffset !== undefined;
+    const hasWeekday = closure.month !== undefined || closure.weekday !== undefined || closure.nth !== undefined ||
+      closure.before !== undefined;
+    if ([hasDate, hasRange, hasEaster, hasWeekday].filter(Boolean).length !== 1) {
+      errors.push({ path: itemPath, message: 'must have exactly one of date, startDate/endDate, easterOffset or month/weekday/nth' });
+    } else if (hasWeekday) {
+      if (!Number.isInteger(closure.month) || closure.month < 1 || closure.month > 12) {
+        errors.push({ path: itemPath + '.month', message: 'must be a month number from 1 to 12' });
+      }
+      if (DAY_NAMES.indexOf(closure.weekday) === -1) {
+        errors.push({ path: itemPath + '.weekday', message: 'must be a day name like "Monday"' });
+      }
+      if (closure.nth !== 'last' && (!Number.isInteger(closure.nth) || closure.nth < 1 || closure.nth > 4)) {
+        errors.push({ path: itemPath + '.nth', message: 'must be 1, 2, 3, 4 or "last"' });
+      }
+      if (closure.before !== undefined && (closure.nth !== 'last' || !Number.isInteger(closure.before) ||
+        closure.before < 8 || closure.before > 31)) {
+        errors.push({ path: itemPath + '.before', message: 'must be a day of the month from 8 to 31, with nth "last"' });
+      }
+    } else if (hasDate && !isDate(closure.date)) {
+      errors.push({ path: itemPath + '.date', message: 'must be a date like "2026-07-01"' });
+    } else if (hasRange) {
+      if (!isDate(closure.startDate)) {
+        errors.push({ path: itemPath + '.startDate', message: 'must be a date like "2026-07-01"' });
+      } else if (!isDate(closure.endDate)) {
+        errors.push({ path: itemPath + '.endDate', message: 'must be a date like "2026-07-01"' });
+      } else if (closure.endDate < closure.startDate) {
+        errors.push({ path: itemPath + '.endDate', message: 'must be on or after startDate' });
+      }
+    } else if (hasEaster && (!Number.isInteger(closure.easterOffset) || Math.abs(closure.easterOffset) > 60)) {
+      errors.push({ path: itemPath + '.easterOffset', message: 'must be a whole number of days between -60 and 60' });
+    }
+
+    if (closure.recurring !== undefined && closure.recurring !== 'yearly') {
+      errors.push({ path: itemPath + '.recurring', message: 'must be "yearly" or left out' });
+    }
+
+    if (closure.open !== undefined && !isTime(closure.open)) {
+      errors.push({ path: itemPath + '.open', message: 'must be a time like "09:30"' });
+    }
+    if (closure.close !== undefined && !isTime(closure.close)) {
+      errors.push({ path: itemPath + '.close', message: 'must be a time like "14:00"' });
+    } else if (closure.open !== undefined && closure.close === undefined) {
+      errors.push({ path: itemPath + '.close', message: 'is required when an opening time is set' });
+    } else if (isTime(closure.open) && closure.close <= closure.open) {
+      errors.push({ path: itemPath + '.close', message: 'must be after the opening time' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate the announcements shown in the banner under the address bar
+ * @param {*} announcements - Value of businessData.announcements
+ * @param {string} [path] - Path of the section (default "announcements")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateAnnouncements(announcements, path) {
+  path = path || 'announcements';
+  if (!Array.isArray(announcements)) {
+    return [{ path: path, message: 'must be a list' }];
+  }
+
+  const errors = [];
+  const ids = {};
+  announcements.forEach(function(announcement, index) {
+    const itemPath = path + '[' + index + ']';
+    if (!isObject(announcement)) {
+      errors.push({ path: itemPath, message: 'must be an object' });
+      return;
+    }
+
+    if (typeof announcement.id !== 'string' || !ID_REGEX.test(announcement.id) || announcement.id.length > MAX_NAME_LENGTH) {
+      errors.push({ path: itemPath + '.id', message: 'must be lowercase letters, digits and dashes, e.g. "thanksgiving-turkeys"' });
+    } else if (ids[announcement.id]) {
+      errors.push({ path: itemPath + '.id', message: 'is already used by another announcement' });
+    }
+    ids[announcement.id] = true;
+    checkLocalizedText(errors, itemPath + '.message', announcement.message, MAX_MESSAGE_LENGTH);
+
+    if (announcement.startDate !== undefined && !isDate(announcement.startDate)) {
+      errors.push({ path: itemPath + '.startDate', message: 'must be a date like "2026-07-01", or left out' });
+    }
+    if (announcement.endDate !== undefined && !isDate(announcement.endDate)) {
+      errors.push({ path: itemPath + '.endDate', message: 'must be a date like "2026-07-01", or left out' });
+    } else if (isDate(announcement.startDate) && announcement.endDate < announcement.startDate) {
+      errors.push({ path: itemPath + '.endDate', message: 'must be on or after startDate' });
+    }
+
+    if (announcement.severity !== undefined && SEVERITIES.indexOf(announcement.severity) === -1) {
+      errors.push({ path: itemPath + '.severity', message: 'must be one of ' + SEVERITIES.join(', ') + ', or left out' });
+    }
+
+    if (announcement.link !== undefined) {
+      if (!isObject(announcement.link)) {
+        errors.push({ path: itemPath + '.link', message: 'must be an object with url and text, or left out' });
+      } else {
+        if (typeof announcement.link.url !== 'string' || !LINK_REGEX.test(announcement.link.url)) {
+          errors.push({ path: itemPath + '.link.url', message: 'must be a page of the site like "order.html" or an https:// address' });
+        }
+        checkLocalizedText(errors, itemPath + '.link.text', announcement.link.text, MAX_NAME_LENGTH);
+      }
+    }
+
+    if (announcement.pages !== undefined) {
+      if (!Array.isArray(announcement.pages) || announcement.pages.length === 0) {
+        errors.push({ path: itemPath + '.pages', message: 'must list at least one page, or be left out for every page' });
+      } else {
+        announcement.pages.forEach(function(page, pageIndex) {
+          if (typeof page !== 'string' || !PAGE_REGEX.test(page)) {
+            errors.push({ path: itemPath + '.pages[' + pageIndex + ']', message: 'must be a page file name like "index.html"' });
+          }
+        });
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate the packaged specials. A pack whose items don't add up to its declared weight
+ * is only a warning in the build (see checkSpecialsPacks), not an error here.
+ * @param {*} specials - Value of businessData.specials
+ * @param {string} [path] - Path of the section (default "specials")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateSpecials(specials, path) {
+  path = path || 'specials';
+  const errors = [];
+  if (!isObject(specials)) {
+    return [{ path: path, message: 'must be an object' }];
+  }
+
+  const footnotes = specials.footnotes === undefined ? {} : specials.footnotes;
+  if (!isObject(footnotes)) {
+    errors.push({ path: path + '.footnotes', message: 'must be an object' });
+  } else {
+    Object.keys(footnotes).forEach(function(key) {
+      checkText(errors, path + '.footnotes["' + key + '"]', footnotes[key], MAX_MESSAGE_LENGTH);
+    });
+  }
+
+  if (!Array.isArray(specials.packs)) {
+    errors.push({ path: path + '.packs', message: 'must be a list' });
+    return errors;
+  }
+
+  const names = {};
+  specials.packs.forEach(function(pack, index) {
+    const packPath = path + '.packs[' + index + ']';
+    if (!isObject(pack)) {
+      errors.push({ path: packPath, message: 'must be an object' });
+      return;
+    }
+
+    checkText(errors, packPath + '.name', pack.name, MAX_NAME_LENGTH);
+    if (typeof pack.name === 'string') {
+      if (names[pack.name]) {
+        errors.push({ path: packPath + '.name', message: 'is already used by another pack' });
+      }
+      names[pack.name] = true;
+    }
+    if (typeof pack.weight !== 'number' || !(pack.weight > 0)) {
+      errors.push({ path: packPath + '.weight', message: 'must be a weight in lbs greater than 0' });
+    }
+    if (pack.price !== undefined && pack.price !== null && (typeof pack.price !== 'number' || !(pack.price > 0))) {
+      errors.push({ path: packPath + '.price', message: 'must be a price greater than 0, or left out' });
+    }
+
+    if (!Array.isArray(pack.items) || pack.items.length === 0) {
+      errors.push({ path: packPath + '.items', message: 'must list at least one cut' });
+      return;
+    }
+    pack.items.forEach(function(item, itemIndex) {
+      const itemPath = packPath + '.items[' + itemIndex + ']';
+      if (!isObject(item)) {
+        errors.push({ path: itemPath, message: 'must be an object' });
+        return;
+      }
+      checkText(errors, itemPath + '.cut', item.cut, MAX_NAME_LENGTH);
+      if (typeof item.weight !== 'number' || !(item.weight > 0)) {
+        errors.push({ path: itemPath + '.weight', message: 'must be a weight in lbs greater than 0' });
+      }
+      if (item.footnote !== undefined && (!isObject(footnotes) || footnotes[item.footnote] === undefined)) {
+        errors.push({ path: itemPath + '.footnote', message: 'must be one of the footnotes' });
+      }
+    });
+
+  });
+  return errors;
+}
+
+/**
+ * Validate the online pre-order settings
+ * @param {*} preorders - Value of businessData.preorders
+ * @param {string} [path] - Path of the section (default "preorders")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validatePreorders(preorders, path) {
+  path = path || 'preorders';
+  if (!isObject(preorders)) {
+    return [{ path: path, message: 'must be an object' }];
+  }
+  const errors = [];
+  ['slotMinutes', 'slotCapacity', 'maxDaysAhead', 'maxItemWeight', 'maxCustomWeight'].forEach(function(key) {
+    checkPositiveInteger(errors, path + '.' + key, preorders[key]);
+  });
+  if (!Number.isInteger(preorders.minLeadDays) || preorders.minLeadDays < 0) {
+    errors.push({ path: path + '.minLeadDays', message: 'must be a whole number of 0 or more' });
+  } else if (preorders.minLeadDays > preorders.maxDaysAhead) {
+    errors.push({ path: path + '.minLeadDays', message: 'must not be more than maxDaysAhead' });
+  }
+  if (preorders.maxItemWeight > preorders.maxCustomWeight) {
+    errors.push({ path: path + '.maxItemWeight', message: 'must not be more than maxCustomWeight' });
+  }
+  return errors;
+}
+
+/**
+ * Validate the seasonal pre-order campaigns. Whether the pickup dates are open days is
+ * checked by the build (see checkCampaignPickupDates), as it depends on the hours and closures.
+ * @param {*} campaigns - Value of businessData.campaigns
+ * @param {string} [path] - Path of the section (default "campaigns")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateCampaigns(campaigns, path) {
+  path = path || 'campaigns';
+  if (!Array.isArray(campaigns)) {
+    return [{ path: path, message: 'must be a list' }];
+  }
+
+  const errors = [];
+  const ids = {};
+  campaigns.forEach(function(campaign, index) {
+    const campaignPath = path + '[' + index + ']';
+    if (!isObject(campaign)) {
+      errors.push({ path: campaignPath, message: 'must be an object' });
+      return;
+    }
+
+    if (typeof campaign.id !== 'string' || !ID_REGEX.test(campaign.id) || campaign.id.length > MAX_NAME_LENGTH) {
+      errors.push({ path: campaignPath + '.id', message: 'must be lowercase letters, digits and dashes, e.g. "holiday-preorders"' });
+    } else if (ids[campaign.id]) {
+      errors.push({ path: campaignPath + '.id', message: 'is already used by another campaign' });
+    }
+    ids[campaign.id] = true;
+    checkLocalizedText(errors, campaignPath + '.name', campaign.name, MAX_NAME_LENGTH);
+    checkLocalizedText(errors, campaignPath + '.description', campaign.description, MAX_MESSAGE_LENGTH);
+    if (campaign.image !== undefined) {
+      checkText(errors, campaignPath + '.image', campaign.image, MAX_MESSAGE_LENGTH);
+    }
+
+    if (!isDate(campaign.cutoffDate)) {
+      errors.push({ path: campaignPath + '.cutoffDate', message: 'must be a date like "2026-12-17"' });
+    }
+    if (campaign.startDate !== undefined && !isDate(campaign.startDate)) {
+      errors.push({ path: campaignPath + '.startDate', message: 'must be a date like "2026-11-02", or left out' });
+    } else if (isDate(campaign.startDate) && campaign.startDate > campaign.cutoffDate) {
+      errors.push({ path: campaignPath + '.startDate', message: 'must be on or before cutoffDate' });
+    }
+
+    if (!Array.isArray(campaign.pickupDates) || campaign.pickupDates.length === 0) {
+      errors.push({ path: campaignPath + '.pickupDates', message: 'must list at least one date' });
+    } else {
+      campaign.pickupDates.forEach(function(date, dateIndex) {
+        const datePath = campaignPath + '.pickupDates[' + dateIndex + ']';
+        if (!isDate(date)) {
+          errors.push({ path: datePath, message: 'must be a date like "2026-12-22"' });
+        } else if (isDate(campaign.cutoffDate) && date <= campaign.cutoffDate) {
+          errors.push({ path: datePath, message: 'must be after cutoffDate' });
+        } else if (campaign.pickupDates.indexOf(date) !== dateIndex) {
+          errors.push({ path: datePath, message: 'is listed more than once' });
+        }
+      });
+    }
+
+    if (!Array.isArray(campaign.items) || campaign.items.length === 0) {
+      errors.push({ path: campaignPath + '.items', message: 'must list at least one item' });
+      return;
+    }
+    const names = {};
+    campaign.items.forEach(function(item, itemIndex) {
+      const itemPath = campaignPath + '.items[' + itemIndex + ']';
+      if (!isObject(item)) {
+        errors.push({ path: itemPath, message: 'must be an object' });
+        return;
+      }
+      checkText(errors, itemPath + '.name', item.name, MAX_NAME_LENGTH);
+      if (typeof item.name === 'string') {
+        if (names[item.name]) {
+          errors.push({ path: itemPath + '.name', message: 'is already used by another item' });
+        }
+        names[item.name] = true;
+      }
+      if (item.description !== undefined) {
+        checkLocalizedText(errors, itemPath + '.description', item.description, MAX_MESSAGE_LENGTH);
+      }
+      if (!Array.isArray(item.sizes) || item.sizes.length === 0) {
+        errors.push({ path: itemPath + '.sizes', message: 'must list at least one size' });
+      } else {
+        item.sizes.forEach(function(size, sizeIndex) {
+          checkText(errors, itemPath + '.sizes[' + sizeIndex + ']', size, MAX_NAME_LENGTH);
+          if (item.sizes.indexOf(size) !== sizeIndex) {
+            errors.push({ path: itemPath + '.sizes[' + sizeIndex + ']', message: 'is listed more than once' });
+          }
+        });
+      }
+      checkPositiveInteger(errors, itemPath + '.limit', item.limit);
+    });
+  });
+  return errors;
+}
+
+/**
+ * Validate the services
+ * @param {*} services - Value of businessData.services
+ * @param {string} [path] - Path of the section (default "services")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateServices(services, path) {
+  path = path || 'services';
+  if (!Array.isArray(services)) {
+    return [{ path: path, message: 'must be a list' }];
+  }
+  const errors = [];
+  services.forEach(function(service, index) {
+    const servicePath = path + '[' + index + ']';
+    if (!isObject(service)) {
+      errors.push({ path: servicePath, message: 'must be an object' });
+      return;
+    }
+    checkLocalizedText(errors, servicePath + '.name', service.name, MAX_NAME_LENGTH);
+    checkLocalizedText(errors, servicePath + '.description', service.description, MAX_MESSAGE_LENGTH);
+    checkText(errors, servicePath + '.image', service.image, MAX_MESSAGE_LENGTH);
+  });
+  return errors;
+}
+
+/**
+ * Validate the customer testimonials
+ * @param {*} testimonials - Value of businessData.testimonials
+ * @param {string} [path] - Path of the section (default "testimonials")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateTestimonials(testimonials, path) {
+  path = path || 'testimonials';
+  if (!Array.isArray(testimonials)) {
+    return [{ path: path, message: 'must be a list' }];
+  }
+  const errors = [];
+  testimonials.forEach(function(testimonial, index) {
+    const testimonialPath = path + '[' + index + ']';
+    if (!isObject(testimonial)) {
+      errors.push({ path: testimonialPath, message: 'must be an object' });
+      return;
+    }
+    checkText(errors, testimonialPath + '.author', testimonial.author, MAX_NAME_LENGTH);
+    checkText(errors, testimonialPath + '.quote', testimonial.quote, MAX_QUOTE_LENGTH);
+    if (!Number.isInteger(testimonial.rating) || testimonial.rating < 1 || testimonial.rating > 5) {
+      errors.push({ path: testimonialPath + '.rating', message: 'must be a whole number of stars from 1 to 5' });
+    }
+    if (!isDate(testimonial.date)) {
+      errors.push({ path: testimonialPath + '.date', message: 'must be a date like "2026-07-01"' });
+    }
+    if (testimonial.source !== undefined) {
+      checkText(errors, testimonialPath + '.source', testimonial.source, MAX_NAME_LENGTH);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate the products catalog
+ * @param {*} products - Value of businessData.products
+ * @param {string} [path] - Path of the section (default "products")
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateProducts(products, path) {
+  path = path || 'products';
+  if (!Array.isArray(products)) {
+    return [{ path: path, message: 'must be a list' }];
+  }
+  const errors = [];
+  const ids = {};
+  // Cut names and aliases, which the specials packs are linked by
+  const names = {};
+  const checkName = function(namePath, name) {
+    checkText(errors, namePath, name, MAX_NAME_LENGTH);
+    if (typeof name === 'string') {
+      if (names[name]) {
+        errors.push({ path: namePath, message: 'is already the name of another product' });
+      }
+      names[name] = true;
+    }
+  };
+
+  products.forEach(function(product, index) {
+    const productPath = path + '[' + index + ']';
+    if (!isObject(product)) {
+      errors.push({ path: productPath, message: 'must be an object' });
+      return;
+    }
+    if (typeof product.id !== 'string' || !ID_REGEX.test(product.id)) {
+      errors.push({ path: productPath + '.id', message: 'must be lowercase letters, digits and dashes, e.g. "t-bone-steak"' });
+    } else if (ids[product.id]) {
+      errors.push({ path: productPath + '.id', message: 'is already used by another product' });
+    }
+    ids[product.id] = true;
+    if (SPECIES.indexOf(product.species) === -1) {
+      errors.push({ path: productPath + '.species', message: 'must be one of: ' + SPECIES.join(', ') });
+    }
+    checkName(productPath + '.cut', product.cut);
+    if (product.aliases !== undefined) {
+      if (!Array.isArray(product.aliases)) {
+        errors.push({ path: productPath + '.aliases', message: 'must be a list of names, or left out' });
+      } else {
+        product.aliases.forEach(function(alias, aliasIndex) {
+          checkName(productPath + '.aliases[' + aliasIndex + ']', alias);
+        });
+      }
+    }
+    if (product.origin !== undefined) {
+      checkLocalizedText(errors, productPath + '.origin', product.origin, MAX_NAME_LENGTH);
+    }
+
+    const weight = product.weight;
+    if (Array.isArray(weight)) {
+      if (weight.length !== 2 || typeof weight[0] !== 'number' || typeof weight[1] !== 'number' || !(weight[0] > 0 && weight[0] < weight[1])) {
+        errors.push({ path: productPath + '.weight', message: 'must be a range of two weights in lbs, lightest first, e.g. [3, 4]' });
+      }
+    } else if (typeof weight !== 'number' || !(weight > 0)) {
+      errors.push({ path: productPath + '.weight', message: 'must be a weight in lbs greater than 0, or a range like [3, 4]' });
+    }
+
+    checkLocalizedText(errors, productPath + '.cooking', product.cooking, MAX_MESSAGE_LENGTH);
+    if (AVAILABILITIES.indexOf(product.availability) === -1) {
+      errors.push({ path: productPath + '.availability', message: 'must be one of: ' + AVAILABILITIES.join(', ') });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate all of business-data.js
+ * @param {*} data - Business data
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateBusinessData(data) {
+  if (!isObject(data)) {
+    return [{ path: '', message: 'business data must be an object' }];
+  }
+  const errors = [];
+
+  checkText(errors, 'name', data.name, MAX_NAME_LENGTH);
+  checkText(errors, 'shortName', data.shortName, MAX_NAME_LENGTH);
+  checkLocalizedText(errors, 'description', data.description, MAX_MESSAGE_LENGTH);
+  checkLocalizedText(errors, 'tagline', data.tagline, MAX_NAME_LENGTH);
+
+  if (!isObject(data.address)) {
+    errors.push({ path: 'address', message: 'must be an object' });
+  } else {
+    ['street', 'city', 'region'].forEach(function(key) {
+      checkText(errors, 'address.' + key, data.address[key], MAX_NAME_LENGTH);
+    });
+    if (typeof data.address.regionCode !== 'string' || !/^[A-Z]{2}$/.test(data.address.regionCode)) {
+      errors.push({ path: 'address.regionCode', message: 'must be a two-letter province code, e.g. "ON"' });
+    }
+    if (typeof data.address.postalCode !== 'string' || !POSTAL_CODE_REGEX.test(data.address.postalCode)) {
+      errors.push({ path: 'address.postalCode', message: 'must be a postal code like "K0A 2Z0"' });
+    }
+    ['country', 'countryCode'].forEach(function(key) {
+      if (typeof data.address[key] !== 'string' || !COUNTRY_CODE_REGEX.test(data.address[key])) {
+        errors.push({ path: 'address.' + key, message: 'must be a two-letter country code, e.g. "CA"' });
+      }
+    });
+  }
+
+  if (!isObject(data.phone)) {
+    errors.push({ path: 'phone', message: 'must be an object' });
+  } else {
+    checkText(errors, 'phone.display', data.phone.display, MAX_NAME_LENGTH);
+    if (typeof data.phone.tel !== 'string' || !E164_REGEX.test(data.phone.tel)) {
+      errors.push({ path: 'phone.tel', message: 'must be in E.164 format, e.g. "+16138388800"' });
+    }
+  }
+
+  if (!isObject(data.coordinates)) {
+    errors.push({ path: 'coordinates', message: 'must be an object' });
+  } else {
+    const latitude = data.coordinates.latitude;
+    const longitude = data.coordinates.longitude;
+    if (typeof latitude !== 'number' || !(latitude >= -90 && latitude <= 90)) {
+      errors.push({ path: 'coordinates.latitude', message: 'must be a number from -90 to 90' });
+    }
+    if (typeof longitude !== 'number' || !(longitude >= -180 && longitude <= 180)) {
+      errors.push({ path: 'coordinates.longitude', message: 'must be a number from -180 to 180' });
+    }
+  }
+
+  if (typeof data.url !== 'string' || !/^https:\/\/[^\s/]+$/.test(data.url)) {
+    errors.push({ path: 'url', message: 'must be the site address with no trailing slash, e.g. "https://example.com"' });
+  }
+  if (typeof data.priceRange !== 'string' || !/^\${1,4}$/.test(data.priceRange)) {
+    errors.push({ path: 'priceRange', message: 'must be "$" to "$$$$"' });
+  }
+  if (!isTimezone(data.timezone)) {
+    errors.push({ path: 'timezone', message: 'must be an IANA timezone name, e.g. "America/Toronto"' });
+  }
+
+  if (!isObject(data.images)) {
+    errors.push({ path: 'images', message: 'must be an object' });
+  } else {
+    checkText(errors, 'images.defaultImage', data.images.defaultImage, MAX_MESSAGE_LENGTH);
+  }
+
+  if (!isObject(data.colors)) {
+    errors.push({ path: 'colors', message: 'must be an object' });
+  } else {
+    ['theme', 'background'].forEach(function(key) {
+      if (typeof data.colors[key] !== 'string' || !COLOR_REGEX.test(data.colors[key])) {
+        errors.push({ path: 'colors.' + key, message: 'must be a colour like "#212529"' });
+      }
+    });
+  }
+
+  Object.keys(EDITABLE_SECTIONS).forEach(function(name) {
+    // Specials are optional: without them the specials grid is simply left empty
+    if (name === 'specials' && data.specials === undefined) {
+      return;
+    }
+    Array.prototype.push.apply(errors, validateSection(name, data[name]));
+  });
+  if (data.preorders !== undefined) {
+    Array.prototype.push.apply(errors, validatePreorders(data.preorders));
+  }
+  if (data.campaigns !== undefined) {
+    Array.prototype.push.apply(errors, validateCampaigns(data.campaigns));
+  }
+  if (data.services !== undefined) {
+    Array.prototype.push.apply(errors, validateServices(data.services));
+  }
+  if (data.testimonials !== undefined) {
+    Array.prototype.push.apply(errors, validateTestimonials(data.testimonials));
+  }
+  if (data.products !== undefined) {
+    Array.prototype.push.apply(errors, validateProducts(data.products));
+  }
+
+  return errors;
+}
+
+/**
+ * Validators for the sections that can be edited from the admin page, keyed by section name
+ */
+const EDITABLE_SECTIONS = {
+  hours: validateHours,
+  closures: validateClosures,
+  announcements: validateAnnouncements,
+  specials: validateSpecials
+};
+
+/**
+ * Bring edits saved by an older admin page up to date: the single "announcement" banner
+ * became the "announcements" list
+ * @param {Object} sections - Saved edits by section name
+ * @returns {Object} - Edits with only current section names
+ */
+function upgradeSections(sections) {
+  if (!Object.prototype.hasOwnProperty.call(sections, 'announcement')) {
+    return sections;
+  }
+  const upgraded = Object.assign({}, sections);
+  const message = upgraded.announcement;
+  delete upgraded.announcement;
+  if (upgraded.announcements === undefined && typeof message === 'string' && message.trim() !== '') {
+    upgraded.announcements = [{ id: 'announcement', message: message.trim() }];
+  }
+  return upgraded;
+}
+
+/**
+ * Validate one editable section
+ * @param {string} name - Section name (a key of EDITABLE_SECTIONS)
+ * @param {*} value - Section value
+ * @returns {Object[]} - Errors as { path, message }
+ */
+function validateSection(name, value) {
+  if (!Object.prototype.hasOwnProperty.call(EDITABLE_SECTIONS, name)) {
+    return [{ path: name, message: 'is not an editable section' }];
+  }
+  return EDITABLE_SECTIONS[name](value, name);
+}
+
+/**
+ * Look up the value at a field path (e.g. "closures[2].endDate" or 'specials.footnotes["*"]')
+ * @param {Object} data - Data the path points into
+ * @param {string} path - Field path from a validation error
+ * @returns {*} - Value at the path, or undefined if there is none
+ */
+function getValueAtPath(data, path) {
+  const keys = [];
+  path.replace(/\["([^"]*)"\]|\[(\d+)\]|[^.[\]]+/g, function(match, quotedKey, index) {
+    keys.push(quotedKey !== undefined ? quotedKey : index !== undefined ? Number(index) : match);
+    return match;
+  });
+  return keys.reduce(function(value, key) {
+    return value === null || value === undefined ? undefined : value[key];
+  }, data);
+}
+
+/**
+ * Format a validation error for the console, with the value that was found
+ * @param {Object} error - Validation error { path, message }
+ * @param {Object} data - Data that was validated
+ * @returns {string} - e.g. 'hours[1].open must be a time like "09:30" (found "9:30")'
+ */
+function formatError(error, data) {
+  const value = getValueAtPath(data, error.path);
+  const found = value === undefined || (value !== null && typeof value === 'object') ? '' :
+    ' (found ' + JSON.stringify(value) + ')';
+  return error.path + ' ' + error.message + found;
+}
+
+module.exports = {
+  EDITABLE_SECTIONS,
+  validateHours,
+  validateClosures,
+  validateAnnouncements,
+  validateSpecials,
+  validatePreorders,
+  validateCampaigns,
+  validateServices,
+  validateTestimonials,
+  validateProducts,
+  validateSection,
+  upgradeSections,
+  validateBusinessData,
+  formatError
+};
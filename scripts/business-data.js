@@ -4,6 +4,12 @@
  * 
  * After editing this file, run: npm run update-business-data
  * This will automatically update all HTML files with the new information.
+ * Run npm run validate-business-data to check your changes on their own.
+ *
+ * The site is built in English and French (scripts/i18n.js). Text visitors read can be
+ * given in both, e.g. name: { en: "Canada Day", fr: "Fête du Canada" }; plain text is
+ * used for both languages. Pack names, cuts and campaign item names are what orders
+ * are made of, so they stay as plain text.
  */
 
 module.exports = {
@@ -21,20 +27,28 @@ module.exports = {
     countryCode: "CA"
   },
   
+  // tel: E.164 format ("+", country code and number, digits only), used for tel: links and structured data
   phone: {
     display: "(613) 838-8800",
-    tel: "+1-613-838-8800"
+    tel: "+16138388800"
   },
   
   coordinates: {
     latitude: 45.193608692634434,
     longitude: -75.84403566715355
   },
+
+  // IANA timezone the hours, closures and pickup times below are in.
+  // "Today" and open/closed are always worked out in this timezone, wherever the site is built or viewed.
+  timezone: "America/Toronto",
   
   url: "https://christophersmeatmarket.com",
   priceRange: "$$",
-  description: "Family-owned butcher shop in Richmond, Ontario, specializing in quality free-range, grain-fed meats. Over 25 years of experience.",
-  tagline: "Quality Products for Families",
+  description: {
+    en: "Family-owned butcher shop in Richmond, Ontario, specializing in quality free-range, grain-fed meats. Over 25 years of experience.",
+    fr: "Boucherie familiale de Richmond, en Ontario, spécialisée dans les viandes de qualité d’animaux élevés en liberté et nourris au grain. Plus de 25 ans d’expérience."
+  },
+  tagline: { en: "Quality Products for Families", fr: "Des produits de qualité pour les familles" },
   
   // Business Hours
   // Format: 24-hour time (e.g., "09:30", "17:00")
@@ -49,22 +63,270 @@ module.exports = {
     { day: "Sunday", open: null, close: null, closed: true }
   ],
   
-  // Temporary Closure
-  // Set to null when business is operating normally
-  // Set to an object with startDate, endDate (ISO format: "YYYY-MM-DD"), and optional message
-  // Example: { startDate: "2025-01-01", endDate: "2025-02-03", message: "Closed for annual vacation" }
-  temporaryClosure: {
-    startDate: "2026-01-01",
-    endDate: "2026-02-02",
-    message: "Closed for annual family vacation"
+  // Closures and Special Hours
+  // Each entry covers a single day (date) or a range (startDate/endDate), ISO format: "YYYY-MM-DD"
+  // name: short label shown in the holiday hours table (e.g. "Canada Day")
+  // message: optional longer notice shown in the closure card (defaults to name)
+  // recurring: "yearly" repeats the entry every year on the same month/day (the year is ignored)
+  // easterOffset: days from Easter Sunday instead of a date (e.g. -2 for Good Friday), repeats yearly
+  // month/weekday/nth: a weekday of a month instead of a date, repeats yearly; nth is 1-4 or "last",
+  //             e.g. { month: 10, weekday: "Monday", nth: 2 } for Thanksgiving. before: optional day of
+  //             the month to count back from with "last", e.g. { month: 5, weekday: "Monday", nth: "last",
+  //             before: 25 } for Victoria Day
+  // open/close: optional special hours for the day instead of closing all day (e.g. an early close);
+  //             open defaults to the regular opening time for that weekday
+  closures: [
+    {
+      startDate: "2026-01-01", endDate: "2026-02-02",
+      name: { en: "Annual family vacation", fr: "Vacances annuelles en famille" },
+      message: { en: "Closed for annual family vacation", fr: "Fermé pour nos vacances annuelles en famille" }
+    },
+    { date: "2026-01-01", recurring: "yearly", name: { en: "New Year's Day", fr: "Jour de l’An" } },
+    { easterOffset: -2, name: { en: "Good Friday", fr: "Vendredi saint" } },
+    { date: "2026-07-01", recurring: "yearly", name: { en: "Canada Day", fr: "Fête du Canada" } },
+    {
+      date: "2026-12-24", recurring: "yearly", close: "14:00",
+      name: { en: "Christmas Eve", fr: "Veille de Noël" },
+      message: { en: "Closing early at 2 pm for Christmas Eve", fr: "Fermeture hâtive à 14 h la veille de Noël" }
+    },
+    { date: "2026-12-25", recurring: "yearly", name: { en: "Christmas Day", fr: "Noël" } },
+    { date: "2026-12-26", recurring: "yearly", name: { en: "Boxing Day", fr: "Lendemain de Noël" } }
+  ],
+
+  // Announcements
+  // Banners shown under the address bar, e.g.
+  //   { id: "thanksgiving-turkeys", message: "Turkey orders for Thanksgiving close October 5",
+  //     startDate: "2026-09-21", endDate: "2026-10-05", severity: "warning",
+  //     link: { url: "order.html", text: "Order now" }, pages: ["index.html", "specials.html"] }
+  // id: short name, lowercase with dashes; a visitor who dismisses a banner doesn't see that id again
+  // startDate/endDate: optional, first and last day to show it (shop's timezone); shown until removed if left out
+  // severity: "info" (default), "warning" or "urgent"
+  // link and pages are optional; without pages the banner is on every page
+  announcements: [],
+
+  // Packaged Specials (specials.html)
+  // weight: advertised pack weight in lbs; the build warns when its items add up to something else
+  // price: optional pack price in dollars (omit or null for "call for pricing")
+  // footnote: optional key into specials.footnotes, shown after the cut name
+  specials: {
+    footnotes: {
+      "*": "Tenderized inside round wrapped in beef fat",
+      "**": "London broil steak"
+    },
+    packs: [
+      {
+        name: "Executive Pack",
+        weight: 50,
+        items: [
+          { weight: 5, cut: "T-Bone Steak" },
+          { weight: 5, cut: "Sirloin Steak" },
+          { weight: 5, cut: "Rib Steak" },
+          { weight: 5, cut: "Gourmet Steak", footnote: "*" },
+          { weight: 5, cut: "New York Steak" },
+          { weight: 5, cut: "Centreloin Pork Chops" },
+          { weight: 10, cut: "All Beef Lean Patties" },
+          { weight: 10, cut: "Chicken Breasts" }
+        ]
+      },
+      {
+        name: "Weight Watchers Pack",
+        weight: 46,
+        items: [
+          { weight: 5, cut: "Gourmet Steak", footnote: "*" },
+          { weight: 5, cut: "Minute Steak" },
+          { weight: 5, cut: "Lamb Chops" },
+          { weight: 5, cut: "Butterfly Pork Chops" },
+          { weight: 6, cut: "Eye of Round Roast" },
+          { weight: 10, cut: "Lean Ground Beef" }
+        ]
+      },
+      {
+        name: "Barbeque Pack",
+        weight: 85,
+        items: [
+          { weight: 5, cut: "T-Bone Steak" },
+          { weight: 5, cut: "Sirloin Steak" },
+          { weight: 5, cut: "Rib Steak" },
+          { weight: 10, cut: "Gourmet Steak", footnote: "*" },
+          { weight: 10, cut: "Eye of Round Steak" },
+          { weight: 10, cut: "Sirloin Top Roast" },
+          { weight: 10, cut: "Centreloin Pork Chops" },
+          { weight: 10, cut: "Chicken Breasts" },
+          { weight: 20, cut: "All Beef Lean Patties" }
+        ]
+      },
+      {
+        name: "Boneless Gourmet Pack",
+        weight: 50,
+        items: [
+          { weight: 5, cut: "New York Steak" },
+          { weight: 5, cut: "Rib Eye Steak" },
+          { weight: 5, cut: "Rib Steak" },
+          { weight: 5, cut: "Gourmet Steak", footnote: "*" },
+          { weight: 5, cut: "London Broil Steak", footnote: "**" },
+          { weight: 5, cut: "Minute Steak" },
+          { weight: 5, cut: "Eye of Round Steak" },
+          { weight: 5, cut: "All Beef Lean Patties" },
+          { weight: 5, cut: "Chicken Breasts" },
+          { weight: 5, cut: "Butterfly Pork Chops" }
+        ]
+      },
+      {
+        name: "Poultry Pack",
+        weight: 50,
+        items: [
+          { weight: 10, cut: "Chicken Breasts" },
+          { weight: 10, cut: "Chicken Legs" },
+          { weight: 10, cut: "Fryers, Grade A" },
+          { weight: 10, cut: "Roasters, Grade A" },
+          { weight: 10, cut: "Turkey, Grade A" }
+        ]
+      },
+      {
+        name: "Variety Pack",
+        weight: 80,
+        items: [
+          { weight: 10, cut: "T-Bone Steak" },
+          { weight: 10, cut: "Round Roast" },
+          { weight: 10, cut: "Chuck Roast" },
+          { weight: 10, cut: "Rump Roast" },
+          { weight: 10, cut: "Lean Ground Beef" },
+          { weight: 10, cut: "Sirloin Steak" },
+          { weight: 10, cut: "Centreloin Pork Chops" },
+          { weight: 10, cut: "Turkey" }
+        ]
+      },
+      {
+        name: "Pork Pack",
+        weight: 50,
+        items: [
+          { weight: 10, cut: "Centreloin Pork Chops" },
+          { weight: 10, cut: "Pork Loin Roast" },
+          { weight: 10, cut: "Spare Side Ribs" },
+          { weight: 10, cut: "Breakfast Sausage" },
+          { weight: 10, cut: "Bacon" }
+        ]
+      },
+      {
+        name: "Roast and Steak Pack",
+        weight: 50,
+        items: [
+          { weight: 10, cut: "Blade Roast" },
+          { weight: 10, cut: "Short Rib Roast" },
+          { weight: 10, cut: "Cross Rib Roast" },
+          { weight: 10, cut: "Rib Steaks or Roast" },
+          { weight: 10, cut: "Medium Ground Beef" }
+        ]
+      },
+      {
+        name: "Beef Pack",
+        weight: 43,
+        items: [
+          { weight: 3, cut: "Eye of Round" },
+          { weight: 10, cut: "Round Steak" },
+          { weight: 10, cut: "Rump Roast" },
+          { weight: 10, cut: "Minute Steak" },
+          { weight: 10, cut: "Lean Ground Beef" }
+        ]
+      }
+    ]
   },
-  
+
+  // Online Pre-orders (order.html)
+  // Packs from specials, or custom packs built from the cuts in specials, picked up at a booked time.
+  // Pickup slots are only offered during open hours and never on a closure day.
+  preorders: {
+    slotMinutes: 30,       // Length of each pickup slot
+    slotCapacity: 3,       // Orders that can be picked up in one slot
+    minLeadDays: 2,        // Earliest pickup, in days from today (packs are cut to order)
+    maxDaysAhead: 28,      // Latest pickup, in days from today
+    maxItemWeight: 50,     // Heaviest single cut in a custom pack, in lbs
+    maxCustomWeight: 150   // Heaviest custom pack, in lbs
+  },
+
+  // Seasonal Pre-order Campaigns
+  // Each campaign gets its own order page (<id>.html) and a call-to-action on the homepage while it takes orders.
+  // id: short name, lowercase with dashes, also the page's file name
+  // startDate: optional first day orders are taken; cutoffDate: last day orders are taken (shop's timezone)
+  // pickupDates: days customers can pick up, after the cutoff and on days the shop is open
+  // image: optional photo for the page and social sharing, path in public/
+  // items: what can be ordered; sizes are the choices for each item, limit is how many the shop can make in total
+  campaigns: [
+    {
+      id: "holiday-preorders",
+      name: { en: "Holiday Pre-orders", fr: "Précommandes des fêtes" },
+      description: {
+        en: "Reserve your free-range turkey, smoked ham and Chris's French Canadian tourtières for the holidays.",
+        fr: "Réservez votre dinde de grain élevée en liberté, votre jambon fumé et les tourtières de Chris pour les fêtes."
+      },
+      startDate: "2026-11-02",
+      cutoffDate: "2026-12-17",
+      pickupDates: ["2026-12-22", "2026-12-23", "2026-12-24"],
+      items: [
+        {
+          name: "Fresh Turkey",
+          description: { en: "Free range, grain fed", fr: "Élevée en liberté, nourrie au grain" },
+          sizes: ["10–12 lbs", "14–16 lbs", "18–20 lbs"],
+          limit: 60
+        },
+        {
+          name: "Smoked Ham",
+          description: { en: "Bone-in", fr: "Avec l’os" },
+          sizes: ["Half (4–5 lbs)", "Whole (8–10 lbs)"],
+          limit: 40
+        },
+        {
+          name: "French Canadian Tourtière",
+          description: { en: "Baked and ready to reheat", fr: "Cuite et prête à réchauffer" },
+          sizes: ["9-inch pie"],
+          limit: 80
+        }
+      ]
+    }
+  ],
+
+  // Services (services.html), published as schema.org Service structured data
+  // image: path of the service's photo in public/
+  services: [
+    {
+      name: { en: "Delivered Meals", fr: "Repas livrés" },
+      description: {
+        en: "Meals for banquets and large special occasions, designed with you, prepared the day of the event and delivered just in time.",
+        fr: "Des repas pour les banquets et les grandes occasions, conçus avec vous, préparés le jour même et livrés juste à temps."
+      },
+      image: "img/delivered-meals.jpg"
+    },
+    {
+      name: { en: "Catered Events", fr: "Événements avec traiteur" },
+      description: {
+        en: "The Butcher and his staff come to your event and cook a feast with all the fixings, from sausage to steaks, for BBQs, staff events, weddings and anniversaries.",
+        fr: "Le boucher et son équipe viennent à votre événement et préparent un festin avec tous les accompagnements, des saucisses aux steaks, pour les BBQ, les fêtes de bureau, les mariages et les anniversaires."
+      },
+      image: "img/catered-events.jpg"
+    }
+  ],
+
+  // Customer testimonials, shown on the homepage and published as schema.org Reviews with an
+  // AggregateRating. Only add reviews customers have actually posted, as they wrote them.
+  // rating: whole stars from 1 to 5; date: when it was posted; source: where (optional), e.g.
+  // { author: "Jane D.", quote: "Best steaks in Ottawa.", rating: 5, date: "2026-05-14", source: "Google" }
+  testimonials: [],
+
+  // Products Catalog (products.html), in its own file: every cut and product the shop carries.
+  // The specials packs link each of their cuts to its entry.
+  products: require('./products.js'),
+
   // Default Images
   images: {
     defaultImage: "img/slide-1.jpg"
   },
-  
-  // Additional structured data fields
-  servesCuisine: "Butcher Shop"
+
+  // Colours of the installable app (manifest.webmanifest), as "#rrggbb"
+  // theme: browser toolbar and the app's title bar, and the background of its icon
+  // background: splash screen shown while the app starts
+  colors: {
+    theme: "#212529",
+    background: "#ffffff"
+  }
 };
 
@@ -0,0 +1,130 @@
+/**
+ * Unified Diff
+ *
+ * Line-based unified diff (the format of `diff -u` and `git diff`), used by the
+ * site build's --dry-run mode to show what would change in dist/.
+ */
+
+/**
+ * Work out the edit script between two lists of lines (longest common subsequence)
+ * @param {string[]} oldLines - Lines before
+ * @param {string[]} newLines - Lines after
+ * @returns {Object[]} - Operations in order, each { type: ' ' | '-' | '+', line }
+ */
+function diffLines(oldLines, newLines) {
+  // lengths[i][j] = length of the longest common subsequence of oldLines[i..] and newLines[j..]
+  const lengths = [];
+  for (let i = oldLines.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (let j = newLines.length; j >= 0; j--) {
+      if (i === oldLines.length || j === newLines.length) {
+        lengths[i][j] = 0;
+      } else if (oldLines[i] === newLines[j]) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      operations.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', line: oldLines[i] });
+      i++;
+    } else {
+      operations.push({ type: '+', line: newLines[j] });
+      j++;
+    }
+  }
+  return operations;
+}
+
+/**
+ * Split text into lines, ignoring a final newline
+ * @param {string} text - Text to split
+ * @returns {string[]} - Lines
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @param {Object} [options] - { fromFile, toFile, context: lines of context around changes (default 3) }
+ * @returns {string} - Unified diff, or empty string if the texts have the same lines
+ */
+function unifiedDiff(oldText, newText, options) {
+  options = options || {};
+  const context = options.context === undefined ? 3 : options.context;
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+  if (operations.every(function(operation) {
+    return operation.type === ' ';
+  })) {
+    return '';
+  }
+
+  // Line numbers (1-based) in the old and new text at each operation
+  const oldNumbers = [];
+  const newNumbers = [];
+  let oldLine = 1;
+  let newLine = 1;
+  operations.forEach(function(operation) {
+    oldNumbers.push(oldLine);
+    newNumbers.push(newLine);
+    oldLine += operation.type === '+' ? 0 : 1;
+    newLine += operation.type === '-' ? 0 : 1;
+  });
+
+  // Changes less than two contexts apart share a hunk
+  const groups = [];
+  operations.forEach(function(operation, index) {
+    if (operation.type === ' ') {
+      return;
+    }
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  });
+
+  const hunks = groups.map(function(group) {
+    const from = Math.max(group.start - context, 0);
+    const to = Math.min(group.end + context, operations.length - 1);
+    return {
+      oldStart: oldNumbers[from],
+      newStart: newNumbers[from],
+      operations: operations.slice(from, to + 1)
+    };
+  });
+
+  let output = '--- ' + (options.fromFile || 'a') + '\n+++ ' + (options.toFile || 'b') + '\n';
+  hunks.forEach(function(entry) {
+    const oldCount = entry.operations.filter(function(operation) {
+      return operation.type !== '+';
+    }).length;
+    const newCount = entry.operations.filter(function(operation) {
+      return operation.type !== '-';
+    }).length;
+    output += '@@ -' + (oldCount === 0 ? entry.oldStart - 1 : entry.oldStart) + ',' + oldCount +
+      ' +' + (newCount === 0 ? entry.newStart - 1 : entry.newStart) + ',' + newCount + ' @@\n';
+    entry.operations.forEach(function(operation) {
+      output += operation.type + operation.line + '\n';
+    });
+  });
+  return output;
+}
+
+module.exports = {
+  unifiedDiff
+};
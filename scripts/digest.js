@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+
+/**
+ * Newsletter Digest
+ *
+ * Builds the email staff send to newsletter subscribers (worker/newsletter.js) from what
+ * changed in business-data.js, and in the edits published on the admin page, since the last
+ * digest: specials packs that are new or changed, pre-order campaigns that are new and still
+ * taking orders, and the closures and holiday hours coming up. It is written in every language to .cache/digest/ as HTML and
+ * text, to read over before sending.
+ *
+ * With --send, each confirmed subscriber gets it in their language, with their own
+ * unsubscribe link. The subscribers are read from the site with the staff password
+ * (ADMIN_PASSWORD). By default the emails are written to .eml files in the output directory
+ * (they open in any mail app); --transport http sends them through the email service at
+ * MAIL_API_URL with MAIL_API_KEY, like the Worker's confirmation emails.
+ *
+ * Usage: npm run digest -- --since <git revision>
+ *        npm run digest -- --since <git revision> --to you@example.com
+ *        ADMIN_PASSWORD=... npm run digest -- --since <git revision> --send
+ *
+ *   --since <revision>   Commit, tag or branch business-data.js was at when the last digest went out
+ *   --out <dir>          Output directory (default .cache/digest)
+ *   --to <email>         Send a copy in every language to this address only, to try it out
+ *                        (without an unsubscribe link, as the address isn't a subscriber)
+ *   --send               Send it to every confirmed subscriber
+ *   --transport <name>   file (default) or http
+ *   --site <url>         Site the subscribers and the admin page's published edits are read from
+ *                        (default the url in business-data.js; SITE_DATA_URL overrides the latter)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const businessData = require('./business-data.js');
+const build = require('./update-business-data.js');
+const i18n = require('./i18n.js');
+const mail = require('./mail.js');
+const { escapeHTML } = require('./template.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * How far ahead closures are listed, in days (as in the site's holiday hours table)
+ */
+const CLOSURE_DAYS_AHEAD = 60;
+
+/**
+ * Read a file as it was at a git revision
+ * @param {string} revision - Git commit, tag or branch
+ * @param {string} file - Path from the repository root
+ * @returns {string} - File contents
+ */
+function gitShow(revision, file) {
+  return execFileSync('git', ['show', revision + ':' + file], {
+    cwd: ROOT_DIR,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Load business-data.js as it was at a git revision, with the products.js next to it then
+ * (or none, before the catalog was added)
+ * @param {string} revision - Git commit, tag or branch
+ * @returns {Object} - Business data
+ */
+function loadBusinessData(revision) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-data-'));
+  const file = path.join(dir, 'business-data.js');
+  try {
+    let products = 'module.exports = [];\n';
+    try {
+      products = gitShow(revision, 'scripts/products.js');
+    } catch {
+      // Not in this revision
+    }
+    fs.writeFileSync(path.join(dir, 'products.js'), products, 'utf8');
+    fs.writeFileSync(file, gitShow(revision, 'scripts/business-data.js'), 'utf8');
+    return require(file);
+  } finally {
+    delete require.cache[file];
+    delete require.cache[path.join(dir, 'products.js')];
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Get when a git revision was committed
+ * @param {string} revision - Git commit, tag or branch
+ * @returns {string} - Commit time as an ISO timestamp in UTC
+ */
+function getCommitTime(revision) {
+  const time = execFileSync('git', ['show', '-s', '--format=%cI', revision], {
+    cwd: ROOT_DIR,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+  return new Date(time).toISOString();
+}
+
+/**
+ * Apply the edits published on the admin page, as the site build does, so specials changed
+ * there are in the digest too. They are applied to the old data as well when they were
+ * published before the --since revision was committed, as the last digest had them then.
+ * @param {Object} oldData - Business data at the last digest, changed in place
+ * @param {string} url - Site data URL (the Worker's /api/site-data)
+ * @param {string} since - Git revision of the last digest
+ * @returns {Promise<string[]>} - Names of the sections the edits replaced
+ */
+async function applySiteData(oldData, url, since) {
+  // Changes businessData, which is the build's data object as well
+  const siteData = await build.applySiteDataOverrides(url);
+  if (siteData.publishedAt && siteData.publishedAt <= getCommitTime(since)) {
+    siteData.names.forEach(function(name) {
+      oldData[name] = siteData.sections[name];
+    });
+  }
+  return siteData.names;
+}
+
+/**
+ * Find the specials packs that are new or have changed (items, weight or price)
+ * @param {Object} oldData - Business data at the last digest
+ * @param {Object} newData - Business data now
+ * @returns {Object[]} - Packs from newData.specials.packs
+ */
+function findChangedPacks(oldData, newData) {
+  const oldPacks = {};
+  ((oldData.specials || {}).packs || []).forEach(function(pack) {
+    oldPacks[pack.name] = JSON.stringify(pack);
+  });
+  return newData.specials.packs.filter(function(pack) {
+    return oldPacks[pack.name] !== JSON.stringify(pack);
+  });
+}
+
+/**
+ * Find the pre-order campaigns that are new and still taking orders
+ * @param {Object} oldData - Business data at the last digest
+ * @param {Object} newData - Business data now
+ * @param {string} today - Today's date in ISO format (YYYY-MM-DD)
+ * @returns {Object[]} - Campaigns from newData.campaigns
+ */
+function findNewCampaigns(oldData, newData, today) {
+  const oldIds = (oldData.campaigns || []).map(function(campaign) {
+    return campaign.id;
+  });
+  return (newData.campaigns || []).filter(function(campaign) {
+    return !oldIds.includes(campaign.id) && campaign.cutoffDate >= today;
+  });
+}
+
+/**
+ * Describe a pack in one line (e.g., "Executive Pack, 50 lbs, $250.00: 5 lb T-Bone Steak, ...")
+ * @param {Object} pack - Pack from specials.packs
+ * @param {string} locale - Locale code
+ * @returns {string} - Description
+ */
+function describePack(pack, locale) {
+  // As on the specials page: "50 lbs" for the pack, "5 lb" for each cut
+  const pounds = function(weight, plural) {
+    return i18n.formatNumber(weight, undefined, locale) + ' ' + i18n.translate(locale, plural ? 'pounds' : 'pound');
+  };
+  const price = typeof pack.price === 'number' ? ', ' + i18n.formatPrice(pack.price, locale) : '';
+  return pack.name + ', ' + pounds(pack.weight, true) + price + i18n.colon(locale) + pack.items.map(function(item) {
+    return pounds(item.weight) + ' ' + item.cut;
+  }).join(', ');
+}
+
+/**
+ * Describe the closures and special hours coming up, in the locale the build is configured for
+ * @param {string} locale - Locale code
+ * @param {string} today - Today's date in ISO format (YYYY-MM-DD)
+ * @returns {string[]} - One line per occurrence (e.g., "Thursday, December 24, 2026: 9:00 am – 2:00 pm (Christmas Eve)")
+ */
+function describeClosures(locale, today) {
+  return build.getClosureOccurrences(today, build.addDays(today, CLOSURE_DAYS_AHEAD)).map(function(occurrence) {
+    const dayHours = build.getDayHours(occurrence.startDate);
+    const dates = occurrence.startDate === occurrence.endDate ?
+      build.formatDateWithDay(occurrence.startDate) :
+      build.formatDate(occurrence.startDate) + ' – ' + build.formatDate(occurrence.endDate);
+    const hours = occurrence.close && !dayHours.closed ?
+      build.formatTime(dayHours.open) + ' – ' + build.formatTime(dayHours.close) :
+      i18n.translate(locale, 'closed');
+    return dates + i18n.colon(locale) + hours + ' (' + occurrence.name + ')';
+  });
+}
+
+/**
+ * Build the digest in one language
+ * @param {Object} options - { data: business data (all languages), packs: from findChangedPacks(),
+ *   campaigns: from findNewCampaigns(), locale, today: date in ISO format (YYYY-MM-DD) }
+ * @returns {Object|null} - { subject, text, html } without the unsubscribe footer (mail.createMessage()
+ *   adds it), or null when there is nothing to tell
+ */
+function buildDigest(options) {
+  const locale = options.locale;
+  build.configure({ data: options.data, today: options.today, locale: locale });
+  const data = i18n.localize(options.data, locale);
+  const siteURL = data.url + '/' + i18n.LOCALES[locale].dir;
+  const translate = function(key, values) {
+    return i18n.translate(locale, key, values);
+  };
+
+  // Each section: heading, lines of text, and an optional link
+  const sections = [];
+  if (options.packs.length > 0) {
+    sections.push({
+      heading: translate('newSpecials'),
+      lines: options.packs.map(function(pack) {
+        return describePack(pack, locale);
+      }),
+      link: { url: siteURL + 'specials.html', text: translate('seeSpecials') }
+    });
+  }
+  options.campaigns.forEach(function(campaign) {
+    const localized = i18n.localize(campaign, locale);
+    const pickupDates = campaign.pickupDates.slice().sort();
+    const pickup = pickupDates.length === 1 ? build.formatDate(pickupDates[0]) :
+      build.formatDate(pickupDates[0]) + ' – ' + build.formatDate(pickupDates[pickupDates.length - 1]);
+    sections.push({
+      heading: translate('preorders') + i18n.colon(locale) + localized.name,
+      lines: [
+        localized.description,
+        translate('campaignOrderBy', { cutoff: build.formatDateWithDay(campaign.cutoffDate), pickup: pickup })
+      ],
+      link: { url: siteURL + campaign.id + '.html', text: translate('preOrderNow') }
+    });
+  });
+  const closures = describeClosures(locale, options.today);
+  if (closures.length > 0) {
+    sections.push({ heading: translate('upcomingClosures'), lines: closures });
+  }
+
+  if (sections.length === 0) {
+    return null;
+  }
+
+  const subject = translate('digestSubject', { name: data.name });
+  return {
+    subject: subject,
+    text: sections.map(function(section) {
+      const link = section.link ? '\n' + section.link.text + i18n.colon(locale) + section.link.url : '';
+      return section.heading + '\n\n' + section.lines.map(function(line) {
+        return '- ' + line;
+      }).join('\n') + link;
+    }).join('\n\n'),
+    html: '<h1 style="font-size: 22px;">' + escapeHTML(subject) + '</h1>' + sections.map(function(section) {
+      const link = section.link ? '<p><a href="' + escapeHTML(section.link.url) + '">' + escapeHTML(section.link.text) + '</a></p>' : '';
+      return '<h2 style="font-size: 18px;">' + escapeHTML(section.heading) + '</h2><ul>' + section.lines.map(function(line) {
+        return '<li>' + escapeHTML(line) + '</li>';
+      }).join('') + '</ul>' + link;
+    }).join('')
+  };
+}
+
+/**
+ * Make a transport that writes each message to an .eml file instead of sending it
+ * @param {string} dir - Directory to write to
+ * @returns {Object} - Transport (see scripts/mail.js)
+ */
+function createFileTransport(dir) {
+  let count = 0;
+  return {
+    send: async function(message) {
+      count++;
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, String(count).padStart(4, '0') + '-' + message.to.replace(/[^\w.@-]/g, '_') + '.eml');
+      fs.writeFileSync(file, mail.formatMessage(message), 'utf8');
+    }
+  };
+}
+
+/**
+ * Get the transport to send with
+ * @param {string} name - "file" or "http"
+ * @param {string} outDir - Output directory, for the file transport
+ * @returns {Object} - Transport
+ */
+function getTransport(name, outDir) {
+  if (name === 'file') {
+    return createFileTransport(path.join(outDir, 'sent'));
+  }
+  if (!process.env.MAIL_API_URL || !process.env.MAIL_API_KEY) {
+    throw new Error('Set MAIL_API_URL and MAIL_API_KEY to send through the email service');
+  }
+  return mail.createHTTPTransport({ url: process.env.MAIL_API_URL, apiKey: process.env.MAIL_API_KEY });
+}
+
+/**
+ * Read the confirmed subscribers from the site (worker/newsletter.js)
+ * @param {string} siteURL - Site address (e.g., "https://christophersmeatmarket.com")
+ * @param {string} password - Staff password
+ * @returns {Promise<Object[]>} - Subscribers, each { email, locale, unsubscribeToken }
+ */
+async function fetchSubscribers(siteURL, password) {
+  const url = siteURL.replace(/\/$/, '') + '/admin/api/newsletter/subscribers';
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json', 'Authorization': 'Basic ' + Buffer.from('staff:' + password).toString('base64') }
+  });
+  if (!response.ok) {
+    throw new Error('Could not fetch ' + url + ' (HTTP ' + response.status + ')');
+  }
+  return (await response.json()).subscribers;
+}
+
+/**
+ * Read the command line options
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} - { since, out, to, send, transport, site }
+ */
+function parseArgs(args) {
+  const options = {
+    since: null,
+    out: path.join(ROOT_DIR, '.cache', 'digest'),
+    to: null,
+    send: false,
+    transport: 'file',
+    site: businessData.url
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--send') {
+      options.send = true;
+    } else if (['--since', '--out', '--to', '--transport', '--site'].includes(arg) && i + 1 < args.length) {
+      options[arg.slice(2)] = args[++i];
+    } else {
+      throw new Error('Unknown option "' + arg + '" (use --since, --out, --to, --send, --transport or --site)');
+    }
+  }
+  if (!options.since) {
+    throw new Error('Say which version of business-data.js the last digest went out with: --since <git revision>');
+  }
+  if (!['file', 'http'].includes(options.transport)) {
+    throw new Error('Unknown transport "' + options.transport + '" (use file or http)');
+  }
+  return options;
+}
+
+/**
+ * Main function - writes the digest, and sends it if asked
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const today = build.getTodayISO();
+  const oldData = loadBusinessData(options.since);
+  const siteDataURL = process.env.SITE_DATA_URL || options.site.replace(/\/$/, '') + '/api/site-data';
+  const edited = await applySiteData(oldData, siteDataURL, options.since);
+  console.log('✓ Applied admin edits: ' + (edited.length > 0 ? edited.join(', ') : 'none'));
+  const packs = findChangedPacks(oldData, businessData);
+  const campaigns = findNewCampaigns(oldData, businessData, today);
+  console.log('Changes since ' + options.since + ': ' + packs.length + ' specials pack(s), ' + campaigns.length + ' pre-order campaign(s)\n');
+
+  const digests = {};
+  Object.keys(i18n.LOCALES).forEach(function(locale) {
+    digests[locale] = buildDigest({ data: businessData, packs: packs, campaigns: campaigns, locale: locale, today: today });
+  });
+  if (!digests[i18n.DEFAULT_LOCALE]) {
+    console.log('✓ Nothing new to tell subscribers, no digest written');
+    return;
+  }
+
+  fs.mkdirSync(options.out, { recursive: true });
+  Object.keys(digests).forEach(function(locale) {
+    ['html', 'text'].forEach(function(format) {
+      const file = path.join(options.out, 'digest.' + locale + (format === 'html' ? '.html' : '.txt'));
+      fs.writeFileSync(file, digests[locale][format] + '\n', 'utf8');
+      console.log('✓ Wrote ' + path.relative(ROOT_DIR, file));
+    });
+  });
+
+  let recipients = [];
+  if (options.to) {
+    // Not a subscriber, so there is no unsubscribe link to give them
+    recipients = Object.keys(digests).map(function(locale) {
+      return { email: options.to, locale: locale, unsubscribeToken: null };
+    });
+  } else if (options.send) {
+    if (!process.env.ADMIN_PASSWORD) {
+      throw new Error('Set ADMIN_PASSWORD to read the subscribers from ' + options.site);
+    }
+    recipients = await fetchSubscribers(options.site, process.env.ADMIN_PASSWORD);
+  } else {
+    console.log('\nRead it over, then send it with --send (or try it with --to you@example.com)');
+    return;
+  }
+
+  const transport = getTransport(options.transport, options.out);
+  for (const recipient of recipients) {
+    const locale = digests[recipient.locale] ? recipient.locale : i18n.DEFAULT_LOCALE;
+    const digest = digests[locale];
+    await transport.send(mail.createMessage({
+      data: i18n.localize(businessData, locale),
+      locale: locale,
+      to: recipient.email,
+      subject: digest.subject,
+      text: digest.text,
+      html: digest.html,
+      unsubscribeURL: recipient.unsubscribeToken ? mail.getUnsubscribeURL(businessData.url, recipient.unsubscribeToken) : null
+    }));
+  }
+  const where = options.transport === 'file' ? ' (written to ' + path.relative(ROOT_DIR, path.join(options.out, 'sent')) + ')' : '';
+  console.log('\n✓ Sent ' + recipients.length + ' email(s)' + where);
+}
+
+module.exports = {
+  loadBusinessData,
+  applySiteData,
+  findChangedPacks,
+  findNewCampaigns,
+  buildDigest,
+  createFileTransport,
+  parseArgs
+};
+
+// Run the script
+if (require.main === module) {
+  main().catch(function(error) {
+    console.error('✗ Digest failed: ' + error.message);
+    process.exitCode = 1;
+  });
+}
@@ -3,7 +3,8 @@
 /**
  * Format HTML Files
  * 
- * Formats all HTML files in the public directory using js-beautify.
+ * Formats the layout, partials and page content files in src/ using js-beautify.
+ * Page front matter is left untouched. The build uses formatHTML() for its output.
  * 
  * Usage: npm run format:html
  */
@@ -12,24 +13,36 @@ const fs = require('fs');
 const path = require('path');
 const beautify = require('js-beautify').html;
 
+const { parseFrontMatter } = require('./template.js');
+
+/**
+ * Format an HTML string
+ * @param {string} html - HTML to format
+ * @returns {string} - Formatted HTML
+ */
+function formatHTML(html) {
+  return beautify(html, {
+    indent_size: 2,
+    indent_char: ' ',
+    max_preserve_newlines: 2,
+    preserve_newlines: true,
+    wrap_line_length: 120,
+    wrap_attributes: 'auto',
+    end_with_newline: true
+  });
+}
+
 /**
- * Format a single HTML file
+ * Format a single HTML file, keeping any front matter as is
  * @param {string} filePath - Path to the HTML file to format
  * @returns {boolean} - True if formatting succeeded, false otherwise
  */
 function formatHTMLFile(filePath) {
   try {
     const content = fs.readFileSync(filePath, 'utf8');
-    const formatted = beautify(content, {
-      indent_size: 2,
-      indent_char: ' ',
-      max_preserve_newlines: 2,
-      preserve_newlines: true,
-      wrap_line_length: 120,
-      wrap_attributes: 'auto',
-      end_with_newline: true
-    });
-    fs.writeFileSync(filePath, formatted, 'utf8');
+    const frontMatter = content.slice(0, content.length - parseFrontMatter(content, filePath).body.length);
+    const body = content.slice(frontMatter.length);
+    fs.writeFileSync(filePath, frontMatter + formatHTML(body), 'utf8');
     return true;
   } catch (error) {
     console.error('Error formatting ' + path.basename(filePath) + ':', error.message);
@@ -44,28 +57,32 @@ function formatHTMLFile(filePath) {
 function main() {
   console.log('Formatting HTML files...\n');
   
-  const publicDir = path.join(__dirname, '..', 'public');
-  const htmlFiles = [
-    path.join(publicDir, 'index.html'),
-    path.join(publicDir, 'contact.html'),
-    path.join(publicDir, 'specials.html'),
-    path.join(publicDir, 'services.html')
-  ];
+  const srcDir = path.join(__dirname, '..', 'src');
+  const htmlFiles = [path.join(srcDir, 'layout.html')];
+  ['partials', 'pages'].forEach(function(dir) {
+    fs.readdirSync(path.join(srcDir, dir)).filter(function(file) {
+      return file.endsWith('.html');
+    }).forEach(function(file) {
+      htmlFiles.push(path.join(srcDir, dir, file));
+    });
+  });
   
   let formattedCount = 0;
   htmlFiles.forEach(function(filePath) {
-    if (fs.existsSync(filePath)) {
-      if (formatHTMLFile(filePath)) {
-        console.log('✓ Formatted: ' + path.basename(filePath));
-        formattedCount++;
-      }
-    } else {
-      console.log('✗ File not found: ' + path.basename(filePath));
+    if (formatHTMLFile(filePath)) {
+      console.log('✓ Formatted: ' + path.relative(srcDir, filePath));
+      formattedCount++;
     }
   });
   
   console.log('\n' + formattedCount + ' file(s) formatted successfully!');
 }
 
-// Run the script
-main();
+module.exports = {
+  formatHTML
+};
+
+// Run the script when invoked directly (not when required by the build)
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,415 @@
+/**
+ * Locales
+ *
+ * The site is built once for each locale: English in the site root and French under /fr/.
+ * Each locale has its own page content files (src/pages/fr/ for French); this file has the
+ * strings the build and the shared templates use, and formats dates and times the way each
+ * language writes them ("5:00 pm" in English, "17 h" in French).
+ *
+ * Text in business-data.js can be given per locale as { en: "...", fr: "..." }; localize()
+ * picks the text for one locale, falling back to English where there is no translation.
+ *
+ * This file is bundled into the Worker (through business-data-schema.js), so it must not use Node APIs.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Locales by code.
+ * lang: language tag for lang and hreflang attributes
+ * ogLocale: Open Graph locale
+ * dir: directory the locale's pages are built into (and its page content files are in, under src/pages)
+ * name: name of the language in that language, for the language toggle
+ */
+const LOCALES = {
+  en: { lang: 'en-CA', ogLocale: 'en_CA', dir: '', name: 'English' },
+  fr: { lang: 'fr-CA', ogLocale: 'fr_CA', dir: 'fr/', name: 'Français' }
+};
+
+const MONTH_NAMES = {
+  en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  fr: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre']
+};
+
+/**
+ * Weekday names, Sunday first (the order of Date.getUTCDay())
+ */
+const DAY_NAMES = {
+  en: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  fr: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi']
+};
+
+/**
+ * Strings for the generated sections, structured data, templates ({{t.name}}), emails and the
+ * Worker's form messages, by locale.
+ * {name} placeholders are filled in by translate().
+ */
+const STRINGS = {
+  en: {
+    // Templates (src/layout.html and src/partials)
+    mainNavigation: 'Main navigation',
+    toggleNavigation: 'Toggle navigation',
+    menu: 'Menu',
+    close: 'Close',
+    copyright: 'Copyright',
+    languages: 'Languages',
+    newsletterHeading: 'Specials by email',
+    emailAddress: 'Email address',
+    newsletterConsent: 'Yes, email me when new specials, holiday pre-orders and closures are announced. I can unsubscribe at any time.',
+    newsletterConfirmNote: 'We\'ll email you a link to confirm your subscription.',
+    signUp: 'Sign up',
+    leaveEmpty: 'Leave this field empty',
+
+    // Generated sections
+    closed: 'Closed',
+    temporarilyClosed: 'Temporarily closed',
+    returnToRegularHours: 'We will return to regular hours on {date}',
+    addClosuresToCalendar: 'Add our closures to your calendar',
+    regularHoursCurrentlyClosed: 'Regular hours (currently closed)',
+    holidayHours: 'Holiday hours',
+    mapTitle: 'Map showing location of {name} at {address}',
+    showMap: 'Show map',
+    mapCookies: 'The map is loaded from Google Maps, which can set cookies.',
+    getDirections: 'Get directions:',
+    north: 'N',
+    south: 'S',
+    east: 'E',
+    west: 'W',
+    pound: 'lb',
+    pounds: 'lbs',
+    preOrder: 'Pre-order',
+    preOrderNow: 'Pre-order now',
+    dismissAnnouncement: 'Dismiss announcement',
+    campaignOrderBy: 'Order by {cutoff} for pickup {pickup}.',
+    testimonials: 'What Our Customers Say',
+    rating: 'Rated {rating} out of {best}',
+    previousTestimonial: 'Previous testimonial',
+    nextTestimonial: 'Next testimonial',
+    species: 'Species',
+    allSpecies: 'All',
+    searchCuts: 'Search by cut',
+    origin: 'Origin',
+    typicalWeight: 'Typical weight',
+    cooking: 'Cooking',
+    beef: 'Beef',
+    veal: 'Veal',
+    pork: 'Pork',
+    lamb: 'Lamb',
+    chicken: 'Chicken',
+    turkey: 'Turkey',
+    duck: 'Duck',
+    availableAlways: 'Usually in stock',
+    availableSeasonal: 'Seasonal',
+    availableToOrder: 'Order ahead',
+
+    // Structured data
+    home: 'Home',
+    packagedSpecials: 'Packaged Specials',
+
+    // Emails (worker/newsletter.js and scripts/digest.js)
+    confirmSubject: 'Please confirm your subscription to {name}',
+    confirmIntro: 'Thanks for signing up to hear from {name} about new specials, holiday pre-orders and closures. Please confirm your subscription:',
+    confirmAction: 'Confirm my subscription',
+    confirmIgnore: 'If you didn\'t sign up, ignore this email and we won\'t email you again.',
+    mailReason: 'You are receiving this email because this address was signed up on {url}.',
+    unsubscribe: 'Unsubscribe',
+    digestSubject: 'News from {name}',
+    newSpecials: 'New specials',
+    seeSpecials: 'See all our specials',
+    preorders: 'Pre-orders',
+    upcomingClosures: 'Upcoming closures and holiday hours',
+
+    // Form messages from the Worker (worker/quote.js, orders.js, campaigns.js and newsletter.js)
+    formUnreadable: 'The form could not be read.',
+    orderUnreadable: 'The order could not be read.',
+    tooManyRequests: 'Too many requests.',
+    tooManyOrders: 'Too many orders.',
+    enterName: 'Enter your name',
+    enterEmail: 'Enter a valid email address',
+    enterPhone: 'Enter a valid phone number',
+    enterContactPhone: 'Enter a phone number we can reach you at',
+    notesTooLong: 'Please keep notes under {max} characters',
+    chooseService: 'Choose delivered meals or a catered event',
+    enterEventDate: 'Enter the event date',
+    eventDatePast: 'The event date is in the past',
+    eventDateTooFar: 'We take bookings up to two years ahead',
+    enterGuests: 'Enter a number of guests between 1 and {max}',
+    menuPreferencesTooLong: 'Please keep menu preferences under {max} characters',
+    choosePack: 'Choose a pack',
+    addCuts: 'Add between 1 and {max} cuts to your pack',
+    chooseCutWeight: 'Choose a cut and a weight from 1 to {max} lbs for each line',
+    customPackTooHeavy: 'Custom packs can weigh up to {max} lbs',
+    choosePickupDay: 'Choose a pickup day',
+    choosePickupTime: 'Choose a pickup time',
+    pickupTimeFull: 'That pickup time has just filled up. Please choose another.',
+    campaignNotFound: 'Campaign not found',
+    campaignUpcoming: 'We are not taking orders for {name} yet.',
+    campaignClosed: 'Orders for {name} have closed.',
+    chooseQuantities: 'Choose how many of each item you would like',
+    chooseItemSizeQuantity: 'Choose an item, a size and a quantity for each line',
+    itemSoldOut: '{item} is sold out.',
+    itemOnlyLeft: 'Sorry, we only have {count} more {item} available.',
+    agreeToEmails: 'Tick the box to agree to receive our emails',
+    confirmationNotSent: 'We couldn\'t send the confirmation email.'
+  },
+  fr: {
+    mainNavigation: 'Navigation principale',
+    toggleNavigation: 'Afficher la navigation',
+    menu: 'Menu',
+    close: 'Fermer',
+    copyright: 'Droits d’auteur',
+    languages: 'Langues',
+    newsletterHeading: 'Nos spéciaux par courriel',
+    emailAddress: 'Adresse courriel',
+    newsletterConsent: 'Oui, écrivez-moi quand de nouveaux spéciaux, des précommandes des fêtes ou des fermetures sont annoncés. Je peux me désabonner en tout temps.',
+    newsletterConfirmNote: 'Nous vous enverrons un lien par courriel pour confirmer votre abonnement.',
+    signUp: 'S’abonner',
+    leaveEmpty: 'Laissez ce champ vide',
+
+    closed: 'Fermé',
+    temporarilyClosed: 'Fermé temporairement',
+    returnToRegularHours: 'Nous reprendrons l’horaire habituel le {date}',
+    addClosuresToCalendar: 'Ajoutez nos fermetures à votre calendrier',
+    regularHoursCurrentlyClosed: 'Heures habituelles (fermé en ce moment)',
+    holidayHours: 'Heures des fêtes',
+    mapTitle: 'Carte indiquant l’emplacement de {name} au {address}',
+    showMap: 'Afficher la carte',
+    mapCookies: 'La carte est chargée à partir de Google Maps, qui peut déposer des témoins.',
+    getDirections: 'Itinéraire :',
+    north: 'N',
+    south: 'S',
+    east: 'E',
+    west: 'O',
+    pound: 'lb',
+    pounds: 'lb',
+    preOrder: 'Précommander',
+    preOrderNow: 'Précommandez maintenant',
+    dismissAnnouncement: 'Masquer l’annonce',
+    campaignOrderBy: 'Commandez d’ici le {cutoff} pour la cueillette : {pickup}.',
+    testimonials: 'Ce que disent nos clients',
+    rating: 'Note de {rating} sur {best}',
+    previousTestimonial: 'Témoignage précédent',
+    nextTestimonial: 'Témoignage suivant',
+    species: 'Espèce',
+    allSpecies: 'Toutes',
+    searchCuts: 'Rechercher une coupe',
+    origin: 'Origine',
+    typicalWeight: 'Poids habituel',
+    cooking: 'Cuisson',
+    beef: 'Bœuf',
+    veal: 'Veau',
+    pork: 'Porc',
+    lamb: 'Agneau',
+    chicken: 'Poulet',
+    turkey: 'Dinde',
+    duck: 'Canard',
+    availableAlways: 'Habituellement en magasin',
+    availableSeasonal: 'Saisonnier',
+    availableToOrder: 'Sur commande',
+
+    home: 'Accueil',
+    packagedSpecials: 'Forfaits spéciaux',
+
+    confirmSubject: 'Veuillez confirmer votre abonnement à {name}',
+    confirmIntro: 'Merci de vous être abonné aux nouvelles de {name} sur les nouveaux spéciaux, les précommandes des fêtes et les fermetures. Veuillez confirmer votre abonnement :',
+    confirmAction: 'Confirmer mon abonnement',
+    confirmIgnore: 'Si vous ne vous êtes pas abonné, ignorez ce courriel et nous ne vous écrirons plus.',
+    mailReason: 'Vous recevez ce courriel parce que cette adresse a été inscrite sur {url}.',
+    unsubscribe: 'Se désabonner',
+    digestSubject: 'Des nouvelles de {name}',
+    newSpecials: 'Nouveaux spéciaux',
+    seeSpecials: 'Voir tous nos spéciaux',
+    preorders: 'Précommandes',
+    upcomingClosures: 'Fermetures et heures des fêtes à venir',
+
+    formUnreadable: 'Le formulaire n’a pas pu être lu.',
+    orderUnreadable: 'La commande n’a pas pu être lue.',
+    tooManyRequests: 'Trop de demandes.',
+    tooManyOrders: 'Trop de commandes.',
+    enterName: 'Entrez votre nom',
+    enterEmail: 'Entrez une adresse courriel valide',
+    enterPhone: 'Entrez un numéro de téléphone valide',
+    enterContactPhone: 'Entrez un numéro de téléphone où vous joindre',
+    notesTooLong: 'Veuillez limiter les notes à {max} caractères',
+    chooseService: 'Choisissez les repas livrés ou un événement avec traiteur',
+    enterEventDate: 'Entrez la date de l’événement',
+    eventDatePast: 'La date de l’événement est passée',
+    eventDateTooFar: 'Nous prenons les réservations jusqu’à deux ans à l’avance',
+    enterGuests: 'Entrez un nombre d’invités entre 1 et {max}',
+    menuPreferencesTooLong: 'Veuillez limiter vos préférences de menu à {max} caractères',
+    choosePack: 'Choisissez un forfait',
+    addCuts: 'Ajoutez entre 1 et {max} coupes à votre forfait',
+    chooseCutWeight: 'Choisissez une coupe et un poids de 1 à {max} lb pour chaque ligne',
+    customPackTooHeavy: 'Les forfaits personnalisés peuvent peser jusqu’à {max} lb',
+    choosePickupDay: 'Choisissez un jour de cueillette',
+    choosePickupTime: 'Choisissez une heure de cueillette',
+    pickupTimeFull: 'Cette heure de cueillette vient d’être comblée. Veuillez en choisir une autre.',
+    campaignNotFound: 'Précommandes introuvables',
+    campaignUpcoming: 'Nous ne prenons pas encore les commandes pour {name}.',
+    campaignClosed: 'Les commandes pour {name} sont terminées.',
+    chooseQuantities: 'Choisissez combien de chaque article vous voulez',
+    chooseItemSizeQuantity: 'Choisissez un article, un format et une quantité pour chaque ligne',
+    itemSoldOut: '{item} : épuisé.',
+    itemOnlyLeft: 'Désolé, il ne nous reste que {count} {item}.',
+    agreeToEmails: 'Cochez la case pour accepter de recevoir nos courriels',
+    confirmationNotSent: 'Nous n’avons pas pu envoyer le courriel de confirmation.'
+  }
+};
+
+/**
+ * Get a string for a locale, with its {name} placeholders filled in
+ * @param {string} locale - Locale code (e.g. "fr")
+ * @param {string} key - String name (a key of STRINGS.en)
+ * @param {Object} [values] - Placeholder values by name
+ * @returns {string} - String
+ */
+function translate(locale, key, values) {
+  const strings = STRINGS[locale] || STRINGS[DEFAULT_LOCALE];
+  const text = Object.prototype.hasOwnProperty.call(strings, key) ? strings[key] : STRINGS[DEFAULT_LOCALE][key];
+  if (text === undefined) {
+    throw new Error('Unknown string "' + key + '"');
+  }
+  return text.replace(/\{(\w+)\}/g, function(match, name) {
+    return values && Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match;
+  });
+}
+
+/**
+ * Whether a value is text given per locale, e.g. { en: "Closed", fr: "Fermé" }
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for an object with English text and only locale codes as keys
+ */
+function isLocalizedText(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value[DEFAULT_LOCALE] === 'string' &&
+    Object.keys(value).every(function(key) {
+      return Object.prototype.hasOwnProperty.call(LOCALES, key);
+    });
+}
+
+/**
+ * Pick the text for a locale everywhere in a value: each { en, fr } becomes the text for
+ * that locale, or the English text if there is no translation
+ * @param {*} value - Value, e.g. the business data
+ * @param {string} locale - Locale code
+ * @returns {*} - Copy of the value with plain text in place of the per-locale text
+ */
+function localize(value, locale) {
+  if (isLocalizedText(value)) {
+    return typeof value[locale] === 'string' ? value[locale] : value[DEFAULT_LOCALE];
+  }
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return localize(item, locale);
+    });
+  }
+  if (value !== null && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(function(key) {
+      result[key] = localize(value[key], locale);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Format a 24-hour time (e.g. "17:00" is "5:00 pm" in English and "17 h" in French)
+ * @param {string} time24 - Time in 24-hour format (e.g. "09:30")
+ * @param {string} locale - Locale code
+ * @returns {string|null} - Formatted time, or null if there is none
+ */
+function formatTime(time24, locale) {
+  if (!time24) {
+    return null;
+  }
+  const [hours, minutes] = time24.split(':');
+  const hour = parseInt(hours, 10);
+  if (locale === 'fr') {
+    return hour + ' h' + (minutes === '00' ? '' : ' ' + minutes);
+  }
+  return (hour % 12 || 12) + ':' + minutes + ' ' + (hour >= 12 ? 'pm' : 'am');
+}
+
+/**
+ * Format a calendar date (e.g. "January 1, 2026" in English, "1er janvier 2026" in French)
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted date
+ */
+function formatDate(dateStr, locale) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  if (locale === 'fr') {
+    return (day === 1 ? '1er' : day) + ' ' + MONTH_NAMES.fr[month - 1] + ' ' + year;
+  }
+  return MONTH_NAMES.en[month - 1] + ' ' + day + ', ' + year;
+}
+
+/**
+ * Format a calendar date with its weekday (e.g. "Friday, January 1, 2027" in English,
+ * "vendredi 1er janvier 2027" in French)
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted date
+ */
+function formatDateWithDay(dateStr, locale) {
+  const day = DAY_NAMES[locale][new Date(dateStr + 'T00:00:00Z').getUTCDay()];
+  return day + (locale === 'fr' ? ' ' : ', ') + formatDate(dateStr, locale);
+}
+
+/**
+ * Translate a weekday name
+ * @param {string} day - English weekday name, as in business-data.js (e.g. "Monday")
+ * @param {string} locale - Locale code
+ * @returns {string} - Weekday name in that locale ("lundi" in French, which doesn't capitalize them)
+ */
+function translateDay(day, locale) {
+  return DAY_NAMES[locale][DAY_NAMES.en.indexOf(day)];
+}
+
+/**
+ * Get what goes between a label and what follows it in plain text: French puts a space before the colon
+ * @param {string} locale - Locale code
+ * @returns {string} - ": " or " : "
+ */
+function colon(locale) {
+  return locale === 'fr' ? ' : ' : ': ';
+}
+
+/**
+ * Format a number with a decimal point or comma (e.g. 1.5 is "1.50" in English and "1,50" in French)
+ * @param {number} number - Number
+ * @param {number|undefined} decimals - Number of decimals, or undefined for as many as it has
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted number
+ */
+function formatNumber(number, decimals, locale) {
+  const text = decimals === undefined ? String(number) : number.toFixed(decimals);
+  return locale === 'fr' ? text.replace('.', ',') : text;
+}
+
+/**
+ * Format a price in dollars (e.g. "$12.50" in English, "12,50 $" in French)
+ * @param {number} amount - Amount in dollars
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted price
+ */
+function formatPrice(amount, locale) {
+  return locale === 'fr' ? formatNumber(amount, 2, locale) + ' $' : '$' + formatNumber(amount, 2, locale);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  STRINGS,
+  translate,
+  isLocalizedText,
+  localize,
+  formatTime,
+  formatDate,
+  formatDateWithDay,
+  translateDay,
+  colon,
+  formatNumber,
+  formatPrice
+};
@@ -0,0 +1,96 @@
+/**
+ * iCalendar
+ *
+ * Writes iCalendar files (RFC 5545), used by the site build for the calendar.ics
+ * feed of closures and special hours.
+ */
+
+/**
+ * Longest content line, in octets, before it must be folded (RFC 5545 section 3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, without splitting a UTF-8 character.
+ * Continuation lines start with a space, which counts towards their 75 octets.
+ * @param {string} line - Content line
+ * @returns {string} - Folded line, joined with CRLF
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format a calendar date as a DATE value
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {string} - DATE value (e.g., "20261224")
+ */
+function formatDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+/**
+ * Format a moment as a UTC DATE-TIME value
+ * @param {Date} date - Moment to format
+ * @returns {string} - DATE-TIME value (e.g., "20261224T143000Z")
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Create an iCalendar file
+ * @param {Array[]} properties - Calendar properties as [name, value] pairs, values already formatted/escaped
+ * @param {Array[]} events - Events, each a list of [name, value] property pairs
+ * @returns {string} - iCalendar file contents, with CRLF line endings
+ */
+function createCalendar(properties, events) {
+  const lines = ['BEGIN:VCALENDAR'];
+  const addProperty = function(property) {
+    lines.push(property[0] + ':' + property[1]);
+  };
+  properties.forEach(addProperty);
+  events.forEach(function(event) {
+    lines.push('BEGIN:VEVENT');
+    event.forEach(addProperty);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  formatDateTime,
+  createCalendar
+};
@@ -0,0 +1,341 @@
+/**
+ * Responsive Images
+ *
+ * Reads the photos in public/img and makes resized AVIF, WebP and JPEG variants of each,
+ * used by the site build to turn <img> tags into <picture> elements with srcset, and to
+ * make Open Graph sized copies of the social sharing images.
+ *
+ * Variants are named after the original and their width (img/slide-1.jpg → img/slide-1-480w.avif).
+ * Encoding AVIF is slow, so encoded variants are kept in .cache/images and only made again
+ * when the original changes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Widths to make variants at; images are never scaled up, and the original width is always included
+ */
+const IMAGE_WIDTHS = [480, 960, 1440, 1920];
+
+/**
+ * Formats for <source> elements, best first, with their encoder settings
+ */
+const IMAGE_FORMATS = {
+  avif: { type: 'image/avif', options: { quality: 50, effort: 2 } },
+  webp: { type: 'image/webp', options: { quality: 75 } }
+};
+
+/**
+ * Encoder settings for the JPEG/PNG fallbacks, by format
+ */
+const FALLBACK_OPTIONS = {
+  jpeg: { quality: 80, mozjpeg: true },
+  png: {}
+};
+
+/**
+ * Size of the Open Graph variant (what Facebook, LinkedIn and X recommend for large previews)
+ */
+const OG_IMAGE = { width: 1200, height: 630 };
+
+/**
+ * Image extensions that get variants, with their sharp format
+ */
+const IMAGE_EXTENSIONS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png' };
+
+/**
+ * Sizes used when an <img> doesn't give its own: the image fills the viewport width
+ */
+const DEFAULT_SIZES = '100vw';
+
+/**
+ * Work out an image's variants from its size
+ * @param {string} file - Path relative to public/ (e.g. "img/slide-1.jpg")
+ * @param {number} width - Width in pixels (after EXIF rotation)
+ * @param {number} height - Height in pixels (after EXIF rotation)
+ * @param {string} format - "jpeg" or "png"
+ * @returns {Object} - { file, width, height, sources: variants by format, og: Open Graph variant }
+ */
+function describeImage(file, width, height, format) {
+  const base = file.slice(0, -path.extname(file).length);
+  const widths = IMAGE_WIDTHS.filter(function(size) {
+    return size < width;
+  }).concat([width]);
+
+  const makeVariant = function(variantFormat, size) {
+    const extension = variantFormat === 'jpeg' ? '.jpg' : '.' + variantFormat;
+    return {
+      source: file,
+      file: base + '-' + size + 'w' + extension,
+      format: variantFormat,
+      width: size,
+      height: Math.round(height * size / width),
+      crop: false
+    };
+  };
+
+  const sources = {};
+  Object.keys(IMAGE_FORMATS).concat([format]).forEach(function(variantFormat) {
+    sources[variantFormat] = widths.map(function(size) {
+      return makeVariant(variantFormat, size);
+    });
+  });
+  // The original is the full-size fallback, so it isn't encoded again
+  sources[format][widths.length - 1] = { source: file, file: file, format: format, width: width, height: height, original: true };
+
+  return {
+    file: file,
+    width: width,
+    height: height,
+    format: format,
+    sources: sources,
+    og: {
+      source: file,
+      file: base + '-og.jpg',
+      format: 'jpeg',
+      width: OG_IMAGE.width,
+      height: OG_IMAGE.height,
+      crop: true
+    }
+  };
+}
+
+/**
+ * Read the images under a directory
+ * @param {string} publicDir - Static assets directory (public/)
+ * @param {string} [imgDir] - Directory of the images, relative to publicDir (default "img")
+ * @returns {Promise<Object>} - Images from describeImage() keyed by path relative to publicDir
+ */
+async function readImages(publicDir, imgDir) {
+  imgDir = imgDir || 'img';
+  const dir = path.join(publicDir, imgDir);
+  const images = {};
+  if (!fs.existsSync(dir)) {
+    return images;
+  }
+  const files = fs.readdirSync(dir).filter(function(name) {
+    return IMAGE_EXTENSIONS[path.extname(name).toLowerCase()];
+  }).sort();
+  for (const name of files) {
+    const file = imgDir + '/' + name;
+    const metadata = await sharp(path.join(publicDir, file)).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn, so the image is shown with width and height swapped
+    const rotated = metadata.orientation >= 5;
+    images[file] = describeImage(
+      file,
+      rotated ? metadata.height : metadata.width,
+      rotated ? metadata.width : metadata.height,
+      IMAGE_EXTENSIONS[path.extname(name).toLowerCase()]
+    );
+  }
+  return images;
+}
+
+/**
+ * List the variants to make: every responsive variant, and the Open Graph variants the built pages use
+ * @param {Object} images - Images from readImages()
+ * @param {string[]} pages - Contents of the built pages
+ * @returns {Object[]} - Variants, each { source, file, format, width, height, crop }
+ */
+function listVariants(images, pages) {
+  let variants = [];
+  Object.keys(images).forEach(function(file) {
+    const image = images[file];
+    Object.keys(image.sources).forEach(function(format) {
+      variants = variants.concat(image.sources[format].filter(function(variant) {
+        return !variant.original;
+      }));
+    });
+    if (pages.some(function(page) {
+      return page.includes(image.og.file);
+    })) {
+      variants.push(image.og);
+    }
+  });
+  return variants;
+}
+
+/**
+ * Encode a variant
+ * @param {string} sourcePath - Path of the original image
+ * @param {Object} variant - Variant from listVariants()
+ * @returns {Promise<Buffer>} - Encoded image
+ */
+function encodeVariant(sourcePath, variant) {
+  const options = IMAGE_FORMATS[variant.format] ? IMAGE_FORMATS[variant.format].options : FALLBACK_OPTIONS[variant.format];
+  return sharp(sourcePath)
+    .rotate()
+    .resize(variant.width, variant.height, { fit: variant.crop ? 'cover' : 'fill' })
+    .toFormat(variant.format, options)
+    .toBuffer();
+}
+
+/**
+ * Write variants into the build, encoding the ones that aren't cached yet
+ * @param {Object[]} variants - Variants from listVariants()
+ * @param {string} publicDir - Static assets directory the originals are in
+ * @param {string} distDir - Build output directory
+ * @param {string} cacheDir - Directory for encoded variants (e.g. .cache/images)
+ * @returns {Promise<number>} - Number of variants that had to be encoded
+ */
+async function writeVariants(variants, publicDir, distDir, cacheDir) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const hashes = {};
+  let encoded = 0;
+  for (const variant of variants) {
+    const sourcePath = path.join(publicDir, variant.source);
+    if (!hashes[variant.source]) {
+      hashes[variant.source] = crypto.createHash('sha1').update(fs.readFileSync(sourcePath)).digest('hex');
+    }
+    // Changing the original, the size or the encoder settings makes a new cache entry
+    const settings = JSON.stringify([variant.width, variant.height, variant.crop, IMAGE_FORMATS[variant.format] || FALLBACK_OPTIONS[variant.format], sharp.versions.sharp]);
+    const key = crypto.createHash('sha1').update(hashes[variant.source] + settings).digest('hex');
+    const cachePath = path.join(cacheDir, key + path.extname(variant.file));
+    if (!fs.existsSync(cachePath)) {
+      fs.writeFileSync(cachePath, await encodeVariant(sourcePath, variant));
+      encoded++;
+    }
+    const distPath = path.join(distDir, variant.file);
+    fs.mkdirSync(path.dirname(distPath), { recursive: true });
+    fs.copyFileSync(cachePath, distPath);
+  }
+  return encoded;
+}
+
+/**
+ * Read the attributes of a tag
+ * @param {string} tag - Start tag (e.g. '<img src="a.jpg" alt="A">')
+ * @returns {Array[]} - Attributes in order as [name, value] pairs; value is null for boolean attributes
+ */
+function parseAttributes(tag) {
+  const attributes = [];
+  const regex = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+  let match;
+  while ((match = regex.exec(body)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes.push([match[1], value === undefined ? null : value]);
+  }
+  return attributes;
+}
+
+/**
+ * Write a start tag
+ * @param {string} name - Tag name
+ * @param {Array[]} attributes - Attributes as [name, value] pairs
+ * @returns {string} - Start tag
+ */
+function formatTag(name, attributes) {
+  return '<' + name + attributes.map(function(attribute) {
+    return ' ' + attribute[0] + (attribute[1] === null ? '' : '="' + attribute[1] + '"');
+  }).join('') + '>';
+}
+
+/**
+ * Make a srcset from variants (just the file when there is only one size)
+ * @param {Object[]} variants - Variants of one format, smallest first
+ * @returns {string} - srcset value
+ */
+function formatSrcset(variants) {
+  if (variants.length === 1) {
+    return variants[0].file;
+  }
+  return variants.map(function(variant) {
+    return variant.file + ' ' + variant.width + 'w';
+  }).join(', ');
+}
+
+/**
+ * Turn an <img> of one of our images into a <picture> with AVIF and WebP sources and a srcset,
+ * and give it the image's intrinsic width and height. sizes is kept if the tag has one.
+ * @param {string} tag - <img> tag
+ * @param {Object} image - Image from readImages()
+ * @returns {string} - <picture> element
+ */
+function formatPicture(tag, image) {
+  const attributes = parseAttributes(tag).filter(function(attribute) {
+    return !['width', 'height', 'srcset'].includes(attribute[0]);
+  });
+  const multipleSizes = image.sources[image.format].length > 1;
+  const sizesAttribute = attributes.find(function(attribute) {
+    return attribute[0] === 'sizes';
+  });
+  const sizes = sizesAttribute ? sizesAttribute[1] : DEFAULT_SIZES;
+
+  const sources = Object.keys(IMAGE_FORMATS).map(function(format) {
+    const sourceAttributes = [['type', IMAGE_FORMATS[format].type], ['srcset', formatSrcset(image.sources[format])]];
+    if (multipleSizes) {
+      sourceAttributes.push(['sizes', sizes]);
+    }
+    return formatTag('source', sourceAttributes);
+  });
+
+  const imgAttributes = [];
+  attributes.forEach(function(attribute) {
+    if (attribute[0] === 'sizes') {
+      return;
+    }
+    imgAttributes.push(attribute);
+    if (attribute[0] === 'src' && multipleSizes) {
+      imgAttributes.push(['srcset', formatSrcset(image.sources[image.format])], ['sizes', sizes]);
+    }
+  });
+  imgAttributes.push(['width', String(image.width)], ['height', String(image.height)]);
+
+  return '<picture>\n' + sources.concat([formatTag('img', imgAttributes)]).join('\n') + '\n</picture>';
+}
+
+/**
+ * Rewrite the <img> tags of our images in a page into <picture> elements. Tags in comments,
+ * tags already in a <picture>, and images that aren't in public/img are left alone.
+ * @param {string} html - Page HTML
+ * @param {Object} images - Images from readImages()
+ * @returns {string} - Page HTML
+ */
+function rewriteImages(html, images) {
+  let inPicture = false;
+  return html.replace(/<!--[\s\S]*?-->|<\/?picture\b[^>]*>|<img\b[^>]*>/gi, function(match) {
+    if (match.startsWith('<!--')) {
+      return match;
+    }
+    if (/^<\/?picture/i.test(match)) {
+      inPicture = !match.startsWith('</');
+      return match;
+    }
+    const src = parseAttributes(match).find(function(attribute) {
+      return attribute[0] === 'src';
+    });
+    const image = src && images[src[1]];
+    return image && !inPicture ? formatPicture(match, image) : match;
+  });
+}
+
+/**
+ * Find images nothing refers to: not the built pages (outside comments), the stylesheets,
+ * the scripts or the data files
+ * @param {Object} images - Images from readImages()
+ * @param {string[]} texts - Contents of the built pages and the other files to search
+ * @returns {string[]} - Paths of the unused images
+ */
+function findUnusedImages(images, texts) {
+  const searchable = texts.map(function(text) {
+    return text.replace(/<!--[\s\S]*?-->/g, '');
+  }).join('\n');
+  return Object.keys(images).filter(function(file) {
+    return !searchable.includes(file);
+  });
+}
+
+module.exports = {
+  IMAGE_WIDTHS,
+  OG_IMAGE,
+  describeImage,
+  readImages,
+  listVariants,
+  writeVariants,
+  rewriteImages,
+  findUnusedImages
+};
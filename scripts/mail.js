@@ -0,0 +1,166 @@
+/**
+ * Email
+ *
+ * Emails to newsletter subscribers: the confirmation email sent when someone signs up
+ * (worker/newsletter.js) and the digest staff send (scripts/digest.js). A message is
+ * { from, to, subject, text, html, headers }, and is sent by handing it to a transport,
+ * an object with an async send(message) method:
+ *
+ * - createHTTPTransport() posts it to an email service's JSON API (MAIL_API_URL)
+ * - createConsoleTransport() logs it instead, e.g. under wrangler dev
+ * - createFileTransport() in scripts/digest.js writes it to an .eml file, to try the digest locally
+ *
+ * Every message ends with what CASL (Canada's anti-spam law) asks of commercial email: who
+ * it is from, the shop's mailing address and contact details, and an unsubscribe link that
+ * works in one click. Email apps also get the link in a List-Unsubscribe header (RFC 8058).
+ *
+ * This file is bundled into the Worker, so it must not use Node APIs.
+ */
+
+const i18n = require('./i18n.js');
+const { escapeHTML } = require('./template.js');
+
+// Separates the text and HTML versions of a message in an .eml file
+const MIME_BOUNDARY = 'christophers-meat-market-alternative';
+
+/**
+ * Get the address emails are sent from: the business name at news@ the site's domain
+ * @param {Object} data - Business data
+ * @returns {string} - Sender (e.g., "\"Christopher's Meat Market\" <news@christophersmeatmarket.com>")
+ */
+function getSender(data) {
+  return '"' + data.name + '" <news@' + new URL(data.url).hostname + '>';
+}
+
+/**
+ * Get a subscriber's unsubscribe link
+ * @param {string} siteURL - Site address with no trailing slash (e.g., "https://christophersmeatmarket.com")
+ * @param {string} token - Subscriber's unsubscribe token
+ * @returns {string} - Unsubscribe URL (worker/newsletter.js)
+ */
+function getUnsubscribeURL(siteURL, token) {
+  return siteURL + '/api/newsletter/unsubscribe?token=' + encodeURIComponent(token);
+}
+
+/**
+ * Make a message, ending with the sender's details and the unsubscribe link. Test copies,
+ * which go to no subscriber, are made without an unsubscribeURL and so have no link.
+ * @param {Object} options - { data: business data for the locale, locale, to, subject, text: text body,
+ *   html: HTML body (inside <body>), unsubscribeURL, from: sender (default getSender()) }
+ * @returns {Object} - Message { from, to, subject, text, html, headers }
+ */
+function createMessage(options) {
+  const data = options.data;
+  const reason = i18n.translate(options.locale, 'mailReason', { url: data.url });
+  const address = data.address.street + ', ' + data.address.city + ', ' + data.address.regionCode + ' ' + data.address.postalCode;
+  const unsubscribe = i18n.translate(options.locale, 'unsubscribe');
+  const url = options.unsubscribeURL;
+
+  const text = options.text + '\n\n--\n' + reason + '\n' + data.name + '\n' + address + '\n' +
+    data.phone.display + ' · ' + data.url + '\n' + (url ? unsubscribe + i18n.colon(options.locale) + url + '\n' : '');
+  const html = '<!DOCTYPE html>\n<html lang="' + i18n.LOCALES[options.locale].lang + '"><head><meta charset="UTF-8">' +
+    '<title>' + escapeHTML(options.subject) + '</title></head><body style="font-family: Georgia, serif; color: #212529; max-width: 600px;">' +
+    options.html + '<hr><p style="font-size: 13px; color: #555;">' + escapeHTML(reason) + '<br>' + escapeHTML(data.name) + '<br>' +
+    escapeHTML(address) + '<br>' + escapeHTML(data.phone.display) + ' · <a href="' + escapeHTML(data.url) + '">' + escapeHTML(data.url) + '</a>' +
+    (url ? '<br><a href="' + escapeHTML(url) + '">' + unsubscribe + '</a>' : '') + '</p></body></html>\n';
+
+  return {
+    from: options.from || getSender(data),
+    to: options.to,
+    subject: options.subject,
+    text: text,
+    html: html,
+    headers: url ? {
+      'List-Unsubscribe': '<' + url + '>',
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    } : {}
+  };
+}
+
+/**
+ * Encode a header value that isn't plain ASCII (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} - The value as is, or as an encoded word (=?UTF-8?B?...?=)
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  const bytes = new TextEncoder().encode(value);
+  return '=?UTF-8?B?' + btoa(String.fromCharCode.apply(null, bytes)) + '?=';
+}
+
+/**
+ * Write a message in the Internet Message Format, as a mail app would send it
+ * (an .eml file, which mail apps can open)
+ * @param {Object} message - Message from createMessage()
+ * @returns {string} - Message with its headers, and its text and HTML versions
+ */
+function formatMessage(message) {
+  const headers = Object.assign({
+    From: message.from,
+    To: message.to,
+    Subject: message.subject,
+    'MIME-Version': '1.0',
+    'Content-Type': 'multipart/alternative; boundary="' + MIME_BOUNDARY + '"'
+  }, message.headers);
+  const part = function(type, body) {
+    return '--' + MIME_BOUNDARY + '\r\nContent-Type: ' + type + '; charset=UTF-8\r\nContent-Transfer-Encoding: 8bit\r\n\r\n' + body + '\r\n';
+  };
+
+  return Object.keys(headers).map(function(name) {
+    return name + ': ' + encodeHeader(headers[name]);
+  }).join('\r\n') + '\r\n\r\n' +
+    part('text/plain', message.text) + part('text/html', message.html) + '--' + MIME_BOUNDARY + '--\r\n';
+}
+
+/**
+ * Make a transport that sends messages through an email service's JSON API: each message is
+ * posted as { from, to: [to], subject, text, html, headers } with the API key as a bearer
+ * token, which is what e.g. Resend's /emails endpoint takes
+ * @param {Object} options - { url: API endpoint, apiKey, fetch: fetch function (default the global one) }
+ * @returns {Object} - Transport
+ */
+function createHTTPTransport(options) {
+  return {
+    send: async function(message) {
+      const response = await (options.fetch || fetch)(options.url, {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer ' + options.apiKey, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from: message.from,
+          to: [message.to],
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          headers: message.headers
+        })
+      });
+      if (!response.ok) {
+        throw new Error('The email service answered HTTP ' + response.status + ' for ' + message.to);
+      }
+    }
+  };
+}
+
+/**
+ * Make a transport that logs messages instead of sending them
+ * @param {Function} [log] - Logging function (default console.log)
+ * @returns {Object} - Transport
+ */
+function createConsoleTransport(log) {
+  return {
+    send: async function(message) {
+      (log || console.log)('Email not sent (no email service set up):\n' + formatMessage(message));
+    }
+  };
+}
+
+module.exports = {
+  getSender,
+  getUnsubscribeURL,
+  createMessage,
+  formatMessage,
+  createHTTPTransport,
+  createConsoleTransport
+};
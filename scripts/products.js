@@ -0,0 +1,375 @@
+/**
+ * Products Catalog
+ * Every cut and product the shop carries, shown on the products page (products.html)
+ *
+ * After editing this file, run: npm run build
+ * The specials packs link each of their cuts to its entry here, so keep the cut names the
+ * same as in the packs (business-data.js), or list the pack's name for it in aliases.
+ *
+ * id: short name, lowercase with dashes, used in links to the entry (products.html#t-bone-steak)
+ * species: beef, veal, pork, lamb, chicken, turkey or duck
+ * cut: name of the cut, plain text like the cuts in the packs (orders are made of them)
+ * aliases: optional other names the cut goes by in the packs
+ * origin: optional, where it's raised and how
+ * weight: typical weight of one piece or package in lbs, or the range it's usually in, e.g. [3, 4]
+ * cooking: how we suggest cooking it
+ * availability: "always" (usually in the case), "seasonal" or "order" (order ahead)
+ */
+
+const ANGUS_BEEF = { en: "Grain fed, free range \"AAA\" Angus beef", fr: "Bœuf Angus « AAA » élevé en liberté et nourri au grain" };
+const ONTARIO_VEAL = { en: "Ontario, milk fed veal", fr: "Veau de lait de l’Ontario" };
+const ONTARIO_PORK = { en: "Ontario, free range, grain fed pork", fr: "Porc de l’Ontario élevé en liberté et nourri au grain" };
+const ONTARIO_LAMB = { en: "Ontario, free range lamb", fr: "Agneau de l’Ontario élevé en liberté" };
+const ONTARIO_CHICKEN = { en: "Ontario, free range, grain fed chicken", fr: "Poulet de l’Ontario élevé en liberté et nourri au grain" };
+const TURKEY = { en: "Free range, grain fed turkey", fr: "Dinde élevée en liberté et nourrie au grain" };
+
+module.exports = [
+  // Beef
+  {
+    id: "t-bone-steak",
+    species: "beef",
+    cut: "T-Bone Steak",
+    origin: ANGUS_BEEF,
+    weight: [1, 1.5],
+    cooking: { en: "Grill over high heat and let it rest for 5 minutes before serving.", fr: "Grillez à feu vif et laissez reposer 5 minutes avant de servir." },
+    availability: "always"
+  },
+  {
+    id: "rib-steak",
+    species: "beef",
+    cut: "Rib Steak",
+    aliases: ["Rib Steaks or Roast"],
+    origin: ANGUS_BEEF,
+    weight: [1, 1.5],
+    cooking: { en: "Grill or pan-sear over high heat; the marbling keeps it juicy.", fr: "Grillez ou saisissez à feu vif; le persillage le garde juteux." },
+    availability: "always"
+  },
+  {
+    id: "rib-eye-steak",
+    species: "beef",
+    cut: "Rib Eye Steak",
+    origin: ANGUS_BEEF,
+    weight: [0.5, 0.75],
+    cooking: { en: "Grill or pan-sear over high heat.", fr: "Grillez ou saisissez à feu vif." },
+    availability: "always"
+  },
+  {
+    id: "new-york-steak",
+    species: "beef",
+    cut: "New York Steak",
+    origin: ANGUS_BEEF,
+    weight: [0.5, 0.75],
+    cooking: { en: "Season with salt and pepper, then grill or pan-sear.", fr: "Salez, poivrez, puis grillez ou saisissez à la poêle." },
+    availability: "always"
+  },
+  {
+    id: "sirloin-steak",
+    species: "beef",
+    cut: "Sirloin Steak",
+    origin: ANGUS_BEEF,
+    weight: [0.75, 1.25],
+    cooking: { en: "Grill or pan-sear, then slice across the grain.", fr: "Grillez ou saisissez, puis tranchez contre le grain." },
+    availability: "always"
+  },
+  {
+    id: "gourmet-steak",
+    species: "beef",
+    cut: "Gourmet Steak",
+    origin: ANGUS_BEEF,
+    weight: [0.5, 0.75],
+    cooking: { en: "Tenderized inside round: pan-fry quickly over medium-high heat.", fr: "Intérieur de ronde attendri : poêlez rapidement à feu moyen-vif." },
+    availability: "always"
+  },
+  {
+    id: "london-broil-steak",
+    species: "beef",
+    cut: "London Broil Steak",
+    origin: ANGUS_BEEF,
+    weight: [1.5, 2],
+    cooking: { en: "Marinate, broil or grill, then slice thinly across the grain.", fr: "Faites mariner, grillez au four ou sur le barbecue, puis tranchez finement contre le grain." },
+    availability: "always"
+  },
+  {
+    id: "round-steak",
+    species: "beef",
+    cut: "Round Steak",
+    origin: ANGUS_BEEF,
+    weight: [1, 1.5],
+    cooking: { en: "Marinate before grilling, or braise it for Swiss steak.", fr: "Faites mariner avant de griller, ou braisez-le en steak suisse." },
+    availability: "always"
+  },
+  {
+    id: "eye-of-round-steak",
+    species: "beef",
+    cut: "Eye of Round Steak",
+    origin: ANGUS_BEEF,
+    weight: [0.5, 0.75],
+    cooking: { en: "Marinate, grill quickly and slice thinly.", fr: "Faites mariner, grillez rapidement et tranchez finement." },
+    availability: "always"
+  },
+  {
+    id: "minute-steak",
+    species: "beef",
+    cut: "Minute Steak",
+    origin: ANGUS_BEEF,
+    weight: [0.25, 0.5],
+    cooking: { en: "Thin and tenderized: pan-fry for about a minute a side.", fr: "Mince et attendri : poêlez environ une minute de chaque côté." },
+    availability: "always"
+  },
+  {
+    id: "eye-of-round-roast",
+    species: "beef",
+    cut: "Eye of Round Roast",
+    aliases: ["Eye of Round"],
+    origin: ANGUS_BEEF,
+    weight: [2, 3],
+    cooking: { en: "Roast to medium-rare and slice thinly, hot or cold for sandwiches.", fr: "Rôtissez jusqu’à mi-saignant et tranchez finement, chaud ou froid en sandwich." },
+    availability: "always"
+  },
+  {
+    id: "sirloin-top-roast",
+    species: "beef",
+    cut: "Sirloin Top Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Roast uncovered and let it rest for 15 minutes before carving.", fr: "Rôtissez à découvert et laissez reposer 15 minutes avant de trancher." },
+    availability: "always"
+  },
+  {
+    id: "cross-rib-roast",
+    species: "beef",
+    cut: "Cross Rib Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Braise, or roast covered at a low temperature.", fr: "Braisez, ou rôtissez à couvert à basse température." },
+    availability: "always"
+  },
+  {
+    id: "blade-roast",
+    species: "beef",
+    cut: "Blade Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Pot roast or slow cooker: braise until fork tender.", fr: "En cocotte ou à la mijoteuse : braisez jusqu’à ce qu’il soit tendre." },
+    availability: "always"
+  },
+  {
+    id: "chuck-roast",
+    species: "beef",
+    cut: "Chuck Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Braise low and slow until fork tender.", fr: "Braisez longtemps à feu doux jusqu’à ce qu’il soit tendre." },
+    availability: "always"
+  },
+  {
+    id: "short-rib-roast",
+    species: "beef",
+    cut: "Short Rib Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Braise low and slow for a few hours.", fr: "Braisez à feu doux pendant quelques heures." },
+    availability: "always"
+  },
+  {
+    id: "round-roast",
+    species: "beef",
+    cut: "Round Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Pot roast, or roast slowly and slice thinly.", fr: "En cocotte, ou rôti lentement et tranché finement." },
+    availability: "always"
+  },
+  {
+    id: "rump-roast",
+    species: "beef",
+    cut: "Rump Roast",
+    origin: ANGUS_BEEF,
+    weight: [3, 4],
+    cooking: { en: "Pot roast with vegetables.", fr: "En cocotte avec des légumes." },
+    availability: "always"
+  },
+  {
+    id: "lean-ground-beef",
+    species: "beef",
+    cut: "Lean Ground Beef",
+    origin: ANGUS_BEEF,
+    weight: 1,
+    cooking: { en: "Burgers, meat sauce and meatloaf.", fr: "Burgers, sauce à la viande et pain de viande." },
+    availability: "always"
+  },
+  {
+    id: "medium-ground-beef",
+    species: "beef",
+    cut: "Medium Ground Beef",
+    origin: ANGUS_BEEF,
+    weight: 1,
+    cooking: { en: "Burgers and meatballs; drain the fat after browning.", fr: "Burgers et boulettes; égouttez le gras après avoir fait dorer." },
+    availability: "always"
+  },
+  {
+    id: "all-beef-lean-patties",
+    species: "beef",
+    cut: "All Beef Lean Patties",
+    origin: ANGUS_BEEF,
+    weight: 0.25,
+    cooking: { en: "Grill from thawed or frozen until cooked through.", fr: "Grillez décongelées ou congelées jusqu’à cuisson complète." },
+    availability: "always"
+  },
+  {
+    id: "beef-hindquarter",
+    species: "beef",
+    cut: "Beef Hindquarter",
+    origin: ANGUS_BEEF,
+    weight: [150, 200],
+    cooking: { en: "Cut, wrapped and labelled to your specification to fill your freezer.", fr: "Coupé, emballé et étiqueté selon vos directives pour remplir votre congélateur." },
+    availability: "order"
+  },
+
+  // Veal
+  {
+    id: "veal-cutlets",
+    species: "veal",
+    cut: "Veal Cutlets",
+    origin: ONTARIO_VEAL,
+    weight: [0.25, 0.5],
+    cooking: { en: "Bread and pan-fry for schnitzel or veal parmigiana.", fr: "Panez et poêlez pour une escalope viennoise ou un veau parmigiana." },
+    availability: "order"
+  },
+
+  // Pork
+  {
+    id: "centreloin-pork-chops",
+    species: "pork",
+    cut: "Centreloin Pork Chops",
+    origin: ONTARIO_PORK,
+    weight: [0.5, 0.75],
+    cooking: { en: "Grill or pan-fry over medium-high heat until just cooked through.", fr: "Grillez ou poêlez à feu moyen-vif jusqu’à ce qu’elles soient juste cuites." },
+    availability: "always"
+  },
+  {
+    id: "butterfly-pork-chops",
+    species: "pork",
+    cut: "Butterfly Pork Chops",
+    origin: ONTARIO_PORK,
+    weight: [0.25, 0.5],
+    cooking: { en: "Boneless and quick to cook: pan-fry or grill.", fr: "Désossées et vite cuites : à la poêle ou sur le gril." },
+    availability: "always"
+  },
+  {
+    id: "pork-loin-roast",
+    species: "pork",
+    cut: "Pork Loin Roast",
+    origin: ONTARIO_PORK,
+    weight: [3, 4],
+    cooking: { en: "Roast uncovered and let it rest for 10 minutes before carving.", fr: "Rôtissez à découvert et laissez reposer 10 minutes avant de trancher." },
+    availability: "always"
+  },
+  {
+    id: "spare-side-ribs",
+    species: "pork",
+    cut: "Spare Side Ribs",
+    origin: ONTARIO_PORK,
+    weight: [2, 3],
+    cooking: { en: "Bake low and slow, then finish on the barbecue with sauce.", fr: "Cuisez au four à basse température, puis terminez sur le barbecue avec de la sauce." },
+    availability: "always"
+  },
+  {
+    id: "breakfast-sausage",
+    species: "pork",
+    cut: "Breakfast Sausage",
+    origin: ONTARIO_PORK,
+    weight: 1,
+    cooking: { en: "Pan-fry over medium heat, turning often.", fr: "Poêlez à feu moyen en retournant souvent." },
+    availability: "always"
+  },
+  {
+    id: "bacon",
+    species: "pork",
+    cut: "Bacon",
+    origin: ONTARIO_PORK,
+    weight: 1,
+    cooking: { en: "Fry or bake until crisp.", fr: "Faites frire ou cuire au four jusqu’à ce qu’il soit croustillant." },
+    availability: "always"
+  },
+  {
+    id: "whole-pig",
+    species: "pork",
+    cut: "Whole Pig",
+    origin: ONTARIO_PORK,
+    weight: [60, 100],
+    cooking: { en: "For the perfect cook-out: roast it on a spit or in a pig roaster.", fr: "Pour un méchoui parfait : rôtissez-le à la broche ou dans une rôtissoire." },
+    availability: "order"
+  },
+
+  // Lamb
+  {
+    id: "lamb-chops",
+    species: "lamb",
+    cut: "Lamb Chops",
+    origin: ONTARIO_LAMB,
+    weight: [0.25, 0.5],
+    cooking: { en: "Grill or pan-sear to medium-rare, with rosemary and garlic.", fr: "Grillez ou saisissez jusqu’à mi-saignant, avec du romarin et de l’ail." },
+    availability: "always"
+  },
+
+  // Chicken
+  {
+    id: "chicken-breasts",
+    species: "chicken",
+    cut: "Chicken Breasts",
+    origin: ONTARIO_CHICKEN,
+    weight: [0.5, 0.75],
+    cooking: { en: "Grill, bake or pan-fry until no longer pink inside.", fr: "Grillez, cuisez au four ou poêlez jusqu’à ce que l’intérieur ne soit plus rosé." },
+    availability: "always"
+  },
+  {
+    id: "chicken-legs",
+    species: "chicken",
+    cut: "Chicken Legs",
+    origin: ONTARIO_CHICKEN,
+    weight: [0.5, 0.75],
+    cooking: { en: "Bake, grill or braise; the dark meat stays moist.", fr: "Cuisez au four, grillez ou braisez; la viande brune reste tendre." },
+    availability: "always"
+  },
+  {
+    id: "fryer-chicken",
+    species: "chicken",
+    cut: "Fryers, Grade A",
+    origin: ONTARIO_CHICKEN,
+    weight: [3, 4],
+    cooking: { en: "Roast whole, or cut up for frying or the barbecue.", fr: "Rôtissez entier, ou découpez pour la friture ou le barbecue." },
+    availability: "always"
+  },
+  {
+    id: "roaster-chicken",
+    species: "chicken",
+    cut: "Roasters, Grade A",
+    origin: ONTARIO_CHICKEN,
+    weight: [5, 7],
+    cooking: { en: "Roast whole, with or without stuffing.", fr: "Rôtissez entier, farci ou non." },
+    availability: "always"
+  },
+
+  // Turkey
+  {
+    id: "turkey",
+    species: "turkey",
+    cut: "Turkey, Grade A",
+    aliases: ["Turkey"],
+    origin: TURKEY,
+    weight: [10, 20],
+    cooking: { en: "Roast whole; plan on about 1 lb per person.", fr: "Rôtissez entière; prévoyez environ 1 lb par personne." },
+    availability: "always"
+  },
+
+  // Duck
+  {
+    id: "duck",
+    species: "duck",
+    cut: "Whole Duck",
+    weight: [4, 6],
+    cooking: { en: "Roast whole, or try your hand at tur-duck-en.", fr: "Rôtissez entier, ou essayez-vous au turducken." },
+    availability: "order"
+  }
+];
@@ -0,0 +1,127 @@
+/**
+ * Installable App and Offline Support
+ *
+ * Makes the web app manifest, the app icons and the service worker for the site build.
+ * The service worker is src/service-worker.js with the files to precache and a cache
+ * version put in front of it. The version is a hash of the precached files, so a build
+ * that changes any of them installs a new service worker, which replaces the old cache.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const MANIFEST_FILE = 'manifest.webmanifest';
+const SERVICE_WORKER_FILE = 'sw.js';
+
+/**
+ * Page the service worker shows for pages that aren't cached when there is no connection,
+ * built in each locale (e.g. offline.html and fr/offline.html)
+ */
+const OFFLINE_PAGE = 'offline.html';
+
+/**
+ * App icons: the two sizes the manifest needs, and the one iOS uses on the home screen
+ */
+const ICONS = [
+  { file: 'icons/icon-192.png', size: 192 },
+  { file: 'icons/icon-512.png', size: 512 },
+  { file: 'icons/apple-touch-icon.png', size: 180 }
+];
+
+/**
+ * Make the web app manifest
+ * @param {Object} data - Business data (name, shortName, description, colors)
+ * @returns {Object} - Manifest, to be written as JSON
+ */
+function generateManifest(data) {
+  const icons = ICONS.filter(function(icon) {
+    return icon.file.startsWith('icons/icon-');
+  }).map(function(icon) {
+    return { src: icon.file, sizes: icon.size + 'x' + icon.size, type: 'image/png' };
+  });
+  // The monogram stays inside the middle 80% of the icon, so the large one can be cropped to any shape
+  const largest = icons[icons.length - 1];
+  return {
+    name: data.name,
+    short_name: data.shortName,
+    description: data.description,
+    lang: 'en',
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    theme_color: data.colors.theme,
+    background_color: data.colors.background,
+    icons: icons.concat([Object.assign({}, largest, { purpose: 'maskable' })])
+  };
+}
+
+/**
+ * Draw the app icon: a white "C" monogram on the theme colour. It's drawn as a path,
+ * so the icon looks the same wherever it is built, whatever fonts are installed.
+ * @param {string} color - Theme colour ("#rrggbb")
+ * @returns {string} - SVG, 512 by 512
+ */
+function generateIconSVG(color) {
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">' +
+    '<rect width="512" height="512" fill="' + color + '"/>' +
+    '<path d="M335.2 176.8A112 112 0 1 0 335.2 335.2" fill="none" stroke="#fff" stroke-width="52" stroke-linecap="round"/>' +
+    '</svg>';
+}
+
+/**
+ * Write the app icons into the build
+ * @param {string} color - Theme colour ("#rrggbb")
+ * @param {string} distDir - Build output directory
+ * @returns {Promise<void>}
+ */
+async function writeIcons(color, distDir) {
+  const svg = Buffer.from(generateIconSVG(color));
+  for (const icon of ICONS) {
+    const iconPath = path.join(distDir, icon.file);
+    fs.mkdirSync(path.dirname(iconPath), { recursive: true });
+    await sharp(svg).resize(icon.size, icon.size).png().toFile(iconPath);
+  }
+}
+
+/**
+ * Work out the cache version from the precached files
+ * @param {Array<string|Buffer>} contents - What each precached file is built from, in precache order
+ * @returns {string} - Version (12 hex digits)
+ */
+function getCacheVersion(contents) {
+  const hash = crypto.createHash('sha1');
+  contents.forEach(function(content) {
+    hash.update(crypto.createHash('sha1').update(content).digest('hex'));
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Make the service worker script
+ * @param {string} source - Service worker source (src/service-worker.js)
+ * @param {string} version - Cache version from getCacheVersion()
+ * @param {string[]} urls - Files to precache, relative to dist/
+ * @param {string[]} offlineURLs - The offline page in each locale, relative to dist/
+ * @returns {string} - sw.js
+ */
+function generateServiceWorker(source, version, urls, offlineURLs) {
+  return '// Built by npm run build from src/service-worker.js\n' +
+    'var CACHE_VERSION = ' + JSON.stringify(version) + ';\n' +
+    'var PRECACHE_URLS = ' + JSON.stringify(urls, null, 2) + ';\n' +
+    'var OFFLINE_URLS = ' + JSON.stringify(offlineURLs) + ';\n\n' +
+    source;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  SERVICE_WORKER_FILE,
+  OFFLINE_PAGE,
+  ICONS,
+  generateManifest,
+  generateIconSVG,
+  writeIcons,
+  getCacheVersion,
+  generateServiceWorker
+};
@@ -0,0 +1,322 @@
+/**
+ * schema.org Check
+ *
+ * The schema.org types and properties used by the site's JSON-LD, and a check that
+ * generated structured data only uses those, with values of the expected kind. The build
+ * checks every page, so a misspelled property or a property the type doesn't have fails
+ * the build instead of being silently ignored by search engines.
+ *
+ * This is the subset of https://schema.org the site uses, not the whole vocabulary.
+ * When generating a new property, add it here from the type's schema.org page.
+ */
+
+/**
+ * Types by name.
+ * is: supertypes, so a ButcherShop is accepted where an Organization is expected
+ * required: properties every node of the type must have (what search engines need, not what schema.org requires)
+ * properties: property name → accepted kinds of value, either a type name or one of VALUE_KINDS
+ */
+const TYPES = {
+  ButcherShop: {
+    is: ['Store', 'LocalBusiness', 'Organization', 'Place'],
+    required: ['name', 'address'],
+    properties: {
+      name: ['Text'],
+      description: ['Text'],
+      image: ['URL'],
+      url: ['URL'],
+      telephone: ['Text'],
+      priceRange: ['Text'],
+      address: ['PostalAddress'],
+      geo: ['GeoCoordinates'],
+      openingHoursSpecification: ['OpeningHoursSpecification'],
+      knowsLanguage: ['Text'],
+      review: ['Review'],
+      aggregateRating: ['AggregateRating']
+    }
+  },
+  Organization: {
+    required: ['name'],
+    properties: {
+      name: ['Text']
+    }
+  },
+  Person: {
+    required: ['name'],
+    properties: {
+      name: ['Text']
+    }
+  },
+  Review: {
+    required: ['author', 'reviewRating'],
+    properties: {
+      author: ['Person', 'Organization'],
+      datePublished: ['Date'],
+      reviewBody: ['Text'],
+      reviewRating: ['Rating'],
+      // Where the review was first posted, e.g. Google
+      publisher: ['Organization']
+    }
+  },
+  Rating: {
+    required: ['ratingValue'],
+    properties: {
+      ratingValue: ['Number'],
+      bestRating: ['Number'],
+      worstRating: ['Number']
+    }
+  },
+  AggregateRating: {
+    is: ['Rating'],
+    required: ['ratingValue', 'reviewCount'],
+    properties: {
+      ratingValue: ['Number'],
+      reviewCount: ['Integer'],
+      bestRating: ['Number'],
+      worstRating: ['Number']
+    }
+  },
+  WebPage: {
+    is: ['CreativeWork'],
+    required: ['url', 'inLanguage'],
+    properties: {
+      name: ['Text'],
+      url: ['URL'],
+      inLanguage: ['Text'],
+      // The same page in the other languages, and on a translated page the page it is a translation of
+      workTranslation: ['CreativeWork'],
+      translationOfWork: ['CreativeWork']
+    }
+  },
+  PostalAddress: {
+    required: ['streetAddress', 'addressLocality'],
+    properties: {
+      streetAddress: ['Text'],
+      addressLocality: ['Text'],
+      addressRegion: ['Text'],
+      postalCode: ['Text'],
+      addressCountry: ['Text']
+    }
+  },
+  GeoCoordinates: {
+    required: ['latitude', 'longitude'],
+    properties: {
+      latitude: ['Number'],
+      longitude: ['Number']
+    }
+  },
+  OpeningHoursSpecification: {
+    required: ['opens', 'closes'],
+    properties: {
+      dayOfWeek: ['DayOfWeek'],
+      opens: ['Time'],
+      closes: ['Time'],
+      validFrom: ['Date', 'DateTime'],
+      validThrough: ['Date', 'DateTime']
+    }
+  },
+  OfferCatalog: {
+    required: ['name', 'itemListElement'],
+    properties: {
+      name: ['Text'],
+      url: ['URL'],
+      itemListElement: ['Offer']
+    }
+  },
+  Offer: {
+    required: ['itemOffered'],
+    properties: {
+      itemOffered: ['Product', 'Service'],
+      price: ['Number'],
+      priceCurrency: ['Text'],
+      url: ['URL'],
+      offeredBy: ['Organization']
+    }
+  },
+  Product: {
+    required: ['name'],
+    properties: {
+      name: ['Text'],
+      description: ['Text'],
+      image: ['URL'],
+      weight: ['QuantitativeValue']
+    }
+  },
+  QuantitativeValue: {
+    required: ['value'],
+    properties: {
+      value: ['Number'],
+      unitCode: ['Text'],
+      unitText: ['Text']
+    }
+  },
+  Service: {
+    required: ['name', 'provider'],
+    properties: {
+      name: ['Text'],
+      description: ['Text'],
+      serviceType: ['Text'],
+      image: ['URL'],
+      url: ['URL'],
+      provider: ['Organization'],
+      areaServed: ['Text']
+    }
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    properties: {
+      itemListElement: ['ListItem']
+    }
+  },
+  ListItem: {
+    required: ['position', 'name', 'item'],
+    properties: {
+      position: ['Integer'],
+      name: ['Text'],
+      // schema.org expects a Thing; in JSON-LD a URL here refers to the page, as search engines expect
+      item: ['URL']
+    }
+  }
+};
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Checks for values that are not nodes, by kind
+ */
+const VALUE_KINDS = {
+  Text: function(value) {
+    return typeof value === 'string' && value.trim() !== '';
+  },
+  URL: function(value) {
+    return typeof value === 'string' && /^https?:\/\/[^\s]+$/.test(value);
+  },
+  Number: function(value) {
+    return typeof value === 'number' && isFinite(value);
+  },
+  Integer: function(value) {
+    return Number.isInteger(value);
+  },
+  Date: function(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  },
+  DateTime: function(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})$/.test(value);
+  },
+  Time: function(value) {
+    return typeof value === 'string' && /^\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?$/.test(value);
+  },
+  DayOfWeek: function(value) {
+    return DAY_NAMES.includes(value) || DAY_NAMES.includes(String(value).replace('https://schema.org/', ''));
+  }
+};
+
+/**
+ * Whether a node's type is, or is a subtype of, an expected type
+ * @param {string} type - Node's @type
+ * @param {string} expected - Expected type name
+ * @returns {boolean} - True if the node fits
+ */
+function isType(type, expected) {
+  return type === expected || (TYPES[type] && (TYPES[type].is || []).includes(expected));
+}
+
+/**
+ * Check one property value against the kinds the property accepts
+ * @param {*} value - Property value (a single value, not an array)
+ * @param {string[]} kinds - Accepted kinds (type names or VALUE_KINDS names)
+ * @param {string} path - Path of the value
+ * @param {Object[]} errors - Error list to add to
+ * @returns {void}
+ */
+function checkValue(value, kinds, path, errors) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const nodeKinds = kinds.filter(function(kind) {
+      return !VALUE_KINDS[kind];
+    });
+    if (nodeKinds.length === 0) {
+      errors.push({ path: path, message: 'must be ' + kinds.join(' or ') + ', not an object' });
+    } else if (Object.keys(value).length === 1 && typeof value['@id'] === 'string') {
+      // A reference to a node described elsewhere, e.g. { "@id": "https://example.com/#business" }
+      return;
+    } else if (!nodeKinds.some(function(kind) {
+      return isType(value['@type'], kind);
+    })) {
+      errors.push({ path: path, message: 'must be ' + nodeKinds.join(' or ') + ' (found ' + (value['@type'] || 'no @type') + ')' });
+    } else {
+      checkNode(value, path, errors);
+    }
+    return;
+  }
+
+  const matches = kinds.some(function(kind) {
+    return VALUE_KINDS[kind] && VALUE_KINDS[kind](value);
+  });
+  if (!matches) {
+    errors.push({ path: path, message: 'must be ' + kinds.join(' or ') + ' (found ' + JSON.stringify(value) + ')' });
+  }
+}
+
+/**
+ * Check a node: known type, known properties, required properties present, values of the right kind
+ * @param {Object} node - JSON-LD node
+ * @param {string} path - Path of the node
+ * @param {Object[]} errors - Error list to add to
+ * @returns {void}
+ */
+function checkNode(node, path, errors) {
+  const type = TYPES[node['@type']];
+  if (!type) {
+    errors.push({ path: path, message: 'has an unknown @type ' + JSON.stringify(node['@type']) });
+    return;
+  }
+
+  type.required.forEach(function(property) {
+    if (!(property in node)) {
+      errors.push({ path: path, message: node['@type'] + ' needs ' + property });
+    }
+  });
+
+  Object.keys(node).forEach(function(property) {
+    if (property === '@type' || property === '@id') {
+      return;
+    }
+    const propertyPath = path ? path + '.' + property : property;
+    const kinds = type.properties[property];
+    if (!kinds) {
+      errors.push({ path: propertyPath, message: 'is not a property of ' + node['@type'] });
+      return;
+    }
+    const values = Array.isArray(node[property]) ? node[property] : [node[property]];
+    values.forEach(function(value, index) {
+      checkValue(value, kinds, Array.isArray(node[property]) ? propertyPath + '[' + index + ']' : propertyPath, errors);
+    });
+  });
+}
+
+/**
+ * Check a JSON-LD document: a single node or an @graph of nodes, with the schema.org @context
+ * @param {Object} data - JSON-LD document
+ * @returns {Object[]} - Errors as { path, message }, empty when valid
+ */
+function validateStructuredData(data) {
+  const errors = [];
+  if (data === null || typeof data !== 'object' || data['@context'] !== 'https://schema.org') {
+    return [{ path: '@context', message: 'must be "https://schema.org"' }];
+  }
+  if (Array.isArray(data['@graph'])) {
+    data['@graph'].forEach(function(node, index) {
+      checkNode(node, '@graph[' + index + ']', errors);
+    });
+  } else {
+    const node = Object.assign({}, data);
+    delete node['@context'];
+    checkNode(node, '', errors);
+  }
+  return errors;
+}
+
+module.exports = {
+  TYPES,
+  validateStructuredData
+};
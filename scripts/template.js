@@ -0,0 +1,180 @@
+/**
+ * Template Rendering
+ *
+ * A small subset of Mustache used by the site build to put pages together
+ * from the layout, shared partials and page content files.
+ *
+ *   {{name}}               HTML-escaped value (dot paths allowed, e.g. {{business.phone.display}})
+ *   {{{name}}}             Raw value, not escaped
+ *   {{#name}}...{{/name}}  Section: repeated for each item of an array, rendered once for any
+ *                          other truthy value (the value becomes the current context)
+ *   {{^name}}...{{/name}}  Inverted section: rendered when the value is falsy or an empty array
+ *   {{> name}}             Partial, rendered with the current context
+ *   {{.}}                  The current context itself (e.g. an array item that is a string)
+ *
+ * Unlike Mustache, a {{name}} or {{{name}}} that resolves to undefined is an error,
+ * so a typo in a template fails the build instead of silently rendering nothing.
+ */
+
+const TAG_REGEX = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([#^/>]?)\s*([\w.-]+)\s*\}\}/g;
+
+// Section tags alone on their line should not leave a blank line behind
+const STANDALONE_SECTION_REGEX = /^[ \t]*(\{\{[#^/]\s*[\w.-]+\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape (converted to a string)
+ * @returns {string} - HTML-escaped text
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Look up a (dot path) name in the context stack, innermost context first
+ * @param {Array} stack - Context stack
+ * @param {string} name - Name to look up (e.g., "page.title" or ".")
+ * @returns {*} - Resolved value, or undefined if not found
+ */
+function lookup(stack, name) {
+  if (name === '.') {
+    return stack[stack.length - 1];
+  }
+  const keys = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope !== null && typeof scope === 'object' && keys[0] in scope) {
+      return keys.reduce(function(value, key) {
+        return value === null || value === undefined ? undefined : value[key];
+      }, scope);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find the closing tag of a section, allowing nested sections with the same name
+ * @param {string} template - Template text
+ * @param {string} name - Section name
+ * @param {number} fromIndex - Index just after the opening tag
+ * @returns {Object} - { start, end } of the closing tag
+ */
+function findSectionEnd(template, name, fromIndex) {
+  const regex = new RegExp('\\{\\{\\s*([#^/])\\s*' + name.replace(/[.-]/g, '\\$&') + '\\s*\\}\\}', 'g');
+  regex.lastIndex = fromIndex;
+  let depth = 1;
+  let match;
+  while ((match = regex.exec(template)) !== null) {
+    depth += match[1] === '/' ? -1 : 1;
+    if (depth === 0) {
+      return { start: match.index, end: regex.lastIndex };
+    }
+  }
+  throw new Error('Unclosed section {{#' + name + '}}');
+}
+
+/**
+ * Render a template against a context stack
+ * @param {string} template - Template text
+ * @param {Array} stack - Context stack
+ * @param {Object} partials - Partial templates by name
+ * @returns {string} - Rendered text
+ */
+function renderWithStack(template, stack, partials) {
+  template = template.replace(STANDALONE_SECTION_REGEX, '$1');
+  let output = '';
+  let position = 0;
+  const regex = new RegExp(TAG_REGEX.source, 'g');
+  let match;
+
+  while ((match = regex.exec(template)) !== null) {
+    output += template.slice(position, match.index);
+    position = regex.lastIndex;
+
+    const rawName = match[1];
+    const type = match[2];
+    const name = match[3];
+
+    if (rawName) {
+      const value = lookup(stack, rawName);
+      if (value === undefined) {
+        throw new Error('Undefined template value {{{' + rawName + '}}}');
+      }
+      output += value;
+    } else if (type === '>') {
+      if (!Object.prototype.hasOwnProperty.call(partials, name)) {
+        throw new Error('Unknown partial {{> ' + name + '}}');
+      }
+      // The partial's own trailing newline would double up with the one after the tag
+      output += renderWithStack(partials[name].replace(/\r?\n$/, ''), stack, partials);
+    } else if (type === '#' || type === '^') {
+      const sectionEnd = findSectionEnd(template, name, position);
+      const inner = template.slice(position, sectionEnd.start);
+      const value = lookup(stack, name);
+      const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+      if (type === '^') {
+        if (isEmpty) {
+          output += renderWithStack(inner, stack, partials);
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach(function(item) {
+          output += renderWithStack(inner, stack.concat([item]), partials);
+        });
+      } else if (!isEmpty) {
+        output += renderWithStack(inner, stack.concat([value]), partials);
+      }
+      position = sectionEnd.end;
+      regex.lastIndex = position;
+    } else if (type === '/') {
+      throw new Error('Unexpected closing tag {{/' + name + '}}');
+    } else {
+      const value = lookup(stack, name);
+      if (value === undefined) {
+        throw new Error('Undefined template value {{' + name + '}}');
+      }
+      output += escapeHTML(value);
+    }
+  }
+
+  return output + template.slice(position);
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} context - Values available to the template
+ * @param {Object} [partials] - Partial templates by name
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, context, partials) {
+  return renderWithStack(template, [context], partials || {});
+}
+
+/**
+ * Split a page content file into its front matter and body.
+ * Front matter is a JSON object between two "---" lines at the top of the file.
+ * @param {string} source - Page file contents
+ * @param {string} [fileName] - File name, used in error messages
+ * @returns {Object} - { data, body }
+ */
+function parseFrontMatter(source, fileName) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+  try {
+    return { data: JSON.parse(match[1]), body: source.slice(match[0].length) };
+  } catch (error) {
+    throw new Error('Invalid front matter in ' + (fileName || 'page') + ': ' + error.message);
+  }
+}
+
+module.exports = {
+  escapeHTML,
+  renderTemplate,
+  parseFrontMatter
+};
@@ -3,121 +3,532 @@
 /**
  * Update Business Data Script
  * 
- * This script reads business-data.js and automatically updates all HTML files
- * with the latest business information.
+ * Builds the site into dist/: every page in src/pages is put together with
+ * src/layout.html and the shared partials in src/partials, each pre-order
+ * campaign gets a page from src/campaign.html, the
+ * <!-- AUTO-UPDATE: Name --> sections are generated from business-data.js,
+ * sitemap.xml and robots.txt are generated from the pages' front matter,
+ * and the static assets in public/ are copied alongside. <img> tags of the
+ * photos in public/img become <picture> elements with resized AVIF/WebP
+ * variants (scripts/images.js). The web app manifest, app icons and the
+ * service worker that keeps the site working offline are made by scripts/pwa.js.
+ *
+ * Every page is built for each locale in scripts/i18n.js: English in dist/ and
+ * French in dist/fr/, from the French page content files in src/pages/fr/.
+ * Text in business-data.js can be given per locale as { en: "...", fr: "..." }.
+ *
+ * Edits made on the staff admin page (worker/admin.js) are pulled in when
+ * SITE_DATA_URL is set, e.g. SITE_DATA_URL=https://christophersmeatmarket.com/api/site-data
+ * They replace the matching sections of business-data.js for this build.
  * 
- * Usage: npm run update-business-data
+ * Usage: npm run build (or npm run update-business-data)
+ *
+ *   --dry-run  Write nothing; show a diff of what would change in dist/, per AUTO-UPDATE section
+ *   --check    Write nothing; exit with code 1 if dist/ is out of date
+ *
+ * The helpers are exported for the tests in test/, which call configure() to build
+ * from fixture data on a fixed date. The build only runs when this file is run directly.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
 
-// Load business data
-const businessData = require('./business-data.js');
+const { escapeHTML, renderTemplate, parseFrontMatter } = require('./template.js');
+const { formatHTML } = require('./format-html.js');
+const { validateSection, upgradeSections, validateBusinessData, formatError } = require('./business-data-schema.js');
+const { unifiedDiff } = require('./diff.js');
+const ical = require('./ical.js');
+const { validateStructuredData } = require('./schema-org.js');
+const { readImages, listVariants, writeVariants, rewriteImages, findUnusedImages } = require('./images.js');
+const pwa = require('./pwa.js');
+const i18n = require('./i18n.js');
+
+// Business data as written, with text that can be given per locale (replaced by configure())
+let sourceData = require('./business-data.js');
+
+// Locale being built (set by configure(), and by renderSite() while it builds each locale)
+let currentLocale = i18n.DEFAULT_LOCALE;
+
+// Business data the site is built from: sourceData with the text for currentLocale
+let businessData = i18n.localize(sourceData, currentLocale);
+
+// Date treated as today (YYYY-MM-DD), or null for the real date (set by configure())
+let fixedToday = null;
 
 /**
- * Convert 24-hour time to 12-hour format with am/pm
- * @param {string} time24 - Time in 24-hour format (e.g., "09:30", "17:00")
- * @returns {string|null} - Time in 12-hour format (e.g., "9:30 am", "5:00 pm") or null if invalid
+ * Switch the locale being built
+ * @param {string} locale - Locale code from i18n.LOCALES
+ * @returns {void}
  */
-function formatTime12Hour(time24) {
-  if (!time24) {
-    return null;
+function useLocale(locale) {
+  currentLocale = locale;
+  businessData = i18n.localize(sourceData, locale);
+}
+
+/**
+ * Build from other business data, as if on another date and/or in another locale, instead of business-data.js, today and English
+ * @param {Object} options - { data: business data object, today: date in ISO format (YYYY-MM-DD), or null for the real date, locale: locale code }
+ * @returns {void}
+ */
+function configure(options) {
+  if (options.data) {
+    sourceData = options.data;
   }
-  const [hours, minutes] = time24.split(':');
-  const hour = parseInt(hours, 10);
-  const ampm = hour >= 12 ? 'pm' : 'am';
-  const hour12 = hour % 12 || 12;
-  return `${hour12}:${minutes} ${ampm}`;
+  if (options.today !== undefined) {
+    fixedToday = options.today;
+  }
+  useLocale(options.locale || currentLocale);
+}
+
+/**
+ * Get a string in the locale being built
+ * @param {string} key - String name from i18n.STRINGS
+ * @param {Object} [values] - Values for its {name} placeholders
+ * @returns {string} - String
+ */
+function translate(key, values) {
+  return i18n.translate(currentLocale, key, values);
+}
+
+/**
+ * Format a 24-hour time for display in the locale being built
+ * @param {string} time24 - Time in 24-hour format (e.g., "09:30", "17:00")
+ * @returns {string|null} - Formatted time (e.g., "9:30 am" or "9 h 30", "5:00 pm" or "17 h") or null if invalid
+ */
+function formatTime(time24) {
+  return i18n.formatTime(time24, currentLocale);
+}
+
+/**
+ * Format a range of hours for display (e.g., "9:30 am – 5:00 pm")
+ * @param {string} open - Opening time in 24-hour format
+ * @param {string} close - Closing time in 24-hour format
+ * @returns {string} - Formatted range
+ */
+function formatHours(open, close) {
+  return formatTime(open) + ' – ' + formatTime(close);
+}
+
+/**
+ * Parse a calendar date. Dates are handled as midnight UTC and read back with the getUTC*
+ * methods, so the build machine's timezone and DST changes never move them to another day.
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {Date} - The date at midnight UTC
+ */
+function parseISODate(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z');
 }
 
 /**
- * Format date for display (e.g., "January 1, 2025")
+ * Format date for display in the locale being built (e.g., "January 1, 2025" or "1er janvier 2025")
  * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
  * @returns {string} - Formatted date string
  */
 function formatDate(dateStr) {
-  const date = new Date(dateStr + 'T00:00:00');
-  const months = ['January', 'February', 'March', 'April', 'May', 'June', 
-                  'July', 'August', 'September', 'October', 'November', 'December'];
-  return months[date.getMonth()] + ' ' + date.getDate() + ', ' + date.getFullYear();
+  return i18n.formatDate(dateStr, currentLocale);
 }
 
 /**
- * Format date with day of week for display (e.g., "Monday, January 1, 2025")
+ * Format date with day of week for display in the locale being built (e.g., "Monday, January 1, 2025")
  * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
  * @returns {string} - Formatted date string with day of week
  */
 function formatDateWithDay(dateStr) {
-  const date = new Date(dateStr + 'T00:00:00');
+  return i18n.formatDateWithDay(dateStr, currentLocale);
+}
+
+/**
+ * Number of days ahead to publish closures and special hours in the structured data
+ */
+const SPECIAL_HOURS_DAYS_AHEAD = 365;
+
+/**
+ * Number of days ahead to list closures and special hours under the hours table
+ */
+const HOLIDAY_HOURS_DAYS_AHEAD = 60;
+
+/**
+ * iCalendar feed of closures and special hours, built into dist/
+ */
+const CALENDAR_FILE = 'calendar.ics';
+
+/**
+ * Hours data read by site.js for the open/closed badge, built into each locale's directory
+ * so the closure messages are in the page's language
+ */
+const HOURS_DATA_FILE = 'data/hours.json';
+
+/**
+ * Hashes of the pages' inline scripts (the JSON-LD), read by the Worker for the
+ * Content-Security-Policy header (worker/headers.js)
+ */
+const CSP_DATA_FILE = 'data/csp.json';
+
+/**
+ * Get today's date in the shop's timezone
+ * @returns {string} - Today's date in ISO format (YYYY-MM-DD)
+ */
+function getTodayISO() {
+  return fixedToday || toISODate(new Date());
+}
+
+/**
+ * Get the calendar date of a moment in the shop's timezone
+ * @param {Date} date - Moment to convert
+ * @returns {string} - Date in ISO format (YYYY-MM-DD)
+ */
+function toISODate(date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: businessData.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date).forEach(function(part) {
+    parts[part.type] = part.value;
+  });
+  return parts.year + '-' + parts.month + '-' + parts.day;
+}
+
+/**
+ * Get the shop's UTC offset in minutes at a moment
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number} - Offset in minutes (e.g., -300 for UTC-05:00)
+ */
+function getOffsetMinutesAt(timestamp) {
+  const name = new Intl.DateTimeFormat('en-US', {
+    timeZone: businessData.timezone,
+    timeZoneName: 'longOffset'
+  }).formatToParts(new Date(timestamp)).find(function(part) {
+    return part.type === 'timeZoneName';
+  }).value;
+  const match = name.match(/([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+}
+
+/**
+ * Turn a local date and time at the shop into an ISO 8601 date-time with the UTC offset
+ * in effect then, so it is right on both sides of a daylight saving time change
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM:SS)
+ * @returns {string} - Date-time with offset (e.g., "2026-12-24T00:00:00-05:00", "2026-07-01T00:00:00-04:00")
+ */
+function toShopDateTime(dateStr, time) {
+  // Read as UTC, the local time is off by the offset; the offset then is found by checking twice,
+  // in case the first guess falls on the other side of a DST change
+  const asUTC = Date.parse(dateStr + 'T' + time + 'Z');
+  const offset = getOffsetMinutesAt(asUTC - getOffsetMinutesAt(asUTC) * 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return dateStr + 'T' + time + sign + hours + ':' + minutes;
+}
+
+/**
+ * Add a number of days to a date
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} - Resulting date in ISO format (YYYY-MM-DD)
+ */
+function addDays(dateStr, days) {
+  const date = parseISODate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday name for a date (e.g., "Tuesday")
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {string} - Weekday name matching businessData.hours[].day
+ */
+function getDayName(dateStr) {
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const months = ['January', 'February', 'March', 'April', 'May', 'June', 
-                  'July', 'August', 'September', 'October', 'November', 'December'];
-  return days[date.getDay()] + ', ' + months[date.getMonth()] + ' ' + date.getDate() + ', ' + date.getFullYear();
+  return days[parseISODate(dateStr).getUTCDay()];
 }
 
 /**
- * Check if the business is currently in a temporary closure period
- * @returns {Object|null} - Temporary closure object if active, null otherwise
+ * Calculate Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year - Four-digit year
+ * @returns {string} - Easter Sunday in ISO format (YYYY-MM-DD)
  */
-function getActiveTemporaryClosure() {
-  if (!businessData.temporaryClosure) {
-    return null;
+function getEasterDate(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return year + '-' + String(month).padStart(2, '0') + '-' + String(day).padStart(2, '0');
+}
+
+/**
+ * Find the date of a closure given as a weekday of a month, e.g. the second Monday in October
+ * (Thanksgiving) or the last Monday before May 25 (Victoria Day)
+ * @param {number} year - Four-digit year
+ * @param {Object} closure - Closure with month (1-12), weekday, nth (1-4 or "last") and optional before
+ * @returns {string} - Date in ISO format (YYYY-MM-DD)
+ */
+function getMonthWeekdayDate(year, closure) {
+  const month = year + '-' + String(closure.month).padStart(2, '0') + '-';
+  let date;
+  if (closure.nth === 'last') {
+    const daysInMonth = new Date(Date.UTC(year, closure.month, 0)).getUTCDate();
+    date = month + String(closure.before ? Math.min(closure.before - 1, daysInMonth) : daysInMonth).padStart(2, '0');
+    while (getDayName(date) !== closure.weekday) {
+      date = addDays(date, -1);
+    }
+    return date;
   }
-  
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const startDate = new Date(businessData.temporaryClosure.startDate + 'T00:00:00');
-  const endDate = new Date(businessData.temporaryClosure.endDate + 'T23:59:59');
-  
-  if (today >= startDate && today <= endDate) {
-    return businessData.temporaryClosure;
+  date = month + '01';
+  while (getDayName(date) !== closure.weekday) {
+    date = addDays(date, 1);
+  }
+  return addDays(date, (closure.nth - 1) * 7);
+}
+
+/**
+ * Expand businessData.closures into dated occurrences overlapping a date range.
+ * Yearly, Easter-based and weekday-of-the-month entries produce one occurrence per year.
+ * @param {string} fromDate - First date of the range in ISO format (YYYY-MM-DD)
+ * @param {string} toDate - Last date of the range in ISO format (YYYY-MM-DD)
+ * @returns {Object[]} - Occurrences sorted by start date, each with startDate, endDate, name,
+ *   message, and open/close when the occurrence is special hours rather than a closure
+ */
+function getClosureOccurrences(fromDate, toDate) {
+  const occurrences = [];
+  const fromYear = parseInt(fromDate.slice(0, 4), 10);
+  const toYear = parseInt(toDate.slice(0, 4), 10);
+
+  (businessData.closures || []).forEach(function(closure) {
+    const ranges = [];
+    if (typeof closure.easterOffset === 'number') {
+      for (let year = fromYear; year <= toYear; year++) {
+        const date = addDays(getEasterDate(year), closure.easterOffset);
+        ranges.push({ startDate: date, endDate: date });
+      }
+    } else if (closure.weekday) {
+      for (let year = fromYear; year <= toYear; year++) {
+        const date = getMonthWeekdayDate(year, closure);
+        ranges.push({ startDate: date, endDate: date });
+      }
+    } else {
+      const startDate = closure.startDate || closure.date;
+      const endDate = closure.endDate || closure.date;
+      if (closure.recurring === 'yearly') {
+        // Start a year early so ranges that wrap past New Year are caught
+        for (let year = fromYear - 1; year <= toYear; year++) {
+          const endYear = endDate.slice(5) < startDate.slice(5) ? year + 1 : year;
+          ranges.push({ startDate: year + startDate.slice(4), endDate: endYear + endDate.slice(4) });
+        }
+      } else {
+        ranges.push({ startDate: startDate, endDate: endDate });
+      }
+    }
+
+    ranges.forEach(function(range) {
+      if (range.endDate >= fromDate && range.startDate <= toDate) {
+        occurrences.push({
+          startDate: range.startDate,
+          endDate: range.endDate,
+          name: closure.name,
+          message: closure.message || closure.name,
+          open: closure.open || null,
+          close: closure.close || null
+        });
+      }
+    });
+  });
+
+  return occurrences.sort(function(a, b) {
+    return a.startDate < b.startDate ? -1 : a.startDate > b.startDate ? 1 : 0;
+  });
+}
+
+/**
+ * Get the effective hours for a date, applying any closure or special hours over the regular hours
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {Object} - { closed, open, close, occurrence } where occurrence is the matching closure entry or null
+ */
+function getDayHours(dateStr) {
+  const dayName = getDayName(dateStr);
+  const regular = businessData.hours.find(function(hour) {
+    return hour.day === dayName;
+  });
+  const occurrences = getClosureOccurrences(dateStr, dateStr);
+  // A full-day closure wins over special hours on the same day
+  const occurrence = occurrences.find(function(entry) {
+    return !entry.close;
+  }) || occurrences[0] || null;
+
+  if (!occurrence) {
+    return { closed: regular.closed, open: regular.open, close: regular.close, occurrence: null };
+  }
+  const open = occurrence.open || (regular.closed ? null : regular.open);
+  if (!occurrence.close || !open) {
+    return { closed: true, open: null, close: null, occurrence: occurrence };
+  }
+  return { closed: false, open: open, close: occurrence.close, occurrence: occurrence };
+}
+
+/**
+ * Find the first day after the given date that the business is open
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {string|null} - Next open date in ISO format, or null if none within a year
+ */
+function getNextOpenDate(dateStr) {
+  for (let i = 1; i <= 366; i++) {
+    const date = addDays(dateStr, i);
+    if (!getDayHours(date).closed) {
+      return date;
+    }
   }
-  
   return null;
 }
 
 /**
- * Generate structured data (JSON-LD) for schema.org
+ * Check if the business is closed all day today because of a closure period.
+ * Special hours (e.g. an early close) do not count as a closure.
+ * @returns {Object|null} - Active closure occurrence if closed today, null otherwise
+ */
+function getActiveClosure() {
+  const today = getTodayISO();
+  const active = getClosureOccurrences(today, today).filter(function(occurrence) {
+    return !occurrence.close;
+  });
+  return active[0] || null;
+}
+
+/**
+ * Currency of specials prices, for the structured data
+ */
+const PRICE_CURRENCY = 'CAD';
+
+/**
+ * Ratings are out of 5 stars, as on Google and Facebook
+ */
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * Get the customer testimonials, newest first
+ * @returns {Object[]} - Testimonials from business data
+ */
+function getTestimonials() {
+  return (businessData.testimonials || []).slice().sort(function(a, b) {
+    return b.date.localeCompare(a.date);
+  });
+}
+
+/**
+ * Generate a Review node for a testimonial
+ * @param {Object} testimonial - Testimonial from business data
+ * @returns {Object} - Review node
+ */
+function generateReview(testimonial) {
+  const review = {
+    "@type": "Review",
+    "author": { "@type": "Person", "name": testimonial.author },
+    "datePublished": testimonial.date,
+    "reviewBody": testimonial.quote,
+    "reviewRating": {
+      "@type": "Rating",
+      "ratingValue": testimonial.rating,
+      "bestRating": MAX_RATING,
+      "worstRating": MIN_RATING
+    }
+  };
+  if (testimonial.source) {
+    review.publisher = { "@type": "Organization", "name": testimonial.source };
+  }
+  return review;
+}
+
+/**
+ * Generate the AggregateRating of all the testimonials
+ * @param {Object[]} testimonials - Testimonials from business data
+ * @returns {Object} - AggregateRating node, with the average to one decimal
+ */
+function generateAggregateRating(testimonials) {
+  const total = testimonials.reduce(function(sum, testimonial) {
+    return sum + testimonial.rating;
+  }, 0);
+  return {
+    "@type": "AggregateRating",
+    "ratingValue": Math.round(total / testimonials.length * 10) / 10,
+    "reviewCount": testimonials.length,
+    "bestRating": MAX_RATING,
+    "worstRating": MIN_RATING
+  };
+}
+
+/**
+ * Get the @id the business's structured data is published under, for other nodes to refer to
+ * @returns {string} - Node identifier (e.g., "https://example.com/#business")
+ */
+function getBusinessId() {
+  return businessData.url + '/#business';
+}
+
+/**
+ * Generate the ButcherShop structured data (JSON-LD) for schema.org
  * @param {Object} [options] - Optional configuration object
  * @param {string} [options.image] - Custom image URL (optional)
  * @param {string} [options.description] - Custom description (optional)
- * @returns {Object} - Structured data object for JSON-LD
+ * @returns {Object} - ButcherShop node
  */
 function generateStructuredData(options) {
   options = options || {};
   
-  const tempClosure = getActiveTemporaryClosure();
-  
-  // Group hours by time slots for structured data (only if not temporarily closed)
-  const openingHoursSpecification = [];
-  if (!tempClosure) {
-    const hoursBySlot = {};
-    businessData.hours.forEach(function(hour) {
-      if (!hour.closed) {
-        const key = hour.open + '-' + hour.close;
-        if (!hoursBySlot[key]) {
-          hoursBySlot[key] = [];
-        }
-        hoursBySlot[key].push(hour.day);
+  // Group regular hours by time slots for structured data
+  const hoursBySlot = {};
+  businessData.hours.forEach(function(hour) {
+    if (!hour.closed) {
+      const key = hour.open + '-' + hour.close;
+      if (!hoursBySlot[key]) {
+        hoursBySlot[key] = [];
       }
+      hoursBySlot[key].push(hour.day);
+    }
+  });
+  
+  const openingHoursSpecification = Object.keys(hoursBySlot).map(function(key) {
+    const [opens, closes] = key.split('-');
+    return {
+      "@type": "OpeningHoursSpecification",
+      "dayOfWeek": hoursBySlot[key],
+      "opens": opens,
+      "closes": closes
+    };
+  });
+  
+  // Closures and special hours override the regular hours for their dates.
+  // A full-day closure is expressed as opens/closes "00:00". opens/closes are local times at
+  // the shop; the dates they apply to are given with the UTC offset in effect on those days.
+  const today = getTodayISO();
+  getClosureOccurrences(today, addDays(today, SPECIAL_HOURS_DAYS_AHEAD)).forEach(function(occurrence) {
+    const dayHours = occurrence.close ? getDayHours(occurrence.startDate) : { closed: true };
+    openingHoursSpecification.push({
+      "@type": "OpeningHoursSpecification",
+      "opens": dayHours.closed ? "00:00" : dayHours.open,
+      "closes": dayHours.closed ? "00:00" : dayHours.close,
+      "validFrom": toShopDateTime(occurrence.startDate, '00:00:00'),
+      "validThrough": toShopDateTime(occurrence.endDate, '23:59:59')
     });
-    
-    openingHoursSpecification.push(...Object.keys(hoursBySlot).map(function(key) {
-      const [opens, closes] = key.split('-');
-      return {
-        "@type": "OpeningHoursSpecification",
-        "dayOfWeek": hoursBySlot[key],
-        "opens": opens,
-        "closes": closes
-      };
-    }));
-  }
+  });
   
   const data = {
-    "@context": "https://schema.org",
     "@type": "ButcherShop",
+    "@id": getBusinessId(),
     "name": businessData.name,
     "image": businessData.url + "/" + (options.image || businessData.images.defaultImage),
     "address": {
@@ -135,10 +546,12 @@ function generateStructuredData(options) {
     },
     "url": businessData.url,
     "telephone": businessData.phone.tel,
-    "priceRange": businessData.priceRange
+    "priceRange": businessData.priceRange,
+    "knowsLanguage": Object.keys(i18n.LOCALES).map(function(locale) {
+      return i18n.LOCALES[locale].lang;
+    })
   };
   
-  // Only include opening hours if not temporarily closed
   if (openingHoursSpecification.length > 0) {
     data.openingHoursSpecification = openingHoursSpecification;
   }
@@ -148,36 +561,181 @@ function generateStructuredData(options) {
   } else {
     data.description = businessData.description;
   }
-  
-  if (businessData.servesCuisine) {
-    data.servesCuisine = businessData.servesCuisine;
+
+  const testimonials = getTestimonials();
+  if (testimonials.length > 0) {
+    data.review = testimonials.map(generateReview);
+    data.aggregateRating = generateAggregateRating(testimonials);
   }
   
   return data;
 }
 
 /**
- * Generate structured data as formatted JSON string
- * @param {Object} [options] - Optional configuration object (passed to generateStructuredData)
- * @returns {string} - Formatted JSON string
+ * Generate an OfferCatalog of the packaged specials, with each pack's weight and, when set, price
+ * @param {Object} options - Options from the page's front matter (unused)
+ * @param {Object} page - Page being built
+ * @returns {Object[]} - OfferCatalog node, or none if there are no specials
  */
-function generateStructuredDataJSON(options) {
-  const data = generateStructuredData(options);
-  return JSON.stringify(data, null, 2);
+function generateOfferCatalog(options, page) {
+  if (!businessData.specials || businessData.specials.packs.length === 0) {
+    return [];
+  }
+  return [{
+    "@type": "OfferCatalog",
+    "name": translate('packagedSpecials'),
+    "url": page.url,
+    "itemListElement": businessData.specials.packs.map(function(pack) {
+      const offer = {
+        "@type": "Offer",
+        "itemOffered": {
+          "@type": "Product",
+          "name": pack.name,
+          "description": pack.items.map(function(item) {
+            return formatWeight(item.weight, item.weight !== 1) + ' ' + item.cut;
+          }).join(', '),
+          "weight": {
+            "@type": "QuantitativeValue",
+            "value": pack.weight,
+            "unitCode": "LBR",
+            "unitText": translate('pounds')
+          }
+        },
+        "offeredBy": { "@id": getBusinessId() }
+      };
+      if (pack.price) {
+        offer.price = pack.price;
+        offer.priceCurrency = PRICE_CURRENCY;
+      }
+      if (businessData.preorders) {
+        offer.url = businessData.url + '/' + i18n.LOCALES[page.locale].dir + 'order.html?pack=' + encodeURIComponent(pack.name);
+      }
+      return offer;
+    })
+  }];
 }
 
 /**
- * Calculate the date one day after the given date
- * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
- * @returns {string} - Date one day after in ISO format (YYYY-MM-DD)
+ * Generate a Service for each of businessData.services
+ * @param {Object} options - Options from the page's front matter (unused)
+ * @param {Object} page - Page being built
+ * @returns {Object[]} - Service nodes
+ */
+function generateServices(options, page) {
+  return (businessData.services || []).map(function(service) {
+    return {
+      "@type": "Service",
+      "name": service.name,
+      "serviceType": service.name,
+      "description": service.description,
+      "image": businessData.url + '/' + service.image,
+      "url": page.url,
+      "provider": { "@id": getBusinessId() },
+      "areaServed": businessData.address.city + ', ' + businessData.address.region
+    };
+  });
+}
+
+/**
+ * Generate the WebPage node for a page, linking it to the same page in the other languages
+ * @param {Object} page - Page being built
+ * @returns {Object} - WebPage node
+ */
+function generateWebPage(page) {
+  const data = {
+    "@type": "WebPage",
+    "@id": page.url + '#webpage',
+    "url": page.url,
+    "name": page.title,
+    "inLanguage": page.lang
+  };
+  if (page.languages && page.locale === i18n.DEFAULT_LOCALE) {
+    data.workTranslation = page.languages.others.map(function(other) {
+      return { "@id": other.url + '#webpage' };
+    });
+  } else if (page.languages) {
+    data.translationOfWork = { "@id": page.languages.defaultURL + '#webpage' };
+  }
+  return data;
+}
+
+/**
+ * Generate the BreadcrumbList for a page: Home, then the page itself
+ * @param {Object} page - Page being built
+ * @returns {Object} - BreadcrumbList node
+ */
+function generateBreadcrumbs(page) {
+  const crumbs = [{ name: translate('home'), url: businessData.url + '/' + i18n.LOCALES[page.locale].dir }];
+  if (page.file !== 'index.html') {
+    crumbs.push({ name: page.breadcrumb, url: page.url });
+  }
+  return {
+    "@type": "BreadcrumbList",
+    "itemListElement": crumbs.map(function(crumb, index) {
+      return {
+        "@type": "ListItem",
+        "position": index + 1,
+        "name": crumb.name,
+        "item": crumb.url
+      };
+    })
+  };
+}
+
+/**
+ * Structured data blocks a page can ask for in its front matter, e.g.
+ * "structuredData": { "business": { "image": "img/shop.jpg" }, "offerCatalog": {} }.
+ * Each receives the block's options and the page, and returns a node or a list of nodes.
+ */
+const STRUCTURED_DATA = {
+  business: function(options) {
+    return generateStructuredData(options);
+  },
+  offerCatalog: generateOfferCatalog,
+  services: generateServices
+};
+
+/**
+ * Generate a page's structured data: the blocks from its front matter, and a WebPage and
+ * breadcrumbs on every page search engines index. Fails the build if the result isn't valid schema.org.
+ * @param {Object} page - Page being built
+ * @returns {Object|null} - JSON-LD document with an @graph of nodes, or null if the page has none
+ */
+function generatePageStructuredData(page) {
+  let nodes = [];
+  Object.keys(page.structuredData).forEach(function(name) {
+    if (!STRUCTURED_DATA[name]) {
+      throw new Error(page.path + ' asks for unknown structured data "' + name + '" (expected one of: ' + Object.keys(STRUCTURED_DATA).join(', ') + ')');
+    }
+    nodes = nodes.concat(STRUCTURED_DATA[name](page.structuredData[name] || {}, page));
+  });
+  if (!page.noindex) {
+    nodes.push(generateWebPage(page), generateBreadcrumbs(page));
+  }
+  if (nodes.length === 0) {
+    return null;
+  }
+
+  const data = { "@context": "https://schema.org", "@graph": nodes };
+  const errors = validateStructuredData(data);
+  if (errors.length > 0) {
+    throw new Error('Structured data on ' + page.path + ' is not valid schema.org:\n  ' + errors.map(function(error) {
+      return error.path + ' ' + error.message;
+    }).join('\n  '));
+  }
+  return data;
+}
+
+/**
+ * Format a closure occurrence's dates for display (e.g., "July 1, 2026" or "January 1, 2026 – February 2, 2026")
+ * @param {Object} occurrence - Occurrence from getClosureOccurrences()
+ * @returns {string} - Formatted date or date range
  */
-function getNextDay(dateStr) {
-  const date = new Date(dateStr + 'T00:00:00');
-  date.setDate(date.getDate() + 1);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return year + '-' + month + '-' + day;
+function formatOccurrenceDates(occurrence) {
+  if (occurrence.startDate === occurrence.endDate) {
+    return formatDate(occurrence.startDate);
+  }
+  return formatDate(occurrence.startDate) + ' – ' + formatDate(occurrence.endDate);
 }
 
 /**
@@ -185,21 +743,21 @@ function getNextDay(dateStr) {
  * @returns {string} - HTML string for the closure card, or empty string if no closure
  */
 function generateClosureCardHTML() {
-  const tempClosure = getActiveTemporaryClosure();
+  const closure = getActiveClosure();
   
-  if (!tempClosure) {
+  if (!closure) {
     return '';
   }
   
-  const startFormatted = formatDate(tempClosure.startDate);
-  const endFormatted = formatDate(tempClosure.endDate);
-  const returnDateStr = getNextDay(tempClosure.endDate);
-  const returnDateFormatted = formatDateWithDay(returnDateStr);
-  const message = tempClosure.message || 'Temporarily closed';
+  const datesFormatted = formatOccurrenceDates(closure);
+  const returnDateStr = getNextOpenDate(closure.endDate);
+  const returnHTML = returnDateStr ? '<div>' + translate('returnToRegularHours', { date: '<strong>' + formatDateWithDay(returnDateStr) + '</strong>' }) + '</div>' : '';
+  const calendarHTML = '<div class="closure-card-calendar"><a href="' + CALENDAR_FILE + '">' + translate('addClosuresToCalendar') + '</a></div>';
+  const message = escapeHTML(closure.message || translate('temporarilyClosed'));
   
-  const warningIcon = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="currentColor" viewBox="0 0 16 16" style="flex-shrink: 0;"><path d="M8.982 1.566a1.13 1.13 0 0 0-1.96 0L.165 13.233c-.457.778.091 1.767.98 1.767h13.713c.889 0 1.438-.99.98-1.767L8.982 1.566zM8 5c.535 0 .954.462.9.995l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 5.995A.905.905 0 0 1 8 5zm.002 6a1 1 0 1 1 0 2 1 1 0 0 1 0-2z"/></svg>';
+  const warningIcon = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="currentColor" viewBox="0 0 16 16"><path d="M8.982 1.566a1.13 1.13 0 0 0-1.96 0L.165 13.233c-.457.778.091 1.767.98 1.767h13.713c.889 0 1.438-.99.98-1.767L8.982 1.566zM8 5c.535 0 .954.462.9.995l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 5.995A.905.905 0 0 1 8 5zm.002 6a1 1 0 1 1 0 2 1 1 0 0 1 0-2z"/></svg>';
   
-  return '<div class="alert alert-warning d-flex align-items-start mb-3" role="alert" style="border-left: 4px solid #ffc107; background-color: #fff3cd; border-color: #ffc107;"><div style="color: #856404; margin-right: 10px; flex-shrink: 0;">' + warningIcon + '</div><div style="flex: 1; color: #856404; word-wrap: break-word;"><div style="font-weight: bold; margin-bottom: 5px;">' + message + '</div><div style="margin-bottom: 5px;">' + startFormatted + ' – ' + endFormatted + '</div><div>We will return to regular hours on <strong>' + returnDateFormatted + '</strong></div></div></div>';
+  return '<div class="alert alert-warning d-flex align-items-start mb-3 closure-card" role="alert" data-closure-end="' + closure.endDate + '"><div class="closure-card-icon">' + warningIcon + '</div><div class="closure-card-body"><div class="closure-card-title">' + message + '</div><div class="closure-card-dates">' + datesFormatted + '</div>' + returnHTML + calendarHTML + '</div></div>';
 }
 
 /**
@@ -209,12 +767,40 @@ function generateClosureCardHTML() {
 function generateHoursTableHTML() {
   let html = '';
   businessData.hours.forEach(function(hour) {
-    const timeText = hour.closed ? 'Closed' : formatTime12Hour(hour.open) + ' – ' + formatTime12Hour(hour.close);
-    html += '<tr><td><strong>' + hour.day + '</strong></td><td>' + timeText + '</td></tr>';
+    const day = i18n.translateDay(hour.day, currentLocale);
+    const timeText = hour.closed ? translate('closed') : formatHours(hour.open, hour.close);
+    html += '<tr><td><strong>' + day.charAt(0).toUpperCase() + day.slice(1) + '</strong></td><td>' + timeText + '</td></tr>';
   });
   return html;
 }
 
+/**
+ * Generate holiday hours table HTML listing upcoming closures and special hours
+ * @returns {string} - HTML string for the holiday hours table, or empty string if none are coming up
+ */
+function generateHolidayHoursTableHTML() {
+  const today = getTodayISO();
+  const occurrences = getClosureOccurrences(today, addDays(today, HOLIDAY_HOURS_DAYS_AHEAD));
+  
+  if (occurrences.length === 0) {
+    return '';
+  }
+  
+  let html = '';
+  occurrences.forEach(function(occurrence) {
+    let timeText = translate('closed');
+    if (occurrence.close) {
+      const dayHours = getDayHours(occurrence.startDate);
+      timeText = dayHours.closed ? translate('closed') : formatHours(dayHours.open, dayHours.close);
+    }
+    const dates = occurrence.startDate === occurrence.endDate ?
+      formatDateWithDay(occurrence.startDate) :
+      formatDate(occurrence.startDate) + ' – ' + formatDate(occurrence.endDate);
+    html += '<tr data-closure-end="' + occurrence.endDate + '"><td><strong>' + dates + '</strong></td><td>' + timeText + ' <small>(' + escapeHTML(occurrence.name) + ')</small></td></tr>';
+  });
+  return '<table class="business-hours-table holiday-hours-table"><caption>' + translate('holidayHours') + '</caption>' + html + '</table>';
+}
+
 /**
  * Generate address bar HTML
  * @returns {string} - Formatted address bar string
@@ -228,148 +814,1490 @@ function generateAddressBarHTML() {
 }
 
 /**
- * Update a single HTML file with business data
- * @param {string} filePath - Path to the HTML file to update
- * @returns {boolean} - True if file was updated, false otherwise
+ * Get the map embed and directions URLs for the shop's coordinates
+ * @returns {Object} - { embed: Google Maps embed, google, apple, openStreetMap: directions links }
  */
-function updateHTMLFile(filePath) {
-  let content = fs.readFileSync(filePath, 'utf8');
-  let updated = false;
-  
-  // Update structured data (JSON-LD)
-  const structuredDataRegex = /(<!-- AUTO-UPDATE: Structured Data -->\s*<script type="application\/ld\+json">)\s*([\s\S]*?)\s*(<\/script>\s*<!-- END AUTO-UPDATE -->)/;
-  if (structuredDataRegex.test(content)) {
-    let structuredDataJSON = generateStructuredDataJSON();
-    // Determine if this is index.html (has servesCuisine) or contact.html
-    const isIndex = filePath.includes('index.html');
-    if (!isIndex) {
-      // Remove servesCuisine for contact page
-      const data = generateStructuredData();
-      delete data.servesCuisine;
-      structuredDataJSON = JSON.stringify(data, null, 2);
-    }
-    content = content.replace(structuredDataRegex, function(match, start, oldData, end) {
-      updated = true;
-      const indentedJSON = structuredDataJSON.split('\n').map(function(line, index) {
-        return index === 0 ? line : '    ' + line;
-      }).join('\n');
-      return start + '\n    ' + indentedJSON + '\n    ' + end;
-    });
-  }
-  
-  // Update address bar
-  const addressBarRegex = /(<!-- AUTO-UPDATE: Address bar -->\s*<div class="address-bar">)([^<]+)(<\/div>\s*<!-- END AUTO-UPDATE -->)/;
-  if (addressBarRegex.test(content)) {
-    const addressBarHTML = generateAddressBarHTML();
-    content = content.replace(addressBarRegex, function(match, start, oldContent, end) {
-      updated = true;
-      return start + addressBarHTML + end;
-    });
-  }
-  
-  // Update navigation brand
-  const navBrandRegex = /(<!-- AUTO-UPDATE: Navigation brand -->\s*<a class="navbar-brand"[^>]*>)([^<]+)(<\/a>\s*<!-- END AUTO-UPDATE -->)/;
-  if (navBrandRegex.test(content)) {
-    content = content.replace(navBrandRegex, function(match, start, oldContent, end) {
-      updated = true;
-      return start + businessData.shortName + end;
-    });
-  }
-  
-  // Update brand header (top of page)
-  const brandHeaderRegex = /(<!-- AUTO-UPDATE: Brand header -->\s*<div class="brand">)([^<]+)(<\/div>\s*<!-- END AUTO-UPDATE -->)/;
-  if (brandHeaderRegex.test(content)) {
-    content = content.replace(brandHeaderRegex, function(match, start, oldContent, end) {
-      updated = true;
-      return start + businessData.name + end;
-    });
-  }
-  
-    // Update business hours table (contact.html only)
-    if (filePath.includes('contact.html')) {
-      const hoursTableRegex = /(<!-- AUTO-UPDATE: Business hours table -->)\s*([\s\S]*?)\s*(<!-- END AUTO-UPDATE -->)/;
-      if (hoursTableRegex.test(content)) {
-        const closureCardHTML = generateClosureCardHTML();
-        const hoursTableHTML = generateHoursTableHTML();
-        const tempClosure = getActiveTemporaryClosure();
-        content = content.replace(hoursTableRegex, function(match, start, oldContent, end) {
-          updated = true;
-          let result = start;
-          if (closureCardHTML) {
-            result += closureCardHTML;
-          }
-          if (tempClosure) {
-            result += '<table class="business-hours-table" style="opacity: 0.7;"><caption style="caption-side: top; text-align: left; font-size: 0.875em; color: #6c757d; margin-bottom: 0.5rem; font-style: italic;">Regular hours (currently closed)</caption>' + hoursTableHTML + '</table>';
-          } else {
-            result += '<table class="business-hours-table">' + hoursTableHTML + '</table>';
-          }
-          result += end;
-          return result;
-        });
-      }
-    
-    // Update contact info phone
-    const phoneRegex = /(<!-- AUTO-UPDATE: Contact phone -->\s*<p>Phone:<br><strong>)([^<]+)(<\/strong><\/p>\s*<!-- END AUTO-UPDATE -->)/;
-    if (phoneRegex.test(content)) {
-      content = content.replace(phoneRegex, function(match, start, oldContent, end) {
-        updated = true;
-        return start + businessData.phone.display + end;
-      });
-    }
-    
-    // Update contact info address
-    const addressRegex = /(<!-- AUTO-UPDATE: Contact address -->\s*<p>Address:<br><strong>)([^<]+<br>[^<]+)(<\/strong><\/p>\s*<!-- END AUTO-UPDATE -->)/;
-    if (addressRegex.test(content)) {
-      const addressHTML = businessData.address.street + '<br>' + businessData.address.city + ', ' + businessData.address.region + ' ' + businessData.address.postalCode;
-      content = content.replace(addressRegex, function(match, start, oldContent, end) {
-        updated = true;
-        return start + addressHTML + end;
-      });
-    }
-  }
-  
-  if (updated) {
-    fs.writeFileSync(filePath, content, 'utf8');
-    return true;
-  }
-  return false;
+function getMapURLs() {
+  // Six decimal places is about 10 cm, as precise as a map pin needs
+  const latitude = businessData.coordinates.latitude.toFixed(6);
+  const longitude = businessData.coordinates.longitude.toFixed(6);
+  const coordinates = latitude + ',' + longitude;
+  return {
+    embed: 'https://maps.google.com/maps?q=' + coordinates + '&z=16&output=embed',
+    google: 'https://www.google.com/maps/dir/?api=1&destination=' + encodeURIComponent(coordinates),
+    apple: 'https://maps.apple.com/?daddr=' + encodeURIComponent(coordinates) + '&q=' + encodeURIComponent(businessData.name),
+    openStreetMap: 'https://www.openstreetmap.org/directions?route=' + encodeURIComponent(';' + coordinates) + '#map=16/' + latitude + '/' + longitude
+  };
 }
 
 /**
- * Main function - orchestrates the update process
- * @returns {void}
+ * Format coordinates for display (e.g., "45.19361° N, 75.84404° W" or "45,19361° N, 75,84404° O")
+ * @returns {string} - Formatted coordinates
  */
-function main() {
-  console.log('Updating business data in HTML files...\n');
-  
-  const publicDir = path.join(__dirname, '..', 'public');
-  const htmlFiles = [
-    path.join(publicDir, 'index.html'),
-    path.join(publicDir, 'contact.html'),
-    path.join(publicDir, 'specials.html'),
-    path.join(publicDir, 'services.html')
-  ];
-  
-  let updatedCount = 0;
-  htmlFiles.forEach(function(filePath) {
-    if (fs.existsSync(filePath)) {
-      if (updateHTMLFile(filePath)) {
-        console.log('✓ Updated: ' + path.basename(filePath));
-        updatedCount++;
-      } else {
-        console.log('⚠ No updates needed: ' + path.basename(filePath));
-      }
-    } else {
-      console.log('✗ File not found: ' + filePath);
-    }
-  });
-  
-  console.log('\n' + updatedCount + ' file(s) updated successfully!');
+function formatCoordinates() {
+  const latitude = businessData.coordinates.latitude;
+  const longitude = businessData.coordinates.longitude;
+  return i18n.formatNumber(Math.abs(latitude), 5, currentLocale) + '° ' + translate(latitude < 0 ? 'south' : 'north') + ', ' +
+    i18n.formatNumber(Math.abs(longitude), 5, currentLocale) + '° ' + translate(longitude < 0 ? 'west' : 'east');
+}
+
+/**
+ * Generate the click-to-load map: a placeholder with the address, replaced by the Google Maps
+ * embed (by site.js) only when the visitor asks for it, and directions links that work without it
+ * @returns {string} - HTML string for the map and directions links
+ */
+function generateMapHTML() {
+  const urls = getMapURLs();
+  const name = escapeHTML(businessData.name);
+  const address = businessData.address;
+  const title = translate('mapTitle', { name: businessData.name, address: address.street + ', ' + address.city + ', ' + address.region });
+  const pinIcon = '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" fill="currentColor" viewBox="0 0 16 16" aria-hidden="true"><path d="M8 16s6-5.686 6-10A6 6 0 0 0 2 6c0 4.314 6 10 6 10zm0-7a3 3 0 1 1 0-6 3 3 0 0 1 0 6z"/></svg>';
+
+  return '<div class="map-facade" data-map-src="' + escapeHTML(urls.embed) + '" data-map-title="' + escapeHTML(title) + '">' +
+    '<div class="map-facade-placeholder">' + pinIcon +
+    '<p class="map-facade-address"><strong>' + name + '</strong><br>' + escapeHTML(address.street) + '<br>' +
+    escapeHTML(address.city) + ', ' + escapeHTML(address.region) + ' ' + escapeHTML(address.postalCode) + '</p>' +
+    '<p class="map-facade-coordinates">' + formatCoordinates() + '</p>' +
+    '<button type="button" class="btn btn-dark map-facade-load" hidden>' + translate('showMap') + '</button>' +
+    '<p class="map-facade-note" hidden><small>' + translate('mapCookies') + '</small></p>' +
+    '</div></div>' +
+    '<p class="map-directions">' + translate('getDirections') + ' ' +
+    '<a href="' + escapeHTML(urls.google) + '" target="_blank" rel="noopener">Google Maps</a> · ' +
+    '<a href="' + escapeHTML(urls.apple) + '" target="_blank" rel="noopener">Apple Maps</a> · ' +
+    '<a href="' + escapeHTML(urls.openStreetMap) + '" target="_blank" rel="noopener">OpenStreetMap</a></p>';
+}
+
+/**
+ * Format a weight in pounds for display (e.g., "5 lb", "50 lbs")
+ * @param {number} weight - Weight in pounds
+ * @param {boolean} [plural] - Use "lbs" instead of "lb" (French uses "lb" for both)
+ * @returns {string} - Formatted weight string
+ */
+function formatWeight(weight, plural) {
+  return i18n.formatNumber(weight, undefined, currentLocale) + ' ' + translate(plural ? 'pounds' : 'pound');
+}
+
+/**
+ * Calculate the total weight of a pack from its line items
+ * @param {Object} pack - Pack object from businessData.specials.packs
+ * @returns {number} - Sum of item weights in pounds
+ */
+function getPackItemsWeight(pack) {
+  return pack.items.reduce(function(total, item) {
+    return total + item.weight;
+  }, 0);
+}
+
+/**
+ * Check every pack's declared weight against the sum of its line items, and that its
+ * footnotes exist and its cuts are in the products catalog. The declared weight is what the
+ * shop advertises, so a mismatch is reported for someone to confirm rather than corrected.
+ * @returns {string[]} - Warning messages, one per problem found
+ */
+function checkSpecialsPacks() {
+  const warnings = [];
+  if (!businessData.specials) {
+    return warnings;
+  }
+  businessData.specials.packs.forEach(function(pack) {
+    const itemsWeight = getPackItemsWeight(pack);
+    // Rounded, so weights like 2.2 + 1.1 still match 3.3
+    if (Math.round(itemsWeight * 1000) !== Math.round(pack.weight * 1000)) {
+      warnings.push(pack.name + ' is advertised as ' + formatWeight(pack.weight, true) +
+        ' but its items add up to ' + formatWeight(itemsWeight, true) + ', please confirm the weight or the items with the shop');
+    }
+    pack.items.forEach(function(item) {
+      if (item.footnote && !businessData.specials.footnotes[item.footnote]) {
+        warnings.push(pack.name + ' references unknown footnote "' + item.footnote + '" on ' + item.cut);
+      }
+      if (businessData.products && !findProduct(item.cut)) {
+        warnings.push(pack.name + '\'s ' + item.cut + ' is not in the products catalog (products.js), so it is not linked to it');
+      }
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Generate a single specials pack card HTML
+ * @param {Object} pack - Pack object from businessData.specials.packs
+ * @returns {string} - HTML string for the pack card column
+ */
+function generatePackCardHTML(pack) {
+  const itemsHTML = pack.items.map(function(item) {
+    const footnote = item.footnote ? ' ' + escapeHTML(item.footnote) : '';
+    const product = findProduct(item.cut);
+    const cut = product ? '<a href="products.html#' + product.id + '">' + escapeHTML(item.cut) + '</a>' : escapeHTML(item.cut);
+    return '<li>' + formatWeight(item.weight) + ' ' + cut + footnote + '</li>';
+  }).join('');
+  const orderHTML = businessData.preorders ? '<a class="btn btn-sm btn-outline-dark" href="order.html?pack=' + encodeURIComponent(pack.name) + '">' + translate('preOrder') + '</a>' : '';
+  const priceHTML = pack.price ? '<strong class="ms-auto">' + i18n.formatPrice(pack.price, currentLocale) + '</strong>' : '';
+  const footerHTML = orderHTML || priceHTML ? '<div class="card-footer d-flex align-items-center">' + orderHTML + priceHTML + '</div>' : '';
+
+  return '<div class="col-lg-4"><div class="card mb-3"><div class="card-header d-flex justify-content-between"><strong>' + escapeHTML(pack.name) + '</strong><em>' + formatWeight(pack.weight, true) + '</em></div><div class="card-body"><ul>' + itemsHTML + '</ul></div>' + footerHTML + '</div></div>';
+}
+
+/**
+ * Generate the homepage testimonials: a carousel with a slide per testimonial, newest first,
+ * started by site.js (initCarousel)
+ * @returns {string} - HTML string for the testimonials, or empty string if there are none
+ */
+function generateTestimonialsHTML() {
+  const testimonials = getTestimonials();
+  if (testimonials.length === 0) {
+    return '';
+  }
+  const slides = testimonials.map(function(testimonial, index) {
+    const stars = '★'.repeat(testimonial.rating) + '☆'.repeat(MAX_RATING - testimonial.rating);
+    const source = testimonial.source ? ', <cite>' + escapeHTML(testimonial.source) + '</cite>' : '';
+    return '<div class="carousel-item' + (index === 0 ? ' active' : '') + '"><figure class="testimonial">' +
+      '<div class="testimonial-rating" role="img" aria-label="' + translate('rating', { rating: testimonial.rating, best: MAX_RATING }) + '">' + stars + '</div>' +
+      '<blockquote class="blockquote"><p>' + escapeHTML(testimonial.quote) + '</p></blockquote>' +
+      '<figcaption class="blockquote-footer">' + escapeHTML(testimonial.author) + source + '</figcaption></figure></div>';
+  }).join('');
+  const controls = testimonials.length === 1 ? '' :
+    '<button class="carousel-control-prev" type="button" data-bs-target="#testimonials-carousel" data-bs-slide="prev" aria-label="' + translate('previousTestimonial') + '">' +
+    '<span class="carousel-control-prev-icon" aria-hidden="true"></span></button>' +
+    '<button class="carousel-control-next" type="button" data-bs-target="#testimonials-carousel" data-bs-slide="next" aria-label="' + translate('nextTestimonial') + '">' +
+    '<span class="carousel-control-next-icon" aria-hidden="true"></span></button>';
+  return '<div class="row"><div class="box"><div class="col-lg-12 text-center">' +
+    '<hr><h2 class="intro-text">' + translate('testimonials') + '</h2><hr>' +
+    '<div id="testimonials-carousel" class="carousel carousel-dark slide testimonials">' +
+    '<div class="carousel-inner">' + slides + '</div>' + controls + '</div></div></div></div>';
+}
+
+/**
+ * Generate the packaged specials card grid HTML, three packs per row, followed by footnotes
+ * @returns {string} - HTML string for the specials grid, or empty string if no specials
+ */
+function generateSpecialsHTML() {
+  if (!businessData.specials) {
+    return '';
+  }
+
+  const packs = businessData.specials.packs;
+  let html = '';
+  for (let i = 0; i < packs.length; i += 3) {
+    html += '<div class="col-lg-12"><div class="row">' + packs.slice(i, i + 3).map(generatePackCardHTML).join('') + '</div></div>';
+  }
+
+  const footnotes = businessData.specials.footnotes || {};
+  const footnotesHTML = Object.keys(footnotes).map(function(key) {
+    return '<p><em>' + escapeHTML(key) + ' ' + escapeHTML(footnotes[key]) + '</em></p>';
+  }).join('');
+  if (footnotesHTML) {
+    html += '<div class="col-lg-12">' + footnotesHTML + '</div>';
+  }
+
+  return html;
+}
+
+/**
+ * List every cut that appears in the specials packs, for building custom packs
+ * @returns {string[]} - Cut names in alphabetical order
+ */
+function getSpecialsCuts() {
+  if (!businessData.specials) {
+    return [];
+  }
+  const cuts = new Set();
+  businessData.specials.packs.forEach(function(pack) {
+    pack.items.forEach(function(item) {
+      cuts.add(item.cut);
+    });
+  });
+  return Array.from(cuts).sort();
+}
+
+/**
+ * String for each availability of a product in the catalog
+ */
+const AVAILABILITY_STRINGS = {
+  always: 'availableAlways',
+  seasonal: 'availableSeasonal',
+  order: 'availableToOrder'
+};
+
+/**
+ * Find the products catalog entry for a cut
+ * @param {string} cut - Cut name, as in the specials packs
+ * @returns {Object|null} - Product from businessData.products whose cut or aliases have that name, or null if there is none
+ */
+function findProduct(cut) {
+  return (businessData.products || []).find(function(product) {
+    return product.cut === cut || (product.aliases || []).indexOf(cut) !== -1;
+  }) || null;
+}
+
+/**
+ * Format a product's typical weight for display (e.g., "1 lb", "3–4 lbs")
+ * @param {number|number[]} weight - Weight in pounds, or the [lightest, heaviest] range
+ * @returns {string} - Formatted weight string
+ */
+function formatProductWeight(weight) {
+  if (Array.isArray(weight)) {
+    return i18n.formatNumber(weight[0], undefined, currentLocale) + '–' + formatWeight(weight[1], true);
+  }
+  return formatWeight(weight, weight > 1);
+}
+
+/**
+ * Generate a single products catalog card HTML, with the cut names it's searched by for site.js
+ * @param {Object} product - Product object from businessData.products
+ * @returns {string} - HTML string for the product card column, whose id the specials packs link to
+ */
+function generateProductCardHTML(product) {
+  const names = [product.cut].concat(product.aliases || []).join(' ').toLowerCase();
+  const originHTML = product.origin ? '<dt>' + translate('origin') + '</dt><dd>' + escapeHTML(product.origin) + '</dd>' : '';
+
+  return '<div class="col-md-6 col-lg-4 product" id="' + product.id + '" data-species="' + product.species + '" data-names="' + escapeHTML(names) + '">' +
+    '<div class="card mb-3"><div class="card-header d-flex justify-content-between align-items-center"><h2 class="h5 mb-0">' + escapeHTML(product.cut) + '</h2>' +
+    '<span class="badge text-bg-dark">' + translate(product.species) + '</span></div><div class="card-body"><dl class="mb-0">' + originHTML +
+    '<dt>' + translate('typicalWeight') + '</dt><dd>' + formatProductWeight(product.weight) + '</dd>' +
+    '<dt>' + translate('cooking') + '</dt><dd>' + escapeHTML(product.cooking) + '</dd></dl></div>' +
+    '<div class="card-footer">' + translate(AVAILABILITY_STRINGS[product.availability]) + '</div></div></div>';
+}
+
+/**
+ * Generate the products catalog: a filter form, shown by site.js (initProductFilter) to pick
+ * a species and search by cut name, and a card per product
+ * @returns {string} - HTML string for the catalog, or empty string if there are no products
+ */
+function generateProductsHTML() {
+  const products = businessData.products || [];
+  if (products.length === 0) {
+    return '';
+  }
+
+  const species = [];
+  products.forEach(function(product) {
+    if (species.indexOf(product.species) === -1) {
+      species.push(product.species);
+    }
+  });
+  const optionsHTML = '<option value="">' + translate('allSpecies') + '</option>' + species.map(function(name) {
+    return '<option value="' + name + '">' + translate(name) + '</option>';
+  }).join('');
+  const filterHTML = '<form class="product-filter row g-3 mb-3" role="search" hidden>' +
+    '<div class="col-sm-4"><label class="form-label" for="product-species">' + translate('species') + '</label>' +
+    '<select class="form-select" id="product-species" name="species">' + optionsHTML + '</select></div>' +
+    '<div class="col-sm-8"><label class="form-label" for="product-search">' + translate('searchCuts') + '</label>' +
+    '<input class="form-control" type="search" id="product-search" name="search" autocomplete="off"></div></form>' +
+    '<p class="product-count" role="status" aria-live="polite"></p>';
+
+  return '<div class="col-lg-12">' + filterHTML + '<div class="row">' + products.map(generateProductCardHTML).join('') + '</div></div>';
+}
+
+/**
+ * Generate the order data read by the Worker for pre-orders (worker/orders.js)
+ * @returns {Object} - Timezone, pre-order settings, packs and the cuts available for custom packs
+ */
+function generateOrdersData() {
+  return {
+    timezone: businessData.timezone,
+    preorders: businessData.preorders,
+    packs: businessData.specials.packs.map(function(pack) {
+      return {
+        name: pack.name,
+        weight: pack.weight,
+        items: pack.items.map(function(item) {
+          return { cut: item.cut, weight: item.weight };
+        })
+      };
+    }),
+    cuts: getSpecialsCuts()
+  };
+}
+
+/**
+ * Generate the hours data read by site.js for the live status badge
+ * @returns {Object} - Timezone, regular hours and upcoming closure occurrences
+ */
+function generateHoursData() {
+  const today = getTodayISO();
+  return {
+    timezone: businessData.timezone,
+    hours: businessData.hours,
+    closures: getClosureOccurrences(today, addDays(today, SPECIAL_HOURS_DAYS_AHEAD))
+  };
+}
+
+/**
+ * Generate the business hours section: closure card, regular hours and holiday hours
+ * @returns {string} - HTML string for the business hours section
+ */
+function generateBusinessHoursHTML() {
+  const closureCardHTML = generateClosureCardHTML();
+  const hoursTableHTML = generateHoursTableHTML();
+  const closure = getActiveClosure();
+  let html = closureCardHTML;
+  if (closure) {
+    html += '<table class="business-hours-table is-closed" data-closed-until="' + closure.endDate + '"><caption>' + translate('regularHoursCurrentlyClosed') + '</caption>' + hoursTableHTML + '</table>';
+  } else {
+    html += '<table class="business-hours-table">' + hoursTableHTML + '</table>';
+  }
+  return html + generateHolidayHoursTableHTML();
+}
+
+/**
+ * Turn a closure name into a slug for calendar UIDs (e.g., "New Year's Day" → "new-year-s-day")
+ * @param {string} name - Closure name
+ * @returns {string} - Lowercase letters, digits and dashes
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generate the iCalendar feed: an all-day event for each closure and a timed event for each
+ * day of special hours, from today to SPECIAL_HOURS_DAYS_AHEAD days ahead.
+ * UIDs are made from the date and closure name, so calendar apps subscribed to the feed
+ * update the same events on every build instead of adding copies.
+ * @returns {string} - iCalendar file contents
+ */
+function generateCalendarICS() {
+  const today = getTodayISO();
+  const host = businessData.url.replace(/^https:\/\//, '');
+  const address = businessData.address;
+  const location = ical.escapeText(address.street + ', ' + address.city + ', ' + address.region + ' ' + address.postalCode);
+  // DTSTAMP only changes once a day, so rebuilding the same day gives the same file
+  const stamp = ical.formatDate(today) + 'T000000Z';
+  const events = [];
+
+  getClosureOccurrences(today, addDays(today, SPECIAL_HOURS_DAYS_AHEAD)).forEach(function(occurrence) {
+    if (!occurrence.close) {
+      const returnDate = getNextOpenDate(occurrence.endDate);
+      events.push([
+        ['UID', 'closed-' + occurrence.startDate + '-' + slugify(occurrence.name) + '@' + host],
+        ['DTSTAMP', stamp],
+        ['DTSTART;VALUE=DATE', ical.formatDate(occurrence.startDate)],
+        ['DTEND;VALUE=DATE', ical.formatDate(addDays(occurrence.endDate, 1))],
+        ['SUMMARY', ical.escapeText(occurrence.message)],
+        ['DESCRIPTION', ical.escapeText(businessData.name + ' is closed ' + formatOccurrenceDates(occurrence) + '.' +
+          (returnDate ? ' We will return to regular hours on ' + formatDateWithDay(returnDate) + '.' : ''))],
+        ['LOCATION', location],
+        ['TRANSP', 'TRANSPARENT']
+      ]);
+      return;
+    }
+
+    for (let date = occurrence.startDate; date <= occurrence.endDate; date = addDays(date, 1)) {
+      const dayHours = getDayHours(date);
+      if (dayHours.closed) {
+        continue;
+      }
+      const hoursText = formatHours(dayHours.open, dayHours.close);
+      events.push([
+        ['UID', 'hours-' + date + '-' + slugify(occurrence.name) + '@' + host],
+        ['DTSTAMP', stamp],
+        ['DTSTART', ical.formatDateTime(new Date(toShopDateTime(date, dayHours.open + ':00')))],
+        ['DTEND', ical.formatDateTime(new Date(toShopDateTime(date, dayHours.close + ':00')))],
+        ['SUMMARY', ical.escapeText(occurrence.message)],
+        ['DESCRIPTION', ical.escapeText(occurrence.name + ': ' + businessData.name + ' is open ' + hoursText + ' on ' + formatDateWithDay(date) + '.')],
+        ['LOCATION', location],
+        ['TRANSP', 'TRANSPARENT']
+      ]);
+    }
+  });
+
+  const calendarName = ical.escapeText(businessData.name + ' holiday hours');
+  return ical.createCalendar([
+    ['VERSION', '2.0'],
+    ['PRODID', '-//' + host + '//Holiday hours//EN'],
+    ['CALSCALE', 'GREGORIAN'],
+    ['METHOD', 'PUBLISH'],
+    ['NAME', calendarName],
+    ['X-WR-CALNAME', calendarName],
+    ['X-WR-TIMEZONE', businessData.timezone],
+    ['URL', businessData.url + '/' + CALENDAR_FILE],
+    ['REFRESH-INTERVAL;VALUE=DURATION', 'P1D'],
+    ['X-PUBLISHED-TTL', 'P1D']
+  ], events);
+}
+
+/**
+ * Generate the announcement banners for a page: the ones for that page that haven't ended.
+ * Banners that start later are built in hidden, and site.js shows them when they start and
+ * hides them when they end, so they keep to their dates between builds.
+ * @param {Object} page - Page being built
+ * @returns {string} - HTML string for the banners, or empty string if there are none
+ */
+function generateAnnouncementsHTML(page) {
+  const today = getTodayISO();
+  return (businessData.announcements || []).filter(function(announcement) {
+    return (!announcement.endDate || announcement.endDate >= today) &&
+      (!announcement.pages || announcement.pages.includes(page.file));
+  }).map(function(announcement) {
+    const severity = announcement.severity || 'info';
+    const dates = (announcement.startDate ? ' data-start="' + announcement.startDate + '"' : '') +
+      (announcement.endDate ? ' data-end="' + announcement.endDate + '"' : '');
+    const hidden = announcement.startDate && announcement.startDate > today ? ' hidden' : '';
+    const link = announcement.link ? ' <a class="announcement-link" href="' + escapeHTML(announcement.link.url) + '">' +
+      escapeHTML(announcement.link.text) + '</a>' : '';
+    return '<div class="announcement announcement-' + severity + '" role="note" data-announcement-id="' + announcement.id + '"' + dates + hidden + '>' +
+      '<div class="announcement-message">' + escapeHTML(announcement.message) + link + '</div>' +
+      '<button type="button" class="btn-close announcement-dismiss" aria-label="' + translate('dismissAnnouncement') + '" hidden></button></div>';
+  }).join('');
+}
+
+/**
+ * Check that announcements are only for pages that exist
+ * @param {Object[]} pages - Pages from loadPages() in the default locale
+ * @returns {void}
+ */
+function checkAnnouncementPages(pages) {
+  (businessData.announcements || []).forEach(function(announcement) {
+    (announcement.pages || []).forEach(function(file) {
+      if (!pages.some(function(page) {
+        return page.file === file;
+      })) {
+        throw new Error('Announcement "' + announcement.id + '" is for ' + file + ', but there is no such page in src/pages');
+      }
+    });
+  });
+}
+
+/**
+ * Order page template for the pre-order campaigns, built once for each campaign as <id>.html
+ */
+const CAMPAIGN_TEMPLATE = 'campaign.html';
+
+/**
+ * Whether a pre-order campaign takes orders on a date
+ * @param {Object} campaign - Campaign from businessData.campaigns
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {boolean} - True from its startDate (if any) to its cutoffDate
+ */
+function isCampaignOpen(campaign, dateStr) {
+  return (!campaign.startDate || campaign.startDate <= dateStr) && dateStr <= campaign.cutoffDate;
+}
+
+/**
+ * Get the pre-order campaigns that still have a page: those whose last pickup day hasn't passed
+ * @returns {Object[]} - Campaigns from businessData.campaigns
+ */
+function getCurrentCampaigns() {
+  const today = getTodayISO();
+  return (businessData.campaigns || []).filter(function(campaign) {
+    return campaign.pickupDates.some(function(date) {
+      return date >= today;
+    });
+  });
+}
+
+/**
+ * Check that every campaign pickup day is a day the shop is open
+ * @returns {string[]} - Warning messages, one per pickup day the shop is closed
+ */
+function checkCampaignPickupDates() {
+  const warnings = [];
+  getCurrentCampaigns().forEach(function(campaign) {
+    campaign.pickupDates.forEach(function(date) {
+      if (getDayHours(date).closed) {
+        warnings.push(campaign.name + ' has a pickup day on ' + formatDateWithDay(date) + ', but the shop is closed that day');
+      }
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Describe the pickup days of a campaign (e.g., "December 22, 2026 – December 24, 2026")
+ * @param {Object} campaign - Campaign from businessData.campaigns
+ * @returns {string} - First and last pickup day, or the only one
+ */
+function formatPickupDates(campaign) {
+  const dates = campaign.pickupDates.slice().sort();
+  return formatOccurrenceDates({ startDate: dates[0], endDate: dates[dates.length - 1] });
+}
+
+/**
+ * Get the values the campaign page template (src/campaign.html) is rendered with
+ * @param {Object} campaign - Campaign from businessData.campaigns
+ * @returns {Object} - Campaign with formatted dates, pickup days and form field ids
+ */
+function getCampaignContext(campaign) {
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    description: campaign.description,
+    api: '/api/campaigns/' + campaign.id,
+    start: campaign.startDate ? formatDateWithDay(campaign.startDate) : '',
+    cutoff: formatDateWithDay(campaign.cutoffDate),
+    pickupDates: campaign.pickupDates.slice().sort().map(function(date) {
+      const dayHours = getDayHours(date);
+      return {
+        date: date,
+        label: formatDateWithDay(date) + (dayHours.closed ? '' : ', ' + formatHours(dayHours.open, dayHours.close))
+      };
+    }),
+    items: campaign.items.map(function(item, itemIndex) {
+      return {
+        name: item.name,
+        description: item.description || '',
+        limit: item.limit,
+        sizes: item.sizes.map(function(size, sizeIndex) {
+          return { size: size, field: 'campaign-item-' + itemIndex + '-' + sizeIndex };
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Create a page for each current pre-order campaign from the campaign page template
+ * @param {string} srcDir - Directory containing the campaign page template, with its translations in the locale directories (e.g. fr/)
+ * @param {Object} images - Images from readImages(), for the Open Graph sized social images
+ * @param {string} locale - Locale to build the pages in
+ * @returns {Object[]} - Pages, as from loadPages()
+ */
+function loadCampaignPages(srcDir, images, locale) {
+  const campaigns = getCurrentCampaigns();
+  if (campaigns.length === 0) {
+    return [];
+  }
+  const source = path.join(srcDir, i18n.LOCALES[locale].dir, CAMPAIGN_TEMPLATE);
+  if (!fs.existsSync(source)) {
+    throw new Error('Campaign pages are built in every language, but there is no ' + source);
+  }
+  const template = fs.readFileSync(source, 'utf8');
+  return campaigns.map(function(campaign) {
+    return preparePage({
+      title: campaign.name + ' - ' + businessData.name,
+      description: campaign.description,
+      image: campaign.image,
+      sitemap: { changefreq: 'weekly', priority: 0.7 },
+      breadcrumb: campaign.name,
+      campaign: getCampaignContext(campaign)
+    }, campaign.id + '.html', source, template, images, locale);
+  });
+}
+
+/**
+ * Generate the homepage call-to-action for each campaign that hasn't reached its cutoff.
+ * Campaigns that open later are built in hidden, and site.js shows each one on its dates.
+ * @returns {string} - HTML string for the calls-to-action, or empty string if there are none
+ */
+function generateCampaignsHTML() {
+  const today = getTodayISO();
+  return getCurrentCampaigns().filter(function(campaign) {
+    return campaign.cutoffDate >= today;
+  }).map(function(campaign) {
+    const start = campaign.startDate ? ' data-start="' + campaign.startDate + '"' : '';
+    const hidden = isCampaignOpen(campaign, today) ? '' : ' hidden';
+    return '<div class="row campaign-callout"' + start + ' data-end="' + campaign.cutoffDate + '"' + hidden + '><div class="box"><div class="col-lg-12 text-center">' +
+      '<hr><h2 class="intro-text">' + escapeHTML(campaign.name) + '</h2><hr>' +
+      '<p>' + escapeHTML(campaign.description) + '</p>' +
+      '<p>' + translate('campaignOrderBy', { cutoff: '<strong>' + formatDateWithDay(campaign.cutoffDate) + '</strong>', pickup: formatPickupDates(campaign) }) + '</p>' +
+      '<a class="btn btn-dark" href="' + campaign.id + '.html">' + translate('preOrderNow') + '</a></div></div></div>';
+  }).join('');
+}
+
+/**
+ * Generate the campaign data read by the Worker for campaign orders (worker/campaigns.js)
+ * @returns {Object} - Timezone and the current campaigns, with what can be ordered
+ */
+function generateCampaignsData() {
+  return {
+    timezone: businessData.timezone,
+    campaigns: getCurrentCampaigns().map(function(campaign) {
+      return {
+        id: campaign.id,
+        name: campaign.name,
+        startDate: campaign.startDate || null,
+        cutoffDate: campaign.cutoffDate,
+        pickupDates: campaign.pickupDates,
+        items: campaign.items.map(function(item) {
+          return { name: item.name, sizes: item.sizes, limit: item.limit };
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Generated sections, keyed by the name used in <!-- AUTO-UPDATE: Name --> markers.
+ * Each receives the page being built and returns the HTML placed between the markers.
+ */
+const SECTIONS = {
+  'Structured Data': function(page) {
+    const data = generatePageStructuredData(page);
+    // "<" is escaped so text from business data (like a testimonial quoting "</script>") can't end the script early
+    return data ? '<script type="application/ld+json">\n' + JSON.stringify(data, null, 2).replace(/</g, '\\u003c') + '\n</script>' : '';
+  },
+  'Announcements': generateAnnouncementsHTML,
+  'Address bar': function() {
+    return '<div class="address-bar">' + generateAddressBarHTML() + '</div>';
+  },
+  'Business hours table': generateBusinessHoursHTML,
+  'Campaigns': generateCampaignsHTML,
+  'Map': generateMapHTML,
+  'Products catalog': generateProductsHTML,
+  'Specials packs': generateSpecialsHTML,
+  'Testimonials': generateTestimonialsHTML
+};
+
+/**
+ * A generated section: <!-- AUTO-UPDATE: Name --> ... <!-- END AUTO-UPDATE -->
+ */
+const MARKER_REGEX = /(<!-- AUTO-UPDATE: (.+?) -->)[\s\S]*?(<!-- END AUTO-UPDATE -->)/g;
+
+/**
+ * Date a file's content last changed: the date of its last commit, or its modification
+ * time if it has uncommitted changes or there is no git history (e.g., a source download)
+ * @param {string} file - Path to the file
+ * @returns {string} - Date in ISO format (YYYY-MM-DD)
+ */
+function getFileChangedDate(file) {
+  const options = { cwd: path.dirname(file), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] };
+  const name = path.basename(file);
+  try {
+    if (execFileSync('git', ['status', '--porcelain', '--', name], options) === '') {
+      const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', name], options).trim();
+      if (date) {
+        return date;
+      }
+    }
+  } catch {
+    // Not a git checkout, or git isn't installed
+  }
+  return toISODate(fs.statSync(file).mtime);
+}
+
+/**
+ * Date a page's content last changed, for the sitemap's lastmod. Pages that show business
+ * data (generated sections or {{business.*}} values) also change when business-data.js or
+ * products.js does, or when admin edits are applied. Changes to the shared layout and partials don't count.
+ * @param {Object} page - Page from loadPages()
+ * @param {string|null} dataUpdatedAt - When the applied admin edits were saved (ISO timestamp), if any
+ * @returns {string} - Date in ISO format (YYYY-MM-DD)
+ */
+function getPageChangedDate(page, dataUpdatedAt) {
+  const dates = [getFileChangedDate(page.source)];
+  if (/<!-- AUTO-UPDATE:|\{\{\{?\s*[#^]?\s*(business\.|cuts\b|campaign\b)/.test(page.body)) {
+    dates.push(getFileChangedDate(require.resolve('./business-data.js')), getFileChangedDate(require.resolve('./products.js')));
+    if (dataUpdatedAt) {
+      dates.push(dataUpdatedAt.slice(0, 10));
+    }
+  }
+  return dates.sort().pop();
+}
+
+/**
+ * Generate sitemap.xml for every page that search engines may index, in every language,
+ * each with links to the page in the other languages
+ * @param {Object[]} pages - Pages from loadPages(), in every locale
+ * @param {string|null} dataUpdatedAt - When the applied admin edits were saved (ISO timestamp), if any
+ * @returns {string} - Sitemap XML
+ */
+function generateSitemapXML(pages, dataUpdatedAt) {
+  const urls = pages.filter(function(page) {
+    return page.sitemap;
+  }).map(function(page) {
+    const alternates = page.languages ? page.languages.all.map(function(version) {
+      return '    <xhtml:link rel="alternate" hreflang="' + version.lang + '" href="' + escapeHTML(version.url) + '"/>\n';
+    }).join('') : '';
+    return '  <url>\n' +
+      '    <loc>' + escapeHTML(page.url) + '</loc>\n' +
+      alternates +
+      '    <lastmod>' + getPageChangedDate(page, dataUpdatedAt) + '</lastmod>\n' +
+      '    <changefreq>' + page.sitemap.changefreq + '</changefreq>\n' +
+      '    <priority>' + page.sitemap.priority.toFixed(1) + '</priority>\n' +
+      '  </url>\n';
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+    urls.join('') +
+    '</urlset>\n';
+}
+
+/**
+ * Generate the Content-Security-Policy data: the SHA-256 hash of every inline script in the
+ * built pages, so the Worker's policy allows them and nothing else inline
+ * @param {Object} files - Rendered files, keyed by path relative to dist/
+ * @returns {Object} - { scriptHashes: sorted unique CSP hash sources (e.g. "'sha256-...'") }
+ */
+function generateCSPData(files) {
+  const hashes = {};
+  getPageContents(files).forEach(function(html) {
+    html.replace(/<script\b(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/g, function(match, script) {
+      hashes["'sha256-" + crypto.createHash('sha256').update(script, 'utf8').digest('base64') + "'"] = true;
+      return match;
+    });
+  });
+  return { scriptHashes: Object.keys(hashes).sort() };
+}
+
+/**
+ * Fill every AUTO-UPDATE marker in the HTML with its generated section
+ * @param {string} html - Page HTML containing AUTO-UPDATE markers
+ * @param {Object} page - Page being built
+ * @returns {string} - HTML with every marker filled
+ */
+function fillSections(html, page) {
+  return html.replace(MARKER_REGEX, function(match, start, name, end) {
+    if (!Object.prototype.hasOwnProperty.call(SECTIONS, name)) {
+      throw new Error(page.path + ': unknown AUTO-UPDATE section "' + name + '"');
+    }
+    return start + '\n' + SECTIONS[name](page) + '\n' + end;
+  });
+}
+
+/**
+ * Split built page HTML into its generated sections and the rest of the page
+ * @param {string} html - Built page HTML
+ * @returns {Object} - { sections: section content keyed by marker name, rest: HTML with the section contents left out }
+ */
+function splitSections(html) {
+  const sections = {};
+  const rest = html.replace(MARKER_REGEX, function(match, start, name, end) {
+    let key = name;
+    for (let count = 2; Object.prototype.hasOwnProperty.call(sections, key); count++) {
+      key = name + ' (' + count + ')';
+    }
+    sections[key] = match.slice(start.length, match.length - end.length);
+    return start + end;
+  });
+  return { sections: sections, rest: rest };
+}
+
+/**
+ * Read every .html file in a directory
+ * @param {string} dir - Directory to read
+ * @returns {Object} - File contents keyed by file name without extension
+ */
+function readTemplates(dir) {
+  const templates = {};
+  fs.readdirSync(dir).filter(function(file) {
+    return file.endsWith('.html');
+  }).forEach(function(file) {
+    templates[path.basename(file, '.html')] = fs.readFileSync(path.join(dir, file), 'utf8');
+  });
+  return templates;
+}
+
+/**
+ * Fill in a page's metadata defaults
+ * @param {Object} page - Page metadata (a page's front matter)
+ * @param {string} file - Output file name (e.g. "order.html")
+ * @param {string} source - Path of the file the page is built from
+ * @param {string} body - Page content template
+ * @param {Object} images - Images from readImages(), for the Open Graph sized social images
+ * @param {string} locale - Locale the page is in
+ * @returns {Object} - Page
+ */
+function preparePage(page, file, source, body, images, locale) {
+  const og = page.og || {};
+  const twitter = page.twitter || {};
+  const dir = i18n.LOCALES[locale].dir;
+  page.file = file;
+  page.path = dir + file;
+  page.locale = locale;
+  page.lang = i18n.LOCALES[locale].lang;
+  page.ogLocale = i18n.LOCALES[locale].ogLocale;
+  page.locales = page.locales || Object.keys(i18n.LOCALES);
+  // The same page in the other languages (set by linkTranslations())
+  page.languages = null;
+  page.source = source;
+  page.body = body.replace(/\r?\n$/, '');
+  page.url = businessData.url + '/' + dir + (file === 'index.html' ? '' : file);
+  page.noindex = page.noindex === true;
+  // Pages served at any URL (the 404 page) resolve their links from the locale's directory
+  page.base = page.base === true ? '/' + dir : null;
+  page.sitemap = page.noindex ? null : Object.assign({ changefreq: 'monthly', priority: 0.5 }, page.sitemap);
+  const image = page.image || businessData.images.defaultImage;
+  const ogImage = images[image] ? images[image].og : null;
+  page.image = businessData.url + '/' + (ogImage ? ogImage.file : image);
+  page.imageSize = ogImage ? { width: ogImage.width, height: ogImage.height } : null;
+  page.og = {
+    title: og.title || page.title,
+    description: og.description || page.description
+  };
+  page.twitter = {
+    description: twitter.description || page.og.description
+  };
+  page.breadcrumb = page.breadcrumb || (page.nav ? page.nav.label : page.title);
+  page.structuredData = page.structuredData || {};
+  page.preconnect = page.preconnect || [];
+  page.scripts = page.scripts || [];
+  return page;
+}
+
+/**
+ * Load the page content files of a locale and fill in metadata defaults
+ * @param {string} pagesDir - Directory containing page content files, with the translations in the locale directories (e.g. fr/)
+ * @param {Object} images - Images from readImages(), for the Open Graph sized social images
+ * @param {string} locale - Locale to load
+ * @returns {Object[]} - Pages sorted by navigation order
+ */
+function loadPages(pagesDir, images, locale) {
+  const dir = path.join(pagesDir, i18n.LOCALES[locale].dir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(function(file) {
+    return file.endsWith('.html');
+  }).map(function(file) {
+    const source = parseFrontMatter(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+    return preparePage(source.data, file, path.join(dir, file), source.body, images, locale);
+  }).sort(function(a, b) {
+    return (a.nav ? a.nav.order : Infinity) - (b.nav ? b.nav.order : Infinity);
+  });
+}
+
+/**
+ * Load every page built in a locale: the page content files and the pre-order campaign pages
+ * @param {string} srcDir - Directory containing pages/ and the campaign page template
+ * @param {Object} images - Images from readImages(), for the Open Graph sized social images
+ * @param {string} locale - Locale to load
+ * @returns {Object[]} - Pages
+ */
+function loadLocalePages(srcDir, images, locale) {
+  const pages = loadPages(path.join(srcDir, 'pages'), images, locale);
+  loadCampaignPages(srcDir, images, locale).forEach(function(campaignPage) {
+    if (pages.some(function(page) {
+      return page.file === campaignPage.file;
+    })) {
+      throw new Error('Campaign "' + campaignPage.campaign.id + '" would be built as ' + campaignPage.path + ', but src/pages already has that page');
+    }
+    pages.push(campaignPage);
+  });
+  return pages;
+}
+
+/**
+ * Check that every page is translated into each of its locales, and link the versions of
+ * each page for the language toggle, hreflang alternates, sitemap and structured data
+ * (page.languages: every version, the other versions, and the default locale's URL)
+ * @param {Object} sites - Pages from loadLocalePages(), by locale
+ * @returns {void}
+ */
+function linkTranslations(sites) {
+  const originals = sites[i18n.DEFAULT_LOCALE];
+  originals.forEach(function(page) {
+    page.locales.forEach(function(locale) {
+      if (!sites[locale]) {
+        throw new Error(page.file + ' is for unknown locale "' + locale + '" (expected one of: ' + Object.keys(i18n.LOCALES).join(', ') + ')');
+      }
+      if (!sites[locale].some(function(translation) {
+        return translation.file === page.file;
+      })) {
+        throw new Error(page.file + ' has no "' + locale + '" version: add src/pages/' + i18n.LOCALES[locale].dir + page.file +
+          ', or leave the locale out of its "locales" front matter');
+      }
+    });
+  });
+
+  Object.keys(sites).forEach(function(locale) {
+    sites[locale].forEach(function(page) {
+      const original = originals.find(function(other) {
+        return other.file === page.file;
+      });
+      if (!original || !original.locales.includes(locale)) {
+        throw new Error(page.path + ' has no page to translate: src/pages has no ' + page.file + ', or its "locales" front matter leaves out ' + locale);
+      }
+      if (original.locales.length < 2) {
+        return;
+      }
+      // Links from a page in a locale directory go up to the site root first
+      const up = '../'.repeat(page.path.split('/').length - 1);
+      const all = original.locales.map(function(other) {
+        const version = sites[other].find(function(translation) {
+          return translation.file === page.file;
+        });
+        const info = i18n.LOCALES[other];
+        return { locale: other, lang: info.lang, ogLocale: info.ogLocale, name: info.name, url: version.url, href: up + version.path };
+      });
+      page.languages = {
+        all: all,
+        others: all.filter(function(version) {
+          return version.locale !== locale;
+        }),
+        defaultURL: original.url
+      };
+    });
+  });
+}
+
+/**
+ * Attributes with URLs that relocateLinks() rewrites
+ */
+const LINK_ATTRIBUTE_REGEX = /(\s)(href|src|srcset|action)="([^"]*)"/g;
+
+/**
+ * Point the relative URLs of a page built into a locale directory (e.g. dist/fr/) back at the
+ * shared files in the site root: stylesheets, scripts, images, and pages that aren't translated.
+ * Links to the locale's own pages, and URLs that are absolute, root-relative (/api/...) or
+ * already relative to the parent directory (the language toggle), are left as they are.
+ * @param {string} html - Page HTML
+ * @param {Object[]} pages - The locale's pages
+ * @param {string} dir - Locale directory (e.g. "fr/")
+ * @returns {string} - HTML with the relative URLs rewritten
+ */
+function relocateLinks(html, pages, dir) {
+  const up = dir.replace(/[^/]+\//g, '../');
+  const relocate = function(url) {
+    if (url === '' || /^([a-z][a-z0-9+.-]*:|[/#?.])/i.test(url) || pages.some(function(page) {
+      return page.file === url.split(/[?#]/)[0];
+    })) {
+      return url;
+    }
+    return up + url;
+  };
+  return html.replace(LINK_ATTRIBUTE_REGEX, function(match, space, name, value) {
+    const relocated = name === 'srcset' ? value.replace(/(^|,\s*)([^\s,]+)/g, function(candidate, separator, url) {
+      return separator + relocate(url);
+    }) : relocate(value);
+    return space + name + '="' + relocated + '"';
+  });
+}
+
+/**
+ * Render a complete page from the layout, partials, page content and business data
+ * @param {Object} page - Page from loadPages()
+ * @param {Object[]} pages - All pages in the page's locale, used to build the navigation
+ * @param {string} layout - Layout template
+ * @param {Object} partials - Partial templates by name
+ * @param {Object} images - Images from readImages(), for the <picture> elements
+ * @returns {string} - Formatted page HTML
+ */
+function renderPage(page, pages, layout, partials, images) {
+  const context = {
+    business: businessData,
+    page: page,
+    t: Object.assign({}, i18n.STRINGS[i18n.DEFAULT_LOCALE], i18n.STRINGS[currentLocale]),
+    year: parseInt(getTodayISO().slice(0, 4), 10),
+    cuts: getSpecialsCuts(),
+    campaign: page.campaign || null,
+    calendar: {
+      file: CALENDAR_FILE,
+      subscribeURL: businessData.url.replace(/^https:/, 'webcal:') + '/' + CALENDAR_FILE
+    },
+    nav: pages.filter(function(navPage) {
+      return navPage.nav;
+    }).map(function(navPage) {
+      return { label: navPage.nav.label, href: navPage.file, active: navPage === page };
+    })
+  };
+  context.content = renderTemplate(page.body, context, partials);
+  const html = rewriteImages(fillSections(renderTemplate(layout, context, partials), page), images);
+  const dir = i18n.LOCALES[page.locale].dir;
+  return formatHTML(dir ? relocateLinks(html, pages, dir) : html);
+}
+
+/**
+ * Static assets the service worker precaches besides the pages: what every page loads
+ * (src/layout.html), and the page background from main.css
+ */
+const PRECACHE_ASSETS = [
+  'favicon.ico',
+  'css/bootstrap.css',
+  'css/main.css',
+  'js/jquery.js',
+  'js/bootstrap.js',
+  'js/site.js',
+  'img/bg7-1920w.avif',
+  'img/bg7-1920w.webp'
+];
+
+/**
+ * Get the offline pages, one for each locale that has one
+ * @param {Object[]} pages - Pages from loadPages(), in every locale
+ * @returns {string[]} - Paths relative to dist/ (e.g. "offline.html", "fr/offline.html")
+ */
+function listOfflinePages(pages) {
+  const offlinePages = pages.filter(function(page) {
+    return page.file === pwa.OFFLINE_PAGE;
+  }).map(function(page) {
+    return page.path;
+  });
+  if (!offlinePages.includes(pwa.OFFLINE_PAGE)) {
+    throw new Error('The service worker needs an offline page, but src/pages has no ' + pwa.OFFLINE_PAGE);
+  }
+  return offlinePages;
+}
+
+/**
+ * List the files the service worker precaches: the pages in the navigation and the offline
+ * pages in every language, the hours data for the open/closed badge, the app manifest and
+ * icons, and PRECACHE_ASSETS
+ * @param {Object[]} pages - Pages from loadPages(), in every locale
+ * @returns {string[]} - Paths relative to dist/
+ */
+function listPrecacheFiles(pages) {
+  return pages.filter(function(page) {
+    return page.nav;
+  }).map(function(page) {
+    return page.path;
+  }).concat(listOfflinePages(pages), Object.keys(i18n.LOCALES).map(function(locale) {
+    return i18n.LOCALES[locale].dir + HOURS_DATA_FILE;
+  }), [pwa.MANIFEST_FILE], pwa.ICONS.map(function(icon) {
+    return icon.file;
+  }), PRECACHE_ASSETS);
+}
+
+/**
+ * Get what a precached file is built from, for the service worker's cache version
+ * @param {string} file - Path relative to dist/
+ * @param {Object} files - Files rendered so far
+ * @param {Object} images - Images from readImages()
+ * @param {string} [publicDir] - Static assets directory (without it, static assets count by name only)
+ * @returns {string|Buffer} - File contents, or what they are made from
+ */
+function readPrecacheFile(file, files, images, publicDir) {
+  if (Object.prototype.hasOwnProperty.call(files, file)) {
+    return files[file];
+  }
+  if (pwa.ICONS.some(function(icon) {
+    return icon.file === file;
+  })) {
+    return file + ' ' + businessData.colors.theme;
+  }
+  if (!publicDir) {
+    return file;
+  }
+  if (fs.existsSync(path.join(publicDir, file))) {
+    return fs.readFileSync(path.join(publicDir, file));
+  }
+  // An image variant changes only when its original does
+  const source = Object.keys(images).find(function(image) {
+    return Object.keys(images[image].sources).some(function(format) {
+      return images[image].sources[format].some(function(variant) {
+        return variant.file === file;
+      });
+    });
+  });
+  if (!source) {
+    throw new Error('The service worker precaches ' + file + ', but the build has no such file');
+  }
+  return file + ' ' + crypto.createHash('sha1').update(fs.readFileSync(path.join(publicDir, source))).digest('hex');
+}
+
+/**
+ * Render every generated file: the pages in every locale, sitemap.xml and robots.txt, the data
+ * files read by site.js and the Worker, and the app manifest and service worker
+ * @param {string} srcDir - Directory containing layout.html, robots.txt, campaign.html, service-worker.js, partials/ and pages/,
+ *   and the translated campaign.html in each locale directory (e.g. fr/)
+ * @param {string|null} dataUpdatedAt - When the applied admin edits were saved (ISO timestamp), if any
+ * @param {Object} [images] - Images from readImages() (default: none, so <img> tags are left as they are)
+ * @param {string} [publicDir] - Static assets directory, read for the service worker's cache version
+ *   and to check that everything it precaches exists (default: static assets count by name only)
+ * @returns {Object} - File contents keyed by path relative to dist/ (e.g. "index.html", "fr/index.html", "data/hours.json")
+ */
+function renderSite(srcDir, dataUpdatedAt, images, publicDir) {
+  images = images || {};
+  const layout = fs.readFileSync(path.join(srcDir, 'layout.html'), 'utf8');
+  const partials = readTemplates(path.join(srcDir, 'partials'));
+  const locales = Object.keys(i18n.LOCALES);
+  const previousLocale = currentLocale;
+  const files = {};
+  let pages = [];
+
+  try {
+    const sites = {};
+    locales.forEach(function(locale) {
+      useLocale(locale);
+      sites[locale] = loadLocalePages(srcDir, images, locale);
+    });
+    linkTranslations(sites);
+    checkAnnouncementPages(sites[i18n.DEFAULT_LOCALE]);
+
+    locales.forEach(function(locale) {
+      useLocale(locale);
+      sites[locale].forEach(function(page) {
+        files[page.path] = renderPage(page, sites[locale], layout, partials, images);
+      });
+      files[i18n.LOCALES[locale].dir + HOURS_DATA_FILE] = JSON.stringify(generateHoursData(), null, 2) + '\n';
+      pages = pages.concat(sites[locale]);
+    });
+
+    // The rest is shared by every locale, and built in the default one
+    useLocale(i18n.DEFAULT_LOCALE);
+    files['sitemap.xml'] = generateSitemapXML(pages, dataUpdatedAt);
+    files[CALENDAR_FILE] = generateCalendarICS();
+    files['robots.txt'] = renderTemplate(fs.readFileSync(path.join(srcDir, 'robots.txt'), 'utf8'), { business: businessData }, {});
+    if (businessData.preorders && businessData.specials) {
+      files['data/orders.json'] = JSON.stringify(generateOrdersData(), null, 2) + '\n';
+    }
+    if (businessData.campaigns) {
+      files['data/campaigns.json'] = JSON.stringify(generateCampaignsData(), null, 2) + '\n';
+    }
+    files[pwa.MANIFEST_FILE] = JSON.stringify(pwa.generateManifest(businessData), null, 2) + '\n';
+    files[CSP_DATA_FILE] = JSON.stringify(generateCSPData(files), null, 2) + '\n';
+
+    const precacheFiles = listPrecacheFiles(pages);
+    const version = pwa.getCacheVersion(precacheFiles.map(function(file) {
+      return readPrecacheFile(file, files, images, publicDir);
+    }));
+    const source = fs.readFileSync(path.join(srcDir, 'service-worker.js'), 'utf8');
+    files[pwa.SERVICE_WORKER_FILE] = pwa.generateServiceWorker(source, version, precacheFiles, listOfflinePages(pages));
+  } finally {
+    useLocale(previousLocale);
+  }
+  return files;
+}
+
+/**
+ * Find generated sections that no page has a marker for, so their data is not shown anywhere
+ * @param {Object} files - Rendered files from renderSite()
+ * @returns {string[]} - Section names
+ */
+function findUnusedSections(files) {
+  const used = {};
+  Object.keys(files).filter(function(file) {
+    return file.endsWith('.html');
+  }).forEach(function(file) {
+    files[file].replace(MARKER_REGEX, function(match, start, name) {
+      used[name] = true;
+      return match;
+    });
+  });
+  return Object.keys(SECTIONS).filter(function(name) {
+    return !used[name];
+  });
+}
+
+/**
+ * Get the built pages
+ * @param {Object} files - Rendered files from renderSite()
+ * @returns {string[]} - Contents of the HTML files
+ */
+function getPageContents(files) {
+  return Object.keys(files).filter(function(file) {
+    return file.endsWith('.html');
+  }).map(function(file) {
+    return files[file];
+  });
+}
+
+/**
+ * List every file under a directory
+ * @param {string} dir - Directory to list
+ * @param {string} [prefix] - Path prefix for the results (used when recursing)
+ * @returns {string[]} - File paths relative to dir, with forward slashes
+ */
+function listFiles(dir, prefix) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  prefix = prefix || '';
+  let files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(function(entry) {
+    if (entry.isDirectory()) {
+      files = files.concat(listFiles(path.join(dir, entry.name), prefix + entry.name + '/'));
+    } else {
+      files.push(prefix + entry.name);
+    }
+  });
+  return files;
+}
+
+/**
+ * Print what would change in a built file: for pages, one diff per generated section
+ * and one for everything outside the markers; for other files, a diff of the whole file
+ * @param {string} file - Path relative to dist/
+ * @param {string} current - Contents in dist/
+ * @param {string} next - Contents in the new build
+ * @returns {void}
+ */
+function printFileDiff(file, current, next) {
+  const label = function(part) {
+    return { fromFile: 'dist/' + file + part, toFile: 'build/' + file + part };
+  };
+  if (!file.endsWith('.html')) {
+    process.stdout.write(unifiedDiff(current, next, label('')));
+    return;
+  }
+
+  const before = splitSections(current);
+  const after = splitSections(next);
+  Object.keys(before.sections).filter(function(name) {
+    return !Object.prototype.hasOwnProperty.call(after.sections, name);
+  }).forEach(function(name) {
+    console.log('⚠ ' + file + ': the "' + name + '" marker is no longer in this page');
+  });
+  Object.keys(after.sections).forEach(function(name) {
+    const diff = unifiedDiff(before.sections[name] || '', after.sections[name], label(' [' + name + ']'));
+    process.stdout.write(diff);
+  });
+  process.stdout.write(unifiedDiff(before.rest, after.rest, label(' [outside markers]')));
+}
+
+/**
+ * Compare the site that would be built with what is in dist/, without writing anything
+ * @param {Object} files - Rendered files from renderSite()
+ * @param {string} publicDir - Static assets directory
+ * @param {string} distDir - Build output directory
+ * @param {boolean} showDiffs - Print a diff for each changed file
+ * @param {Object[]} variants - Image variants from listVariants() and the app icons; only checked to exist, as they are encoded while the build is written
+ * @returns {number} - Number of files in dist/ that would change
+ */
+function compareSite(files, publicDir, distDir, showDiffs, variants) {
+  const expected = {};
+  listFiles(publicDir).forEach(function(file) {
+    expected[file] = { source: path.join(publicDir, file) };
+  });
+  variants.forEach(function(variant) {
+    expected[variant.file] = { variant: true };
+  });
+  Object.keys(files).forEach(function(file) {
+    expected[file] = { content: files[file] };
+  });
+
+  let changed = 0;
+  Object.keys(expected).sort().forEach(function(file) {
+    const distPath = path.join(distDir, file);
+    const entry = expected[file];
+    if (!fs.existsSync(distPath)) {
+      console.log('+ ' + file + ' (new)');
+      changed++;
+    } else if (entry.variant) {
+      return;
+    } else if (entry.source) {
+      if (!fs.readFileSync(entry.source).equals(fs.readFileSync(distPath))) {
+        console.log('~ ' + file + ' (changed in public/)');
+        changed++;
+      }
+    } else {
+      const current = fs.readFileSync(distPath, 'utf8');
+      if (current !== entry.content) {
+        console.log('~ ' + file);
+        if (showDiffs) {
+          printFileDiff(file, current, entry.content);
+        }
+        changed++;
+      }
+    }
+  });
+
+  listFiles(distDir).filter(function(file) {
+    return !expected[file];
+  }).forEach(function(file) {
+    console.log('- ' + file + ' (would be removed)');
+    changed++;
+  });
+  return changed;
+}
+
+/**
+ * Read the command line options
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} - { dryRun, check }
+ */
+function parseArgs(args) {
+  const options = { dryRun: false, check: false };
+  args.forEach(function(arg) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--check') {
+      options.check = true;
+    } else {
+      throw new Error('Unknown option "' + arg + '" (use --dry-run or --check)');
+    }
+  });
+  return options;
+}
+
+/**
+ * Copy a directory tree
+ * @param {string} src - Source directory
+ * @param {string} dest - Destination directory
+ * @returns {void}
+ */
+function copyDir(src, dest) {
+  fs.mkdirSync(dest, { recursive: true });
+  fs.readdirSync(src, { withFileTypes: true }).forEach(function(entry) {
+    const srcPath = path.join(src, entry.name);
+    const destPath = path.join(dest, entry.name);
+    if (entry.isDirectory()) {
+      copyDir(srcPath, destPath);
+    } else {
+      fs.copyFileSync(srcPath, destPath);
+    }
+  });
+}
+
+/**
+ * Fetch the sections edited on the admin page and apply them over business-data.js
+ * @param {string} url - Site data URL (the Worker's /api/site-data)
+ * @returns {Promise<Object>} - { names: sections that were replaced, sections: their values,
+ *   updatedAt: when the edits were saved, publishedAt: when they were published }
+ */
+async function applySiteDataOverrides(url) {
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error('Could not fetch ' + url + ' (HTTP ' + response.status + ')');
+  }
+  const siteData = await response.json();
+  const sections = upgradeSections(siteData.sections || {});
+  const names = Object.keys(sections);
+
+  // Check every section before applying any, so a bad edit never produces a half-updated site
+  const errors = [];
+  names.forEach(function(name) {
+    validateSection(name, sections[name]).forEach(function(error) {
+      errors.push(formatError(error, sections));
+    });
+  });
+  if (errors.length > 0) {
+    throw new Error('Invalid site data from ' + url + ':\n  ' + errors.join('\n  '));
+  }
+
+  names.forEach(function(name) {
+    sourceData[name] = sections[name];
+  });
+  useLocale(currentLocale);
+  return { names: names, sections: sections, updatedAt: siteData.updatedAt || null, publishedAt: siteData.publishedAt || null };
+}
+
+/**
+ * Main function - builds the site into dist/, or compares a fresh build with it
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const compareOnly = options.dryRun || options.check;
+  console.log(compareOnly ? 'Comparing a fresh build with dist/...\n' : 'Building site from business data...\n');
+
+  let dataUpdatedAt = null;
+  if (process.env.SITE_DATA_URL) {
+    const siteData = await applySiteDataOverrides(process.env.SITE_DATA_URL);
+    console.log('✓ Applied admin edits: ' + (siteData.names.length > 0 ? siteData.names.join(', ') : 'none') + '\n');
+    dataUpdatedAt = siteData.names.length > 0 ? siteData.updatedAt : null;
+  }
+
+  // Nothing is written from invalid data, so a typo can't publish broken hours tables or JSON-LD
+  const errors = validateBusinessData(sourceData);
+  if (errors.length > 0) {
+    throw new Error('business-data.js has ' + errors.length + ' problem(s), nothing was built:\n  ' +
+      errors.map(function(error) {
+        return formatError(error, sourceData);
+      }).join('\n  ') + '\n\nRun npm run validate-business-data after fixing them.');
+  }
+
+  const packWarnings = checkSpecialsPacks();
+  if (packWarnings.length > 0) {
+    packWarnings.forEach(function(warning) {
+      console.log('⚠ Specials: ' + warning);
+    });
+    console.log('');
+  }
+
+  const campaignWarnings = checkCampaignPickupDates();
+  if (campaignWarnings.length > 0) {
+    campaignWarnings.forEach(function(warning) {
+      console.log('⚠ Campaigns: ' + warning);
+    });
+    console.log('');
+  }
+
+  const rootDir = path.join(__dirname, '..');
+  const publicDir = path.join(rootDir, 'public');
+  const distDir = path.join(rootDir, 'dist');
+  const images = await readImages(publicDir);
+  const files = renderSite(path.join(rootDir, 'src'), dataUpdatedAt, images, publicDir);
+  const variants = listVariants(images, getPageContents(files));
+
+  const unusedSections = findUnusedSections(files);
+  if (unusedSections.length > 0) {
+    unusedSections.forEach(function(name) {
+      console.log('⚠ No page has an <!-- AUTO-UPDATE: ' + name + ' --> marker, so it is not shown anywhere');
+    });
+    console.log('');
+  }
+
+  // Stylesheets and scripts can use images too (e.g. the page background in main.css)
+  const assets = listFiles(publicDir).filter(function(file) {
+    return /\.(css|js)$/.test(file);
+  }).map(function(file) {
+    return fs.readFileSync(path.join(publicDir, file), 'utf8');
+  });
+  const unusedImages = findUnusedImages(images, getPageContents(files).concat(assets));
+  if (unusedImages.length > 0) {
+    unusedImages.forEach(function(file) {
+      console.log('⚠ ' + file + ' is not used by any page, stylesheet or script');
+    });
+    console.log('');
+  }
+
+  if (compareOnly) {
+    const icons = pwa.ICONS.map(function(icon) {
+      return { file: icon.file };
+    });
+    const changed = compareSite(files, publicDir, distDir, options.dryRun, variants.concat(icons));
+    if (changed === 0) {
+      console.log('✓ dist/ is up to date');
+    } else if (options.check) {
+      console.log('\n✗ ' + changed + ' file(s) in dist/ are out of date. Run npm run build.');
+      process.exitCode = 1;
+    } else {
+      console.log('\n' + changed + ' file(s) in dist/ would change. Run npm run build to apply.');
+    }
+    return;
+  }
+
+  // Start from a clean output directory so removed pages and assets don't linger
+  fs.rmSync(distDir, { recursive: true, force: true });
+  copyDir(publicDir, distDir);
+  console.log('✓ Copied static assets');
+
+  Object.keys(files).forEach(function(file) {
+    const filePath = path.join(distDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, files[file], 'utf8');
+    console.log('✓ Built: ' + file);
+  });
+
+  const encoded = await writeVariants(variants, publicDir, distDir, path.join(rootDir, '.cache', 'images'));
+  console.log('✓ Built ' + variants.length + ' image variants (' + encoded + ' encoded, the rest from .cache/images)');
+  await pwa.writeIcons(businessData.colors.theme, distDir);
+  console.log('✓ Built ' + pwa.ICONS.length + ' app icons');
+
+  const pageCount = getPageContents(files).length;
+  console.log('\n' + pageCount + ' page(s) built into dist/');
   console.log('\nNext steps:');
-  console.log('1. Review the changes');
+  console.log('1. Review what changed: npm run build -- --dry-run (before building)');
   console.log('2. Test locally: npm start');
   console.log('3. Commit and deploy');
 }
 
+module.exports = {
+  configure,
+  formatTime,
+  formatDate,
+  formatDateWithDay,
+  getTodayISO,
+  addDays,
+  getDayName,
+  getEasterDate,
+  getMonthWeekdayDate,
+  getClosureOccurrences,
+  getDayHours,
+  getNextOpenDate,
+  getActiveClosure,
+  generateStructuredData,
+  generatePageStructuredData,
+  generateHoursTableHTML,
+  generateBusinessHoursHTML,
+  generateAnnouncementsHTML,
+  generateCampaignsHTML,
+  generateMapHTML,
+  generateSpecialsHTML,
+  generateProductsHTML,
+  generateTestimonialsHTML,
+  generateCalendarICS,
+  generateCSPData,
+  checkSpecialsPacks,
+  checkCampaignPickupDates,
+  fillSections,
+  splitSections,
+  renderSite
+};
+
 // Run the script
-main();
+if (require.main === module) {
+  main().catch(function(error) {
+    console.error('✗ Build failed: ' + error.message);
+    process.exitCode = 1;
+  });
+}
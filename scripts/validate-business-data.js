@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Business Data Script
+ *
+ * Checks scripts/business-data.js against the rules in business-data-schema.js and lists
+ * every problem with the path of the field it was found in. Exits with code 1 if there
+ * are any, so it can be used in CI.
+ *
+ * Usage: npm run validate-business-data
+ */
+
+const { validateBusinessData, formatError } = require('./business-data-schema.js');
+
+// Load business data
+const businessData = require('./business-data.js');
+
+/**
+ * Main function - validates the business data and reports the result
+ * @returns {void}
+ */
+function main() {
+  const errors = validateBusinessData(businessData);
+
+  if (errors.length > 0) {
+    console.error('✗ business-data.js has ' + errors.length + ' problem(s):\n');
+    errors.forEach(function(error) {
+      console.error('  ' + formatError(error, businessData));
+    });
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('✓ business-data.js is valid');
+}
+
+// Run the script
+main();
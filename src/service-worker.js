@@ -0,0 +1,169 @@
+/**
+ * Service Worker
+ *
+ * Keeps the site working offline. The build writes this file to dist/sw.js with
+ * CACHE_VERSION, PRECACHE_URLS and OFFLINE_URLS put in front of it (scripts/pwa.js).
+ *
+ * - Pages and data files come from the network when there is one, so the hours are
+ *   always current, and from the cache when there isn't
+ * - A page that isn't cached gets the offline page in its language (fr/offline.html for
+ *   the French pages in /fr/), which shows the hours and phone number
+ * - The other precached files (stylesheets, scripts, images) come from the cache
+ * - The API and the admin pages are never cached
+ *
+ * A new build changes CACHE_VERSION, which installs a new service worker that deletes
+ * the old cache once it takes over.
+ */
+
+/* global CACHE_VERSION, PRECACHE_URLS, OFFLINE_URLS */
+
+(function() {
+  'use strict';
+
+  var CACHE_PREFIX = 'site-';
+  var CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+  /**
+   * Get the key a URL is cached under: its path, as the Worker serves pages at their .html
+   * URLs (worker/assets.js). A directory serves its index.html, so both share one entry.
+   * Paths without an extension only redirect (/contact to /contact.html), so they are
+   * never cached; when offline they get the offline page.
+   * @param {string} url - URL, relative to the site root or absolute
+   * @returns {string} - Path
+   */
+  function getCacheKey(url) {
+    var pathname = new URL(url, self.location.href).pathname;
+    return pathname.replace(/(^|\/)index\.html$/, '$1');
+  }
+
+  var PRECACHED = {};
+  PRECACHE_URLS.forEach(function(url) {
+    PRECACHED[getCacheKey(url)] = true;
+  });
+
+  /**
+   * Find the offline page for a page: the one in the deepest directory the page is in
+   * @param {string} key - Cache key of the page, from getCacheKey()
+   * @returns {string} - Cache key of the offline page
+   */
+  function getOfflineKey(key) {
+    return OFFLINE_URLS.map(getCacheKey).filter(function(offlineKey) {
+      return key.indexOf(offlineKey.slice(0, offlineKey.lastIndexOf('/') + 1)) === 0;
+    }).sort(function(a, b) {
+      return b.length - a.length;
+    })[0];
+  }
+
+  /**
+   * Copy a response without its redirect, since a redirected response can't answer a page request
+   * @param {Response} response - Response
+   * @returns {Promise<Response>} - Response that can be cached
+   */
+  function copyResponse(response) {
+    if (!response.redirected) {
+      return Promise.resolve(response);
+    }
+    return response.blob().then(function(body) {
+      return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    });
+  }
+
+  /**
+   * Fetch a file into the cache
+   * @param {Cache} cache - Cache to put it in
+   * @param {string} url - URL of the file
+   * @returns {Promise<void>}
+   */
+  function precache(cache, url) {
+    return fetch(url, { cache: 'reload' }).then(function(response) {
+      if (!response.ok) {
+        throw new Error('Could not precache ' + url + ' (HTTP ' + response.status + ')');
+      }
+      return copyResponse(response);
+    }).then(function(response) {
+      return cache.put(getCacheKey(url), response);
+    });
+  }
+
+  /**
+   * Fetch from the network, keeping the cached copy up to date; fall back to the cache,
+   * then for pages to the offline page
+   * @param {Request} request - Request
+   * @param {string} key - Cache key from getCacheKey()
+   * @returns {Promise<Response>} - Response
+   */
+  function fetchNetworkFirst(request, key) {
+    return fetch(request).then(function(response) {
+      if (response.ok && PRECACHED[key]) {
+        var copy = response.clone();
+        copyResponse(copy).then(function(cacheable) {
+          return caches.open(CACHE_NAME).then(function(cache) {
+            return cache.put(key, cacheable);
+          });
+        }).catch(function(error) {
+          console.error('Error caching ' + key + ':', error);
+        });
+      }
+      return response;
+    }).catch(function(error) {
+      return caches.match(key, { cacheName: CACHE_NAME }).then(function(cached) {
+        if (cached) {
+          return cached;
+        }
+        if (request.mode === 'navigate') {
+          return caches.match(getOfflineKey(key), { cacheName: CACHE_NAME });
+        }
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Answer from the cache, or from the network for anything that isn't in it
+   * @param {Request} request - Request
+   * @param {string} key - Cache key from getCacheKey()
+   * @returns {Promise<Response>} - Response
+   */
+  function fetchCacheFirst(request, key) {
+    return caches.match(key, { cacheName: CACHE_NAME }).then(function(cached) {
+      return cached || fetch(request);
+    });
+  }
+
+  self.addEventListener('install', function(event) {
+    event.waitUntil(caches.open(CACHE_NAME).then(function(cache) {
+      return Promise.all(PRECACHE_URLS.map(function(url) {
+        return precache(cache, url);
+      }));
+    }).then(function() {
+      return self.skipWaiting();
+    }));
+  });
+
+  self.addEventListener('activate', function(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+      return Promise.all(names.filter(function(name) {
+        return name.indexOf(CACHE_PREFIX) === 0 && name !== CACHE_NAME;
+      }).map(function(name) {
+        return caches.delete(name);
+      }));
+    }).then(function() {
+      return self.clients.claim();
+    }));
+  });
+
+  self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    var url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || /^\/(api|admin)(\/|\.html$|$)/.test(url.pathname)) {
+      return;
+    }
+
+    var key = getCacheKey(url.href);
+    if (request.mode === 'navigate' || /^\/([a-z]{2}\/)?data\//.test(url.pathname)) {
+      event.respondWith(fetchNetworkFirst(request, key));
+    } else if (PRECACHED[key]) {
+      event.respondWith(fetchCacheFirst(request, key));
+    }
+  });
+})();
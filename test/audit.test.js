@@ -0,0 +1,162 @@
+/**
+ * Tests for the page audit (scripts/audit.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHTML } = require('linkedom');
+
+const audit = require('../scripts/audit.js');
+
+const WHITE = audit.parseColor('#fff');
+
+/**
+ * Parse a page with the given body, in a document that passes every check
+ * @param {string} body - HTML inside <main>
+ * @param {string} [lang] - lang attribute of <html>
+ * @returns {Document} - Page
+ */
+function makeDocument(body, lang) {
+  return parseHTML('<!DOCTYPE html><html lang="' + (lang === undefined ? 'en' : lang) + '"><body><nav><a href="index.html">Home</a></nav>' +
+    '<main><h1>Title</h1>' + body + '</main><footer>Footer</footer></body></html>').document;
+}
+
+/**
+ * Audit a page made by makeDocument()
+ * @param {string} body - HTML inside <main>
+ * @param {string} [lang] - lang attribute of <html>
+ * @returns {string[]} - "rule: message" for each problem
+ */
+function auditBody(body, lang) {
+  return audit.auditDocument(makeDocument(body, lang), [], WHITE).map(function(issue) {
+    return issue.rule + ': ' + issue.message;
+  });
+}
+
+describe('parseColor', function() {
+  it('reads hex, rgb() and named colours', function() {
+    assert.deepEqual(audit.parseColor('#856404'), { r: 133, g: 100, b: 4, a: 1 });
+    assert.deepEqual(audit.parseColor('#FFF'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.deepEqual(audit.parseColor('rgb(0 0 0 / 50%)'), { r: 0, g: 0, b: 0, a: 0.5 });
+    assert.deepEqual(audit.parseColor('rgba(10, 20, 30, 0.25)'), { r: 10, g: 20, b: 30, a: 0.25 });
+    assert.deepEqual(audit.parseColor('white'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.equal(audit.parseColor('var(--bs-body-color)'), null);
+  });
+});
+
+describe('getContrastRatio', function() {
+  it('matches the WCAG ratios', function() {
+    assert.equal(audit.getContrastRatio(audit.parseColor('#000'), WHITE), 21);
+    assert.equal(audit.getContrastRatio(WHITE, WHITE), 1);
+    assert.equal(audit.getContrastRatio(audit.parseColor('#777'), WHITE).toFixed(2), '4.48');
+  });
+});
+
+describe('auditDocument', function() {
+  it('finds nothing wrong with a good page', function() {
+    assert.deepEqual(auditBody('<h2>Section</h2><h3>Part</h3><h2>Next</h2>' +
+      '<img src="a.jpg" alt="" width="10" height="10"><a href="b.html"><img src="b.jpg" alt="Our beef" width="10" height="10"></a>'), []);
+  });
+
+  it('finds skipped heading levels', function() {
+    assert.deepEqual(auditBody('<h3>Too deep</h3>'), ['headings: <h3> "Too deep" follows <h1>, skipping a level']);
+  });
+
+  it('finds images without alt text or dimensions', function() {
+    assert.deepEqual(auditBody('<img src="a.jpg" width="10" height="10"><img src="b.jpg" alt="B">'), [
+      'images: <img src="a.jpg"> has no alt attribute (use alt="" for decoration)',
+      'images: <img src="b.jpg"> has no width and height'
+    ]);
+  });
+
+  it('finds carousel indicators that are not buttons', function() {
+    assert.deepEqual(auditBody('<ol class="carousel-indicators"><li data-bs-target="#c" data-bs-slide-to="0"></li></ol>' +
+      '<div class="carousel-indicators"><button type="button" data-bs-target="#d" data-bs-slide-to="0" aria-label="Slide 1"></button></div>'), [
+      'carousel-indicators: Carousel indicator <li> for #c is not a <button>'
+    ]);
+  });
+
+  it('finds links without text or with vague text', function() {
+    assert.deepEqual(auditBody('<a href="a.html"></a><a href="b.html">Click here</a><a href="c.html">ici</a>' +
+      '<a href="d.html" aria-label="Directions"><svg></svg></a>', 'fr'), [
+      'links: Link to a.html has no text',
+      'links: Link to b.html says "Click here", which doesn\'t say where it goes',
+      'links: Link to c.html says "ici", which doesn\'t say where it goes'
+    ]);
+  });
+
+  it('finds missing and invalid lang attributes', function() {
+    assert.deepEqual(auditBody('<p lang="french">Bonjour</p>', ''), [
+      'lang: <html> has no lang attribute',
+      'lang: <p> has an invalid lang attribute "french"'
+    ]);
+  });
+
+  it('finds missing landmarks', function() {
+    const { document } = parseHTML('<html lang="en"><body><h1>Title</h1></body></html>');
+    assert.deepEqual(audit.auditDocument(document, [], WHITE).map(function(issue) {
+      return issue.rule;
+    }), ['landmarks', 'landmarks', 'landmarks']);
+  });
+});
+
+describe('checkContrast', function() {
+  it('uses inline styles over the stylesheet and paints backgrounds over the page', function() {
+    const rules = audit.parseStylesheet('/* bar */ .bar { color: #fff; } @media (width >= 768px) { .bar { background: rgb(0 0 0 / 50%); } } a:hover { color: red; }');
+    const { document } = parseHTML('<html><body><div class="bar">Phone <a href="x" style="color: #777;">link</a></div></body></html>');
+    const bar = document.querySelector('.bar');
+
+    assert.deepEqual(audit.checkContrast(bar, rules, WHITE), [
+      '<div class="bar"> has a contrast of 3.98:1 (#ffffff on #808080), it should be at least 4.5:1',
+      '<a href="x"> in <div class="bar"> has a contrast of 1.13:1 (#777777 on #808080), it should be at least 4.5:1'
+    ]);
+    assert.deepEqual(audit.checkContrast(bar, rules, audit.parseColor('#000')), []);
+  });
+
+  it('passes the closure card colours', function() {
+    const { document } = parseHTML('<html><body><div style="background-color: #fff3cd;"><div style="color: #856404;">Closed</div></div></body></html>');
+    assert.deepEqual(audit.checkContrast(document.body.firstChild, [], WHITE), []);
+  });
+});
+
+describe('getPageWeight', function() {
+  it('adds up local scripts, stylesheets and images once each', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    fs.mkdirSync(path.join(dir, 'js'));
+    fs.writeFileSync(path.join(dir, 'js', 'site.js'), 'x'.repeat(100));
+    fs.writeFileSync(path.join(dir, 'main.css'), 'x'.repeat(20));
+    fs.writeFileSync(path.join(dir, 'a.jpg'), 'x'.repeat(3));
+    try {
+      const { document } = parseHTML('<html><head><link rel="stylesheet" href="../main.css"><link rel="icon" href="../a.jpg"></head><body>' +
+        '<img src="../a.jpg"><img src="../a.jpg"><img src="https://example.com/b.jpg"><script src="/js/site.js"></script></body></html>');
+      assert.deepEqual(audit.getPageWeight(document, 'fr/index.html', dir), { scripts: 100, stylesheets: 20, images: 3, total: 123 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('checkBudgets', function() {
+  it('lists the kinds of file over budget', function() {
+    const weight = { scripts: audit.PAGE_WEIGHT_BUDGETS.scripts + 1024, stylesheets: 0, images: 0, total: 0 };
+    assert.deepEqual(audit.checkBudgets(weight), ['scripts are ' + (weight.scripts / 1024).toFixed(1) + ' KB, over the 250.0 KB budget']);
+  });
+});
+
+describe('findRegressions', function() {
+  it('lists only problems missing from the previous report', function() {
+    const known = { rule: 'headings', message: 'Page has 0 <h1> elements, it should have one' };
+    const added = { rule: 'images', message: '<img src="a.jpg"> has no width and height' };
+    const previous = { pages: { 'index.html': { issues: [known] } } };
+    const current = { pages: { 'index.html': { issues: [known, added] }, 'fr/index.html': { issues: [known] } } };
+
+    assert.deepEqual(audit.findRegressions(previous, current), [
+      { page: 'index.html', rule: 'images', message: added.message },
+      { page: 'fr/index.html', rule: 'headings', message: known.message }
+    ]);
+    assert.deepEqual(audit.findRegressions(current, previous), []);
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Tests for the business data validation (scripts/business-data-schema.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const schema = require('../scripts/business-data-schema.js');
+const fixture = require('./fixtures/business-data.js');
+
+describe('validateHours', function() {
+  /**
+   * A week open 09:30 to 17:00 every day but Monday, with one day changed
+   * @param {number} index - Index of the day to change (0 is Monday)
+   * @param {Object} changes - Fields to change on that day
+   * @returns {Object[]} - Hours
+   */
+  function week(index, changes) {
+    return ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].map(function(day, dayIndex) {
+      const hour = day === 'Monday' ? { day: day, open: null, close: null, closed: true } : { day: day, open: '09:30', close: '17:00', closed: false };
+      return dayIndex === index ? Object.assign(hour, changes) : hour;
+    });
+  }
+
+  it('accepts a week of hours', function() {
+    assert.deepEqual(schema.validateHours(week(0, {})), []);
+  });
+
+  it('rejects times that aren\'t HH:MM', function() {
+    assert.deepEqual(schema.validateHours(week(1, { open: '9:30' })), [
+      { path: 'hours[1].open', message: 'must be a time like "09:30"' }
+    ]);
+    assert.deepEqual(schema.validateHours(week(1, { close: '24:00' })), [
+      { path: 'hours[1].close', message: 'must be a time like "17:00"' }
+    ]);
+  });
+
+  it('rejects a day listed twice', function() {
+    assert.deepEqual(schema.validateHours(week(6, { day: 'Saturday' })), [
+      { path: 'hours[6].day', message: 'is listed more than once' }
+    ]);
+  });
+
+  it('rejects a day that closes before it opens', function() {
+    assert.deepEqual(schema.validateHours(week(2, { open: '17:00', close: '09:30' })), [
+      { path: 'hours[2].close', message: 'must be after the opening time' }
+    ]);
+  });
+
+  it('rejects closed days with times, and weeks without seven days', function() {
+    assert.deepEqual(schema.validateHours(week(0, { open: '09:30' })), [
+      { path: 'hours[0]', message: 'must have no opening or closing time when closed' }
+    ]);
+    assert.deepEqual(schema.validateHours(week(0, {}).slice(1)), [
+      { path: 'hours', message: 'must list all seven days of the week' }
+    ]);
+  });
+});
+
+describe('validateClosures', function() {
+  const name = { en: 'Family vacation', fr: 'Vacances en famille' };
+
+  it('accepts single days, ranges, Easter-based holidays, weekdays of a month and special hours', function() {
+    assert.deepEqual(schema.validateClosures([
+      { date: '2026-07-01', recurring: 'yearly', name: name },
+      { startDate: '2026-08-03', endDate: '2026-08-14', name: name },
+      { easterOffset: -2, name: name },
+      { month: 10, weekday: 'Monday', nth: 2, name: name },
+      { month: 5, weekday: 'Monday', nth: 'last', before: 25, name: name },
+      { date: '2026-12-24', name: name, close: '14:00' }
+    ]), []);
+  });
+
+  it('rejects a range that ends before it starts', function() {
+    assert.deepEqual(schema.validateClosures([{ startDate: '2026-08-14', endDate: '2026-08-03', name: name }]), [
+      { path: 'closures[0].endDate', message: 'must be on or after startDate' }
+    ]);
+  });
+
+  it('rejects weekdays of a month that can\'t be found every year', function() {
+    assert.deepEqual(schema.validateClosures([
+      { month: 13, weekday: 'Mon', nth: 5, name: name },
+      { month: 5, weekday: 'Monday', nth: 1, before: 25, name: name },
+      { month: 5, weekday: 'Monday', nth: 'last', before: 3, name: name },
+      { date: '2026-10-12', weekday: 'Monday', name: name }
+    ]), [
+      { path: 'closures[0].month', message: 'must be a month number from 1 to 12' },
+      { path: 'closures[0].weekday', message: 'must be a day name like "Monday"' },
+      { path: 'closures[0].nth', message: 'must be 1, 2, 3, 4 or "last"' },
+      { path: 'closures[1].before', message: 'must be a day of the month from 8 to 31, with nth "last"' },
+      { path: 'closures[2].before', message: 'must be a day of the month from 8 to 31, with nth "last"' },
+      { path: 'closures[3]', message: 'must have exactly one of date, startDate/endDate, easterOffset or month/weekday/nth' }
+    ]);
+  });
+
+  it('reports each problem by path', function() {
+    assert.deepEqual(schema.validateClosures([
+      { date: '2026-07-01', startDate: '2026-07-01', endDate: '2026-07-02', name: name },
+      { easterOffset: 90, recurring: 'monthly', name: name },
+      { date: '2026-12-24', name: name, open: '12:00', close: '10:00' }
+    ]), [
+      { path: 'closures[0]', message: 'must have exactly one of date, startDate/endDate, easterOffset or month/weekday/nth' },
+      { path: 'closures[1].easterOffset', message: 'must be a whole number of days between -60 and 60' },
+      { path: 'closures[1].recurring', message: 'must be "yearly" or left out' },
+      { path: 'closures[2].close', message: 'must be after the opening time' }
+    ]);
+  });
+});
+
+describe('validateAnnouncements', function() {
+  it('accepts announcements with and without the optional fields', function() {
+    assert.deepEqual(schema.validateAnnouncements([
+      { id: 'cash-only', message: 'Cash only today' },
+      {
+        id: 'thanksgiving-turkeys',
+        message: 'Turkey orders for Thanksgiving close October 5',
+        startDate: '2026-09-21',
+        endDate: '2026-10-05',
+        severity: 'warning',
+        link: { url: 'order.html?pack=Turkey', text: 'Order now' },
+        pages: ['index.html', 'specials.html']
+      }
+    ]), []);
+  });
+
+  it('reports each problem by path', function() {
+    assert.deepEqual(schema.validateAnnouncements([
+      { id: 'Sale!', message: '', endDate: '2026-02-30', severity: 'red' },
+      { id: 'sale', message: 'Sale', startDate: '2026-05-02', endDate: '2026-05-01', link: { url: 'javascript:alert(1)', text: 'Go' }, pages: ['../secret'] },
+      { id: 'sale', message: 'Sale', pages: [] }
+    ]), [
+      { path: 'announcements[0].id', message: 'must be lowercase letters, digits and dashes, e.g. "thanksgiving-turkeys"' },
+      { path: 'announcements[0].message', message: 'is required' },
+      { path: 'announcements[0].endDate', message: 'must be a date like "2026-07-01", or left out' },
+      { path: 'announcements[0].severity', message: 'must be one of info, warning, urgent, or left out' },
+      { path: 'announcements[1].endDate', message: 'must be on or after startDate' },
+      { path: 'announcements[1].link.url', message: 'must be a page of the site like "order.html" or an https:// address' },
+      { path: 'announcements[1].pages[0]', message: 'must be a page file name like "index.html"' },
+      { path: 'announcements[2].id', message: 'is already used by another announcement' },
+      { path: 'announcements[2].pages', message: 'must list at least one page, or be left out for every page' }
+    ]);
+  });
+
+  it('accepts text in English and French, and checks each language', function() {
+    assert.deepEqual(schema.validateAnnouncements([
+      { id: 'sale', message: { en: 'Sale', fr: 'Solde' }, link: { url: 'order.html', text: { en: 'Order now' } } }
+    ]), []);
+    assert.deepEqual(schema.validateAnnouncements([
+      { id: 'sale', message: { fr: 'Solde', de: 'Ausverkauf' }, link: { url: 'order.html', text: { en: 'Order now', fr: '' } } }
+    ]), [
+      { path: 'announcements[0].message.de', message: 'is not a locale (expected one of: en, fr)' },
+      { path: 'announcements[0].message.en', message: 'is required' },
+      { path: 'announcements[0].link.text.fr', message: 'is required' }
+    ]);
+  });
+});
+
+describe('validateSpecials', function() {
+  const footnotes = { '*': 'Tenderized inside round' };
+
+  it('accepts packs whose items add up to their weight', function() {
+    assert.deepEqual(schema.validateSpecials({
+      footnotes: footnotes,
+      packs: [{ name: 'Test Pack', weight: 3.3, items: [{ weight: 2.2, cut: 'Gourmet Steak', footnote: '*' }, { weight: 1.1, cut: 'Bacon' }] }]
+    }), []);
+  });
+
+  it('leaves a pack whose items don\'t add up to its weight to the build\'s warnings', function() {
+    assert.deepEqual(schema.validateSpecials({
+      footnotes: footnotes,
+      packs: [{ name: 'Weight Watchers Pack', weight: 46, items: [{ weight: 26, cut: 'Minute Steak' }, { weight: 10, cut: 'Lean Ground Beef' }] }]
+    }), []);
+  });
+});
+
+describe('validateCampaigns', function() {
+  const campaign = {
+    id: 'holiday-preorders',
+    name: 'Holiday Pre-orders',
+    description: 'Turkeys, hams and tourtières',
+    cutoffDate: '2026-12-17',
+    pickupDates: ['2026-12-22', '2026-12-23'],
+    items: [{ name: 'Fresh Turkey', sizes: ['10–12 lbs', '14–16 lbs'], limit: 60 }]
+  };
+
+  it('accepts a campaign', function() {
+    assert.deepEqual(schema.validateCampaigns([campaign]), []);
+  });
+
+  it('reports each problem by path', function() {
+    assert.deepEqual(schema.validateCampaigns([
+      Object.assign({}, campaign, { startDate: '2026-12-18', pickupDates: ['2026-12-17', '2026-12-22', '2026-12-22'] }),
+      Object.assign({}, campaign, { items: [{ name: 'Ham', sizes: ['Half', 'Half'], limit: 0 }, { name: 'Ham', sizes: [] }] })
+    ]), [
+      { path: 'campaigns[0].startDate', message: 'must be on or before cutoffDate' },
+      { path: 'campaigns[0].pickupDates[0]', message: 'must be after cutoffDate' },
+      { path: 'campaigns[0].pickupDates[2]', message: 'is listed more than once' },
+      { path: 'campaigns[1].id', message: 'is already used by another campaign' },
+      { path: 'campaigns[1].items[0].sizes[1]', message: 'is listed more than once' },
+      { path: 'campaigns[1].items[0].limit', message: 'must be a whole number of 1 or more' },
+      { path: 'campaigns[1].items[1].name', message: 'is already used by another item' },
+      { path: 'campaigns[1].items[1].sizes', message: 'must list at least one size' },
+      { path: 'campaigns[1].items[1].limit', message: 'must be a whole number of 1 or more' }
+    ]);
+  });
+});
+
+describe('validateTestimonials', function() {
+  it('accepts testimonials with and without a source', function() {
+    assert.deepEqual(schema.validateTestimonials([
+      { author: 'Jane D.', quote: 'Best steaks in Ottawa.', rating: 5, date: '2026-05-14', source: 'Google' },
+      { author: 'Sam', quote: 'Great sausages', rating: 1, date: '2026-05-15' }
+    ]), []);
+  });
+
+  it('rejects ratings that aren\'t whole stars from 1 to 5', function() {
+    [0, 6, 4.5, '5', null].forEach(function(rating) {
+      assert.deepEqual(schema.validateTestimonials([{ author: 'Jane D.', quote: 'Good', rating: rating, date: '2026-05-14' }]), [
+        { path: 'testimonials[0].rating', message: 'must be a whole number of stars from 1 to 5' }
+      ]);
+    });
+  });
+
+  it('reports each problem by path', function() {
+    assert.deepEqual(schema.validateTestimonials([{ author: '', quote: 'x'.repeat(601), rating: 5, date: '2026-02-30', source: '' }]), [
+      { path: 'testimonials[0].author', message: 'is required' },
+      { path: 'testimonials[0].quote', message: 'must be 600 characters or fewer' },
+      { path: 'testimonials[0].date', message: 'must be a date like "2026-07-01"' },
+      { path: 'testimonials[0].source', message: 'is required' }
+    ]);
+    assert.deepEqual(schema.validateTestimonials({}), [{ path: 'testimonials', message: 'must be a list' }]);
+  });
+});
+
+describe('validateProducts', function() {
+  const product = { id: 't-bone-steak', species: 'beef', cut: 'T-Bone Steak', weight: [1, 1.5], cooking: 'Grill it', availability: 'always' };
+
+  it('accepts products with and without aliases and an origin', function() {
+    assert.deepEqual(schema.validateProducts([
+      product,
+      { id: 'bacon', species: 'pork', cut: 'Bacon', aliases: ['Side Bacon'], origin: { en: 'Ontario', fr: 'Ontario' }, weight: 1, cooking: 'Fry it', availability: 'order' }
+    ]), []);
+  });
+
+  it('rejects weights that aren\'t a weight or a range, lightest first', function() {
+    assert.deepEqual(schema.validateProducts([Object.assign({}, product, { weight: 0 })]), [
+      { path: 'products[0].weight', message: 'must be a weight in lbs greater than 0, or a range like [3, 4]' }
+    ]);
+    [[4, 3], [1], [0, 1], ['1', 2]].forEach(function(weight) {
+      assert.deepEqual(schema.validateProducts([Object.assign({}, product, { weight: weight })]), [
+        { path: 'products[0].weight', message: 'must be a range of two weights in lbs, lightest first, e.g. [3, 4]' }
+      ]);
+    });
+  });
+
+  it('reports each problem by path', function() {
+    assert.deepEqual(schema.validateProducts([
+      product,
+      { id: 't-bone-steak', species: 'fish', cut: 'Porterhouse', aliases: ['T-Bone Steak'], origin: '', weight: 1, cooking: '', availability: 'sometimes' }
+    ]), [
+      { path: 'products[1].id', message: 'is already used by another product' },
+      { path: 'products[1].species', message: 'must be one of: beef, veal, pork, lamb, chicken, turkey, duck' },
+      { path: 'products[1].aliases[0]', message: 'is already the name of another product' },
+      { path: 'products[1].origin', message: 'is required' },
+      { path: 'products[1].cooking', message: 'is required' },
+      { path: 'products[1].availability', message: 'must be one of: always, seasonal, order' }
+    ]);
+    assert.deepEqual(schema.validateProducts({}), [{ path: 'products', message: 'must be a list' }]);
+  });
+});
+
+describe('upgradeSections', function() {
+  it('turns an announcement saved by the old admin page into an announcements list', function() {
+    assert.deepEqual(schema.upgradeSections({ announcement: ' Cash only today ', hours: [] }), {
+      hours: [],
+      announcements: [{ id: 'announcement', message: 'Cash only today' }]
+    });
+  });
+
+  it('drops an empty old announcement and keeps newer edits', function() {
+    assert.deepEqual(schema.upgradeSections({ announcement: '' }), {});
+    const announcements = [{ id: 'sale', message: 'Sale' }];
+    assert.deepEqual(schema.upgradeSections({ announcement: 'Old', announcements: announcements }), { announcements: announcements });
+  });
+
+  it('leaves current edits alone', function() {
+    const sections = { closures: [] };
+    assert.equal(schema.upgradeSections(sections), sections);
+  });
+});
+
+describe('validateBusinessData', function() {
+  /**
+   * A copy of the test fixture with some fields changed
+   * @param {Function} change - Changes the copy in place
+   * @returns {Object} - Business data
+   */
+  function businessData(change) {
+    const data = JSON.parse(JSON.stringify(fixture));
+    change(data);
+    return data;
+  }
+
+  it('rejects a phone number that isn\'t E.164', function() {
+    ['613-838-8800', '+06138388800', '+1613'].forEach(function(tel) {
+      assert.deepEqual(schema.validateBusinessData(businessData(function(data) {
+        data.phone.tel = tel;
+      })), [
+        { path: 'phone.tel', message: 'must be in E.164 format, e.g. "+16138388800"' }
+      ]);
+    });
+  });
+
+  it('rejects a postal code that isn\'t Canadian', function() {
+    ['K0A2Z0', 'k0a 2z0', 'D0A 2Z0', '90210'].forEach(function(postalCode) {
+      assert.deepEqual(schema.validateBusinessData(businessData(function(data) {
+        data.address.postalCode = postalCode;
+      })), [
+        { path: 'address.postalCode', message: 'must be a postal code like "K0A 2Z0"' }
+      ]);
+    });
+  });
+
+  it('rejects coordinates out of range', function() {
+    assert.deepEqual(schema.validateBusinessData(businessData(function(data) {
+      data.coordinates = { latitude: 91, longitude: -181 };
+    })), [
+      { path: 'coordinates.latitude', message: 'must be a number from -90 to 90' },
+      { path: 'coordinates.longitude', message: 'must be a number from -180 to 180' }
+    ]);
+    assert.deepEqual(schema.validateBusinessData(businessData(function(data) {
+      data.coordinates = { latitude: '45.2', longitude: null };
+    })).map(function(error) {
+      return error.path;
+    }), ['coordinates.latitude', 'coordinates.longitude']);
+  });
+
+  it('lists every problem in the data, including those in its sections', function() {
+    assert.deepEqual(schema.validateBusinessData(businessData(function(data) {
+      data.url = 'https://example.com/';
+      data.address.regionCode = 'Ontario';
+      data.timezone = 'Eastern';
+      data.colors.theme = 'red';
+      data.hours[1].open = '25:00';
+      data.closures.push({ startDate: '2026-08-14', endDate: '2026-08-03', name: 'Vacation' });
+    })), [
+      { path: 'address.regionCode', message: 'must be a two-letter province code, e.g. "ON"' },
+      { path: 'url', message: 'must be the site address with no trailing slash, e.g. "https://example.com"' },
+      { path: 'timezone', message: 'must be an IANA timezone name, e.g. "America/Toronto"' },
+      { path: 'colors.theme', message: 'must be a colour like "#212529"' },
+      { path: 'hours[1].open', message: 'must be a time like "09:30"' },
+      { path: 'closures[' + fixture.closures.length + '].endDate', message: 'must be on or after startDate' }
+    ]);
+    assert.deepEqual(schema.validateBusinessData(null), [{ path: '', message: 'business data must be an object' }]);
+  });
+});
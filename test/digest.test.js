@@ -0,0 +1,116 @@
+/**
+ * Tests for the newsletter digest (scripts/digest.js), built from
+ * test/fixtures/business-data.js on fixed dates
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const digest = require('../scripts/digest.js');
+const businessData = require('../scripts/business-data.js');
+const fixture = require('./fixtures/business-data.js');
+
+// The fixture as it was before its specials pack and campaign were added
+const EMPTY = Object.assign({}, fixture, { specials: { footnotes: {}, packs: [] }, campaigns: [] });
+
+/**
+ * Build the digest of everything in the fixture
+ * @param {string} locale - Locale code
+ * @param {string} today - Date in ISO format (YYYY-MM-DD)
+ * @returns {Object|null} - Digest
+ */
+function buildFixtureDigest(locale, today) {
+  return digest.buildDigest({
+    data: fixture,
+    packs: digest.findChangedPacks(EMPTY, fixture),
+    campaigns: digest.findNewCampaigns(EMPTY, fixture, today),
+    locale: locale,
+    today: today
+  });
+}
+
+describe('findChangedPacks', function() {
+  it('finds packs that are new or have changed, but not the ones that are the same', function() {
+    assert.deepEqual(digest.findChangedPacks(EMPTY, fixture), fixture.specials.packs);
+    assert.deepEqual(digest.findChangedPacks(fixture, fixture), []);
+
+    const cheaper = Object.assign({}, fixture.specials.packs[0], { price: 89 });
+    assert.deepEqual(digest.findChangedPacks(fixture, { specials: { packs: [cheaper] } }), [cheaper]);
+  });
+});
+
+describe('findNewCampaigns', function() {
+  it('finds new campaigns until their cutoff', function() {
+    assert.equal(digest.findNewCampaigns(EMPTY, fixture, '2026-12-18').length, 1);
+    assert.deepEqual(digest.findNewCampaigns(EMPTY, fixture, '2026-12-19'), []);
+    assert.deepEqual(digest.findNewCampaigns(fixture, fixture, '2026-11-01'), []);
+  });
+});
+
+describe('buildDigest', function() {
+  it('lists the new packs and campaigns, and the closures in the next 60 days', function() {
+    const english = buildFixtureDigest('en', '2026-12-01');
+    assert.equal(english.subject, 'News from Test Meat Market');
+    assert.ok(english.text.includes('- Test Pack, 15 lbs, $99.00: 5 lb Gourmet Steak, 10 lb Lean Ground Beef\n'));
+    assert.ok(english.text.includes('See all our specials: https://example.com/specials.html'));
+    assert.ok(english.text.includes('Pre-orders: Holiday Orders\n'));
+    assert.ok(english.text.includes('Pre-order now: https://example.com/holiday-orders.html'));
+    assert.ok(english.text.includes('- December 24, 2026 – January 1, 2027: Closed (Christmas break)'));
+    assert.ok(english.html.includes('<li>Test Pack, 15 lbs, $99.00: 5 lb Gourmet Steak, 10 lb Lean Ground Beef</li>'));
+  });
+
+  it('is written in each language, linking to the pages in that language', function() {
+    const french = buildFixtureDigest('fr', '2026-12-01');
+    assert.equal(french.subject, 'Des nouvelles de Test Meat Market');
+    assert.ok(french.text.includes('- Test Pack, 15 lb, 99,00 $ : 5 lb Gourmet Steak, 10 lb Lean Ground Beef\n'));
+    assert.ok(french.text.includes('https://example.com/fr/holiday-orders.html'));
+  });
+
+  it('lists closures that change the hours on their own', function() {
+    const closures = digest.buildDigest({ data: fixture, packs: [], campaigns: [], locale: 'en', today: '2026-06-01' });
+    assert.ok(closures.text.startsWith('Upcoming closures and holiday hours\n\n- Tuesday, June 30, 2026: '));
+    assert.ok(closures.text.includes('(Canada Day Eve)\n- Wednesday, July 1, 2026: Closed (Canada Day)'));
+  });
+
+  it('is left out when there is nothing to tell', function() {
+    assert.equal(digest.buildDigest({ data: fixture, packs: [], campaigns: [], locale: 'en', today: '2026-04-10' }), null);
+  });
+});
+
+describe('loadBusinessData', function() {
+  it('loads business-data.js from git, with the products.js of the same revision', function() {
+    const data = digest.loadBusinessData('HEAD');
+    assert.equal(data.name, businessData.name);
+    assert.equal(data.products.length, require('../scripts/products.js').length);
+    assert.notEqual(data, businessData);
+  });
+});
+
+describe('createFileTransport', function() {
+  it('writes each message to an .eml file', async function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    try {
+      const transport = digest.createFileTransport(dir);
+      await transport.send({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Hello', html: '<p>Hello</p>', headers: {} });
+      assert.deepEqual(fs.readdirSync(dir), ['0001-b@example.com.eml']);
+      assert.match(fs.readFileSync(path.join(dir, '0001-b@example.com.eml'), 'utf8'), /^From: a@example\.com\r\nTo: b@example\.com\r\n/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('parseArgs', function() {
+  it('needs the revision of the last digest', function() {
+    assert.throws(function() {
+      digest.parseArgs([]);
+    }, /--since <git revision>/);
+    const options = digest.parseArgs(['--since', 'v1.0', '--to', 'me@example.com', '--transport', 'http']);
+    assert.equal(options.since, 'v1.0');
+    assert.equal(options.to, 'me@example.com');
+    assert.equal(options.transport, 'http');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Business data fixture for the tests: the same shape as scripts/business-data.js,
+ * with closures chosen to cover single days, ranges, a range that wraps past New Year,
+ * an Easter-based date and special hours.
+ */
+
+module.exports = {
+  name: "Test Meat Market",
+  shortName: "Test",
+
+  address: {
+    street: "1 Main Street",
+    city: "Richmond",
+    region: "Ontario",
+    regionCode: "ON",
+    postalCode: "K0A 2Z0",
+    country: "CA",
+    countryCode: "CA"
+  },
+
+  phone: {
+    display: "(613) 555-0100",
+    tel: "+16135550100"
+  },
+
+  coordinates: {
+    latitude: 45.19,
+    longitude: -75.84
+  },
+
+  timezone: "America/Toronto",
+
+  url: "https://example.com",
+  priceRange: "$$",
+  description: "Test butcher shop.",
+  tagline: "Test tagline",
+
+  hours: [
+    { day: "Monday", open: null, close: null, closed: true },
+    { day: "Tuesday", open: "09:30", close: "17:00", closed: false },
+    { day: "Wednesday", open: "09:30", close: "17:00", closed: false },
+    { day: "Thursday", open: "09:30", close: "17:00", closed: false },
+    { day: "Friday", open: "09:30", close: "17:00", closed: false },
+    { day: "Saturday", open: "09:00", close: "17:00", closed: false },
+    { day: "Sunday", open: null, close: null, closed: true }
+  ],
+
+  closures: [
+    { startDate: "2026-03-02", endDate: "2026-03-14", name: { en: "Renovations", fr: "Rénovations" }, message: { en: "Closed for renovations", fr: "Fermé pour rénovations" } },
+    { easterOffset: -2, name: "Good Friday" },
+    { date: "2026-06-30", recurring: "yearly", close: "14:00", name: "Canada Day Eve" },
+    { date: "2026-07-01", recurring: "yearly", name: "Canada Day" },
+    { startDate: "2026-12-24", endDate: "2027-01-01", recurring: "yearly", name: "Christmas break" }
+  ],
+
+  announcements: [
+    { id: "cash-only", message: "Cash only today", startDate: "2026-03-05", endDate: "2026-03-05", severity: "urgent" },
+    { id: "bbq-sale", message: "BBQ pack sale this week", link: { url: "order.html?pack=Test%20Pack", text: "Order now" }, pages: ["hours.html"] }
+  ],
+
+  specials: {
+    footnotes: {
+      "*": "Tenderized inside round"
+    },
+    packs: [
+      {
+        name: "Test Pack",
+        weight: 15,
+        price: 99,
+        items: [
+          { weight: 5, cut: "Gourmet Steak", footnote: "*" },
+          { weight: 10, cut: "Lean Ground Beef" }
+        ]
+      }
+    ]
+  },
+
+  preorders: {
+    slotMinutes: 30,
+    slotCapacity: 3,
+    minLeadDays: 2,
+    maxDaysAhead: 28,
+    maxItemWeight: 50,
+    maxCustomWeight: 150
+  },
+
+  campaigns: [
+    {
+      id: "holiday-orders",
+      name: "Holiday Orders",
+      description: "Turkeys and tourtières for the holidays.",
+      startDate: "2026-11-01",
+      cutoffDate: "2026-12-18",
+      pickupDates: ["2026-12-23", "2026-12-22"],
+      items: [
+        { name: "Turkey", description: "Free range", sizes: ["10–12 lbs", "14–16 lbs"], limit: 20 },
+        { name: "Tourtière", sizes: ["9-inch pie"], limit: 30 }
+      ]
+    }
+  ],
+
+  services: [
+    { name: "Catered Events", description: "We cook at your event.", image: "img/catering.jpg" }
+  ],
+
+  testimonials: [
+    { author: "Pat L.", quote: "Good steaks.", rating: 4, date: "2026-02-10" },
+    { author: "Sam <b>O'Neil</b>", quote: "The \"best\" butcher </script> & then some", rating: 5, date: "2026-04-01", source: "Google" }
+  ],
+
+  products: [
+    {
+      id: "gourmet-steak",
+      species: "beef",
+      cut: "Gourmet Steak",
+      aliases: ["Gourmet Steaks"],
+      origin: { en: "Ontario beef", fr: "Bœuf de l’Ontario" },
+      weight: [0.5, 0.75],
+      cooking: "Pan-fry <quickly> & serve",
+      availability: "always"
+    },
+    { id: "whole-duck", species: "duck", cut: "Whole Duck", weight: 5, cooking: { en: "Roast it", fr: "Rôtissez-le" }, availability: "order" }
+  ],
+
+  images: {
+    defaultImage: "img/test.jpg"
+  },
+
+  colors: {
+    theme: "#112233",
+    background: "#ffffff"
+  }
+};
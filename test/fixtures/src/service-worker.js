@@ -0,0 +1 @@
+// Service worker source for the tests
@@ -0,0 +1,71 @@
+/**
+ * Tests for the locale strings and formatting (scripts/i18n.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const i18n = require('../scripts/i18n.js');
+
+describe('translate', function() {
+  it('fills in placeholders, falling back to English for a string with no translation', function() {
+    assert.equal(i18n.translate('fr', 'returnToRegularHours', { date: '2 janvier' }), 'Nous reprendrons l’horaire habituel le 2 janvier');
+    assert.equal(i18n.translate('de', 'closed'), 'Closed');
+  });
+
+  it('has every English string in French', function() {
+    assert.deepEqual(Object.keys(i18n.STRINGS.fr).sort(), Object.keys(i18n.STRINGS.en).sort());
+  });
+
+  it('rejects unknown strings', function() {
+    assert.throws(function() {
+      i18n.translate('en', 'nope');
+    }, /Unknown string "nope"/);
+  });
+});
+
+describe('localize', function() {
+  it('picks the text for a locale everywhere, or the English text', function() {
+    const data = {
+      name: 'Test Meat Market',
+      closures: [{ name: { en: 'Canada Day', fr: 'Fête du Canada' }, message: { en: 'Closed' } }],
+      hours: [{ day: 'Monday', open: null }]
+    };
+    assert.deepEqual(i18n.localize(data, 'fr'), {
+      name: 'Test Meat Market',
+      closures: [{ name: 'Fête du Canada', message: 'Closed' }],
+      hours: [{ day: 'Monday', open: null }]
+    });
+    assert.equal(i18n.localize(data, 'en').closures[0].name, 'Canada Day');
+  });
+
+  it('leaves objects that aren\'t text per locale alone', function() {
+    assert.deepEqual(i18n.localize({ link: { url: 'order.html', text: 'Order' } }, 'fr'), { link: { url: 'order.html', text: 'Order' } });
+  });
+});
+
+describe('formatting', function() {
+  it('formats times with the 12-hour clock in English and the 24-hour clock in French', function() {
+    assert.equal(i18n.formatTime('09:30', 'en'), '9:30 am');
+    assert.equal(i18n.formatTime('09:30', 'fr'), '9 h 30');
+    assert.equal(i18n.formatTime('17:00', 'fr'), '17 h');
+    assert.equal(i18n.formatTime('', 'fr'), null);
+  });
+
+  it('formats dates, writing the first of the month as "1er" in French', function() {
+    assert.equal(i18n.formatDate('2026-07-01', 'en'), 'July 1, 2026');
+    assert.equal(i18n.formatDate('2026-07-01', 'fr'), '1er juillet 2026');
+    assert.equal(i18n.formatDateWithDay('2027-01-01', 'en'), 'Friday, January 1, 2027');
+    assert.equal(i18n.formatDateWithDay('2027-01-02', 'fr'), 'samedi 2 janvier 2027');
+  });
+
+  it('formats numbers and prices with a decimal comma in French', function() {
+    assert.equal(i18n.formatNumber(45.1936, undefined, 'fr'), '45,1936');
+    assert.equal(i18n.formatPrice(12.5, 'en'), '$12.50');
+    assert.equal(i18n.formatPrice(12.5, 'fr'), '12,50 $');
+  });
+
+  it('translates weekday names', function() {
+    assert.equal(i18n.translateDay('Monday', 'fr'), 'lundi');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for the iCalendar writer (scripts/ical.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ical = require('../scripts/ical.js');
+
+describe('escapeText', function() {
+  it('escapes backslashes, semicolons, commas and newlines', function() {
+    assert.equal(ical.escapeText('a\\b;c,d\ne'), 'a\\\\b\\;c\\,d\\ne');
+    assert.equal(ical.escapeText('line one\r\nline two'), 'line one\\nline two');
+  });
+
+  it('leaves colons and quotes alone', function() {
+    assert.equal(ical.escapeText('Note: "Christopher\'s"'), 'Note: "Christopher\'s"');
+  });
+});
+
+describe('foldLine', function() {
+  it('leaves short lines alone', function() {
+    assert.equal(ical.foldLine('SUMMARY:Closed'), 'SUMMARY:Closed');
+  });
+
+  it('folds long lines to 75 octets and unfolds back to the original', function() {
+    const line = 'DESCRIPTION:' + 'x'.repeat(200);
+    const folded = ical.foldLine(line);
+    folded.split('\r\n').forEach(function(part) {
+      assert.ok(Buffer.byteLength(part) <= 75);
+    });
+    assert.equal(folded.replace(/\r\n /g, ''), line);
+  });
+
+  it('never splits a multi-byte character', function() {
+    const line = 'SUMMARY:' + 'é–'.repeat(40);
+    const folded = ical.foldLine(line);
+    folded.split('\r\n').forEach(function(part) {
+      assert.ok(Buffer.byteLength(part) <= 75);
+      assert.ok(!part.includes('�'));
+    });
+    assert.equal(folded.replace(/\r\n /g, ''), line);
+  });
+});
+
+describe('createCalendar', function() {
+  it('wraps events in a VCALENDAR with CRLF line endings', function() {
+    const calendar = ical.createCalendar([['VERSION', '2.0']], [
+      [['UID', 'a@example.com'], ['DTSTART;VALUE=DATE', ical.formatDate('2026-12-25')]]
+    ]);
+    assert.equal(calendar, [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:a@example.com',
+      'DTSTART;VALUE=DATE:20261225',
+      'END:VEVENT',
+      'END:VCALENDAR',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('formats UTC date-times', function() {
+    assert.equal(ical.formatDateTime(new Date('2026-12-24T14:30:00Z')), '20261224T143000Z');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the responsive images (scripts/images.js)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const images = require('../scripts/images.js');
+
+const MANIFEST = {
+  'img/slide.jpg': images.describeImage('img/slide.jpg', 1000, 400, 'jpeg'),
+  'img/thumb.jpg': images.describeImage('img/thumb.jpg', 250, 175, 'jpeg')
+};
+
+describe('describeImage', function() {
+  it('makes variants up to the original width, never larger', function() {
+    const image = MANIFEST['img/slide.jpg'];
+    assert.deepEqual(image.sources.avif.map(function(variant) {
+      return [variant.file, variant.width, variant.height];
+    }), [
+      ['img/slide-480w.avif', 480, 192],
+      ['img/slide-960w.avif', 960, 384],
+      ['img/slide-1000w.avif', 1000, 400]
+    ]);
+    assert.equal(image.sources.webp.length, 3);
+  });
+
+  it('uses the original as the full-size fallback', function() {
+    const fallbacks = MANIFEST['img/slide.jpg'].sources.jpeg;
+    assert.equal(fallbacks[0].file, 'img/slide-480w.jpg');
+    assert.equal(fallbacks[2].file, 'img/slide.jpg');
+    assert.equal(fallbacks[2].original, true);
+  });
+
+  it('has an Open Graph variant', function() {
+    assert.deepEqual(MANIFEST['img/thumb.jpg'].og, {
+      source: 'img/thumb.jpg',
+      file: 'img/thumb-og.jpg',
+      format: 'jpeg',
+      width: 1200,
+      height: 630,
+      crop: true
+    });
+  });
+});
+
+describe('rewriteImages', function() {
+  it('turns an <img> into a <picture> with the intrinsic size', function() {
+    const html = images.rewriteImages('<img class="photo" src="img/slide.jpg" alt="Slide" width="1200" height="500">', MANIFEST);
+    assert.equal(html, [
+      '<picture>',
+      '<source type="image/avif" srcset="img/slide-480w.avif 480w, img/slide-960w.avif 960w, img/slide-1000w.avif 1000w" sizes="100vw">',
+      '<source type="image/webp" srcset="img/slide-480w.webp 480w, img/slide-960w.webp 960w, img/slide-1000w.webp 1000w" sizes="100vw">',
+      '<img class="photo" src="img/slide.jpg" srcset="img/slide-480w.jpg 480w, img/slide-960w.jpg 960w, img/slide.jpg 1000w" sizes="100vw" alt="Slide" width="1000" height="400">',
+      '</picture>'
+    ].join('\n'));
+  });
+
+  it('keeps the sizes the tag gives', function() {
+    const html = images.rewriteImages('<img src="img/slide.jpg" sizes="50vw" alt="">', MANIFEST);
+    assert.equal(html.match(/sizes="50vw"/g).length, 3);
+    assert.ok(!html.includes('100vw'));
+  });
+
+  it('leaves out srcset widths and sizes for an image with one size', function() {
+    const html = images.rewriteImages('<img src="img/thumb.jpg" alt="Thumb" />', MANIFEST);
+    assert.ok(html.includes('<source type="image/avif" srcset="img/thumb-250w.avif">'));
+    assert.ok(html.includes('<img src="img/thumb.jpg" alt="Thumb" width="250" height="175">'));
+    assert.ok(!html.includes('sizes'));
+  });
+
+  it('leaves comments, other images and existing pictures alone', function() {
+    const html = [
+      '<!-- <img src="img/slide.jpg"> -->',
+      '<img src="https://example.com/logo.png" alt="">',
+      '<picture><source srcset="img/a.webp"><img src="img/slide.jpg" alt=""></picture>'
+    ].join('\n');
+    assert.equal(images.rewriteImages(html, MANIFEST), html);
+  });
+
+  it('changes nothing when run twice', function() {
+    const once = images.rewriteImages('<p><img src="img/slide.jpg" alt=""></p>', MANIFEST);
+    assert.equal(images.rewriteImages(once, MANIFEST), once);
+  });
+});
+
+describe('findUnusedImages', function() {
+  it('lists images no page or asset refers to, ignoring comments', function() {
+    const texts = ['<!-- <img src="img/slide.jpg"> -->', 'body { background: url("../img/thumb.jpg"); }'];
+    assert.deepEqual(images.findUnusedImages(MANIFEST, texts), ['img/slide.jpg']);
+  });
+});
+
+describe('readImages and writeVariants', function() {
+  let dir;
+
+  before(async function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-test-'));
+    fs.mkdirSync(path.join(dir, 'public', 'img'), { recursive: true });
+    await sharp({ create: { width: 600, height: 300, channels: 3, background: '#8b0000' } })
+      .png()
+      .toFile(path.join(dir, 'public', 'img', 'red.png'));
+    fs.writeFileSync(path.join(dir, 'public', 'img', 'notes.txt'), 'not an image');
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the size of each image', async function() {
+    const found = await images.readImages(path.join(dir, 'public'));
+    assert.deepEqual(Object.keys(found), ['img/red.png']);
+    assert.equal(found['img/red.png'].width, 600);
+    assert.equal(found['img/red.png'].height, 300);
+    assert.equal(found['img/red.png'].sources.png[1].file, 'img/red.png');
+  });
+
+  it('writes the variants and reuses them from the cache', async function() {
+    const found = await images.readImages(path.join(dir, 'public'));
+    const variants = images.listVariants(found, ['<meta property="og:image" content="https://example.com/img/red-og.jpg">']);
+    assert.deepEqual(variants.map(function(variant) {
+      return variant.file;
+    }).sort(), [
+      'img/red-480w.avif',
+      'img/red-480w.png',
+      'img/red-480w.webp',
+      'img/red-600w.avif',
+      'img/red-600w.webp',
+      'img/red-og.jpg'
+    ]);
+
+    const cacheDir = path.join(dir, 'cache');
+    const distDir = path.join(dir, 'dist');
+    assert.equal(await images.writeVariants(variants, path.join(dir, 'public'), distDir, cacheDir), 6);
+    const og = await sharp(path.join(distDir, 'img', 'red-og.jpg')).metadata();
+    assert.deepEqual([og.format, og.width, og.height], ['jpeg', 1200, 630]);
+    const small = await sharp(path.join(distDir, 'img', 'red-480w.avif')).metadata();
+    assert.deepEqual([small.width, small.height], [480, 240]);
+
+    assert.equal(await images.writeVariants(variants, path.join(dir, 'public'), path.join(dir, 'dist2'), cacheDir), 0);
+    assert.ok(fs.existsSync(path.join(dir, 'dist2', 'img', 'red-600w.webp')));
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the newsletter emails (scripts/mail.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const i18n = require('../scripts/i18n.js');
+const mail = require('../scripts/mail.js');
+const fixture = require('./fixtures/business-data.js');
+
+const UNSUBSCRIBE_URL = mail.getUnsubscribeURL('https://example.com', 'abc123');
+
+/**
+ * Make a message from the test business
+ * @param {string} locale - Locale code
+ * @returns {Object} - Message
+ */
+function createTestMessage(locale) {
+  return mail.createMessage({
+    data: i18n.localize(fixture, locale),
+    locale: locale,
+    to: 'reader@example.com',
+    subject: 'Fresh <specials>',
+    text: 'New packs this week.',
+    html: '<p>New packs this week.</p>',
+    unsubscribeURL: UNSUBSCRIBE_URL
+  });
+}
+
+describe('createMessage', function() {
+  it('is sent from news@ the site\'s domain', function() {
+    assert.equal(createTestMessage('en').from, '"Test Meat Market" <news@example.com>');
+  });
+
+  it('ends the text and HTML with the sender\'s address and the unsubscribe link', function() {
+    const message = createTestMessage('en');
+    assert.equal(UNSUBSCRIBE_URL, 'https://example.com/api/newsletter/unsubscribe?token=abc123');
+    assert.ok(message.text.startsWith('New packs this week.\n\n--\n'));
+    assert.ok(message.text.includes(fixture.address.street));
+    assert.ok(message.text.endsWith('Unsubscribe: ' + UNSUBSCRIBE_URL + '\n'));
+    assert.ok(message.html.includes('<title>Fresh &lt;specials&gt;</title>'));
+    assert.ok(message.html.includes('<a href="' + UNSUBSCRIBE_URL + '">Unsubscribe</a>'));
+  });
+
+  it('is written in the subscriber\'s language', function() {
+    const message = createTestMessage('fr');
+    assert.ok(message.text.endsWith('Se désabonner : ' + UNSUBSCRIBE_URL + '\n'));
+    assert.ok(message.html.startsWith('<!DOCTYPE html>\n<html lang="fr-CA">'));
+  });
+
+  it('lets email apps unsubscribe in one click', function() {
+    assert.deepEqual(createTestMessage('en').headers, {
+      'List-Unsubscribe': '<' + UNSUBSCRIBE_URL + '>',
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+  });
+
+  it('has no unsubscribe link in test copies, which go to no subscriber', function() {
+    const copy = mail.createMessage({
+      data: i18n.localize(fixture, 'en'),
+      locale: 'en',
+      to: 'staff@example.com',
+      subject: 'Fresh specials',
+      text: 'New packs this week.',
+      html: '<p>New packs this week.</p>',
+      unsubscribeURL: null
+    });
+    assert.ok(copy.text.endsWith(fixture.url + '\n'));
+    assert.ok(!copy.text.includes('Unsubscribe'));
+    assert.ok(!copy.html.includes('/api/newsletter/unsubscribe'));
+    assert.deepEqual(copy.headers, {});
+  });
+});
+
+describe('formatMessage', function() {
+  it('writes the text and HTML versions as multipart/alternative, encoding headers that aren\'t ASCII', function() {
+    const eml = mail.formatMessage(Object.assign(createTestMessage('fr'), { subject: 'Spéciaux' }));
+    assert.ok(eml.includes('\r\nSubject: =?UTF-8?B?' + Buffer.from('Spéciaux').toString('base64') + '?=\r\n'));
+    assert.ok(eml.includes('\r\nList-Unsubscribe-Post: List-Unsubscribe=One-Click\r\n'));
+    assert.ok(eml.includes('Content-Type: text/plain; charset=UTF-8'));
+    assert.ok(eml.includes('Content-Type: text/html; charset=UTF-8'));
+    assert.ok(eml.endsWith('--\r\n'));
+  });
+});
+
+describe('createHTTPTransport', function() {
+  it('posts the message to the email service with the API key', async function() {
+    const requests = [];
+    const transport = mail.createHTTPTransport({
+      url: 'https://mail.example.com/emails',
+      apiKey: 'key',
+      fetch: async function(url, init) {
+        requests.push({ url: url, init: init });
+        return { ok: true, status: 200 };
+      }
+    });
+    await transport.send(createTestMessage('en'));
+    assert.equal(requests[0].url, 'https://mail.example.com/emails');
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer key');
+    const body = JSON.parse(requests[0].init.body);
+    assert.deepEqual(body.to, ['reader@example.com']);
+    assert.equal(body.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+  });
+
+  it('fails when the email service turns the message down', async function() {
+    const transport = mail.createHTTPTransport({
+      url: 'https://mail.example.com/emails',
+      apiKey: 'key',
+      fetch: async function() {
+        return { ok: false, status: 422 };
+      }
+    });
+    await assert.rejects(transport.send(createTestMessage('en')), /HTTP 422 for reader@example\.com/);
+  });
+});
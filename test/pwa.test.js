@@ -0,0 +1,76 @@
+/**
+ * Tests for the app manifest, icons and service worker (scripts/pwa.js)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const pwa = require('../scripts/pwa.js');
+const fixture = require('./fixtures/business-data.js');
+
+describe('generateManifest', function() {
+  it('uses the business names and colours', function() {
+    const manifest = pwa.generateManifest(fixture);
+    assert.equal(manifest.name, 'Test Meat Market');
+    assert.equal(manifest.short_name, 'Test');
+    assert.equal(manifest.theme_color, '#112233');
+    assert.equal(manifest.background_color, '#ffffff');
+    assert.equal(manifest.display, 'standalone');
+  });
+
+  it('lists the 192 and 512 pixel icons, and the large one again as maskable', function() {
+    assert.deepEqual(pwa.generateManifest(fixture).icons, [
+      { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+      { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+    ]);
+  });
+});
+
+describe('getCacheVersion', function() {
+  it('changes when any file changes, and with their order', function() {
+    const version = pwa.getCacheVersion(['a', Buffer.from('b')]);
+    assert.match(version, /^[0-9a-f]{12}$/);
+    assert.equal(pwa.getCacheVersion(['a', 'b']), version);
+    assert.notEqual(pwa.getCacheVersion(['a', 'c']), version);
+    assert.notEqual(pwa.getCacheVersion(['b', 'a']), version);
+    assert.notEqual(pwa.getCacheVersion(['ab']), version);
+  });
+});
+
+describe('generateServiceWorker', function() {
+  it('puts the version, precache list and offline pages in front of the source', function() {
+    const sw = pwa.generateServiceWorker('self.x = 1;\n', 'abc123', ['index.html', 'css/main.css'], ['offline.html', 'fr/offline.html']);
+    assert.ok(sw.includes('var CACHE_VERSION = "abc123";\n'));
+    assert.ok(sw.includes('var PRECACHE_URLS = [\n  "index.html",\n  "css/main.css"\n];\n'));
+    assert.ok(sw.includes('var OFFLINE_URLS = ["offline.html","fr/offline.html"];\n'));
+    assert.ok(sw.endsWith('\nself.x = 1;\n'));
+  });
+});
+
+describe('writeIcons', function() {
+  let dir;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pwa-test-'));
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes square PNGs in the theme colour', async function() {
+    await pwa.writeIcons('#112233', dir);
+    for (const icon of pwa.ICONS) {
+      const image = sharp(path.join(dir, icon.file));
+      const metadata = await image.metadata();
+      assert.deepEqual([metadata.format, metadata.width, metadata.height], ['png', icon.size, icon.size]);
+      const corner = await image.extract({ left: 0, top: 0, width: 1, height: 1 }).raw().toBuffer();
+      assert.deepEqual(Array.from(corner.subarray(0, 3)), [0x11, 0x22, 0x33]);
+    }
+  });
+});
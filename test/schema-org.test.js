@@ -0,0 +1,108 @@
+/**
+ * Tests for the schema.org check (scripts/schema-org.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateStructuredData } = require('../scripts/schema-org.js');
+
+/**
+ * Make a valid document with one ButcherShop node
+ * @param {Object} [extra] - Properties to add to the node
+ * @returns {Object} - JSON-LD document
+ */
+function makeShop(extra) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [Object.assign({
+      '@type': 'ButcherShop',
+      '@id': 'https://example.com/#business',
+      name: 'Test Butcher',
+      url: 'https://example.com',
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: '1 Main Street',
+        addressLocality: 'Richmond'
+      },
+      geo: { '@type': 'GeoCoordinates', latitude: 45.2, longitude: -75.8 },
+      openingHoursSpecification: [
+        { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Tuesday', 'Wednesday'], opens: '09:30', closes: '17:00' },
+        { '@type': 'OpeningHoursSpecification', opens: '00:00', closes: '00:00', validFrom: '2026-12-25T00:00:00-05:00', validThrough: '2026-12-25' }
+      ]
+    }, extra)]
+  };
+}
+
+describe('validateStructuredData', function() {
+  it('accepts a valid graph', function() {
+    assert.deepEqual(validateStructuredData(makeShop()), []);
+  });
+
+  it('accepts a single node without @graph', function() {
+    const data = makeShop()['@graph'][0];
+    data['@context'] = 'https://schema.org';
+    assert.deepEqual(validateStructuredData(data), []);
+  });
+
+  it('needs the schema.org @context', function() {
+    const data = makeShop();
+    delete data['@context'];
+    assert.deepEqual(validateStructuredData(data), [{ path: '@context', message: 'must be "https://schema.org"' }]);
+  });
+
+  it('flags properties the type doesn\'t have', function() {
+    assert.deepEqual(validateStructuredData(makeShop({ servesCuisine: 'Butcher Shop' })), [
+      { path: '@graph[0].servesCuisine', message: 'is not a property of ButcherShop' }
+    ]);
+  });
+
+  it('flags values of the wrong kind', function() {
+    const data = makeShop({ url: 'example.com' });
+    data['@graph'][0].geo.latitude = '45.2';
+    data['@graph'][0].openingHoursSpecification[0].dayOfWeek.push('Tues');
+    assert.deepEqual(validateStructuredData(data).map(function(error) {
+      return error.path;
+    }), [
+      '@graph[0].url',
+      '@graph[0].geo.latitude',
+      '@graph[0].openingHoursSpecification[0].dayOfWeek[2]'
+    ]);
+  });
+
+  it('flags missing required properties and unknown types', function() {
+    const data = makeShop();
+    delete data['@graph'][0].address.streetAddress;
+    data['@graph'].push({ '@type': 'Recipe' });
+    assert.deepEqual(validateStructuredData(data), [
+      { path: '@graph[0].address', message: 'PostalAddress needs streetAddress' },
+      { path: '@graph[1]', message: 'has an unknown @type "Recipe"' }
+    ]);
+  });
+
+  it('accepts subtypes and @id references where a type is expected', function() {
+    const data = makeShop();
+    data['@graph'].push({
+      '@type': 'Service',
+      name: 'Catering',
+      provider: { '@id': 'https://example.com/#business' }
+    }, {
+      '@type': 'Service',
+      name: 'Delivery',
+      provider: data['@graph'][0]
+    });
+    assert.deepEqual(validateStructuredData(data), []);
+  });
+
+  it('flags a node of the wrong type', function() {
+    const data = makeShop();
+    data['@graph'].push({
+      '@type': 'Service',
+      name: 'Catering',
+      provider: { '@type': 'PostalAddress', streetAddress: '1 Main Street', addressLocality: 'Richmond' }
+    });
+    assert.deepEqual(validateStructuredData(data), [
+      { path: '@graph[1].provider', message: 'must be Organization (found PostalAddress)' }
+    ]);
+  });
+});
@@ -0,0 +1,875 @@
+/**
+ * Tests for the site build (scripts/update-business-data.js), run with npm test.
+ * Everything is built from test/fixtures/business-data.js on fixed dates.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const build = require('../scripts/update-business-data.js');
+const { formatHTML } = require('../scripts/format-html.js');
+const { validateBusinessData } = require('../scripts/business-data-schema.js');
+const fixture = require('./fixtures/business-data.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Timezones either side of UTC, so date math that depends on the machine's timezone shows up
+const TIMEZONES = ['America/Toronto', 'UTC', 'Pacific/Auckland', 'Pacific/Honolulu'];
+
+/**
+ * Run a function with the process in another timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Function} fn - Function to run
+ * @returns {void}
+ */
+function inTimezone(timezone, fn) {
+  const original = process.env.TZ;
+  process.env.TZ = timezone;
+  try {
+    fn();
+  } finally {
+    if (original === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = original;
+    }
+  }
+}
+
+before(function() {
+  build.configure({ data: fixture });
+});
+
+after(function() {
+  build.configure({ today: null });
+});
+
+describe('fixture', function() {
+  it('is valid business data', function() {
+    assert.deepEqual(validateBusinessData(fixture), []);
+  });
+});
+
+describe('formatTime', function() {
+  after(function() {
+    build.configure({ locale: 'en' });
+  });
+
+  it('formats 24-hour times with am/pm', function() {
+    assert.equal(build.formatTime('09:30'), '9:30 am');
+    assert.equal(build.formatTime('17:00'), '5:00 pm');
+  });
+
+  it('handles midnight and noon', function() {
+    assert.equal(build.formatTime('00:00'), '12:00 am');
+    assert.equal(build.formatTime('12:00'), '12:00 pm');
+    assert.equal(build.formatTime('12:30'), '12:30 pm');
+  });
+
+  it('returns null for a missing time', function() {
+    assert.equal(build.formatTime(null), null);
+    assert.equal(build.formatTime(''), null);
+  });
+
+  it('uses the 24-hour clock in French', function() {
+    build.configure({ locale: 'fr' });
+    assert.equal(build.formatTime('09:30'), '9 h 30');
+    assert.equal(build.formatTime('17:00'), '17 h');
+  });
+});
+
+describe('date math', function() {
+  TIMEZONES.forEach(function(timezone) {
+    it('crosses month, year and DST boundaries in ' + timezone, function() {
+      inTimezone(timezone, function() {
+        assert.equal(build.addDays('2026-01-31', 1), '2026-02-01');
+        assert.equal(build.addDays('2026-12-31', 1), '2027-01-01');
+        assert.equal(build.addDays('2027-01-01', -1), '2026-12-31');
+        assert.equal(build.addDays('2028-02-28', 1), '2028-02-29');
+        assert.equal(build.addDays('2026-03-07', 2), '2026-03-09');
+        assert.equal(build.addDays('2026-10-31', 2), '2026-11-02');
+        assert.equal(build.addDays('2026-01-01', 365), '2027-01-01');
+        assert.equal(build.getDayName('2026-10-19'), 'Monday');
+        assert.equal(build.getDayName('2027-01-01'), 'Friday');
+      });
+    });
+  });
+
+  it('finds Easter Sunday', function() {
+    assert.equal(build.getEasterDate(2024), '2024-03-31');
+    assert.equal(build.getEasterDate(2026), '2026-04-05');
+    assert.equal(build.getEasterDate(2027), '2027-03-28');
+  });
+
+  it('finds a weekday of a month', function() {
+    // Family Day, Victoria Day, Civic Holiday, Labour Day and Thanksgiving in Ontario
+    assert.equal(build.getMonthWeekdayDate(2026, { month: 2, weekday: 'Monday', nth: 3 }), '2026-02-16');
+    assert.equal(build.getMonthWeekdayDate(2026, { month: 5, weekday: 'Monday', nth: 'last', before: 25 }), '2026-05-18');
+    assert.equal(build.getMonthWeekdayDate(2027, { month: 5, weekday: 'Monday', nth: 'last', before: 25 }), '2027-05-24');
+    assert.equal(build.getMonthWeekdayDate(2026, { month: 8, weekday: 'Monday', nth: 1 }), '2026-08-03');
+    assert.equal(build.getMonthWeekdayDate(2026, { month: 9, weekday: 'Monday', nth: 1 }), '2026-09-07');
+    assert.equal(build.getMonthWeekdayDate(2026, { month: 10, weekday: 'Monday', nth: 2 }), '2026-10-12');
+    assert.equal(build.getMonthWeekdayDate(2026, { month: 5, weekday: 'Sunday', nth: 'last' }), '2026-05-31');
+    assert.equal(build.getMonthWeekdayDate(2028, { month: 2, weekday: 'Tuesday', nth: 'last' }), '2028-02-29');
+  });
+
+  it('formats dates for display', function() {
+    assert.equal(build.formatDate('2026-07-01'), 'July 1, 2026');
+    assert.equal(build.formatDateWithDay('2027-01-02'), 'Saturday, January 2, 2027');
+  });
+});
+
+describe('today', function() {
+  after(function() {
+    mock.timers.reset();
+  });
+
+  TIMEZONES.forEach(function(timezone) {
+    it('is the date at the shop, not on the build machine, in ' + timezone, function() {
+      build.configure({ today: null });
+      // 10:30 pm on June 30 in Ontario, already July 1 in UTC
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-07-01T02:30:00Z') });
+      try {
+        inTimezone(timezone, function() {
+          assert.equal(build.getTodayISO(), '2026-06-30');
+        });
+      } finally {
+        mock.timers.reset();
+      }
+    });
+  });
+});
+
+describe('closure windows', function() {
+  /**
+   * Get the name of the closure active on a date, or null
+   * @param {string} today - Date in ISO format (YYYY-MM-DD)
+   * @returns {string|null} - Closure name
+   */
+  function activeOn(today) {
+    build.configure({ today: today });
+    const closure = build.getActiveClosure();
+    return closure ? closure.name : null;
+  }
+
+  it('covers the first and last day of a range', function() {
+    assert.equal(activeOn('2026-03-01'), null);
+    assert.equal(activeOn('2026-03-02'), 'Renovations');
+    assert.equal(activeOn('2026-03-14'), 'Renovations');
+    assert.equal(activeOn('2026-03-15'), null);
+  });
+
+  it('repeats yearly ranges, including across New Year', function() {
+    assert.equal(activeOn('2026-12-23'), null);
+    assert.equal(activeOn('2026-12-24'), 'Christmas break');
+    assert.equal(activeOn('2027-01-01'), 'Christmas break');
+    assert.equal(activeOn('2027-01-02'), null);
+    assert.equal(activeOn('2030-12-31'), 'Christmas break');
+  });
+
+  it('follows Easter for Easter-based dates', function() {
+    assert.equal(activeOn('2026-04-03'), 'Good Friday');
+    assert.equal(activeOn('2027-03-26'), 'Good Friday');
+    assert.equal(activeOn('2027-04-03'), null);
+  });
+
+  it('does not count special hours as a closure', function() {
+    assert.equal(activeOn('2026-06-30'), null);
+    assert.deepEqual(build.getDayHours('2026-06-30'), {
+      closed: false,
+      open: '09:30',
+      close: '14:00',
+      occurrence: build.getClosureOccurrences('2026-06-30', '2026-06-30')[0]
+    });
+  });
+
+  it('lists each occurrence overlapping a range once', function() {
+    const names = build.getClosureOccurrences('2026-12-01', '2027-01-31').map(function(occurrence) {
+      return occurrence.name + ' ' + occurrence.startDate + '/' + occurrence.endDate;
+    });
+    assert.deepEqual(names, ['Christmas break 2026-12-24/2027-01-01']);
+  });
+
+  it('repeats weekday-of-the-month closures every year', function() {
+    const thanksgiving = { month: 10, weekday: 'Monday', nth: 2, name: 'Thanksgiving' };
+    build.configure({ data: Object.assign({}, fixture, { closures: [thanksgiving] }) });
+    try {
+      assert.deepEqual(build.getClosureOccurrences('2026-01-01', '2027-12-31').map(function(occurrence) {
+        return occurrence.startDate + '/' + occurrence.endDate;
+      }), ['2026-10-12/2026-10-12', '2027-10-11/2027-10-11']);
+      assert.equal(activeOn('2027-10-11'), 'Thanksgiving');
+      assert.equal(activeOn('2027-10-12'), null);
+    } finally {
+      build.configure({ data: fixture });
+    }
+  });
+
+  it('finds the next open day after a closure', function() {
+    assert.equal(build.getNextOpenDate('2026-03-14'), '2026-03-17');
+    assert.equal(build.getNextOpenDate('2027-01-01'), '2027-01-02');
+  });
+
+  TIMEZONES.forEach(function(timezone) {
+    it('gives the same answers in ' + timezone, function() {
+      inTimezone(timezone, function() {
+        assert.equal(activeOn('2026-12-24'), 'Christmas break');
+        assert.equal(activeOn('2027-01-02'), null);
+        assert.equal(build.getDayHours('2026-07-01').closed, true);
+      });
+    });
+  });
+});
+
+describe('generateStructuredData', function() {
+  before(function() {
+    build.configure({ today: '2026-06-01' });
+  });
+
+  it('describes the shop as a ButcherShop', function() {
+    const data = build.generateStructuredData();
+    assert.equal(data['@type'], 'ButcherShop');
+    assert.equal(data['@id'], 'https://example.com/#business');
+    assert.equal(data.name, fixture.name);
+    assert.equal(data.url, fixture.url);
+    assert.equal(data.image, 'https://example.com/img/test.jpg');
+    assert.match(data.telephone, /^\+[1-9]\d{6,14}$/);
+    assert.deepEqual(data.address, {
+      '@type': 'PostalAddress',
+      streetAddress: '1 Main Street',
+      addressLocality: 'Richmond',
+      addressRegion: 'ON',
+      postalCode: 'K0A 2Z0',
+      addressCountry: 'CA'
+    });
+    assert.equal(data.geo['@type'], 'GeoCoordinates');
+  });
+
+  it('groups weekdays with the same hours', function() {
+    const regular = build.generateStructuredData().openingHoursSpecification.filter(function(spec) {
+      return spec.dayOfWeek;
+    });
+    assert.deepEqual(regular, [
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: ['Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+        opens: '09:30',
+        closes: '17:00'
+      },
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: ['Saturday'],
+        opens: '09:00',
+        closes: '17:00'
+      }
+    ]);
+  });
+
+  it('lists upcoming closures and special hours with dates', function() {
+    const special = build.generateStructuredData().openingHoursSpecification.filter(function(spec) {
+      return spec.validFrom;
+    });
+    assert.deepEqual(special[0], {
+      '@type': 'OpeningHoursSpecification',
+      opens: '09:30',
+      closes: '14:00',
+      validFrom: '2026-06-30T00:00:00-04:00',
+      validThrough: '2026-06-30T23:59:59-04:00'
+    });
+    assert.deepEqual(special[1], {
+      '@type': 'OpeningHoursSpecification',
+      opens: '00:00',
+      closes: '00:00',
+      validFrom: '2026-07-01T00:00:00-04:00',
+      validThrough: '2026-07-01T23:59:59-04:00'
+    });
+    const christmas = special.find(function(spec) {
+      return spec.validFrom.startsWith('2026-12-24');
+    });
+    assert.equal(christmas.validThrough, '2027-01-01T23:59:59-05:00');
+    assert.ok(special.every(function(spec) {
+      return spec.validFrom >= '2026-06-01' && spec.validFrom <= spec.validThrough;
+    }));
+  });
+
+  TIMEZONES.forEach(function(timezone) {
+    it('gives the shop\'s UTC offset across a DST change in ' + timezone, function() {
+      inTimezone(timezone, function() {
+        build.configure({ today: '2026-02-01' });
+        const renovations = build.generateStructuredData().openingHoursSpecification.find(function(spec) {
+          return spec.validFrom && spec.validFrom.startsWith('2026-03-02');
+        });
+        build.configure({ today: '2026-06-01' });
+        // Clocks go forward on March 8, 2026 in Ontario
+        assert.equal(renovations.validFrom, '2026-03-02T00:00:00-05:00');
+        assert.equal(renovations.validThrough, '2026-03-14T23:59:59-04:00');
+      });
+    });
+  });
+
+  it('applies page options', function() {
+    const data = build.generateStructuredData({ image: 'img/other.jpg', description: 'Other' });
+    assert.equal(data.image, 'https://example.com/img/other.jpg');
+    assert.equal(data.description, 'Other');
+  });
+
+  it('survives a JSON round trip unchanged', function() {
+    const data = build.generateStructuredData();
+    assert.deepEqual(JSON.parse(JSON.stringify(data)), data);
+  });
+});
+
+describe('generatePageStructuredData', function() {
+  /**
+   * Make a page as loadPages() would
+   * @param {string} file - Page file name
+   * @param {Object} structuredData - Page's structuredData front matter
+   * @returns {Object} - Page
+   */
+  function makePage(file, structuredData) {
+    return {
+      file: file,
+      path: file,
+      locale: 'en',
+      lang: 'en-CA',
+      url: 'https://example.com/' + (file === 'index.html' ? '' : file),
+      title: 'Test Page',
+      breadcrumb: 'Test Page',
+      noindex: false,
+      languages: null,
+      structuredData: structuredData
+    };
+  }
+
+  before(function() {
+    build.configure({ today: '2026-06-01' });
+  });
+
+  it('puts the requested blocks and breadcrumbs in one graph', function() {
+    const data = build.generatePageStructuredData(makePage('index.html', { business: {} }));
+    assert.equal(data['@context'], 'https://schema.org');
+    assert.deepEqual(data['@graph'].map(function(node) {
+      return node['@type'];
+    }), ['ButcherShop', 'WebPage', 'BreadcrumbList']);
+  });
+
+  it('lists each pack as an offer by the shop', function() {
+    const catalog = build.generatePageStructuredData(makePage('specials.html', { offerCatalog: {} }))['@graph'][0];
+    assert.equal(catalog['@type'], 'OfferCatalog');
+    const offer = catalog.itemListElement[0];
+    assert.equal(offer.itemOffered.name, 'Test Pack');
+    assert.deepEqual(offer.itemOffered.weight, { '@type': 'QuantitativeValue', value: 15, unitCode: 'LBR', unitText: 'lbs' });
+    assert.equal(offer.price, 99);
+    assert.equal(offer.priceCurrency, 'CAD');
+    assert.equal(offer.url, 'https://example.com/order.html?pack=Test%20Pack');
+    assert.deepEqual(offer.offeredBy, { '@id': 'https://example.com/#business' });
+  });
+
+  it('describes each service', function() {
+    const service = build.generatePageStructuredData(makePage('services.html', { services: {} }))['@graph'][0];
+    assert.equal(service['@type'], 'Service');
+    assert.equal(service.name, 'Catered Events');
+    assert.equal(service.image, 'https://example.com/img/catering.jpg');
+    assert.equal(service.areaServed, 'Richmond, Ontario');
+    assert.deepEqual(service.provider, { '@id': 'https://example.com/#business' });
+  });
+
+  it('links breadcrumbs from the home page', function() {
+    const breadcrumbs = build.generatePageStructuredData(makePage('hours.html', {}))['@graph'][1];
+    assert.deepEqual(breadcrumbs.itemListElement, [
+      { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://example.com/' },
+      { '@type': 'ListItem', position: 2, name: 'Test Page', item: 'https://example.com/hours.html' }
+    ]);
+  });
+
+  it('adds the testimonials as reviews, with their average rating', function() {
+    const business = build.generatePageStructuredData(makePage('index.html', { business: {} }))['@graph'][0];
+    assert.deepEqual(business.review.map(function(review) {
+      return review.author.name;
+    }), ['Sam <b>O\'Neil</b>', 'Pat L.']);
+    assert.deepEqual(business.review[0].reviewRating, { '@type': 'Rating', ratingValue: 5, bestRating: 5, worstRating: 1 });
+    assert.deepEqual(business.review[0].publisher, { '@type': 'Organization', name: 'Google' });
+    assert.ok(!('publisher' in business.review[1]));
+    assert.deepEqual(business.aggregateRating, { '@type': 'AggregateRating', ratingValue: 4.5, reviewCount: 2, bestRating: 5, worstRating: 1 });
+  });
+
+  it('leaves out pages search engines don\'t index', function() {
+    const page = makePage('admin.html', {});
+    page.noindex = true;
+    assert.equal(build.generatePageStructuredData(page), null);
+  });
+
+  it('rejects unknown blocks', function() {
+    assert.throws(function() {
+      build.generatePageStructuredData(makePage('index.html', { reviews: {} }));
+    }, /unknown structured data "reviews"/);
+  });
+});
+
+describe('generateHoursTableHTML', function() {
+  it('has a row per day with 12-hour times', function() {
+    const html = build.generateHoursTableHTML();
+    assert.equal(html.match(/<tr>/g).length, 7);
+    assert.ok(html.includes('<tr><td><strong>Monday</strong></td><td>Closed</td></tr>'));
+    assert.ok(html.includes('<tr><td><strong>Saturday</strong></td><td>9:00 am – 5:00 pm</td></tr>'));
+  });
+});
+
+describe('generateBusinessHoursHTML', function() {
+  it('shows the closure card and dims the regular hours during a closure, without style attributes', function() {
+    build.configure({ today: '2026-03-05' });
+    try {
+      const html = build.generateBusinessHoursHTML();
+      assert.ok(html.includes('<div class="closure-card-title">Closed for renovations</div>'));
+      assert.ok(html.includes('<table class="business-hours-table is-closed" data-closed-until="2026-03-14"><caption>'));
+      // The Content-Security-Policy (worker/headers.js) doesn't allow inline styles
+      assert.ok(!html.includes('style='));
+    } finally {
+      build.configure({ today: null });
+    }
+  });
+});
+
+describe('generateTestimonialsHTML', function() {
+  it('builds a slide per testimonial, newest first, with escaped text', function() {
+    const html = build.generateTestimonialsHTML();
+    assert.equal(html.match(/class="carousel-item/g).length, 2);
+    assert.ok(html.includes('<div class="carousel-item active"><figure class="testimonial"><div class="testimonial-rating" role="img" ' +
+      'aria-label="Rated 5 out of 5">★★★★★</div><blockquote class="blockquote"><p>The &quot;best&quot; butcher &lt;/script&gt; &amp; then some</p></blockquote>' +
+      '<figcaption class="blockquote-footer">Sam &lt;b&gt;O\'Neil&lt;/b&gt;, <cite>Google</cite></figcaption></figure></div>'));
+    assert.ok(html.includes('aria-label="Rated 4 out of 5">★★★★☆</div>'));
+    assert.ok(html.includes('data-bs-target="#testimonials-carousel" data-bs-slide="next"'));
+  });
+
+  it('builds nothing without testimonials', function() {
+    build.configure({ data: Object.assign({}, fixture, { testimonials: [] }) });
+    try {
+      assert.equal(build.generateTestimonialsHTML(), '');
+    } finally {
+      build.configure({ data: fixture });
+    }
+  });
+});
+
+describe('generateProductsHTML', function() {
+  it('builds a card per product, with the species to filter by and the names to search', function() {
+    const html = build.generateProductsHTML();
+    assert.ok(html.includes('<form class="product-filter row g-3 mb-3" role="search" hidden>'));
+    assert.ok(html.includes('<select class="form-select" id="product-species" name="species"><option value="">All</option>' +
+      '<option value="beef">Beef</option><option value="duck">Duck</option></select>'));
+    assert.ok(html.includes('<div class="col-md-6 col-lg-4 product" id="gourmet-steak" data-species="beef" data-names="gourmet steak gourmet steaks">'));
+    assert.ok(html.includes('<dt>Origin</dt><dd>Ontario beef</dd><dt>Typical weight</dt><dd>0.5–0.75 lbs</dd>' +
+      '<dt>Cooking</dt><dd>Pan-fry &lt;quickly&gt; &amp; serve</dd>'));
+    assert.ok(html.includes('<div class="card-footer">Usually in stock</div>'));
+    assert.ok(html.includes('<dl class="mb-0"><dt>Typical weight</dt><dd>5 lbs</dd>'));
+    assert.ok(html.includes('<div class="card-footer">Order ahead</div>'));
+  });
+
+  it('builds the catalog in French', function() {
+    build.configure({ locale: 'fr' });
+    try {
+      const html = build.generateProductsHTML();
+      assert.ok(html.includes('<option value="beef">Bœuf</option>'));
+      assert.ok(html.includes('<dt>Origine</dt><dd>Bœuf de l’Ontario</dd><dt>Poids habituel</dt><dd>0,5–0,75 lb</dd>'));
+      assert.ok(html.includes('<dd>Rôtissez-le</dd>'));
+    } finally {
+      build.configure({ locale: 'en' });
+    }
+  });
+
+  it('builds nothing without products', function() {
+    build.configure({ data: Object.assign({}, fixture, { products: [] }) });
+    try {
+      assert.equal(build.generateProductsHTML(), '');
+    } finally {
+      build.configure({ data: fixture });
+    }
+  });
+});
+
+describe('generateSpecialsHTML', function() {
+  it('links each cut in the products catalog to its entry', function() {
+    const html = build.generateSpecialsHTML();
+    assert.ok(html.includes('<li>5 lb <a href="products.html#gourmet-steak">Gourmet Steak</a> *</li>'));
+    assert.ok(html.includes('<li>10 lb Lean Ground Beef</li>'));
+  });
+
+  it('warns about cuts that are not in the catalog', function() {
+    assert.deepEqual(build.checkSpecialsPacks(), [
+      'Test Pack\'s Lean Ground Beef is not in the products catalog (products.js), so it is not linked to it'
+    ]);
+  });
+
+  it('reports a pack whose items don\'t add up to its weight, and keeps the advertised weight', function() {
+    const pack = Object.assign({}, fixture.specials.packs[0], { weight: 25 });
+    build.configure({ data: Object.assign({}, fixture, { specials: Object.assign({}, fixture.specials, { packs: [pack] }) }) });
+    try {
+      assert.equal(build.checkSpecialsPacks()[0], 'Test Pack is advertised as 25 lbs but its items add up to 15 lbs, ' +
+        'please confirm the weight or the items with the shop');
+      assert.ok(build.generateSpecialsHTML().includes('<em>25 lbs</em>'));
+    } finally {
+      build.configure({ data: fixture });
+    }
+  });
+});
+
+describe('generateAnnouncementsHTML', function() {
+  after(function() {
+    build.configure({ today: null });
+  });
+
+  it('builds banners that haven\'t started in hidden, with their dates for site.js', function() {
+    build.configure({ today: '2026-03-04' });
+    const html = build.generateAnnouncementsHTML({ file: 'index.html' });
+    assert.equal(html, '<div class="announcement announcement-urgent" role="note" data-announcement-id="cash-only" ' +
+      'data-start="2026-03-05" data-end="2026-03-05" hidden><div class="announcement-message">Cash only today</div>' +
+      '<button type="button" class="btn-close announcement-dismiss" aria-label="Dismiss announcement" hidden></button></div>');
+  });
+
+  it('shows a banner on its dates', function() {
+    build.configure({ today: '2026-03-05' });
+    assert.match(build.generateAnnouncementsHTML({ file: 'index.html' }), /data-end="2026-03-05">/);
+  });
+
+  it('leaves out banners that have ended', function() {
+    build.configure({ today: '2026-03-06' });
+    assert.equal(build.generateAnnouncementsHTML({ file: 'index.html' }), '');
+  });
+
+  it('only puts banners on their pages, with their link', function() {
+    build.configure({ today: '2026-03-06' });
+    assert.ok(build.generateAnnouncementsHTML({ file: 'hours.html' }).includes(
+      'BBQ pack sale this week <a class="announcement-link" href="order.html?pack=Test%20Pack">Order now</a>'));
+  });
+});
+
+describe('campaigns', function() {
+  after(function() {
+    build.configure({ data: fixture, today: null });
+  });
+
+  it('builds the homepage call-to-action in hidden before the campaign opens', function() {
+    build.configure({ today: '2026-10-31' });
+    const html = build.generateCampaignsHTML();
+    assert.ok(html.startsWith('<div class="row campaign-callout" data-start="2026-11-01" data-end="2026-12-18" hidden>'));
+    assert.ok(html.includes('Order by <strong>Friday, December 18, 2026</strong> for pickup December 22, 2026 – December 23, 2026.'));
+    assert.ok(html.includes('<a class="btn btn-dark" href="holiday-orders.html">Pre-order now</a>'));
+  });
+
+  it('shows the call-to-action until the cutoff', function() {
+    build.configure({ today: '2026-12-18' });
+    assert.match(build.generateCampaignsHTML(), /data-end="2026-12-18">/);
+    build.configure({ today: '2026-12-19' });
+    assert.equal(build.generateCampaignsHTML(), '');
+  });
+
+  it('warns about pickup days the shop is closed', function() {
+    build.configure({ today: '2026-12-01' });
+    assert.deepEqual(build.checkCampaignPickupDates(), []);
+    const campaign = Object.assign({}, fixture.campaigns[0], { pickupDates: ['2026-12-21', '2026-12-24'] });
+    build.configure({ data: Object.assign({}, fixture, { campaigns: [campaign] }) });
+    assert.deepEqual(build.checkCampaignPickupDates(), [
+      'Holiday Orders has a pickup day on Monday, December 21, 2026, but the shop is closed that day',
+      'Holiday Orders has a pickup day on Thursday, December 24, 2026, but the shop is closed that day'
+    ]);
+    build.configure({ data: fixture });
+  });
+
+  it('builds a page and the Worker\'s data for each campaign until its last pickup day', function() {
+    const srcDir = path.join(FIXTURES_DIR, 'src');
+    build.configure({ today: '2026-12-23' });
+    const files = build.renderSite(srcDir, null);
+    const page = files['holiday-orders.html'];
+    assert.ok(page.includes('<title>Holiday Orders - Test Meat Market</title>'));
+    assert.ok(page.includes('<form action="/api/campaigns/holiday-orders/order">'));
+    assert.ok(page.includes('<label for="campaign-item-0-1">Turkey 14–16 lbs</label>'));
+    assert.ok(page.includes('<input type="number" id="campaign-item-1-0" max="30">'));
+    assert.ok(page.includes('<option value="2026-12-22">Tuesday, December 22, 2026, 9:30 am – 5:00 pm</option>'));
+    assert.ok(files['sitemap.xml'].includes('<loc>https://example.com/holiday-orders.html</loc>'));
+    assert.deepEqual(JSON.parse(files['data/campaigns.json']).campaigns[0].items[1], {
+      name: 'Tourtière', sizes: ['9-inch pie'], limit: 30
+    });
+
+    build.configure({ today: '2026-12-24' });
+    assert.ok(!('holiday-orders.html' in build.renderSite(srcDir, null)));
+  });
+});
+
+describe('generateMapHTML', function() {
+  it('builds the embed and directions links from the coordinates', function() {
+    const html = build.generateMapHTML();
+    assert.ok(html.includes('data-map-src="https://maps.google.com/maps?q=45.190000,-75.840000&amp;z=16&amp;output=embed"'));
+    assert.ok(html.includes('href="https://www.google.com/maps/dir/?api=1&amp;destination=45.190000%2C-75.840000"'));
+    assert.ok(html.includes('href="https://maps.apple.com/?daddr=45.190000%2C-75.840000&amp;q=Test%20Meat%20Market"'));
+    assert.ok(html.includes('href="https://www.openstreetmap.org/directions?route=%3B45.190000%2C-75.840000#map=16/45.190000/-75.840000"'));
+    assert.ok(html.includes('45.19000° N, 75.84000° W'));
+  });
+
+  it('doesn\'t load anything from Google until asked', function() {
+    const html = build.generateMapHTML();
+    assert.ok(!html.includes('<iframe'));
+    assert.match(html, /<button type="button" class="btn btn-dark map-facade-load" hidden>/);
+  });
+});
+
+describe('generateCalendarICS', function() {
+  /**
+   * Get the events in a calendar as objects of their properties
+   * @param {string} calendar - iCalendar file contents
+   * @returns {Object[]} - Events, property name (with parameters) → value
+   */
+  function parseEvents(calendar) {
+    return calendar.replace(/\r\n /g, '').split('BEGIN:VEVENT\r\n').slice(1).map(function(block) {
+      const event = {};
+      block.split('\r\nEND:VEVENT')[0].split('\r\n').forEach(function(line) {
+        const colon = line.indexOf(':');
+        event[line.slice(0, colon)] = line.slice(colon + 1);
+      });
+      return event;
+    });
+  }
+
+  it('has an all-day event for each closure and a timed event for special hours', function() {
+    build.configure({ today: '2026-06-01' });
+    const events = parseEvents(build.generateCalendarICS());
+    assert.deepEqual(events[0], {
+      'UID': 'hours-2026-06-30-canada-day-eve@example.com',
+      'DTSTAMP': '20260601T000000Z',
+      'DTSTART': '20260630T133000Z',
+      'DTEND': '20260630T180000Z',
+      'SUMMARY': 'Canada Day Eve',
+      'DESCRIPTION': 'Canada Day Eve: Test Meat Market is open 9:30 am – 2:00 pm on Tuesday\\, June 30\\, 2026.',
+      'LOCATION': '1 Main Street\\, Richmond\\, Ontario K0A 2Z0',
+      'TRANSP': 'TRANSPARENT'
+    });
+    const christmas = events.find(function(event) {
+      return event.SUMMARY === 'Christmas break';
+    });
+    assert.equal(christmas['DTSTART;VALUE=DATE'], '20261224');
+    assert.equal(christmas['DTEND;VALUE=DATE'], '20270102');
+  });
+
+  it('keeps the same UIDs when built on another day', function() {
+    build.configure({ today: '2026-06-01' });
+    const before = parseEvents(build.generateCalendarICS());
+    build.configure({ today: '2026-06-15' });
+    const after = parseEvents(build.generateCalendarICS());
+    assert.deepEqual(after.map(function(event) {
+      return event.UID;
+    }), before.map(function(event) {
+      return event.UID;
+    }));
+  });
+
+  it('writes valid content lines', function() {
+    build.configure({ today: '2026-06-01' });
+    const calendar = build.generateCalendarICS();
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:'));
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    calendar.split('\r\n').slice(0, -1).forEach(function(line) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+      assert.ok(/^ |^[A-Z-]+(;[A-Z-]+=[^:]+)?:/.test(line), line);
+    });
+  });
+});
+
+describe('AUTO-UPDATE markers', function() {
+  const page = { structuredData: {} };
+  let html;
+
+  before(function() {
+    build.configure({ today: '2026-03-05' });
+    html = fs.readFileSync(path.join(FIXTURES_DIR, 'page.html'), 'utf8');
+  });
+
+  it('replaces the content between markers and keeps the markers', function() {
+    const filled = build.fillSections(html, page);
+    assert.ok(!filled.includes('Out of date'));
+    assert.ok(filled.includes('Closed for renovations'));
+    assert.ok(filled.includes('Test Pack'));
+    assert.equal(filled.match(/<!-- AUTO-UPDATE: /g).length, 2);
+    assert.equal(filled.match(/<!-- END AUTO-UPDATE -->/g).length, 2);
+    assert.ok(filled.startsWith('<div class="hours">\n  <!-- AUTO-UPDATE: Business hours table -->'));
+  });
+
+  it('changes nothing when run twice', function() {
+    const once = build.fillSections(html, page);
+    assert.equal(build.fillSections(once, page), once);
+  });
+
+  it('rejects unknown markers', function() {
+    assert.throws(function() {
+      build.fillSections('<!-- AUTO-UPDATE: Nope --><!-- END AUTO-UPDATE -->', page);
+    }, /Nope/);
+  });
+
+  it('splits a page into its sections and the rest', function() {
+    const result = build.splitSections(build.fillSections(html, page));
+    assert.deepEqual(Object.keys(result.sections), ['Business hours table', 'Specials packs']);
+    assert.equal(result.rest, build.splitSections(html).rest);
+  });
+});
+
+describe('renderSite', function() {
+  const srcDir = path.join(FIXTURES_DIR, 'src');
+  let files;
+
+  before(function() {
+    build.configure({ today: '2026-12-24' });
+    files = build.renderSite(srcDir, null);
+  });
+
+  it('builds every page and data file', function() {
+    assert.deepEqual(Object.keys(files).sort(), [
+      'calendar.ics',
+      'data/campaigns.json',
+      'data/csp.json',
+      'data/hours.json',
+      'data/orders.json',
+      'fr/data/hours.json',
+      'fr/hours.html',
+      'fr/index.html',
+      'fr/offline.html',
+      'hours.html',
+      'index.html',
+      'manifest.webmanifest',
+      'offline.html',
+      'robots.txt',
+      'sitemap.xml',
+      'sw.js'
+    ]);
+    assert.ok(files['index.html'].includes('Call us at (613) 555-0100.'));
+    assert.ok(files['index.html'].includes('"@type": "ButcherShop"'));
+    assert.ok(files['hours.html'].includes('"@type": "BreadcrumbList"'));
+    assert.ok(files['hours.html'].includes('Christmas break'));
+    assert.ok(files['robots.txt'].includes('Sitemap: https://example.com/sitemap.xml'));
+  });
+
+  it('builds a service worker that precaches the navigation, the offline page and the assets', function() {
+    const sw = files['sw.js'];
+    const urls = JSON.parse(sw.match(/var PRECACHE_URLS = (\[[\s\S]*?\]);/)[1]);
+    assert.deepEqual(urls.slice(0, 8), [
+      'index.html', 'hours.html', 'fr/index.html', 'fr/hours.html',
+      'offline.html', 'fr/offline.html', 'data/hours.json', 'fr/data/hours.json'
+    ]);
+    assert.ok(sw.includes('var OFFLINE_URLS = ["offline.html","fr/offline.html"];'));
+    assert.ok(urls.includes('manifest.webmanifest'));
+    assert.ok(urls.includes('icons/icon-192.png'));
+    assert.ok(urls.includes('css/main.css'));
+    assert.ok(!urls.includes('sw.js'));
+    assert.ok(sw.endsWith('// Service worker source for the tests\n'));
+    assert.ok(files['offline.html'].includes('<a href="tel:+16135550100">(613) 555-0100</a>'));
+    assert.ok(files['offline.html'].includes('business-hours-table'));
+    assert.ok(!files['sitemap.xml'].includes('offline.html'));
+    assert.equal(JSON.parse(files['manifest.webmanifest']).theme_color, '#112233');
+  });
+
+  it('changes the cache version when a precached file changes', function() {
+    const getVersion = function(sw) {
+      return sw.match(/var CACHE_VERSION = "(\w+)";/)[1];
+    };
+    const hours = fixture.hours.map(function(day) {
+      return day.day === 'Tuesday' ? { day: 'Tuesday', open: null, close: null, closed: true } : day;
+    });
+    build.configure({ data: Object.assign({}, fixture, { hours: hours }) });
+    assert.notEqual(getVersion(build.renderSite(srcDir, null)['sw.js']), getVersion(files['sw.js']));
+    build.configure({ data: fixture });
+  });
+
+  it('fails when a precached file is missing', function() {
+    const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'public-'));
+    try {
+      assert.throws(function() {
+        build.renderSite(srcDir, null, {}, publicDir);
+      }, /precaches favicon\.ico, but the build has no such file/);
+    } finally {
+      fs.rmSync(publicDir, { recursive: true, force: true });
+    }
+  });
+
+  it('lists the hashes of the pages\' JSON-LD for the Content-Security-Policy', function() {
+    const script = files['index.html'].match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1];
+    const hash = "'sha256-" + crypto.createHash('sha256').update(script).digest('base64') + "'";
+    assert.ok(JSON.parse(files['data/csp.json']).scriptHashes.includes(hash));
+
+    assert.deepEqual(build.generateCSPData({
+      'a.html': '<script src="js/site.js"></script><script>one</script>',
+      'b.html': '<script type="application/ld+json">two</script><script>one</script>',
+      'data/hours.json': '<script>three</script>'
+    }).scriptHashes, ['one', 'two'].map(function(text) {
+      return "'sha256-" + crypto.createHash('sha256').update(text).digest('base64') + "'";
+    }).sort());
+  });
+
+  it('builds the same site twice', function() {
+    assert.deepEqual(build.renderSite(srcDir, null), files);
+  });
+
+  it('builds the French pages under fr/, linked to the English ones', function() {
+    const html = files['fr/hours.html'];
+    assert.ok(html.includes('<html lang="fr-CA">'));
+    assert.ok(html.includes('<link rel="alternate" hreflang="en-CA" href="https://example.com/hours.html">'));
+    assert.ok(html.includes('<link rel="alternate" hreflang="fr-CA" href="https://example.com/fr/hours.html">'));
+    assert.ok(html.includes('<a class="language" href="../hours.html" hreflang="en-CA">English</a>'));
+    assert.ok(files['hours.html'].includes('<a class="language" href="fr/hours.html" hreflang="fr-CA">Français</a>'));
+    assert.match(html, /<strong>Samedi<\/strong><\/td>\s*<td>9 h – 17 h<\/td>/);
+    assert.ok(html.includes('Droits d’auteur &copy;'));
+    assert.ok(html.includes('"translationOfWork": {'));
+    assert.ok(files['fr/index.html'].includes('Appelez-nous au (613) 555-0100.'));
+  });
+
+  it('keeps text in the structured data from ending its script', function() {
+    const html = files['index.html'];
+    assert.ok(html.includes('"reviewBody": "The \\"best\\" butcher \\u003c/script> & then some"'));
+    assert.equal(html.match(/<\/script>/g).length, html.match(/<script/g).length);
+  });
+
+  it('points links to shared files in the French pages at the site root', function() {
+    const html = files['fr/index.html'];
+    assert.ok(html.includes('<link href="../css/main.css" rel="stylesheet">'));
+    assert.ok(html.includes('<a href="hours.html">Heures</a>'));
+    assert.ok(files['fr/hours.html'].includes('href="../order.html?pack=Test%20Pack"'));
+    assert.ok(files['fr/offline.html'].includes('<a href="tel:+16135550100">'));
+  });
+
+  it('lists both versions of each page in the sitemap', function() {
+    assert.ok(files['sitemap.xml'].includes('<loc>https://example.com/hours.html</loc>\n' +
+      '    <xhtml:link rel="alternate" hreflang="en-CA" href="https://example.com/hours.html"/>\n' +
+      '    <xhtml:link rel="alternate" hreflang="fr-CA" href="https://example.com/fr/hours.html"/>'));
+    assert.ok(files['sitemap.xml'].includes('<loc>https://example.com/fr/hours.html</loc>\n' +
+      '    <xhtml:link rel="alternate" hreflang="en-CA" href="https://example.com/hours.html"/>'));
+  });
+
+  it('fails when a page has no French version', function() {
+    const copy = fs.mkdtempSync(path.join(os.tmpdir(), 'src-'));
+    try {
+      fs.cpSync(srcDir, copy, { recursive: true });
+      fs.rmSync(path.join(copy, 'pages', 'fr', 'hours.html'));
+      assert.throws(function() {
+        build.renderSite(copy, null);
+      }, /hours\.html has no "fr" version: add src\/pages\/fr\/hours\.html/);
+    } finally {
+      fs.rmSync(copy, { recursive: true, force: true });
+    }
+  });
+
+  it('changes nothing when a built page is filled and formatted again', function() {
+    const page = { locale: 'en', lang: 'en-CA' };
+    const pages = {
+      'index.html': Object.assign({
+        file: 'index.html', path: 'index.html', url: 'https://example.com/', title: 'Home',
+        languages: { others: [{ url: 'https://example.com/fr/' }] }, structuredData: { business: {} }
+      }, page),
+      'hours.html': Object.assign({
+        file: 'hours.html', path: 'hours.html', url: 'https://example.com/hours.html', title: 'Hours', breadcrumb: 'Hours',
+        languages: { others: [{ url: 'https://example.com/fr/hours.html' }] }, structuredData: {}
+      }, page)
+    };
+    Object.keys(pages).forEach(function(file) {
+      assert.equal(formatHTML(build.fillSections(files[file], pages[file])), files[file]);
+    });
+  });
+});
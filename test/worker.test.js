@@ -0,0 +1,743 @@
+/**
+ * Tests for the Worker's headers, redirects, 404 page (worker/index.js), quote requests
+ * (worker/quote.js), pre-orders and campaigns (worker/orders.js, worker/hours.js,
+ * worker/campaigns.js), staff admin (worker/admin.js) and newsletter signup
+ * (worker/newsletter.js), run in the local Workers runtime with wrangler (the same one
+ * wrangler dev uses) over a small site. The validators are also imported and called directly.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { unstable_startWorker } = require('wrangler');
+
+const JSON_LD = '{"@type":"ButcherShop"}';
+const JSON_LD_HASH = "'sha256-" + crypto.createHash('sha256').update(JSON_LD).digest('base64') + "'";
+
+// Open every day, so the pickup slots don't depend on the day the tests run
+const HOURS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].map(function(day) {
+  return { day: day, open: '09:00', close: '17:00', closed: false };
+});
+const PREORDERS = {
+  slotMinutes: 30,
+  slotCapacity: 1,
+  minLeadDays: 2,
+  maxDaysAhead: 7,
+  maxItemWeight: 50,
+  maxCustomWeight: 60
+};
+const PACKS = [{ name: 'Family Pack', weight: 20, items: [{ cut: 'Ground Beef', weight: 20 }] }];
+const CUTS = ['Ground Beef', 'Pork Chops'];
+// A campaign taking orders whenever the tests run, one not open yet and one that has closed
+const CAMPAIGN = { name: 'Holiday Pre-orders', items: [{ name: 'Fresh Turkey', sizes: ['Small', 'Large'], limit: 3 }] };
+const CAMPAIGNS = [
+  Object.assign({ id: 'open', startDate: '2000-01-01', cutoffDate: '2999-12-30', pickupDates: ['2999-12-31'] }, CAMPAIGN),
+  Object.assign({ id: 'upcoming', startDate: '2999-01-01', cutoffDate: '2999-12-30', pickupDates: ['2999-12-31'] }, CAMPAIGN),
+  Object.assign({ id: 'closed', cutoffDate: '2000-01-02', pickupDates: ['2000-01-03'] }, CAMPAIGN)
+];
+
+// Built files of the test site, by path relative to dist/
+const SITE = {
+  'index.html': '<!DOCTYPE html><title>Home</title><script type="application/ld+json">' + JSON_LD + '</script>',
+  'contact.html': '<!DOCTYPE html><title>Contact</title>',
+  '404.html': '<!DOCTYPE html><title>Not found</title>',
+  'fr/index.html': '<!DOCTYPE html><title>Accueil</title>',
+  'fr/404.html': '<!DOCTYPE html><title>Introuvable</title>',
+  'data/csp.json': JSON.stringify({ scriptHashes: [JSON_LD_HASH] }),
+  'data/hours.json': JSON.stringify({ timezone: 'America/Toronto', hours: HOURS, closures: [] }),
+  'data/orders.json': JSON.stringify({ timezone: 'America/Toronto', preorders: PREORDERS, packs: PACKS, cuts: CUTS }),
+  'data/campaigns.json': JSON.stringify({ timezone: 'America/Toronto', campaigns: CAMPAIGNS }),
+  'img/photo.jpg': 'jpeg',
+  'fonts/icons.woff2': 'font'
+};
+
+const ADMIN_PASSWORD = 'test-password';
+
+let worker;
+let siteDir;
+let apiServer;
+
+// Emails posted to the stand-in email service, newest last
+const sentMail = [];
+// Status the stand-in deploy hook answers with (0 drops the connection), and how many times it was called
+const deployHook = { status: 200, calls: 0 };
+
+/**
+ * Request a path from the Worker, without following redirects
+ * @param {string} pathname - Path and query string
+ * @param {Object} [init] - Request options
+ * @returns {Promise<Object>} - { response, body }
+ */
+async function request(pathname, init) {
+  const response = await worker.fetch('http://localhost' + pathname, Object.assign({ redirect: 'manual' }, init));
+  return { response: response, body: await response.text() };
+}
+
+before(async function() {
+  siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-'));
+  Object.keys(SITE).forEach(function(file) {
+    fs.mkdirSync(path.dirname(path.join(siteDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, file), SITE[file]);
+  });
+  // Stand-in for the email service's API, keeping what it is sent, and for the deploy hook
+  apiServer = http.createServer(function(req, res) {
+    let body = '';
+    req.on('data', function(chunk) {
+      body += chunk;
+    });
+    req.on('end', function() {
+      if (req.url === '/deploy') {
+        deployHook.calls++;
+        if (!deployHook.status) {
+          req.socket.destroy();
+          return;
+        }
+        res.writeHead(deployHook.status);
+        res.end();
+        return;
+      }
+      sentMail.push({ authorization: req.headers.authorization, message: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"id":"test"}');
+    });
+  });
+  await new Promise(function(resolve) {
+    apiServer.listen(0, '127.0.0.1', resolve);
+  });
+
+  // The runtime otherwise downloads the Request.cf object, which needs a network connection
+  process.env.CLOUDFLARE_CF_FETCH_ENABLED = 'false';
+  worker = await unstable_startWorker({
+    config: path.join(__dirname, '..', 'wrangler.toml'),
+    assets: siteDir,
+    bindings: {
+      ADMIN_PASSWORD: { type: 'plain_text', value: ADMIN_PASSWORD },
+      MAIL_API_URL: { type: 'plain_text', value: 'http://127.0.0.1:' + apiServer.address().port + '/emails' },
+      MAIL_API_KEY: { type: 'plain_text', value: 'test-key' },
+      DEPLOY_HOOK_URL: { type: 'plain_text', value: 'http://127.0.0.1:' + apiServer.address().port + '/deploy' }
+    },
+    dev: { server: { port: 0 }, inspector: false, logLevel: 'error', persist: false }
+  });
+  await worker.ready;
+});
+
+after(async function() {
+  if (worker) {
+    await worker.dispose();
+  }
+  if (apiServer) {
+    apiServer.close();
+  }
+  fs.rmSync(siteDir, { recursive: true, force: true });
+});
+
+describe('security headers', function() {
+  it('are on every response', async function() {
+    const responses = await Promise.all(['/', '/img/photo.jpg', '/missing', '/api/quote'].map(request));
+    responses.forEach(function(result) {
+      assert.equal(result.response.headers.get('Strict-Transport-Security'), 'max-age=31536000; includeSubDomains');
+      assert.equal(result.response.headers.get('X-Content-Type-Options'), 'nosniff');
+      assert.equal(result.response.headers.get('X-Frame-Options'), 'DENY');
+    });
+  });
+
+  it('include a Content-Security-Policy for pages, allowing the JSON-LD by hash and the map frame', async function() {
+    const { response } = await request('/index.html');
+    const policy = response.headers.get('Content-Security-Policy');
+    assert.match(policy, /script-src 'self' 'sha256-[^']+'(;|$)/);
+    assert.match(policy, /style-src 'self'(;|$)/);
+    assert.ok(policy.includes(JSON_LD_HASH));
+    assert.match(policy, /frame-src https:\/\/maps\.google\.com https:\/\/www\.google\.com/);
+    assert.match(policy, /frame-ancestors 'none'/);
+
+    const image = await request('/img/photo.jpg');
+    assert.equal(image.response.headers.get('Content-Security-Policy'), null);
+  });
+});
+
+describe('caching', function() {
+  it('caches fonts for a year, images for a week and checks pages every time', async function() {
+    assert.equal((await request('/fonts/icons.woff2')).response.headers.get('Cache-Control'), 'public, max-age=31536000, immutable');
+    assert.equal((await request('/img/photo.jpg')).response.headers.get('Cache-Control'), 'public, max-age=604800, stale-while-revalidate=86400');
+    assert.equal((await request('/img/photo.jpg?v=2')).response.headers.get('Cache-Control'), 'public, max-age=31536000, immutable');
+    assert.equal((await request('/contact.html')).response.headers.get('Cache-Control'), 'no-cache');
+    assert.equal((await request('/data/csp.json')).response.headers.get('Cache-Control'), 'no-cache');
+  });
+});
+
+describe('pages and redirects', function() {
+  it('serves pages at their .html URLs and the home pages at their directories', async function() {
+    assert.match((await request('/contact.html')).body, /<title>Contact<\/title>/);
+    assert.match((await request('/')).body, /<title>Home<\/title>/);
+    assert.match((await request('/fr/')).body, /<title>Accueil<\/title>/);
+  });
+
+  it('redirects paths without an extension to their page', async function() {
+    const contact = await request('/contact?from=card');
+    assert.equal(contact.response.status, 301);
+    assert.equal(contact.response.headers.get('Location'), 'http://localhost/contact.html?from=card');
+    assert.equal((await request('/fr')).response.headers.get('Location'), 'http://localhost/fr/');
+  });
+
+  it('redirects the old URLs in the redirect table', async function() {
+    const catering = await request('/catering/');
+    assert.equal(catering.response.status, 301);
+    assert.equal(catering.response.headers.get('Location'), 'http://localhost/services.html');
+  });
+});
+
+describe('404 page', function() {
+  it('is served for missing files, in French under /fr/', async function() {
+    const english = await request('/no/such/page.html');
+    assert.equal(english.response.status, 404);
+    assert.match(english.body, /<title>Not found<\/title>/);
+    assert.equal(english.response.headers.get('Cache-Control'), 'no-cache');
+    assert.ok(english.response.headers.get('Content-Security-Policy'));
+
+    const french = await request('/fr/nope');
+    assert.equal(french.response.status, 404);
+    assert.match(french.body, /<title>Introuvable<\/title>/);
+
+    assert.equal((await request('/img/missing.jpg')).response.status, 404);
+  });
+});
+
+describe('quote requests', function() {
+  let validateQuote;
+
+  before(async function() {
+    ({ validateQuote } = await import('../worker/quote.js'));
+  });
+
+  const QUOTE = {
+    serviceType: 'catered-event',
+    eventDate: '2026-06-20',
+    guestCount: '40',
+    name: 'Sam Taylor',
+    email: 'sam@example.com',
+    phone: ''
+  };
+
+  it('accepts a complete request and turns the guest count into a number', function() {
+    const result = validateQuote(QUOTE, '2026-05-01');
+    assert.deepEqual(result.errors, {});
+    assert.equal(result.quote.guestCount, 40);
+  });
+
+  it('rejects unknown services, bad and out-of-range dates, guest counts, emails and phone numbers', function() {
+    const today = '2026-05-01';
+    assert.deepEqual(Object.keys(validateQuote(Object.assign({}, QUOTE, { serviceType: 'wedding' }), today).errors), ['serviceType']);
+    assert.equal(validateQuote(Object.assign({}, QUOTE, { eventDate: '2026-02-30' }), today).errors.eventDate, 'Enter the event date');
+    assert.equal(validateQuote(Object.assign({}, QUOTE, { eventDate: '2026-04-30' }), today).errors.eventDate, 'The event date is in the past');
+    assert.equal(validateQuote(Object.assign({}, QUOTE, { eventDate: '2028-06-01' }), today).errors.eventDate, 'We take bookings up to two years ahead');
+    assert.ok(validateQuote(Object.assign({}, QUOTE, { guestCount: '0' }), today).errors.guestCount);
+    assert.ok(validateQuote(Object.assign({}, QUOTE, { guestCount: '12.5' }), today).errors.guestCount);
+    assert.ok(validateQuote(Object.assign({}, QUOTE, { email: 'sam@' }), today).errors.email);
+    assert.ok(validateQuote(Object.assign({}, QUOTE, { phone: 'call me' }), today).errors.phone);
+    assert.equal(validateQuote(Object.assign({}, QUOTE, { eventDate: '2026-04-30', lang: 'fr' }), today).errors.eventDate,
+      'La date de l’événement est passée');
+  });
+
+  it('answers with the field errors, then limits each address to five requests an hour', async function() {
+    const eventDate = new Date(Date.now() + 30 * 86400000).toISOString().slice(0, 10);
+    const post = function(fields) {
+      return request('/api/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'CF-Connecting-IP': '203.0.113.5' },
+        body: JSON.stringify(fields)
+      });
+    };
+
+    const invalid = await post({ serviceType: 'catered-event' });
+    assert.equal(invalid.response.status, 400);
+    assert.deepEqual(Object.keys(JSON.parse(invalid.body).errors).sort(), ['email', 'eventDate', 'guestCount', 'name']);
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await post(Object.assign({}, QUOTE, { eventDate: eventDate }))).response.status, 201);
+    }
+    const limited = await post(Object.assign({}, QUOTE, { eventDate: eventDate }));
+    assert.equal(limited.response.status, 429);
+    assert.ok(Number(limited.response.headers.get('Retry-After')) > 0);
+  });
+});
+
+describe('pre-orders', function() {
+  let getPickupSlots;
+  let validateOrder;
+
+  before(async function() {
+    ({ getPickupSlots } = await import('../worker/hours.js'));
+    ({ validateOrder } = await import('../worker/orders.js'));
+  });
+
+  const CATALOG = { preorders: PREORDERS, packs: PACKS, cuts: CUTS };
+  const SLOTS = [{ date: '2026-05-04', times: ['09:00', '09:30'] }];
+  const ORDER = {
+    pack: 'Family Pack',
+    pickupDate: '2026-05-04',
+    pickupTime: '09:30',
+    name: 'Sam Taylor',
+    email: 'sam@example.com',
+    phone: '613-555-0142'
+  };
+
+  it('offers the slots within open hours from the earliest to the latest pickup day, skipping closures', function() {
+    const data = {
+      hours: HOURS,
+      closures: [{ startDate: '2026-05-05', endDate: '2026-05-05' }, { startDate: '2026-05-06', endDate: '2026-05-06', close: '12:00' }]
+    };
+    const slots = getPickupSlots(data, { slotMinutes: 60, minLeadDays: 2, maxDaysAhead: 5 }, { date: '2026-05-01', time: '10:00' });
+    assert.deepEqual(slots.map(function(day) {
+      return day.date;
+    }), ['2026-05-03', '2026-05-04', '2026-05-06']);
+    assert.deepEqual(slots[0].times, ['09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00']);
+    // Special hours: open as usual, closing at noon
+    assert.deepEqual(slots[2].times, ['09:00', '10:00', '11:00']);
+  });
+
+  it('leaves out times that have already passed today', function() {
+    const slots = getPickupSlots({ hours: HOURS, closures: [] }, { slotMinutes: 60, minLeadDays: 0, maxDaysAhead: 0 }, { date: '2026-05-01', time: '14:10' });
+    assert.deepEqual(slots, [{ date: '2026-05-01', times: ['15:00', '16:00'] }]);
+  });
+
+  it('accepts a pack from the specials and takes its items and weight from the catalog', function() {
+    const result = validateOrder(Object.assign({}, ORDER, { items: [{ cut: 'Pork Chops', weight: 99 }] }), CATALOG, SLOTS);
+    assert.deepEqual(result.errors, {});
+    assert.equal(result.order.weight, 20);
+    assert.deepEqual(result.order.items, PACKS[0].items);
+  });
+
+  it('rejects unknown packs, custom packs with bad or too many pounds, and pickup times not on offer', function() {
+    assert.ok(validateOrder(Object.assign({}, ORDER, { pack: 'Mystery Pack' }), CATALOG, SLOTS).errors.pack);
+    const custom = function(items) {
+      return validateOrder(Object.assign({}, ORDER, { pack: 'custom', items: items }), CATALOG, SLOTS).errors.items;
+    };
+    assert.equal(custom([]), 'Add between 1 and 20 cuts to your pack');
+    assert.equal(custom([{ cut: 'Veal Cheeks', weight: 5 }]), 'Choose a cut and a weight from 1 to 50 lbs for each line');
+    assert.equal(custom([{ cut: 'Pork Chops', weight: 2.5 }]), 'Choose a cut and a weight from 1 to 50 lbs for each line');
+    assert.equal(custom([{ cut: 'Pork Chops', weight: 40 }, { cut: 'Ground Beef', weight: 30 }]), 'Custom packs can weigh up to 60 lbs');
+    assert.equal(custom([{ cut: 'Pork Chops', weight: 40 }, { cut: 'Ground Beef', weight: 20 }]), undefined);
+    assert.equal(validateOrder(Object.assign({}, ORDER, { pack: 'custom', items: [], lang: 'fr' }), CATALOG, SLOTS).errors.items,
+      'Ajoutez entre 1 et 20 coupes à votre forfait');
+
+    assert.ok(validateOrder(Object.assign({}, ORDER, { pickupDate: '2026-05-05' }), CATALOG, SLOTS).errors.pickupDate);
+    assert.ok(validateOrder(Object.assign({}, ORDER, { pickupTime: '17:00' }), CATALOG, SLOTS).errors.pickupTime);
+    assert.ok(validateOrder(Object.assign({}, ORDER, { phone: '' }), CATALOG, SLOTS).errors.phone);
+  });
+
+  it('books an order into a slot until it is full, and shows the order without contact details except to staff', async function() {
+    const slots = JSON.parse((await request('/api/order/slots')).body);
+    assert.equal(slots.days.length, PREORDERS.maxDaysAhead - PREORDERS.minLeadDays + 1);
+    const day = slots.days[0];
+    assert.deepEqual(day.times[0], { time: '09:00', available: 1 });
+
+    const post = function() {
+      return request('/api/order', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.6' },
+        body: JSON.stringify(Object.assign({}, ORDER, { pickupDate: day.date, pickupTime: '09:00' }))
+      });
+    };
+    const placed = await post();
+    assert.equal(placed.response.status, 201);
+    const reference = JSON.parse(placed.body).reference;
+    assert.match(reference, /^CMM-[A-HJ-NP-Z2-9]{8}$/);
+
+    const full = await post();
+    assert.equal(full.response.status, 409);
+    assert.ok(JSON.parse(full.body).errors.pickupTime);
+    assert.equal(JSON.parse((await request('/api/order/slots')).body).days[0].times[0].available, 0);
+
+    const lookup = JSON.parse((await request('/api/order/' + reference)).body);
+    assert.equal(lookup.order.pack, 'Family Pack');
+    assert.equal(lookup.order.pickupTime, '09:00');
+    assert.equal(lookup.order.email, undefined);
+    assert.equal(lookup.order.phone, undefined);
+
+    // Staff see every order with its contact details
+    const exportURL = '/admin/api/orders.csv';
+    assert.equal((await request(exportURL)).response.status, 401);
+    const exported = await request(exportURL, {
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from('staff:' + ADMIN_PASSWORD).toString('base64'),
+        'CF-Connecting-IP': '203.0.113.6'
+      }
+    });
+    assert.equal(exported.response.status, 200);
+    assert.equal(exported.response.headers.get('Content-Disposition'), 'attachment; filename="pre-orders.csv"');
+    const lines = exported.body.split('\r\n');
+    assert.equal(lines.length, 3);
+    assert.equal(lines[0], 'Pickup day,Pickup time,Name,Phone,Email,Pack,Cuts,Weight (lbs),Notes,Reference,Placed at');
+    assert.ok(lines[1].startsWith(day.date + ',09:00,Sam Taylor,613-555-0142,sam@example.com,Family Pack,20 lb Ground Beef,20,,' +
+      reference + ','));
+  });
+});
+
+describe('pre-order campaigns', function() {
+  let getCampaignState;
+  let validateCampaignOrder;
+  let findSoldOutItem;
+  let formatOrdersCSV;
+  let formatCSV;
+
+  before(async function() {
+    ({ getCampaignState, validateCampaignOrder, findSoldOutItem, formatOrdersCSV } = await import('../worker/campaigns.js'));
+    ({ formatCSV } = await import('../worker/http.js'));
+  });
+
+  const ORDER = {
+    items: [{ item: 'Fresh Turkey', size: 'Large', quantity: 2 }],
+    pickupDate: '2999-12-31',
+    name: 'Sam Taylor',
+    email: 'sam@example.com',
+    phone: '613-555-0142'
+  };
+
+  /**
+   * Place a campaign order
+   * @param {string} id - Campaign id
+   * @param {Object} fields - Order fields
+   * @returns {Promise<Object>} - { response, body }
+   */
+  function placeOrder(id, fields) {
+    return request('/api/campaigns/' + id + '/order', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.9' },
+      body: JSON.stringify(fields)
+    });
+  }
+
+  it('takes orders from the start date to the cutoff date', function() {
+    const campaign = { startDate: '2026-11-02', cutoffDate: '2026-12-17' };
+    assert.equal(getCampaignState(campaign, '2026-11-01'), 'upcoming');
+    assert.equal(getCampaignState(campaign, '2026-11-02'), 'open');
+    assert.equal(getCampaignState(campaign, '2026-12-17'), 'open');
+    assert.equal(getCampaignState(campaign, '2026-12-18'), 'closed');
+    assert.equal(getCampaignState({ cutoffDate: '2026-12-17' }, '2026-01-01'), 'open');
+  });
+
+  it('rejects unknown items and sizes, quantities over the item\'s limit and other pickup days', function() {
+    const campaign = CAMPAIGNS[0];
+    assert.deepEqual(validateCampaignOrder(ORDER, campaign).errors, {});
+    [
+      { item: 'Smoked Ham', size: 'Large', quantity: 1 },
+      { item: 'Fresh Turkey', size: 'Huge', quantity: 1 },
+      { item: 'Fresh Turkey', size: 'Large', quantity: 4 },
+      { item: 'Fresh Turkey', size: 'Large', quantity: 1.5 }
+    ].forEach(function(line) {
+      assert.equal(validateCampaignOrder(Object.assign({}, ORDER, { items: [line] }), campaign).errors.items,
+        'Choose an item, a size and a quantity for each line');
+    });
+    assert.ok(validateCampaignOrder(Object.assign({}, ORDER, { items: [] }), campaign).errors.items);
+    assert.ok(validateCampaignOrder(Object.assign({}, ORDER, { pickupDate: '2999-12-30' }), campaign).errors.pickupDate);
+  });
+
+  it('finds an item ordered beyond what is left, over all its sizes', function() {
+    const campaign = CAMPAIGNS[0];
+    const lines = [{ item: 'Fresh Turkey', size: 'Small', quantity: 1 }, { item: 'Fresh Turkey', size: 'Large', quantity: 1 }];
+    assert.equal(findSoldOutItem(lines, campaign, { 'Fresh Turkey': 1 }), null);
+    assert.deepEqual(findSoldOutItem(lines, campaign, { 'Fresh Turkey': 2 }), { item: 'Fresh Turkey', remaining: 1 });
+    assert.deepEqual(findSoldOutItem(lines, campaign, { 'Fresh Turkey': 5 }), { item: 'Fresh Turkey', remaining: 0 });
+  });
+
+  it('rejects orders before the start date and after the cutoff date, in the language of the page', async function() {
+    const upcoming = await placeOrder('upcoming', ORDER);
+    assert.equal(upcoming.response.status, 409);
+    assert.equal(JSON.parse(upcoming.body).error, 'We are not taking orders for Holiday Pre-orders yet.');
+
+    const closed = await placeOrder('closed', Object.assign({}, ORDER, { pickupDate: '2000-01-03' }));
+    assert.equal(closed.response.status, 409);
+    assert.equal(JSON.parse(closed.body).error, 'Orders for Holiday Pre-orders have closed.');
+    const closedFrench = await placeOrder('closed', Object.assign({}, ORDER, { pickupDate: '2000-01-03', lang: 'fr' }));
+    assert.equal(JSON.parse(closedFrench.body).error, 'Les commandes pour Holiday Pre-orders sont terminées.');
+
+    assert.equal((await placeOrder('no-such-campaign', ORDER)).response.status, 404);
+  });
+
+  it('rejects an order for more than are left, and counts down what is left', async function() {
+    assert.equal((await placeOrder('open', ORDER)).response.status, 201);
+
+    const over = await placeOrder('open', ORDER);
+    assert.equal(over.response.status, 409);
+    assert.equal(JSON.parse(over.body).errors.items, 'Sorry, we only have 1 more Fresh Turkey available.');
+
+    const state = JSON.parse((await request('/api/campaigns/open')).body).campaign;
+    assert.equal(state.state, 'open');
+    assert.deepEqual(state.items, [{ name: 'Fresh Turkey', remaining: 1 }]);
+  });
+
+  it('lists orders as CSV, keeping formulas as plain text and quoting commas, quotes and line breaks', function() {
+    const csv = formatOrdersCSV([
+      {
+        pickupDate: '2026-12-23',
+        name: '=HYPERLINK("https://example.com","Sam")',
+        phone: '+1 613-555-0142',
+        email: '@SUM(A1)',
+        items: [{ item: 'Fresh Turkey', size: '10–12 lbs', quantity: 1 }],
+        notes: '-2+3',
+        reference: 'CMM-AAAAAAAA',
+        placedAt: '2026-11-20T15:00:00.000Z'
+      },
+      {
+        pickupDate: '2026-12-22',
+        name: 'Taylor, Sam',
+        phone: '613-555-0142',
+        email: 'sam@example.com',
+        items: [{ item: 'Smoked Ham', size: 'Half', quantity: 2 }, { item: 'Fresh Turkey', size: '14–16 lbs', quantity: 1 }],
+        notes: '+1 if possible\nRing the "back" bell',
+        reference: 'CMM-BBBBBBBB',
+        placedAt: '2026-11-21T15:00:00.000Z'
+      }
+    ]);
+    assert.deepEqual(csv.split('\r\n'), [
+      'Pickup day,Name,Phone,Email,Order,Notes,Reference,Placed at',
+      '2026-12-22,"Taylor, Sam",613-555-0142,sam@example.com,2 × Smoked Ham (Half); 1 × Fresh Turkey (14–16 lbs),"\'+1 if possible\nRing the ""back"" bell",CMM-BBBBBBBB,2026-11-21T15:00:00.000Z',
+      '2026-12-23,"\'=HYPERLINK(""https://example.com"",""Sam"")",+1 613-555-0142,\'@SUM(A1),1 × Fresh Turkey (10–12 lbs),\'-2+3,CMM-AAAAAAAA,2026-11-20T15:00:00.000Z',
+      ''
+    ]);
+  });
+
+  it('only leaves plain numbers and phone numbers starting with + or - as they are', function() {
+    const fields = ['-2-3', '+1+1', '-1 (2)', '+', '-', '@', '\t1', '-2', '+3.5', '+1 613-555-0142', '+1 (613) 555-0142'];
+    assert.equal(formatCSV([fields]), '\'-2-3,\'+1+1,\'-1 (2),\'+,\'-,\'@,\'\t1,-2,+3.5,+1 613-555-0142,+1 (613) 555-0142\r\n');
+  });
+});
+
+describe('staff admin', function() {
+  /**
+   * Call the admin API as staff from the admin page, and from their own address so other tests'
+   * failed sign-ins don't count
+   * @param {string} pathname - Path under /admin/api
+   * @param {Object} [init] - Request options
+   * @param {string} [password] - Password to sign in with
+   * @returns {Promise<Object>} - { response, body }
+   */
+  function adminRequest(pathname, init, password) {
+    init = init || {};
+    init.headers = Object.assign({
+      'Authorization': 'Basic ' + Buffer.from('staff:' + (password || ADMIN_PASSWORD)).toString('base64'),
+      'CF-Connecting-IP': '203.0.113.7',
+      'Origin': 'http://localhost'
+    }, init.headers);
+    return request('/admin/api' + pathname, init);
+  }
+
+  /**
+   * Save an edited section
+   * @param {string} name - Section name
+   * @param {*} value - New value
+   * @returns {Promise<Object>} - { response, body }
+   */
+  function saveSection(name, value) {
+    return adminRequest('/data/' + name, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ value: value })
+    });
+  }
+
+  const ANNOUNCEMENT = { id: 'open-house', message: { en: 'Open house on Saturday', fr: 'Portes ouvertes samedi' } };
+
+  it('asks for the password, and locks out an address after ten wrong ones', async function() {
+    const anonymous = await request('/admin/api/data');
+    assert.equal(anonymous.response.status, 401);
+    assert.match(anonymous.response.headers.get('WWW-Authenticate'), /^Basic /);
+    assert.equal((await request('/admin')).response.status, 401);
+
+    const guess = function(password) {
+      return adminRequest('/data', { headers: { 'CF-Connecting-IP': '203.0.113.8' } }, password);
+    };
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await guess('guess-' + i)).response.status, 401);
+    }
+    const locked = await guess(ADMIN_PASSWORD);
+    assert.equal(locked.response.status, 429);
+    assert.ok(Number(locked.response.headers.get('Retry-After')) > 0);
+
+    // Other addresses can still sign in
+    assert.equal((await adminRequest('/data')).response.status, 200);
+  });
+
+  it('checks edits with the build\'s rules', async function() {
+    const result = await saveSection('announcements', [{ id: 'Open House', message: { en: 'Open house' } }]);
+    assert.equal(result.response.status, 400);
+    assert.equal(JSON.parse(result.body).errors[0].path, 'announcements[0].id');
+  });
+
+  it('only gives the build published edits, and keeps the last ones if the rebuild can\'t start', async function() {
+    const siteData = async function() {
+      return JSON.parse((await request('/api/site-data')).body);
+    };
+
+    assert.equal((await saveSection('announcements', [ANNOUNCEMENT])).response.status, 200);
+    assert.deepEqual((await siteData()).sections, {});
+
+    const published = await adminRequest('/publish', { method: 'POST' });
+    assert.equal(published.response.status, 200);
+    assert.equal(deployHook.calls, 1);
+    const live = await siteData();
+    assert.deepEqual(live.sections.announcements, [ANNOUNCEMENT]);
+    assert.ok(!isNaN(Date.parse(live.publishedAt)));
+
+    // A draft saved after publishing stays out of the build, even when publishing it fails
+    await saveSection('announcements', []);
+    deployHook.status = 500;
+    try {
+      assert.equal((await adminRequest('/publish', { method: 'POST' })).response.status, 502);
+    } finally {
+      deployHook.status = 200;
+    }
+    assert.deepEqual((await siteData()).sections.announcements, [ANNOUNCEMENT]);
+
+    deployHook.status = 0;
+    try {
+      const failed = await adminRequest('/publish', { method: 'POST' });
+      assert.equal(failed.response.status, 502);
+      assert.equal(JSON.parse(failed.body).ok, false);
+    } finally {
+      deployHook.status = 200;
+    }
+    assert.deepEqual((await siteData()).sections.announcements, [ANNOUNCEMENT]);
+  });
+
+  it('only takes changes from the site\'s own pages', async function() {
+    // An empty Origin counts as none, as from clients that don't send one
+    const crossSite = [
+      { 'Origin': 'https://example.com' },
+      { 'Origin': '', 'Sec-Fetch-Site': 'cross-site' },
+      { 'Origin': '' }
+    ];
+    for (const headers of crossSite) {
+      const saved = await adminRequest('/data/announcements', { method: 'DELETE', headers: headers });
+      assert.equal(saved.response.status, 403);
+      assert.equal((await adminRequest('/publish', { method: 'POST', headers: headers })).response.status, 403);
+    }
+    assert.equal((await adminRequest('/data/announcements', {
+      method: 'DELETE',
+      headers: { 'Origin': '', 'Sec-Fetch-Site': 'same-origin' }
+    })).response.status, 200);
+    assert.equal((await adminRequest('/data', { headers: { 'Origin': 'https://example.com' } })).response.status, 200);
+  });
+});
+
+describe('newsletter', function() {
+  /**
+   * Sign up to the newsletter as site.js does
+   * @param {Object} fields - Form fields
+   * @returns {Promise<Object>} - { response, body }
+   */
+  function signUp(fields) {
+    return request('/api/newsletter', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(fields)
+    });
+  }
+
+  /**
+   * List the confirmed subscribers, as npm run digest does
+   * @returns {Promise<Object[]>} - Subscribers
+   */
+  async function listSubscribers() {
+    const result = await request('/admin/api/newsletter/subscribers', {
+      headers: { 'Authorization': 'Basic ' + Buffer.from('staff:' + ADMIN_PASSWORD).toString('base64') }
+    });
+    return JSON.parse(result.body).subscribers;
+  }
+
+  it('needs a valid email address and consent, and says so in the language of the page', async function() {
+    const result = await signUp({ email: 'not-an-email', lang: 'en' });
+    assert.equal(result.response.status, 400);
+    assert.deepEqual(Object.keys(JSON.parse(result.body).errors).sort(), ['consent', 'email']);
+
+    const french = await signUp({ email: 'not-an-email', consent: 'yes', lang: 'fr' });
+    assert.deepEqual(JSON.parse(french.body).errors, { email: 'Entrez une adresse courriel valide' });
+  });
+
+  it('confirms a signup from the link in its email before listing the subscriber, and unsubscribes once asked to confirm', async function() {
+    const signup = await signUp({ email: 'Reader@Example.com', consent: 'yes', lang: 'fr' });
+    assert.equal(signup.response.status, 202);
+    assert.deepEqual(await listSubscribers(), []);
+
+    const sent = sentMail[sentMail.length - 1];
+    assert.equal(sent.authorization, 'Bearer test-key');
+    assert.deepEqual(sent.message.to, ['reader@example.com']);
+    assert.match(sent.message.subject, /^Veuillez confirmer/);
+    const confirmPath = sent.message.text.match(/http:\/\/localhost(\/api\/newsletter\/confirm\?token=\w+)/)[1];
+    const unsubscribePath = sent.message.headers['List-Unsubscribe'].match(/^<http:\/\/localhost(\/api\/newsletter\/unsubscribe\?token=\w+)>$/)[1];
+
+    const confirm = await request(confirmPath);
+    assert.equal(confirm.response.status, 303);
+    assert.equal(confirm.response.headers.get('Location'), 'http://localhost/fr/newsletter.html?status=confirmed');
+    const subscribers = await listSubscribers();
+    assert.equal(subscribers.length, 1);
+    assert.equal(subscribers[0].email, 'reader@example.com');
+    assert.equal(subscribers[0].locale, 'fr');
+
+    // The link only works once
+    assert.equal((await request(confirmPath)).response.headers.get('Location'), 'http://localhost/newsletter.html?status=invalid');
+
+    // Following the link, as mail scanners do, only asks to confirm
+    const token = unsubscribePath.split('=')[1];
+    const link = await request(unsubscribePath);
+    assert.equal(link.response.status, 303);
+    assert.equal(link.response.headers.get('Location'), 'http://localhost/fr/newsletter.html?status=unsubscribe&token=' + token);
+    assert.equal((await listSubscribers()).length, 1);
+
+    const unsubscribe = await request('/api/newsletter/unsubscribe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'token=' + token
+    });
+    assert.equal(unsubscribe.response.headers.get('Location'), 'http://localhost/fr/newsletter.html?status=unsubscribed');
+    assert.deepEqual(await listSubscribers(), []);
+    assert.equal((await request(unsubscribePath)).response.headers.get('Location'), 'http://localhost/fr/newsletter.html?status=unsubscribed');
+  });
+
+  it('unsubscribes in one click from the email app', async function() {
+    await signUp({ email: 'oneclick@example.com', consent: 'yes', lang: 'en' });
+    const sent = sentMail[sentMail.length - 1];
+    await request(sent.message.text.match(/http:\/\/localhost(\/api\/newsletter\/confirm\?token=\w+)/)[1]);
+    assert.deepEqual((await listSubscribers()).map(function(subscriber) {
+      return subscriber.email;
+    }), ['oneclick@example.com']);
+
+    const unsubscribe = await request(sent.message.headers['List-Unsubscribe'].slice('<http://localhost'.length, -1), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click'
+    });
+    assert.equal(unsubscribe.response.status, 200);
+    assert.deepEqual(await listSubscribers(), []);
+  });
+
+  it('sends plain form posts back to the page they came from', async function() {
+    const result = await request('/api/newsletter', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Referer': 'http://localhost/contact.html' },
+      body: 'email=plain%40example.com&consent=yes&lang=en'
+    });
+    assert.equal(result.response.status, 303);
+    assert.equal(result.response.headers.get('Location'), 'http://localhost/contact.html?newsletter=sent#newsletter');
+  });
+
+  it('only lists subscribers for staff', async function() {
+    assert.equal((await request('/admin/api/newsletter/subscribers')).response.status, 401);
+  });
+
+  it('only answers GET for the subscriber list', async function() {
+    const result = await request('/admin/api/newsletter/subscribers', {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from('staff:' + ADMIN_PASSWORD).toString('base64'),
+        'Origin': 'http://localhost'
+      }
+    });
+    assert.equal(result.response.status, 405);
+    assert.equal(result.response.headers.get('Allow'), 'GET');
+  });
+});
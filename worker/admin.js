@@ -0,0 +1,301 @@
+/**
+ * Staff Admin
+ *
+ * /admin                           - admin page (src/pages/admin.html)
+ * GET    /admin/api/data           - current hours, closures, announcements and specials
+ * PUT    /admin/api/data/<section> - save a section, { value }
+ * DELETE /admin/api/data/<section> - drop a section's edits and go back to business-data.js
+ * POST   /admin/api/publish        - publish the saved edits and rebuild the site through the deploy hook
+ * GET    /api/site-data            - published edits, read by the site build (SITE_DATA_URL)
+ *
+ * Everything under /admin is behind HTTP Basic auth: any user name with the ADMIN_PASSWORD
+ * secret. Failed sign-ins are limited per IP. Browsers send Basic credentials with requests
+ * other sites start too, so POST, PUT and DELETE are only accepted from the site's own pages.
+ *
+ * Edits are checked with scripts/business-data-schema.js, the same rules the build uses,
+ * and stored in the SITE_DATA KV namespace under "overrides" as
+ * { sections: { <section>: value }, updatedAt, publishedAt }. Saved edits are drafts until
+ * "Publish changes" copies them to "published" as { sections, updatedAt, publishedAt }. The site is
+ * static, so published edits reach the public pages when it is next built: the build
+ * fetches /api/site-data and applies them over business-data.js. /api/site-data needs no
+ * password because it only serves what has been published, never the drafts.
+ */
+
+import businessData from '../scripts/business-data.js';
+import schema from '../scripts/business-data-schema.js';
+import { jsonResponse, readFormBody, getClientIP } from './http.js';
+import { checkRateLimit, getRateLimitWait } from './rate-limit.js';
+
+/**
+ * Failed sign-ins allowed per IP address per 15 minutes
+ */
+const LOGIN_LIMIT = { max: 10, windowSeconds: 900 };
+
+const OVERRIDES_KEY = 'overrides';
+const PUBLISHED_KEY = 'published';
+
+/**
+ * Read the saved edits
+ * @param {Object} env - Worker bindings (SITE_DATA)
+ * @returns {Promise<Object>} - { sections, updatedAt, publishedAt }
+ */
+async function readOverrides(env) {
+  const overrides = (await env.SITE_DATA.get(OVERRIDES_KEY, 'json')) || { sections: {}, updatedAt: null, publishedAt: null };
+  overrides.sections = schema.upgradeSections(overrides.sections);
+  return overrides;
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<Uint8Array>} - Digest bytes
+ */
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+/**
+ * Compare a password with the expected one in constant time.
+ * Both are hashed first so the comparison doesn't depend on their lengths either.
+ * @param {string} password - Password sent by the client
+ * @param {string} expected - ADMIN_PASSWORD secret
+ * @returns {Promise<boolean>} - True if they match
+ */
+async function passwordMatches(password, expected) {
+  const results = await Promise.all([sha256(password), sha256(expected)]);
+  let difference = 0;
+  for (let i = 0; i < results[0].length; i++) {
+    difference |= results[0][i] ^ results[1][i];
+  }
+  return difference === 0;
+}
+
+/**
+ * Get the password from a Basic Authorization header
+ * @param {Request} request - Incoming request
+ * @returns {string|null} - Password, or null if the request has no usable credentials
+ */
+function getPassword(request) {
+  const match = (request.headers.get('Authorization') || '').match(/^Basic\s+(\S+)$/i);
+  if (!match) {
+    return null;
+  }
+  try {
+    const decoded = new TextDecoder().decode(Uint8Array.from(atob(match[1]), function(char) {
+      return char.charCodeAt(0);
+    }));
+    return decoded.slice(decoded.indexOf(':') + 1);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the request's admin credentials
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SITE_DATA, ADMIN_PASSWORD)
+ * @returns {Promise<Response|null>} - Error response, or null if the request may go ahead
+ */
+async function authorize(request, env) {
+  if (!env.ADMIN_PASSWORD) {
+    return new Response('The admin page is not set up yet: set the ADMIN_PASSWORD secret.', { status: 503 });
+  }
+
+  const ip = getClientIP(request);
+  const wait = await getRateLimitWait(env.SITE_DATA, 'admin-login', ip, LOGIN_LIMIT);
+  if (wait > 0) {
+    return new Response('Too many sign-in attempts. Please try again later.', {
+      status: 429,
+      headers: { 'Retry-After': String(wait) }
+    });
+  }
+
+  const password = getPassword(request);
+  if (password !== null && await passwordMatches(password, env.ADMIN_PASSWORD)) {
+    return null;
+  }
+  if (password !== null) {
+    await checkRateLimit(env.SITE_DATA, 'admin-login', ip, LOGIN_LIMIT);
+  }
+  return new Response('Please sign in to use the staff admin page.', {
+    status: 401,
+    headers: { 'WWW-Authenticate': 'Basic realm="Staff admin", charset="UTF-8"' }
+  });
+}
+
+/**
+ * Check that a request which changes something was started by one of the site's own pages.
+ * Browsers send Origin with every POST, PUT and DELETE, and Sec-Fetch-Site with most requests.
+ * @param {Request} request - Incoming request
+ * @returns {Response|null} - Error response, or null if the request may go ahead
+ */
+function checkSameOrigin(request) {
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return null;
+  }
+  const origin = request.headers.get('Origin');
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  if (origin ? origin === new URL(request.url).origin : fetchSite === 'same-origin') {
+    return null;
+  }
+  return jsonResponse({ ok: false, error: 'Changes can only be made from the staff admin page.' }, 403);
+}
+
+/**
+ * Wrap a route handler so it only runs for signed-in staff, and its responses are never cached
+ * @param {Function} handler - Route handler (request, env, ...params)
+ * @returns {Function} - Route handler
+ */
+export function requireAdmin(handler) {
+  return async function(request, env, ...params) {
+    const response = (await authorize(request, env)) || checkSameOrigin(request) ||
+      (await handler(request, env, ...params));
+    // Responses from the assets binding have immutable headers, so copy before changing them
+    const copy = new Response(response.body, response);
+    copy.headers.set('Cache-Control', 'no-store');
+    return copy;
+  };
+}
+
+/**
+ * Handle GET /admin - serve the admin page from the built assets
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @returns {Promise<Response>} - Admin page
+ */
+export async function handleAdminPage(request, env) {
+  // The assets binding serves files at their exact path only, and this route also answers /admin
+  return env.ASSETS.fetch(new Request(new URL('/admin.html', request.url), request));
+}
+
+/**
+ * Handle GET /admin/api/data
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SITE_DATA)
+ * @returns {Promise<Response>} - { ok, sections: { <section>: { value, edited } }, updatedAt, publishedAt }
+ */
+export async function handleAdminData(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+
+  const overrides = await readOverrides(env);
+  const sections = {};
+  Object.keys(schema.EDITABLE_SECTIONS).forEach(function(name) {
+    const edited = Object.prototype.hasOwnProperty.call(overrides.sections, name);
+    sections[name] = { value: edited ? overrides.sections[name] : businessData[name], edited: edited };
+  });
+  return jsonResponse({
+    ok: true,
+    sections: sections,
+    updatedAt: overrides.updatedAt,
+    publishedAt: overrides.publishedAt
+  });
+}
+
+/**
+ * Handle PUT and DELETE /admin/api/data/<section>
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SITE_DATA)
+ * @param {string} name - Section name from the URL
+ * @returns {Promise<Response>} - { ok, updatedAt }, or 400 { ok, errors: [{ path, message }] }
+ */
+export async function handleAdminSection(request, env, name) {
+  if (!Object.prototype.hasOwnProperty.call(schema.EDITABLE_SECTIONS, name)) {
+    return jsonResponse({ ok: false, error: 'Unknown section' }, 404);
+  }
+  if (request.method !== 'PUT' && request.method !== 'DELETE') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'PUT, DELETE' });
+  }
+
+  const overrides = await readOverrides(env);
+  if (request.method === 'PUT') {
+    const body = await readFormBody(request);
+    if (!body || !('value' in body)) {
+      return jsonResponse({ ok: false, error: 'The changes could not be read.' }, 400);
+    }
+    const errors = schema.validateSection(name, body.value);
+    if (errors.length > 0) {
+      return jsonResponse({ ok: false, errors: errors }, 400);
+    }
+    overrides.sections[name] = body.value;
+  } else {
+    delete overrides.sections[name];
+  }
+
+  overrides.updatedAt = new Date().toISOString();
+  await env.SITE_DATA.put(OVERRIDES_KEY, JSON.stringify(overrides));
+  return jsonResponse({ ok: true, updatedAt: overrides.updatedAt });
+}
+
+/**
+ * Handle POST /admin/api/publish - publish the saved edits and ask Cloudflare to rebuild and deploy the site
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SITE_DATA, DEPLOY_HOOK_URL)
+ * @returns {Promise<Response>} - { ok, updatedAt, publishedAt }
+ */
+export async function handlePublish(request, env) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'POST' });
+  }
+  if (!env.DEPLOY_HOOK_URL) {
+    return jsonResponse({
+      ok: false,
+      error: 'The site can\'t be rebuilt from here yet (no DEPLOY_HOOK_URL), so nothing was published.'
+    }, 501);
+  }
+
+  // Published before the rebuild starts, so the build reads these edits
+  const overrides = await readOverrides(env);
+  const previous = await env.SITE_DATA.get(PUBLISHED_KEY);
+  const publishedAt = new Date().toISOString();
+  await env.SITE_DATA.put(PUBLISHED_KEY, JSON.stringify({
+    sections: overrides.sections,
+    updatedAt: overrides.updatedAt,
+    publishedAt: publishedAt
+  }));
+
+  let error = null;
+  try {
+    const response = await fetch(env.DEPLOY_HOOK_URL, { method: 'POST' });
+    if (!response.ok) {
+      error = 'The site rebuild could not be started (HTTP ' + response.status + ').';
+    }
+  } catch (err) {
+    error = 'The site rebuild could not be started (' + err.message + ').';
+  }
+  if (error) {
+    // Nothing was published, so a later deploy shouldn't pick these edits up either
+    if (previous === null) {
+      await env.SITE_DATA.delete(PUBLISHED_KEY);
+    } else {
+      await env.SITE_DATA.put(PUBLISHED_KEY, previous);
+    }
+    return jsonResponse({ ok: false, error: error }, 502);
+  }
+
+  overrides.publishedAt = publishedAt;
+  await env.SITE_DATA.put(OVERRIDES_KEY, JSON.stringify(overrides));
+  return jsonResponse({ ok: true, updatedAt: overrides.updatedAt, publishedAt: overrides.publishedAt });
+}
+
+/**
+ * Handle GET /api/site-data - published edits for the site build
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SITE_DATA)
+ * @returns {Promise<Response>} - { ok, sections, updatedAt, publishedAt }
+ */
+export async function handleSiteData(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+  const published = (await env.SITE_DATA.get(PUBLISHED_KEY, 'json')) || { sections: {}, updatedAt: null };
+  return jsonResponse({
+    ok: true,
+    sections: schema.upgradeSections(published.sections),
+    updatedAt: published.updatedAt,
+    publishedAt: published.publishedAt || null
+  }, 200, {
+    'Cache-Control': 'no-store'
+  });
+}
@@ -0,0 +1,97 @@
+/**
+ * Static Assets
+ *
+ * Serves the site built into dist/ through the assets binding, which only serves files at
+ * their exact path (html_handling = "none" in wrangler.toml), so that pages keep the .html
+ * URLs they are linked and indexed with:
+ *
+ * - Directory URLs serve their index.html (/ and /fr/ are the home pages' canonical URLs)
+ * - Paths without an extension redirect to their page (/contact → /contact.html, /fr → /fr/)
+ * - Anything else that's missing gets the 404 page, in French under /fr/
+ *
+ * Every asset gets the Cache-Control from CACHE_RULES (worker/headers.js).
+ */
+
+import i18n from '../scripts/i18n.js';
+import { getCacheControl } from './headers.js';
+
+const NOT_FOUND_PAGE = '404.html';
+
+/**
+ * Fetch a file from the assets binding
+ * @param {Request} request - Incoming request, for its method and headers
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @param {URL} url - URL of the file
+ * @returns {Promise<Response>} - Response from the assets binding
+ */
+function fetchAsset(request, env, url) {
+  return env.ASSETS.fetch(new Request(url, request));
+}
+
+/**
+ * Find the page a path without an extension means
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @param {URL} url - Requested URL
+ * @returns {Promise<string|null>} - URL of the page, or null if there is none
+ */
+async function findPage(request, env, url) {
+  if (url.pathname.endsWith('/') || /\.[^/]*$/.test(url.pathname)) {
+    return null;
+  }
+  const candidates = [url.pathname + '.html', url.pathname + '/'];
+  for (const candidate of candidates) {
+    const file = candidate.endsWith('/') ? candidate + 'index.html' : candidate;
+    const response = await fetchAsset(new Request(request, { method: 'HEAD' }), env, new URL(file, url));
+    if (response.ok) {
+      return new URL(candidate + url.search, url).toString();
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the 404 page in the language of the requested path
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @param {URL} url - Requested URL
+ * @returns {Promise<Response>} - 404 response
+ */
+async function notFoundResponse(request, env, url) {
+  const locale = Object.keys(i18n.LOCALES).find(function(name) {
+    const dir = i18n.LOCALES[name].dir;
+    return dir && url.pathname.startsWith('/' + dir);
+  }) || i18n.DEFAULT_LOCALE;
+  const page = await fetchAsset(new Request(request, { method: 'GET' }), env, new URL('/' + i18n.LOCALES[locale].dir + NOT_FOUND_PAGE, url));
+  if (!page.ok) {
+    return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+  }
+  const headers = new Headers(page.headers);
+  headers.delete('ETag');
+  return new Response(request.method === 'HEAD' ? null : page.body, { status: 404, headers: headers });
+}
+
+/**
+ * Serve a request from the static assets
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @returns {Promise<Response>} - Asset, redirect or 404 page
+ */
+export async function serveAsset(request, env) {
+  const url = new URL(request.url);
+  const file = url.pathname.endsWith('/') ? new URL(url.pathname + 'index.html' + url.search, url) : url;
+  let response = await fetchAsset(request, env, file);
+
+  if (response.status === 404 && (request.method === 'GET' || request.method === 'HEAD')) {
+    const page = await findPage(request, env, url);
+    if (page) {
+      return Response.redirect(page, 301);
+    }
+    response = await notFoundResponse(request, env, url);
+  }
+
+  const copy = new Response(response.body, response);
+  const found = response.ok || response.status === 304;
+  copy.headers.set('Cache-Control', found ? getCacheControl(url.pathname + url.search) : 'no-cache');
+  return copy;
+}
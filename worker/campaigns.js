@@ -0,0 +1,334 @@
+/**
+ * Seasonal Pre-order Campaigns
+ *
+ * GET  /api/campaigns/<id>                     - whether the campaign takes orders, and how many of each item are left
+ * POST /api/campaigns/<id>/order               - order items for one of the campaign's pickup days
+ * GET  /admin/api/campaigns/<id>/orders.csv    - every order, for staff to print for pickup day
+ *
+ * Campaigns come from data/campaigns.json, built from scripts/business-data.js. Orders are
+ * stored in the ORDERS KV namespace under "campaign-order:<id>:<reference>", and how many of
+ * each item have been ordered under "campaign-counts:<id>" as { "Fresh Turkey": 12, ... }.
+ *
+ * As with pickup slots (worker/orders.js), KV is eventually consistent, so two orders placed
+ * at the same moment can both take the last of an item. The limits leave the shop some
+ * room for that; a hard limit would need the counts in a Durable Object or D1 instead.
+ */
+
+import i18n from '../scripts/i18n.js';
+import {
+  jsonResponse, readFormBody, getClientIP, getLocale, getRequestLocale, fetchAssetJSON, clean, formatCSV, csvResponse,
+  EMAIL_REGEX, PHONE_REGEX
+} from './http.js';
+import { checkRateLimit } from './rate-limit.js';
+import { getShopNow } from './hours.js';
+import { generateReference } from './orders.js';
+
+/**
+ * Orders allowed per IP address per hour (shared with the freezer-pack orders)
+ */
+const RATE_LIMIT = { max: 5, windowSeconds: 3600 };
+
+/**
+ * Most lines (item and size) in one order
+ */
+const MAX_LINES = 20;
+const MAX_NOTES = 1000;
+
+/**
+ * Load a campaign from the built campaign data
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @param {string} id - Campaign id from the URL
+ * @returns {Promise<Object>} - { campaign (null if there is no such campaign), today: date in the shop's timezone }
+ */
+async function loadCampaign(request, env, id) {
+  const data = await fetchAssetJSON(request, env, '/data/campaigns.json');
+  const campaign = data.campaigns.find(function(entry) {
+    return entry.id === id;
+  });
+  return { campaign: campaign || null, today: getShopNow(data.timezone).date };
+}
+
+/**
+ * Whether a campaign takes orders on a date
+ * @param {Object} campaign - Campaign from data/campaigns.json
+ * @param {string} today - Date in ISO format (YYYY-MM-DD)
+ * @returns {string} - "upcoming" before its startDate, "open" until its cutoffDate, then "closed"
+ */
+export function getCampaignState(campaign, today) {
+  if (campaign.startDate && today < campaign.startDate) {
+    return 'upcoming';
+  }
+  return today <= campaign.cutoffDate ? 'open' : 'closed';
+}
+
+/**
+ * Read how many of each item have been ordered
+ * @param {KVNamespace} kv - ORDERS namespace
+ * @param {string} id - Campaign id
+ * @returns {Promise<Object>} - Quantities keyed by item name (e.g., { "Fresh Turkey": 12 })
+ */
+async function getOrderedCounts(kv, id) {
+  return (await kv.get('campaign-counts:' + id, 'json')) || {};
+}
+
+/**
+ * Validate a campaign order. Whether there are enough of each item left is checked separately
+ * (see findSoldOutItem), once the order is known to be valid.
+ * @param {Object} body - Submitted fields; items is an array of { item, size, quantity }.
+ *   Messages are in the language of its lang field.
+ * @param {Object} campaign - Campaign from data/campaigns.json
+ * @returns {Object} - { errors: field → message (empty when valid), order: cleaned fields }
+ */
+export function validateCampaignOrder(body, campaign) {
+  const locale = getLocale(clean(body.lang));
+  const errors = {};
+  const lines = Array.isArray(body.items) ? body.items : [];
+  const order = {
+    items: lines.map(function(line) {
+      line = line || {};
+      return { item: clean(line.item), size: clean(line.size), quantity: Number(clean(line.quantity)) };
+    }),
+    pickupDate: clean(body.pickupDate),
+    name: clean(body.name),
+    email: clean(body.email),
+    phone: clean(body.phone),
+    notes: clean(body.notes)
+  };
+
+  const invalidLine = order.items.some(function(line) {
+    const item = campaign.items.find(function(entry) {
+      return entry.name === line.item;
+    });
+    return !item || !item.sizes.includes(line.size) || !Number.isInteger(line.quantity) ||
+      line.quantity < 1 || line.quantity > item.limit;
+  });
+  if (order.items.length === 0 || order.items.length > MAX_LINES) {
+    errors.items = i18n.translate(locale, 'chooseQuantities');
+  } else if (invalidLine) {
+    errors.items = i18n.translate(locale, 'chooseItemSizeQuantity');
+  }
+
+  if (!campaign.pickupDates.includes(order.pickupDate)) {
+    errors.pickupDate = i18n.translate(locale, 'choosePickupDay');
+  }
+
+  if (!order.name || order.name.length > 100) {
+    errors.name = i18n.translate(locale, 'enterName');
+  }
+
+  if (!EMAIL_REGEX.test(order.email) || order.email.length > 254) {
+    errors.email = i18n.translate(locale, 'enterEmail');
+  }
+
+  if (!PHONE_REGEX.test(order.phone)) {
+    errors.phone = i18n.translate(locale, 'enterContactPhone');
+  }
+
+  if (order.notes.length > MAX_NOTES) {
+    errors.notes = i18n.translate(locale, 'notesTooLong', { max: MAX_NOTES });
+  }
+
+  return { errors: errors, order: order };
+}
+
+/**
+ * Add up an order's quantities by item, over all its sizes
+ * @param {Object[]} lines - Order lines from validateCampaignOrder()
+ * @returns {Object} - Quantities keyed by item name
+ */
+function countItems(lines) {
+  const counts = {};
+  lines.forEach(function(line) {
+    counts[line.item] = (counts[line.item] || 0) + line.quantity;
+  });
+  return counts;
+}
+
+/**
+ * Find an item the order asks for more of than are left
+ * @param {Object[]} lines - Order lines from validateCampaignOrder()
+ * @param {Object} campaign - Campaign from data/campaigns.json
+ * @param {Object} ordered - Quantities already ordered, from getOrderedCounts()
+ * @returns {Object|null} - { item, remaining }, or null if there are enough of everything
+ */
+export function findSoldOutItem(lines, campaign, ordered) {
+  const wanted = countItems(lines);
+  for (const item of campaign.items) {
+    const remaining = Math.max(item.limit - (ordered[item.name] || 0), 0);
+    if (wanted[item.name] > remaining) {
+      return { item: item.name, remaining: remaining };
+    }
+  }
+  return null;
+}
+
+/**
+ * Handle GET /api/campaigns/<id>
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS, ORDERS)
+ * @param {string} id - Campaign id from the URL
+ * @returns {Promise<Response>} - { ok, campaign: { id, state, items: [{ name, remaining }] } }
+ */
+export async function handleCampaignRequest(request, env, id) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+
+  const data = await loadCampaign(request, env, id);
+  if (!data.campaign) {
+    return jsonResponse({ ok: false, error: 'Campaign not found' }, 404);
+  }
+  const ordered = await getOrderedCounts(env.ORDERS, id);
+  return jsonResponse({
+    ok: true,
+    campaign: {
+      id: id,
+      state: getCampaignState(data.campaign, data.today),
+      items: data.campaign.items.map(function(item) {
+        return { name: item.name, remaining: Math.max(item.limit - (ordered[item.name] || 0), 0) };
+      })
+    }
+  }, 200, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * Handle POST /api/campaigns/<id>/order
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS, ORDERS)
+ * @param {string} id - Campaign id from the URL
+ * @returns {Promise<Response>} - 201 { ok, reference } when the order is placed
+ */
+export async function handleCampaignOrder(request, env, id) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'POST' });
+  }
+
+  const body = await readFormBody(request);
+  const locale = getRequestLocale(request, body);
+  if (!body) {
+    return jsonResponse({ ok: false, error: i18n.translate(locale, 'orderUnreadable') }, 400);
+  }
+
+  // Hidden "website" field: people leave it empty, spam bots fill it in. Pretend it worked.
+  if (clean(body.website)) {
+    return jsonResponse({ ok: true, reference: generateReference() }, 201);
+  }
+
+  const data = await loadCampaign(request, env, id);
+  if (!data.campaign) {
+    return jsonResponse({ ok: false, error: i18n.translate(locale, 'campaignNotFound') }, 404);
+  }
+  const campaign = data.campaign;
+  const state = getCampaignState(campaign, data.today);
+  if (state !== 'open') {
+    return jsonResponse({
+      ok: false,
+      error: i18n.translate(locale, state === 'upcoming' ? 'campaignUpcoming' : 'campaignClosed', { name: campaign.name })
+    }, 409);
+  }
+
+  const result = validateCampaignOrder(body, campaign);
+  if (Object.keys(result.errors).length > 0) {
+    return jsonResponse({ ok: false, errors: result.errors }, 400);
+  }
+
+  const rateLimit = await checkRateLimit(env.ORDERS, 'order', getClientIP(request), RATE_LIMIT);
+  if (!rateLimit.allowed) {
+    return jsonResponse({ ok: false, error: i18n.translate(locale, 'tooManyOrders') }, 429, {
+      'Retry-After': String(rateLimit.retryAfter)
+    });
+  }
+
+  const order = result.order;
+  const ordered = await getOrderedCounts(env.ORDERS, id);
+  const soldOut = findSoldOutItem(order.items, campaign, ordered);
+  if (soldOut) {
+    return jsonResponse({
+      ok: false,
+      errors: {
+        items: i18n.translate(locale, soldOut.remaining === 0 ? 'itemSoldOut' : 'itemOnlyLeft', {
+          item: soldOut.item,
+          count: soldOut.remaining
+        })
+      }
+    }, 409);
+  }
+
+  const reference = generateReference();
+  const record = Object.assign({ reference: reference, campaign: id, placedAt: new Date().toISOString() }, order);
+  await env.ORDERS.put('campaign-order:' + id + ':' + reference, JSON.stringify(record));
+
+  const wanted = countItems(order.items);
+  Object.keys(wanted).forEach(function(name) {
+    ordered[name] = (ordered[name] || 0) + wanted[name];
+  });
+  await env.ORDERS.put('campaign-counts:' + id, JSON.stringify(ordered));
+
+  return jsonResponse({ ok: true, reference: reference }, 201);
+}
+
+/**
+ * Read every order of a campaign
+ * @param {KVNamespace} kv - ORDERS namespace
+ * @param {string} id - Campaign id
+ * @returns {Promise<Object[]>} - Order records
+ */
+async function listCampaignOrders(kv, id) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: 'campaign-order:' + id + ':', cursor: cursor });
+    page.keys.forEach(function(key) {
+      keys.push(key.name);
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const records = await Promise.all(keys.map(function(key) {
+    return kv.get(key, 'json');
+  }));
+  return records.filter(Boolean);
+}
+
+/**
+ * Turn campaign orders into a CSV file, sorted by pickup day and then name
+ * @param {Object[]} orders - Order records
+ * @returns {string} - CSV with a header row and CRLF line endings
+ */
+export function formatOrdersCSV(orders) {
+  const rows = orders.slice().sort(function(a, b) {
+    return a.pickupDate.localeCompare(b.pickupDate) || a.name.localeCompare(b.name);
+  }).map(function(order) {
+    return [
+      order.pickupDate,
+      order.name,
+      order.phone,
+      order.email,
+      order.items.map(function(line) {
+        return line.quantity + ' × ' + line.item + ' (' + line.size + ')';
+      }).join('; '),
+      order.notes,
+      order.reference,
+      order.placedAt
+    ];
+  });
+  return formatCSV([['Pickup day', 'Name', 'Phone', 'Email', 'Order', 'Notes', 'Reference', 'Placed at']].concat(rows));
+}
+
+/**
+ * Handle GET /admin/api/campaigns/<id>/orders.csv. Works for past campaigns too, as long as
+ * their orders are still stored.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ORDERS)
+ * @param {string} id - Campaign id from the URL
+ * @returns {Promise<Response>} - CSV download
+ */
+export async function handleCampaignOrdersCSV(request, env, id) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+
+  const orders = await listCampaignOrders(env.ORDERS, id);
+  return csvResponse(formatOrdersCSV(orders), id + '-orders.csv');
+}
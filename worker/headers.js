@@ -0,0 +1,125 @@
+/**
+ * Response Headers
+ *
+ * The security headers every response gets, the Content-Security-Policy for pages, and how
+ * long browsers may cache each kind of static asset. Edit the tables below to change the policy.
+ *
+ * The pages' only inline scripts are their JSON-LD blocks. The build lists their hashes in
+ * data/csp.json (scripts/update-business-data.js) and they are added to script-src, so no
+ * other inline script can run.
+ */
+
+import { fetchAssetJSON } from './http.js';
+
+/**
+ * Headers added to every response
+ */
+export const SECURITY_HEADERS = {
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+};
+
+/**
+ * Content-Security-Policy directives for HTML responses. script-src also gets the inline
+ * script hashes from data/csp.json.
+ */
+export const CSP_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  // Bootstrap's icons are data: SVGs
+  'img-src': ["'self'", 'data:'],
+  // The contact page's map, loaded by site.js when asked for (maps.google.com redirects to www.google.com)
+  'frame-src': ['https://maps.google.com', 'https://www.google.com'],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"]
+};
+
+/**
+ * Cache-Control for static assets, by path. The first matching rule wins.
+ * Pages, data files and the service worker are checked with the server on every load, so
+ * an update (or a closure notice) shows up straight away.
+ */
+export const CACHE_RULES = [
+  // Anything requested with a version, e.g. css/main.css?v=3, never changes
+  { path: /[?&]v=/, cacheControl: 'public, max-age=31536000, immutable' },
+  { path: /^\/fonts\//, cacheControl: 'public, max-age=31536000, immutable' },
+  // Photos and icons keep their names when replaced, so are checked again after a week
+  { path: /^\/(img|icons)\//, cacheControl: 'public, max-age=604800, stale-while-revalidate=86400' },
+  { path: /^\/(css|js)\//, cacheControl: 'public, max-age=3600, stale-while-revalidate=86400' },
+  { path: /^\/favicon\.ico$/, cacheControl: 'public, max-age=604800' },
+  { path: /./, cacheControl: 'no-cache' }
+];
+
+const CSP_DATA_PATH = '/data/csp.json';
+
+/**
+ * Inline script hashes from data/csp.json, read once per Worker instance
+ */
+let scriptHashes = null;
+
+/**
+ * Build the Content-Security-Policy header value
+ * @param {string[]} hashes - Inline script hash sources (e.g., "'sha256-...'")
+ * @returns {string} - Header value
+ */
+export function getContentSecurityPolicy(hashes) {
+  return Object.keys(CSP_DIRECTIVES).map(function(directive) {
+    const sources = directive === 'script-src' ? CSP_DIRECTIVES[directive].concat(hashes) : CSP_DIRECTIVES[directive];
+    return [directive].concat(sources).join(' ');
+  }).join('; ');
+}
+
+/**
+ * Get the Cache-Control header for a static asset
+ * @param {string} path - Path and query string (e.g., "/img/slide-1.jpg")
+ * @returns {string} - Header value
+ */
+export function getCacheControl(path) {
+  return CACHE_RULES.find(function(rule) {
+    return rule.path.test(path);
+  }).cacheControl;
+}
+
+/**
+ * Read the inline script hashes built into data/csp.json. If they can't be read, pages are
+ * sent with a policy that allows no inline scripts, and reading is tried again next time.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @returns {Promise<string[]>} - Hash sources
+ */
+async function getScriptHashes(request, env) {
+  if (!scriptHashes) {
+    try {
+      scriptHashes = (await fetchAssetJSON(request, env, CSP_DATA_PATH)).scriptHashes;
+    } catch (error) {
+      console.error('Content-Security-Policy:', error.message);
+      return [];
+    }
+  }
+  return scriptHashes;
+}
+
+/**
+ * Add the security headers to a response, and the Content-Security-Policy if it's a page
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @param {Response} response - Response from a route or the assets
+ * @returns {Promise<Response>} - Response with the headers
+ */
+export async function applySecurityHeaders(request, env, response) {
+  // Responses from fetch() and the assets binding can't be changed, so copy them
+  const copy = new Response(response.body, response);
+  Object.keys(SECURITY_HEADERS).forEach(function(name) {
+    copy.headers.set(name, SECURITY_HEADERS[name]);
+  });
+  if ((copy.headers.get('Content-Type') || '').startsWith('text/html')) {
+    copy.headers.set('Content-Security-Policy', getContentSecurityPolicy(await getScriptHashes(request, env)));
+  }
+  return copy;
+}
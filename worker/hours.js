@@ -0,0 +1,134 @@
+/**
+ * Shop Hours
+ *
+ * Date helpers and opening-hours logic for the Worker's API routes. Hours and
+ * closures come from data/hours.json, built from scripts/business-data.js, so
+ * the Worker always agrees with the hours shown on the site.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Get the current date and time in the shop's timezone
+ * @param {string} timeZone - IANA timezone name (e.g., "America/Toronto")
+ * @returns {Object} - { date: "YYYY-MM-DD", time: "HH:MM" }
+ */
+export function getShopNow(timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date()).forEach(function(part) {
+    parts[part.type] = part.value;
+  });
+  return {
+    date: parts.year + '-' + parts.month + '-' + parts.day,
+    time: parts.hour + ':' + parts.minute
+  };
+}
+
+/**
+ * Add a number of days to a calendar date
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {number} days - Number of days to add
+ * @returns {string} - Resulting date in ISO format (YYYY-MM-DD)
+ */
+export function addDays(dateStr, days) {
+  const parts = dateStr.split('-');
+  const date = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]) + days));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday name for a calendar date (e.g., "Tuesday")
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {string} - Weekday name
+ */
+function getDayName(dateStr) {
+  const parts = dateStr.split('-');
+  return DAY_NAMES[new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]))).getUTCDay()];
+}
+
+/**
+ * Get the effective hours for a date, applying closures and special hours over the regular hours.
+ * Mirrors getDayHours() in scripts/update-business-data.js.
+ * @param {Object} data - Hours data from data/hours.json
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {Object} - { closed, open, close }
+ */
+export function getDayHours(data, dateStr) {
+  const dayName = getDayName(dateStr);
+  const regular = data.hours.find(function(hour) {
+    return hour.day === dayName;
+  });
+  const matches = data.closures.filter(function(closure) {
+    return closure.startDate <= dateStr && closure.endDate >= dateStr;
+  });
+  const closure = matches.find(function(entry) {
+    return !entry.close;
+  }) || matches[0] || null;
+
+  if (!closure) {
+    return { closed: regular.closed, open: regular.open, close: regular.close };
+  }
+  const open = closure.open || (regular.closed ? null : regular.open);
+  if (!closure.close || !open) {
+    return { closed: true, open: null, close: null };
+  }
+  return { closed: false, open: open, close: closure.close };
+}
+
+/**
+ * Convert a 24-hour time to minutes after midnight
+ * @param {string} time - Time in 24-hour format (e.g., "09:30")
+ * @returns {number} - Minutes after midnight
+ */
+function toMinutes(time) {
+  const parts = time.split(':');
+  return Number(parts[0]) * 60 + Number(parts[1]);
+}
+
+/**
+ * Convert minutes after midnight to a 24-hour time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - Time in 24-hour format (e.g., "09:30")
+ */
+function fromMinutes(minutes) {
+  return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+}
+
+/**
+ * List the pickup slots on offer: every slot that starts and ends within open hours,
+ * from the earliest to the latest pickup day. Closure days have no slots.
+ * @param {Object} data - Hours data from data/hours.json
+ * @param {Object} preorders - Pre-order settings from data/orders.json
+ * @param {Object} now - Current shop date and time from getShopNow()
+ * @returns {Object[]} - Open days in date order, each { date, times: ["09:30", ...] }
+ */
+export function getPickupSlots(data, preorders, now) {
+  const days = [];
+  for (let i = preorders.minLeadDays; i <= preorders.maxDaysAhead; i++) {
+    const date = addDays(now.date, i);
+    const hours = getDayHours(data, date);
+    if (hours.closed) {
+      continue;
+    }
+    const times = [];
+    const close = toMinutes(hours.close);
+    for (let start = toMinutes(hours.open); start + preorders.slotMinutes <= close; start += preorders.slotMinutes) {
+      const time = fromMinutes(start);
+      if (i > 0 || time > now.time) {
+        times.push(time);
+      }
+    }
+    if (times.length > 0) {
+      days.push({ date: date, times: times });
+    }
+  }
+  return days;
+}
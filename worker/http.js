@@ -0,0 +1,154 @@
+/**
+ * HTTP Helpers
+ * Shared request parsing and response helpers for the Worker's API routes
+ */
+
+import i18n from '../scripts/i18n.js';
+
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const PHONE_REGEX = /^[0-9+().\-\s]{7,20}$/;
+
+/**
+ * Create a JSON response
+ * @param {Object} body - Response body
+ * @param {number} [status] - HTTP status (default 200)
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response} - JSON response
+ */
+export function jsonResponse(body, status, headers) {
+  return new Response(JSON.stringify(body), {
+    status: status || 200,
+    headers: Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers || {})
+  });
+}
+
+/**
+ * Whether the client asked for a JSON response (site.js) rather than a page (plain form post)
+ * @param {Request} request - Incoming request
+ * @returns {boolean} - True if JSON is expected
+ */
+export function wantsJSON(request) {
+  return (request.headers.get('Accept') || '').includes('application/json');
+}
+
+/**
+ * Read a submitted form, sent either as JSON or as a regular HTML form post
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} - Submitted fields, or null if the body can't be read
+ */
+export async function readFormBody(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  try {
+    if (contentType.includes('application/json')) {
+      const body = await request.json();
+      return body !== null && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    }
+    if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+      return Object.fromEntries(await request.formData());
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Get the client IP address set by Cloudflare
+ * @param {Request} request - Incoming request
+ * @returns {string} - Client IP, or "unknown" when not available (e.g. some local setups)
+ */
+export function getClientIP(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Trim a submitted value to a string
+ * @param {*} value - Submitted value
+ * @returns {string} - Trimmed string ('' for missing values)
+ */
+export function clean(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Get a supported locale code
+ * @param {*} value - Submitted locale (e.g., "fr")
+ * @returns {string} - The locale, or the default one
+ */
+export function getLocale(value) {
+  return Object.prototype.hasOwnProperty.call(i18n.LOCALES, value) ? value : i18n.DEFAULT_LOCALE;
+}
+
+/**
+ * Get the language to answer a form in: its lang field (site.js sends the page's), else the
+ * lang query parameter (the French quote form posts to /api/quote?lang=fr)
+ * @param {Request} request - Incoming request
+ * @param {Object|null} body - Submitted fields, null if they couldn't be read
+ * @returns {string} - Locale code
+ */
+export function getRequestLocale(request, body) {
+  return getLocale(clean(body && body.lang) || new URL(request.url).searchParams.get('lang'));
+}
+
+/**
+ * Values starting with a formula character that are still safe to leave as they are:
+ * a plain number ("-2.5") or an international phone number ("+1 613-555-0142")
+ */
+const CSV_NUMBER_REGEX = /^[+-]?\d+(\.\d+)?$/;
+const CSV_PHONE_REGEX = /^\+\d{1,3}[ .-]?(\(\d{3}\)|\d{3})[ .-]?\d{3}[ .-]?\d{4}$/;
+
+/**
+ * Format a value as a CSV field. Text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe, so a name like "=HYPERLINK(...)" or "-2-3" stays plain text.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field, quoted when needed
+ */
+function formatCSVField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !CSV_NUMBER_REGEX.test(text) && !CSV_PHONE_REGEX.test(text)) {
+    text = '\'' + text;
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Turn rows of values into a CSV file
+ * @param {Array[]} rows - Rows, the header row first
+ * @returns {string} - CSV with CRLF line endings
+ */
+export function formatCSV(rows) {
+  return rows.map(function(row) {
+    return row.map(formatCSVField).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create a CSV file download
+ * @param {string} csv - CSV from formatCSV()
+ * @param {string} filename - File name to save as
+ * @returns {Response} - CSV response
+ */
+export function csvResponse(csv, filename) {
+  // The byte order mark tells Excel the file is UTF-8, so "Tourtière" isn't garbled
+  return new Response('\uFEFF' + csv, {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="' + filename + '"'
+    }
+  });
+}
+
+/**
+ * Read a JSON file built into dist/ (e.g. data/hours.json) through the assets binding
+ * @param {Request} request - Incoming request, used for the asset URL's origin
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @param {string} path - Asset path (e.g., "/data/hours.json")
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+export async function fetchAssetJSON(request, env, path) {
+  const response = await env.ASSETS.fetch(new Request(new URL(path, request.url)));
+  if (!response.ok) {
+    throw new Error('Could not load ' + path + ' (HTTP ' + response.status + ')');
+  }
+  return response.json();
+}
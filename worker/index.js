@@ -0,0 +1,82 @@
+/**
+ * Site Worker
+ *
+ * Runs in front of the static assets built into dist/ for every request. Requests under
+ * /api/ and the password-protected /admin pages are handled here, old URLs are redirected
+ * (worker/redirects.js), and everything else is served from the assets binding
+ * (worker/assets.js). Every response gets the security headers (worker/headers.js).
+ *
+ * Local development: npm run dev:worker (wrangler dev with local KV storage)
+ */
+
+import { handleQuoteRequest } from './quote.js';
+import { handleSlotsRequest, handleOrderRequest, handleOrderLookup, handleOrdersCSV } from './orders.js';
+import { handleCampaignRequest, handleCampaignOrder, handleCampaignOrdersCSV } from './campaigns.js';
+import {
+  handleNewsletterSignup, handleNewsletterConfirm, handleNewsletterUnsubscribe, handleSubscribersList
+} from './newsletter.js';
+import {
+  requireAdmin, handleAdminPage, handleAdminData, handleAdminSection, handlePublish, handleSiteData
+} from './admin.js';
+import { findRedirect } from './redirects.js';
+import { serveAsset } from './assets.js';
+import { applySecurityHeaders } from './headers.js';
+
+/**
+ * API routes, matched against the path in order. Captured groups are passed to the handler
+ * after the request and bindings.
+ */
+const ROUTES = [
+  { path: /^\/api\/quote$/, handler: handleQuoteRequest },
+  { path: /^\/api\/order$/, handler: handleOrderRequest },
+  { path: /^\/api\/order\/slots$/, handler: handleSlotsRequest },
+  { path: /^\/api\/order\/(CMM-[A-Z0-9]{8})$/, handler: handleOrderLookup },
+  { path: /^\/api\/campaigns\/([a-z0-9-]+)$/, handler: handleCampaignRequest },
+  { path: /^\/api\/campaigns\/([a-z0-9-]+)\/order$/, handler: handleCampaignOrder },
+  { path: /^\/api\/newsletter$/, handler: handleNewsletterSignup },
+  { path: /^\/api\/newsletter\/confirm$/, handler: handleNewsletterConfirm },
+  { path: /^\/api\/newsletter\/unsubscribe$/, handler: handleNewsletterUnsubscribe },
+  { path: /^\/api\/site-data$/, handler: handleSiteData },
+  { path: /^\/admin(?:\.html)?$/, handler: requireAdmin(handleAdminPage) },
+  { path: /^\/admin\/api\/data$/, handler: requireAdmin(handleAdminData) },
+  { path: /^\/admin\/api\/data\/(\w+)$/, handler: requireAdmin(handleAdminSection) },
+  { path: /^\/admin\/api\/publish$/, handler: requireAdmin(handlePublish) },
+  { path: /^\/admin\/api\/orders\.csv$/, handler: requireAdmin(handleOrdersCSV) },
+  { path: /^\/admin\/api\/newsletter\/subscribers$/, handler: requireAdmin(handleSubscribersList) },
+  { path: /^\/admin\/api\/campaigns\/([a-z0-9-]+)\/orders\.csv$/, handler: requireAdmin(handleCampaignOrdersCSV) },
+  { path: /^\/admin(?:\/.*)?$/, handler: requireAdmin(function() {
+    return new Response('Not found', { status: 404 });
+  }) }
+];
+
+/**
+ * Route a request to its handler, a redirect or the static assets
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings
+ * @returns {Promise<Response>} - Response
+ */
+async function handleRequest(request, env) {
+  const url = new URL(request.url);
+  for (const route of ROUTES) {
+    const match = url.pathname.match(route.path);
+    if (match) {
+      return route.handler(request, env, ...match.slice(1));
+    }
+  }
+  const redirect = findRedirect(url);
+  if (redirect) {
+    return Response.redirect(redirect, 301);
+  }
+  return serveAsset(request, env);
+}
+
+export default {
+  /**
+   * @param {Request} request - Incoming request
+   * @param {Object} env - Worker bindings (ASSETS, INQUIRIES, ORDERS, SITE_DATA, SUBSCRIBERS)
+   * @returns {Promise<Response>} - Response
+   */
+  async fetch(request, env) {
+    return applySecurityHeaders(request, env, await handleRequest(request, env));
+  }
+};
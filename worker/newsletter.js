@@ -0,0 +1,347 @@
+/**
+ * Newsletter
+ *
+ * POST /api/newsletter                     - sign up from the form in the site footer
+ * GET  /api/newsletter/confirm?token=      - confirmation link from the email sent on signup
+ * GET  /api/newsletter/unsubscribe?token=  - unsubscribe link at the end of every email, which asks to confirm
+ * POST /api/newsletter/unsubscribe         - unsubscribe, from that page's button (token in the form) or
+ *                                            in one click from the email app (token in the URL, RFC 8058)
+ * GET  /admin/api/newsletter/subscribers   - confirmed subscribers, for npm run digest (staff only)
+ *
+ * Signups are double opt-in: nobody is emailed news until they click the link in the
+ * confirmation email, which expires after a week. Subscribers are stored in the SUBSCRIBERS
+ * KV namespace under "subscriber:<email>" as { email, locale, status, unsubscribeToken,
+ * consent }, where status is "pending", "confirmed" or "unsubscribed", and consent is the
+ * record CASL asks us to keep of how each person agreed to hear from us: every signup
+ * (with the page and the consent wording they agreed to), confirmation and unsubscribe,
+ * each with its time and IP address. Records are kept after unsubscribing; signups that
+ * were never confirmed are dropped when their link expires. The links' tokens are stored
+ * under "confirm:<token>" and "unsubscribe:<token>".
+ *
+ * Emails go to the email service at MAIL_API_URL with the MAIL_API_KEY secret
+ * (scripts/mail.js). Without MAIL_API_URL, e.g. under wrangler dev, they are logged instead.
+ */
+
+import businessData from '../scripts/business-data.js';
+import i18n from '../scripts/i18n.js';
+import mail from '../scripts/mail.js';
+import template from '../scripts/template.js';
+import {
+  jsonResponse, wantsJSON, readFormBody, getClientIP, getLocale, getRequestLocale, clean, EMAIL_REGEX
+} from './http.js';
+import { checkRateLimit } from './rate-limit.js';
+
+/**
+ * Signups allowed per IP address per hour
+ */
+const RATE_LIMIT = { max: 5, windowSeconds: 3600 };
+
+/**
+ * How long a confirmation link works, in seconds
+ */
+const CONFIRM_TTL = 7 * 24 * 3600;
+
+// Page that tells visitors what happened when they follow a link from an email
+const STATUS_PAGE = 'newsletter.html';
+
+/**
+ * Get the transport emails are sent with
+ * @param {Object} env - Worker bindings (MAIL_API_URL, MAIL_API_KEY)
+ * @returns {Object} - Transport from scripts/mail.js
+ */
+export function getMailTransport(env) {
+  if (!env.MAIL_API_URL) {
+    return mail.createConsoleTransport();
+  }
+  return mail.createHTTPTransport({ url: env.MAIL_API_URL, apiKey: env.MAIL_API_KEY });
+}
+
+/**
+ * Make a random token for a confirmation or unsubscribe link
+ * @returns {string} - 64 hex characters
+ */
+function createToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(32)), function(byte) {
+    return byte.toString(16).padStart(2, '0');
+  }).join('');
+}
+
+/**
+ * Validate a signup
+ * @param {Object} body - Submitted fields
+ * @returns {Object} - { errors: field → message (empty when valid), signup: { email, locale } }
+ */
+export function validateSignup(body) {
+  const errors = {};
+  const signup = {
+    email: clean(body.email).toLowerCase(),
+    locale: getLocale(clean(body.lang))
+  };
+
+  if (!EMAIL_REGEX.test(signup.email) || signup.email.length > 254) {
+    errors.email = i18n.translate(signup.locale, 'enterEmail');
+  }
+  if (!['yes', 'on', 'true'].includes(clean(body.consent))) {
+    errors.consent = i18n.translate(signup.locale, 'agreeToEmails');
+  }
+
+  return { errors: errors, signup: signup };
+}
+
+/**
+ * Respond to a signup, as JSON for site.js or as a redirect back to the page for plain form posts
+ * @param {Request} request - Incoming request
+ * @param {Object} body - JSON response body
+ * @param {number} status - HTTP status for JSON responses
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response} - Response
+ */
+function respond(request, body, status, headers) {
+  if (wantsJSON(request)) {
+    return jsonResponse(body, status, headers);
+  }
+  // Back to the page the form was on, if it's one of ours
+  const url = new URL(request.url);
+  const referer = URL.canParse(request.headers.get('Referer')) ? new URL(request.headers.get('Referer')) : null;
+  const location = referer && referer.origin === url.origin ? referer : new URL('/', url);
+  location.searchParams.set('newsletter', body.ok ? 'sent' : 'error');
+  location.hash = 'newsletter';
+  return Response.redirect(location.toString(), 303);
+}
+
+/**
+ * Send visitors who followed a link from an email to the page that says what happened
+ * @param {Request} request - Incoming request
+ * @param {string} locale - Locale of the page
+ * @param {string} status - "confirmed", "unsubscribe" (asks to confirm), "unsubscribed" or "invalid"
+ * @param {string} [token] - Unsubscribe token, for the page's unsubscribe button
+ * @returns {Response} - Redirect
+ */
+function redirectToStatus(request, locale, status, token) {
+  const location = new URL('/' + i18n.LOCALES[locale].dir + STATUS_PAGE, request.url);
+  location.searchParams.set('status', status);
+  if (token) {
+    location.searchParams.set('token', token);
+  }
+  return Response.redirect(location.toString(), 303);
+}
+
+/**
+ * Read a subscriber
+ * @param {Object} env - Worker bindings (SUBSCRIBERS)
+ * @param {string} email - Email address, in lowercase
+ * @returns {Promise<Object|null>} - Subscriber, or null if there is none
+ */
+function readSubscriber(env, email) {
+  return env.SUBSCRIBERS.get('subscriber:' + email, 'json');
+}
+
+/**
+ * Save a subscriber and their unsubscribe token. Signups that were never confirmed expire
+ * with their confirmation link.
+ * @param {Object} env - Worker bindings (SUBSCRIBERS)
+ * @param {Object} subscriber - Subscriber
+ * @returns {Promise<void>}
+ */
+async function writeSubscriber(env, subscriber) {
+  const confirmed = subscriber.consent.some(function(event) {
+    return event.action === 'confirmed';
+  });
+  const options = confirmed ? {} : { expirationTtl: CONFIRM_TTL };
+  await Promise.all([
+    env.SUBSCRIBERS.put('subscriber:' + subscriber.email, JSON.stringify(subscriber), options),
+    env.SUBSCRIBERS.put('unsubscribe:' + subscriber.unsubscribeToken, subscriber.email, options)
+  ]);
+}
+
+/**
+ * Send the email with the link that confirms a signup
+ * @param {Request} request - Incoming request, for the links' origin
+ * @param {Object} env - Worker bindings (MAIL_API_URL, MAIL_API_KEY)
+ * @param {Object} subscriber - Subscriber
+ * @param {string} token - Confirmation token
+ * @returns {Promise<void>}
+ */
+async function sendConfirmation(request, env, subscriber, token) {
+  const locale = subscriber.locale;
+  const data = i18n.localize(businessData, locale);
+  const origin = new URL(request.url).origin;
+  const confirmURL = origin + '/api/newsletter/confirm?token=' + token;
+  const translate = function(key) {
+    return i18n.translate(locale, key, { name: data.name });
+  };
+
+  await getMailTransport(env).send(mail.createMessage({
+    data: data,
+    locale: locale,
+    to: subscriber.email,
+    subject: translate('confirmSubject'),
+    text: translate('confirmIntro') + '\n\n' + confirmURL + '\n\n' + translate('confirmIgnore'),
+    html: '<p>' + template.escapeHTML(translate('confirmIntro')) + '</p><p><a href="' + confirmURL + '">' +
+      template.escapeHTML(translate('confirmAction')) + '</a></p><p>' + template.escapeHTML(translate('confirmIgnore')) + '</p>',
+    unsubscribeURL: mail.getUnsubscribeURL(origin, subscriber.unsubscribeToken)
+  }));
+}
+
+/**
+ * Handle POST /api/newsletter
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SUBSCRIBERS, MAIL_API_URL, MAIL_API_KEY)
+ * @returns {Promise<Response>} - Response
+ */
+export async function handleNewsletterSignup(request, env) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'POST' });
+  }
+
+  const body = await readFormBody(request);
+  if (!body) {
+    return respond(request, { ok: false, error: i18n.translate(getRequestLocale(request, body), 'formUnreadable') }, 400);
+  }
+
+  // Hidden "website" field: people leave it empty, spam bots fill it in. Pretend it worked.
+  if (clean(body.website)) {
+    return respond(request, { ok: true }, 200);
+  }
+
+  const result = validateSignup(body);
+  if (Object.keys(result.errors).length > 0) {
+    return respond(request, { ok: false, errors: result.errors }, 400);
+  }
+
+  const ip = getClientIP(request);
+  const rateLimit = await checkRateLimit(env.SUBSCRIBERS, 'newsletter', ip, RATE_LIMIT);
+  if (!rateLimit.allowed) {
+    return respond(request, { ok: false, error: i18n.translate(result.signup.locale, 'tooManyRequests') }, 429, {
+      'Retry-After': String(rateLimit.retryAfter)
+    });
+  }
+
+  // Confirmed subscribers get the same answer as everyone else, so the form can't be used
+  // to find out who is subscribed, and aren't sent another confirmation email
+  const existing = await readSubscriber(env, result.signup.email);
+  if (existing && existing.status === 'confirmed') {
+    return respond(request, { ok: true }, 202);
+  }
+
+  const subscriber = existing || {
+    email: result.signup.email,
+    unsubscribeToken: createToken(),
+    consent: []
+  };
+  subscriber.locale = result.signup.locale;
+  subscriber.status = 'pending';
+  subscriber.consent.push({
+    action: 'signed up',
+    at: new Date().toISOString(),
+    ip: ip,
+    userAgent: request.headers.get('User-Agent') || '',
+    page: request.headers.get('Referer') || '',
+    wording: i18n.translate(subscriber.locale, 'newsletterConsent')
+  });
+
+  const token = createToken();
+  await writeSubscriber(env, subscriber);
+  await env.SUBSCRIBERS.put('confirm:' + token, subscriber.email, { expirationTtl: CONFIRM_TTL });
+  try {
+    await sendConfirmation(request, env, subscriber, token);
+  } catch (error) {
+    console.error('Newsletter confirmation:', error.message);
+    return respond(request, { ok: false, error: i18n.translate(subscriber.locale, 'confirmationNotSent') }, 502);
+  }
+
+  return respond(request, { ok: true }, 202);
+}
+
+/**
+ * Handle GET /api/newsletter/confirm
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SUBSCRIBERS)
+ * @returns {Promise<Response>} - Redirect to the newsletter page
+ */
+export async function handleNewsletterConfirm(request, env) {
+  const token = new URL(request.url).searchParams.get('token') || '';
+  const email = token ? await env.SUBSCRIBERS.get('confirm:' + token) : null;
+  const subscriber = email ? await readSubscriber(env, email) : null;
+  if (!subscriber) {
+    return redirectToStatus(request, i18n.DEFAULT_LOCALE, 'invalid');
+  }
+
+  if (subscriber.status !== 'confirmed') {
+    subscriber.status = 'confirmed';
+    subscriber.consent.push({ action: 'confirmed', at: new Date().toISOString(), ip: getClientIP(request) });
+    await writeSubscriber(env, subscriber);
+  }
+  await env.SUBSCRIBERS.delete('confirm:' + token);
+  return redirectToStatus(request, subscriber.locale, 'confirmed');
+}
+
+/**
+ * Handle GET and POST /api/newsletter/unsubscribe. Only POST unsubscribes: mail scanners and
+ * link previews follow the link in the email too, so GET sends people to the newsletter page
+ * to confirm with a button, which posts the token back. Email apps post
+ * List-Unsubscribe=One-Click to the link itself (RFC 8058) and get JSON.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SUBSCRIBERS)
+ * @returns {Promise<Response>} - Redirect to the newsletter page, or JSON for one-click unsubscribes
+ */
+export async function handleNewsletterUnsubscribe(request, env) {
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET, POST' });
+  }
+
+  const body = request.method === 'POST' ? (await readFormBody(request)) || {} : {};
+  const token = new URL(request.url).searchParams.get('token') || clean(body.token);
+  const email = token ? await env.SUBSCRIBERS.get('unsubscribe:' + token) : null;
+  const subscriber = email ? await readSubscriber(env, email) : null;
+
+  if (request.method === 'GET') {
+    if (!subscriber) {
+      return redirectToStatus(request, i18n.DEFAULT_LOCALE, 'invalid');
+    }
+    return subscriber.status === 'unsubscribed' ? redirectToStatus(request, subscriber.locale, 'unsubscribed') :
+      redirectToStatus(request, subscriber.locale, 'unsubscribe', token);
+  }
+
+  if (subscriber && subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'unsubscribed';
+    subscriber.consent.push({ action: 'unsubscribed', at: new Date().toISOString(), ip: getClientIP(request) });
+    await writeSubscriber(env, subscriber);
+  }
+
+  if (body['List-Unsubscribe'] === 'One-Click' || wantsJSON(request)) {
+    return subscriber ? jsonResponse({ ok: true }) : jsonResponse({ ok: false, error: 'Not found' }, 404);
+  }
+  return subscriber ? redirectToStatus(request, subscriber.locale, 'unsubscribed') : redirectToStatus(request, i18n.DEFAULT_LOCALE, 'invalid');
+}
+
+/**
+ * Handle GET /admin/api/newsletter/subscribers - everyone who confirmed their subscription
+ * and hasn't unsubscribed, with the token for their unsubscribe link
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (SUBSCRIBERS)
+ * @returns {Promise<Response>} - JSON { subscribers: [{ email, locale, unsubscribeToken }] }
+ */
+export async function handleSubscribersList(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.SUBSCRIBERS.list({ prefix: 'subscriber:', cursor: cursor });
+    Array.prototype.push.apply(keys, page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const subscribers = await Promise.all(keys.map(function(key) {
+    return env.SUBSCRIBERS.get(key.name, 'json');
+  }));
+  return jsonResponse({
+    subscribers: subscribers.filter(function(subscriber) {
+      return subscriber && subscriber.status === 'confirmed';
+    }).map(function(subscriber) {
+      return { email: subscriber.email, locale: subscriber.locale, unsubscribeToken: subscriber.unsubscribeToken };
+    })
+  });
+}
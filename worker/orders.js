@@ -0,0 +1,352 @@
+/**
+ * Freezer-pack Pre-orders
+ *
+ * GET  /api/order/slots        - pickup slots on offer and how many places are left in each
+ * POST /api/order              - order a packaged special or a custom pack for a pickup slot
+ * GET  /api/order/<reference>  - order summary for order-confirmation.html
+ * GET  /admin/api/orders.csv   - every order, for staff (behind requireAdmin)
+ *
+ * Packs, cuts and pickup settings come from data/orders.json and opening hours from
+ * data/hours.json, both built from scripts/business-data.js. Orders are stored in the
+ * ORDERS KV namespace under "order:<reference>", and the number of orders booked into
+ * each pickup slot under "pickup:<date>" as { "09:30": 2, ... }.
+ *
+ * KV is eventually consistent, so two orders placed at the same moment can both take
+ * the last place in a slot. An extra pickup now and then is manageable for the shop;
+ * a hard limit would need the booking counts in a Durable Object or D1 instead.
+ */
+
+import i18n from '../scripts/i18n.js';
+import {
+  jsonResponse, readFormBody, getClientIP, getLocale, getRequestLocale, fetchAssetJSON, clean, formatCSV, csvResponse,
+  EMAIL_REGEX, PHONE_REGEX
+} from './http.js';
+import { checkRateLimit } from './rate-limit.js';
+import { getShopNow, getPickupSlots } from './hours.js';
+
+/**
+ * Value of the pack field for a custom pack built from individual cuts
+ */
+export const CUSTOM_PACK = 'custom';
+
+/**
+ * Orders allowed per IP address per hour
+ */
+const RATE_LIMIT = { max: 5, windowSeconds: 3600 };
+
+/**
+ * Order references are "CMM-" and 8 characters, leaving out the easily confused I, O, 0 and 1
+ */
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 8;
+
+const MAX_CUSTOM_ITEMS = 20;
+const MAX_NOTES = 1000;
+
+/**
+ * Load the built order and hours data
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS)
+ * @returns {Promise<Object>} - { catalog: data/orders.json, hours: data/hours.json }
+ */
+async function loadOrderData(request, env) {
+  const results = await Promise.all([
+    fetchAssetJSON(request, env, '/data/orders.json'),
+    fetchAssetJSON(request, env, '/data/hours.json')
+  ]);
+  return { catalog: results[0], hours: results[1] };
+}
+
+/**
+ * Read how many orders are booked into each pickup slot on a date
+ * @param {KVNamespace} kv - ORDERS namespace
+ * @param {string} date - Pickup date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Order counts keyed by slot time (e.g., { "09:30": 2 })
+ */
+async function getBookings(kv, date) {
+  return (await kv.get('pickup:' + date, 'json')) || {};
+}
+
+/**
+ * Create a random order reference (e.g., "CMM-7K3F9QXA")
+ * @returns {string} - Order reference
+ */
+export function generateReference() {
+  // 256 is a multiple of the alphabet length, so every character is equally likely
+  const bytes = crypto.getRandomValues(new Uint8Array(REFERENCE_LENGTH));
+  return 'CMM-' + Array.from(bytes, function(byte) {
+    return REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length];
+  }).join('');
+}
+
+/**
+ * Validate an order
+ * @param {Object} body - Submitted fields; items is an array of { cut, weight } for custom packs.
+ *   Messages are in the language of its lang field.
+ * @param {Object} catalog - Packs, cuts and pre-order settings from data/orders.json
+ * @param {Object[]} slots - Pickup slots on offer from getPickupSlots()
+ * @returns {Object} - { errors: field → message (empty when valid), order: cleaned fields }
+ */
+export function validateOrder(body, catalog, slots) {
+  const settings = catalog.preorders;
+  const locale = getLocale(clean(body.lang));
+  const errors = {};
+  const order = {
+    pack: clean(body.pack),
+    items: [],
+    weight: 0,
+    pickupDate: clean(body.pickupDate),
+    pickupTime: clean(body.pickupTime),
+    name: clean(body.name),
+    email: clean(body.email),
+    phone: clean(body.phone),
+    notes: clean(body.notes)
+  };
+
+  if (order.pack === CUSTOM_PACK) {
+    const items = Array.isArray(body.items) ? body.items : [];
+    order.pack = 'Custom Pack';
+    order.items = items.map(function(item) {
+      item = item || {};
+      return { cut: clean(item.cut), weight: Number(clean(item.weight)) };
+    });
+    order.weight = order.items.reduce(function(total, item) {
+      return total + item.weight;
+    }, 0);
+    const invalidItem = order.items.some(function(item) {
+      return !catalog.cuts.includes(item.cut) || !Number.isInteger(item.weight) ||
+        item.weight < 1 || item.weight > settings.maxItemWeight;
+    });
+    if (order.items.length === 0 || order.items.length > MAX_CUSTOM_ITEMS) {
+      errors.items = i18n.translate(locale, 'addCuts', { max: MAX_CUSTOM_ITEMS });
+    } else if (invalidItem) {
+      errors.items = i18n.translate(locale, 'chooseCutWeight', { max: settings.maxItemWeight });
+    } else if (order.weight > settings.maxCustomWeight) {
+      errors.items = i18n.translate(locale, 'customPackTooHeavy', { max: settings.maxCustomWeight });
+    }
+  } else {
+    const pack = catalog.packs.find(function(entry) {
+      return entry.name === order.pack;
+    });
+    if (pack) {
+      order.items = pack.items;
+      order.weight = pack.weight;
+    } else {
+      errors.pack = i18n.translate(locale, 'choosePack');
+    }
+  }
+
+  const day = slots.find(function(entry) {
+    return entry.date === order.pickupDate;
+  });
+  if (!day) {
+    errors.pickupDate = i18n.translate(locale, 'choosePickupDay');
+  } else if (!day.times.includes(order.pickupTime)) {
+    errors.pickupTime = i18n.translate(locale, 'choosePickupTime');
+  }
+
+  if (!order.name || order.name.length > 100) {
+    errors.name = i18n.translate(locale, 'enterName');
+  }
+
+  if (!EMAIL_REGEX.test(order.email) || order.email.length > 254) {
+    errors.email = i18n.translate(locale, 'enterEmail');
+  }
+
+  if (!PHONE_REGEX.test(order.phone)) {
+    errors.phone = i18n.translate(locale, 'enterContactPhone');
+  }
+
+  if (order.notes.length > MAX_NOTES) {
+    errors.notes = i18n.translate(locale, 'notesTooLong', { max: MAX_NOTES });
+  }
+
+  return { errors: errors, order: order };
+}
+
+/**
+ * Handle GET /api/order/slots
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS, ORDERS)
+ * @returns {Promise<Response>} - { ok, days: [{ date, times: [{ time, available }] }] }
+ */
+export async function handleSlotsRequest(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+
+  const data = await loadOrderData(request, env);
+  const settings = data.catalog.preorders;
+  const slots = getPickupSlots(data.hours, settings, getShopNow(data.catalog.timezone));
+  const bookings = await Promise.all(slots.map(function(day) {
+    return getBookings(env.ORDERS, day.date);
+  }));
+
+  const days = slots.map(function(day, index) {
+    return {
+      date: day.date,
+      times: day.times.map(function(time) {
+        return { time: time, available: Math.max(settings.slotCapacity - (bookings[index][time] || 0), 0) };
+      })
+    };
+  });
+  return jsonResponse({ ok: true, days: days }, 200, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * Handle POST /api/order
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ASSETS, ORDERS)
+ * @returns {Promise<Response>} - 201 { ok, reference } when the order is placed
+ */
+export async function handleOrderRequest(request, env) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'POST' });
+  }
+
+  const body = await readFormBody(request);
+  const locale = getRequestLocale(request, body);
+  if (!body) {
+    return jsonResponse({ ok: false, error: i18n.translate(locale, 'orderUnreadable') }, 400);
+  }
+
+  // Hidden "website" field: people leave it empty, spam bots fill it in. Pretend it worked.
+  if (clean(body.website)) {
+    return jsonResponse({ ok: true, reference: generateReference() }, 201);
+  }
+
+  const data = await loadOrderData(request, env);
+  const settings = data.catalog.preorders;
+  const slots = getPickupSlots(data.hours, settings, getShopNow(data.catalog.timezone));
+  const result = validateOrder(body, data.catalog, slots);
+  if (Object.keys(result.errors).length > 0) {
+    return jsonResponse({ ok: false, errors: result.errors }, 400);
+  }
+
+  const rateLimit = await checkRateLimit(env.ORDERS, 'order', getClientIP(request), RATE_LIMIT);
+  if (!rateLimit.allowed) {
+    return jsonResponse({ ok: false, error: i18n.translate(locale, 'tooManyOrders') }, 429, {
+      'Retry-After': String(rateLimit.retryAfter)
+    });
+  }
+
+  const order = result.order;
+  const bookings = await getBookings(env.ORDERS, order.pickupDate);
+  const booked = bookings[order.pickupTime] || 0;
+  if (booked >= settings.slotCapacity) {
+    return jsonResponse({
+      ok: false,
+      errors: { pickupTime: i18n.translate(locale, 'pickupTimeFull') }
+    }, 409);
+  }
+
+  const reference = generateReference();
+  const record = Object.assign({ reference: reference, placedAt: new Date().toISOString() }, order);
+  await env.ORDERS.put('order:' + reference, JSON.stringify(record));
+
+  // Slot counts are only needed until the pickup day has passed
+  bookings[order.pickupTime] = booked + 1;
+  await env.ORDERS.put('pickup:' + order.pickupDate, JSON.stringify(bookings), {
+    expirationTtl: (settings.maxDaysAhead + 2) * 86400
+  });
+
+  return jsonResponse({ ok: true, reference: reference }, 201);
+}
+
+/**
+ * Handle GET /api/order/<reference>. Contact details are left out of the response.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ORDERS)
+ * @param {string} reference - Order reference from the URL
+ * @returns {Promise<Response>} - { ok, order: { reference, pack, items, weight, pickupDate, pickupTime, name } }
+ */
+export async function handleOrderLookup(request, env, reference) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+
+  const record = await env.ORDERS.get('order:' + reference, 'json');
+  if (!record) {
+    return jsonResponse({ ok: false, error: 'Order not found' }, 404);
+  }
+  return jsonResponse({
+    ok: true,
+    order: {
+      reference: record.reference,
+      pack: record.pack,
+      items: record.items,
+      weight: record.weight,
+      pickupDate: record.pickupDate,
+      pickupTime: record.pickupTime,
+      name: record.name
+    }
+  }, 200, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * Read every stored order
+ * @param {KVNamespace} kv - ORDERS namespace
+ * @returns {Promise<Object[]>} - Order records
+ */
+async function listOrders(kv) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: 'order:', cursor: cursor });
+    page.keys.forEach(function(key) {
+      keys.push(key.name);
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const records = await Promise.all(keys.map(function(key) {
+    return kv.get(key, 'json');
+  }));
+  return records.filter(Boolean);
+}
+
+/**
+ * Turn pre-orders into a CSV file, sorted by pickup day, time and then name
+ * @param {Object[]} orders - Order records
+ * @returns {string} - CSV with a header row and CRLF line endings
+ */
+export function formatPickupOrdersCSV(orders) {
+  const rows = orders.slice().sort(function(a, b) {
+    return a.pickupDate.localeCompare(b.pickupDate) || a.pickupTime.localeCompare(b.pickupTime) ||
+      a.name.localeCompare(b.name);
+  }).map(function(order) {
+    return [
+      order.pickupDate,
+      order.pickupTime,
+      order.name,
+      order.phone,
+      order.email,
+      order.pack,
+      order.items.map(function(item) {
+        return item.weight + ' lb ' + item.cut;
+      }).join('; '),
+      order.weight,
+      order.notes,
+      order.reference,
+      order.placedAt
+    ];
+  });
+  return formatCSV([
+    ['Pickup day', 'Pickup time', 'Name', 'Phone', 'Email', 'Pack', 'Cuts', 'Weight (lbs)', 'Notes', 'Reference', 'Placed at']
+  ].concat(rows));
+}
+
+/**
+ * Handle GET /admin/api/orders.csv. Includes past pickups, as long as their orders are still stored.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (ORDERS)
+ * @returns {Promise<Response>} - CSV download
+ */
+export async function handleOrdersCSV(request, env) {
+  if (request.method !== 'GET') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'GET' });
+  }
+
+  const orders = await listOrders(env.ORDERS);
+  return csvResponse(formatPickupOrdersCSV(orders), 'pre-orders.csv');
+}
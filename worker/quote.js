@@ -0,0 +1,154 @@
+/**
+ * Quote Requests
+ *
+ * POST /api/quote - catering and delivered-meals quote requests from services.html.
+ * Submissions are validated, rate-limited per IP and stored in the INQUIRIES KV
+ * namespace under "inquiry:<received at>:<id>" for the shop to follow up on.
+ */
+
+import businessData from '../scripts/business-data.js';
+import i18n from '../scripts/i18n.js';
+import {
+  jsonResponse, wantsJSON, readFormBody, getClientIP, getLocale, getRequestLocale, clean, EMAIL_REGEX, PHONE_REGEX
+} from './http.js';
+import { checkRateLimit } from './rate-limit.js';
+import { getShopNow } from './hours.js';
+
+/**
+ * Service types a quote can be requested for (values of the serviceType field)
+ */
+export const SERVICE_TYPES = {
+  'delivered-meals': 'Delivered Meals',
+  'catered-event': 'Catered Event'
+};
+
+/**
+ * Quote submissions allowed per IP address per hour
+ */
+const RATE_LIMIT = { max: 5, windowSeconds: 3600 };
+
+const MAX_GUESTS = 1000;
+const MAX_DAYS_AHEAD = 730;
+
+const MAX_MENU_PREFERENCES = 2000;
+
+/**
+ * Validate a quote request
+ * @param {Object} body - Submitted fields; messages are in the language of its lang field
+ * @param {string} [today] - Today's date (YYYY-MM-DD), defaults to today in the shop's timezone
+ * @returns {Object} - { errors: field → message (empty when valid), quote: cleaned fields }
+ */
+export function validateQuote(body, today) {
+  today = today || getShopNow(businessData.timezone).date;
+  const locale = getLocale(clean(body.lang));
+  const errors = {};
+  const quote = {
+    serviceType: clean(body.serviceType),
+    eventDate: clean(body.eventDate),
+    guestCount: clean(body.guestCount),
+    menuPreferences: clean(body.menuPreferences),
+    name: clean(body.name),
+    email: clean(body.email),
+    phone: clean(body.phone)
+  };
+
+  if (!Object.prototype.hasOwnProperty.call(SERVICE_TYPES, quote.serviceType)) {
+    errors.serviceType = i18n.translate(locale, 'chooseService');
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(quote.eventDate) ? new Date(quote.eventDate + 'T00:00:00Z') : null;
+  if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== quote.eventDate) {
+    errors.eventDate = i18n.translate(locale, 'enterEventDate');
+  } else if (quote.eventDate < today) {
+    errors.eventDate = i18n.translate(locale, 'eventDatePast');
+  } else if ((date - new Date(today + 'T00:00:00Z')) / 86400000 > MAX_DAYS_AHEAD) {
+    errors.eventDate = i18n.translate(locale, 'eventDateTooFar');
+  }
+
+  const guestCount = Number(quote.guestCount);
+  if (!/^\d+$/.test(quote.guestCount) || guestCount < 1 || guestCount > MAX_GUESTS) {
+    errors.guestCount = i18n.translate(locale, 'enterGuests', { max: MAX_GUESTS });
+  } else {
+    quote.guestCount = guestCount;
+  }
+
+  if (quote.menuPreferences.length > MAX_MENU_PREFERENCES) {
+    errors.menuPreferences = i18n.translate(locale, 'menuPreferencesTooLong', { max: MAX_MENU_PREFERENCES });
+  }
+
+  if (!quote.name || quote.name.length > 100) {
+    errors.name = i18n.translate(locale, 'enterName');
+  }
+
+  if (!EMAIL_REGEX.test(quote.email) || quote.email.length > 254) {
+    errors.email = i18n.translate(locale, 'enterEmail');
+  }
+
+  if (quote.phone && !PHONE_REGEX.test(quote.phone)) {
+    errors.phone = i18n.translate(locale, 'enterPhone');
+  }
+
+  return { errors: errors, quote: quote };
+}
+
+/**
+ * Respond to a quote submission, as JSON for site.js or as a redirect back to the page for plain form posts.
+ * The French page posts to /api/quote?lang=fr, so it is redirected back to /fr/services.html.
+ * @param {Request} request - Incoming request
+ * @param {Object} body - JSON response body
+ * @param {number} status - HTTP status for JSON responses
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response} - Response
+ */
+function respond(request, body, status, headers) {
+  if (wantsJSON(request)) {
+    return jsonResponse(body, status, headers);
+  }
+  const locale = getLocale(new URL(request.url).searchParams.get('lang'));
+  const location = new URL('/' + i18n.LOCALES[locale].dir + 'services.html', request.url);
+  location.searchParams.set('quote', body.ok ? 'sent' : 'error');
+  location.hash = 'quote';
+  return Response.redirect(location.toString(), 303);
+}
+
+/**
+ * Handle POST /api/quote
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker bindings (INQUIRIES)
+ * @returns {Promise<Response>} - Response
+ */
+export async function handleQuoteRequest(request, env) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ ok: false, error: 'Method not allowed' }, 405, { Allow: 'POST' });
+  }
+
+  const body = await readFormBody(request);
+  const locale = getRequestLocale(request, body);
+  if (!body) {
+    return respond(request, { ok: false, error: i18n.translate(locale, 'formUnreadable') }, 400);
+  }
+
+  // Hidden "website" field: people leave it empty, spam bots fill it in. Pretend it worked.
+  if (clean(body.website)) {
+    return respond(request, { ok: true }, 200);
+  }
+
+  const result = validateQuote(body);
+  if (Object.keys(result.errors).length > 0) {
+    return respond(request, { ok: false, errors: result.errors }, 400);
+  }
+
+  const rateLimit = await checkRateLimit(env.INQUIRIES, 'quote', getClientIP(request), RATE_LIMIT);
+  if (!rateLimit.allowed) {
+    return respond(request, { ok: false, error: i18n.translate(locale, 'tooManyRequests') }, 429, {
+      'Retry-After': String(rateLimit.retryAfter)
+    });
+  }
+
+  const id = crypto.randomUUID();
+  const receivedAt = new Date().toISOString();
+  const inquiry = Object.assign({ id: id, receivedAt: receivedAt, service: SERVICE_TYPES[result.quote.serviceType] }, result.quote);
+  await env.INQUIRIES.put('inquiry:' + receivedAt + ':' + id, JSON.stringify(inquiry));
+
+  return respond(request, { ok: true, id: id }, 201);
+}
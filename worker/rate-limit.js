@@ -0,0 +1,59 @@
+/**
+ * Rate Limiting
+ *
+ * Fixed-window request counter per client IP, stored in KV. KV is eventually
+ * consistent, so a burst of simultaneous requests can slip slightly over the
+ * limit; that is acceptable for keeping form spam down.
+ */
+
+/**
+ * Find the current window's counter for a client
+ * @param {KVNamespace} kv - KV namespace the counters are kept in
+ * @param {string} scope - What is being limited (e.g., "quote")
+ * @param {string} ip - Client IP address
+ * @param {Object} limit - { max: requests per window, windowSeconds: window length }
+ * @returns {Promise<Object>} - { key, count, retryAfter: seconds until the window resets }
+ */
+async function readCounter(kv, scope, ip, limit) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % limit.windowSeconds);
+  const key = 'ratelimit:' + scope + ':' + ip + ':' + windowStart;
+  return {
+    key: key,
+    count: parseInt(await kv.get(key), 10) || 0,
+    retryAfter: windowStart + limit.windowSeconds - now
+  };
+}
+
+/**
+ * Count a request against a client's limit
+ * @param {KVNamespace} kv - KV namespace to keep the counters in
+ * @param {string} scope - What is being limited (e.g., "quote")
+ * @param {string} ip - Client IP address
+ * @param {Object} limit - { max: requests per window, windowSeconds: window length }
+ * @returns {Promise<Object>} - { allowed: boolean, retryAfter: seconds until the window resets }
+ */
+export async function checkRateLimit(kv, scope, ip, limit) {
+  const counter = await readCounter(kv, scope, ip, limit);
+  if (counter.count >= limit.max) {
+    return { allowed: false, retryAfter: counter.retryAfter };
+  }
+
+  // KV needs a TTL of at least 60 seconds
+  await kv.put(counter.key, String(counter.count + 1), { expirationTtl: Math.max(counter.retryAfter, 60) });
+  return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Check whether a client is over its limit without counting a request
+ * (e.g. to block sign-in attempts after too many failures, while only counting the failures)
+ * @param {KVNamespace} kv - KV namespace the counters are kept in
+ * @param {string} scope - What is being limited (e.g., "admin-login")
+ * @param {string} ip - Client IP address
+ * @param {Object} limit - { max: requests per window, windowSeconds: window length }
+ * @returns {Promise<number>} - Seconds until the client may try again, or 0 if it is under the limit
+ */
+export async function getRateLimitWait(kv, scope, ip, limit) {
+  const counter = await readCounter(kv, scope, ip, limit);
+  return counter.count >= limit.max ? counter.retryAfter : 0;
+}
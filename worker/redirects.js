@@ -0,0 +1,34 @@
+/**
+ * Redirects
+ *
+ * Old and short URLs that moved, e.g. ones printed on flyers or linked from other sites.
+ * Each is sent on with a permanent (301) redirect, keeping the query string. Paths without
+ * an extension that have a page (/contact → /contact.html) are redirected without being
+ * listed here (see worker/assets.js).
+ */
+
+/**
+ * Redirects by exact path (without a trailing slash, except for /)
+ */
+export const REDIRECTS = {
+  '/index.htm': '/',
+  '/home': '/',
+  '/catering': '/services.html',
+  '/francais': '/fr/'
+};
+
+/**
+ * Find where a path redirects to
+ * @param {URL} url - Requested URL
+ * @param {Object} [redirects] - Redirect table (default: REDIRECTS)
+ * @returns {string|null} - URL to redirect to, or null if the path has no redirect
+ */
+export function findRedirect(url, redirects) {
+  redirects = redirects || REDIRECTS;
+  const path = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+  if (!Object.prototype.hasOwnProperty.call(redirects, path)) {
+    return null;
+  }
+  return new URL(redirects[path] + url.search, url).toString();
+}
+